@@ -3,14 +3,15 @@
  * 
  * This is the simplest way to get started with the Google Drive inventory tools.
  * Copy this code into a Google Apps Script project to begin analyzing your Drive.
+ * Add src/utils/common-functions.js to the same project for the shared helpers.
  */
 
 // Basic configuration - adjust these values for your needs
 const CONFIG = {
   BATCH_SIZE: 50,                                    // Process 50 files at a time
   INVENTORY_SPREADSHEET_NAME: "My Drive Inventory",   // Name of the report spreadsheet
-  LARGE_FILE_THRESHOLD_MB: 25,                       // Files larger than 25MB are "large"
-  OLD_FILE_THRESHOLD_DAYS: 180,                      // Files older than 180 days are "old"
+  LARGE_FILES_FILTER: 'size > 25MB',                 // Files larger than 25MB are "large"
+  OLD_FILES_FILTER: 'age > 180d',                    // Files not modified for 180 days are "old"
   INCLUDE_GOOGLE_FILES: true,                        // Include Docs, Sheets, Slides, etc.
   INCLUDE_TRASHED: false                             // Don't include deleted files
 };
@@ -28,8 +29,8 @@ function startBasicInventory() {
   console.log("Configuration:");
   console.log(`- Batch size: ${CONFIG.BATCH_SIZE} files`);
   console.log(`- Report name: ${CONFIG.INVENTORY_SPREADSHEET_NAME}`);
-  console.log(`- Large file threshold: ${CONFIG.LARGE_FILE_THRESHOLD_MB}MB`);
-  console.log(`- Old file threshold: ${CONFIG.OLD_FILE_THRESHOLD_DAYS} days`);
+  console.log(`- Large files: ${CONFIG.LARGE_FILES_FILTER}`);
+  console.log(`- Old files: ${CONFIG.OLD_FILES_FILTER}`);
   
   // Create the spreadsheet
   const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
@@ -43,8 +44,8 @@ function startBasicInventory() {
  * STEP 2: Check the status of your inventory
  */
 function checkInventoryStatus() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  const stats = JSON.parse(scriptProperties.getProperty('inventoryStats') || '{}');
+  const statsStore = openStatsStore({ spreadsheetName: CONFIG.INVENTORY_SPREADSHEET_NAME });
+  const stats = loadStoredStats(statsStore, 'inventoryStats') || {};
   
   if (stats.totalFiles) {
     console.log(`Inventory in progress: ${stats.totalFiles} files processed`);
@@ -74,17 +75,17 @@ function getQuickDriveStats() {
     const file = files.next();
     fileCount++;
     
-    const size = file.getSize();
-    totalSize += size;
+    // Only the fields the filters use are read from the file
+    const data = createLazyFileRecord(file);
+    totalSize += data.size;
     
     // Check for large files
-    if (size > CONFIG.LARGE_FILE_THRESHOLD_MB * 1024 * 1024) {
+    if (matchesFilterExpression(CONFIG.LARGE_FILES_FILTER, data)) {
       largeFiles++;
     }
     
     // Check for old files
-    const age = (new Date() - file.getLastUpdated()) / (1000 * 60 * 60 * 24);
-    if (age > CONFIG.OLD_FILE_THRESHOLD_DAYS) {
+    if (matchesFilterExpression(CONFIG.OLD_FILES_FILTER, data)) {
       oldFiles++;
     }
   }
@@ -93,45 +94,18 @@ function getQuickDriveStats() {
   console.log(`Files checked: ${fileCount}`);
   console.log(`Total size: ${formatBytes(totalSize)}`);
   console.log(`Average size: ${formatBytes(totalSize / fileCount)}`);
-  console.log(`Large files (>${CONFIG.LARGE_FILE_THRESHOLD_MB}MB): ${largeFiles}`);
-  console.log(`Old files (>${CONFIG.OLD_FILE_THRESHOLD_DAYS} days): ${oldFiles}`);
-}
-
-/**
- * Helper function to create or get existing spreadsheet
- */
-function getOrCreateSpreadsheet(name) {
-  const files = DriveApp.getFilesByName(name);
-  
-  if (files.hasNext()) {
-    return SpreadsheetApp.open(files.next());
-  } else {
-    const spreadsheet = SpreadsheetApp.create(name);
-    console.log(`Created new spreadsheet: ${name}`);
-    return spreadsheet;
-  }
-}
-
-/**
- * Helper function to format bytes in human-readable format
- */
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  console.log(`Large files (${CONFIG.LARGE_FILES_FILTER}): ${largeFiles}`);
+  console.log(`Old files (${CONFIG.OLD_FILES_FILTER}): ${oldFiles}`);
 }
 
 /**
  * NEXT STEPS:
  * 
- * 1. Copy the complete inventory script from src/core/drive-inventory-complete.js
- * 2. Paste it below this configuration
- * 3. Run startBasicInventory() to begin your analysis
- * 4. Check the generated spreadsheet for your results
+ * 1. Add src/utils/common-functions.js and src/core/inventory-engine.js to your project as their own files
+ * 2. Copy the complete inventory script from src/core/drive-inventory-complete.js
+ * 3. Paste it below this configuration
+ * 4. Run startBasicInventory() to begin your analysis
+ * 5. Check the generated spreadsheet for your results
  * 
  * For more advanced features, check out the specialized scripts in src/specialized/
  */
\ No newline at end of file
@@ -0,0 +1,158 @@
+/**
+ * Custom Profile Example - Contracts Inventory
+ *
+ * Shows how to add your own analyzer without copying a specialized script.
+ * A profile declares which files to look at, which fields to extract, which stats
+ * to keep and which report sheets to write; the inventory engine does the rest
+ * (batching, continuation, automatic mode, triggers and status).
+ *
+ * Add src/utils/common-functions.js and src/core/inventory-engine.js to the same project.
+ */
+
+const CONTRACTS_CONFIG = {
+  BATCH_SIZE: 100,
+  INVENTORY_SPREADSHEET_NAME: "📑 Contracts Inventory Report",
+  SHARED_DRIVES: true, // Also scan every shared drive the account can see (Drive API only)
+  SCOPE: { ROOT: null, INCLUDE: [], EXCLUDE: [] }, // Folder to scan and include/exclude rules, see compileScanScope
+  FILTER: '', // Only inventory files matching this expression, e.g. "owner = me", see compileFilterExpression
+
+  SHEETS: {
+    OVERVIEW: "Overview",
+    CONTRACTS: "All Contracts",
+    EXPIRING: "Expiring Soon",
+    BY_COUNTERPARTY: "By Counterparty"
+  },
+
+  CONTRACT_KEYWORDS: ['contract', 'agreement', 'nda', 'sow', 'msa'],
+  EXPIRY_WARNING_DAYS: 90
+};
+
+const CONTRACTS_PROFILE = {
+  id: 'contracts',                                   // contractsContinuationToken, contractsInventoryStats, ...
+  label: 'contract files',
+  config: CONTRACTS_CONFIG,
+  entryHandler: 'inventoryContracts',
+  continueHandler: 'continueContractsInventory',
+
+  query: "trashed = false and (mimeType = 'application/pdf' or mimeType = 'application/vnd.google-apps.document')",
+  searchFilter: { nameContains: CONTRACTS_CONFIG.CONTRACT_KEYWORDS }, // Only ask Drive for likely names
+  filter: isContractFile,
+  extractOptions: { trackPermissions: true, sharingUsers: 5 },
+  extract: addContractFields,
+
+  stats: {
+    byCounterparty: { count: data => data.counterparty },
+    byYear: { count: data => data.contractYear },
+    sharedContracts: { countIf: data => isSharedAccess(data.sharingAccess) },
+    expiringSoon: {
+      when: data => data.daysToExpiry !== null && data.daysToExpiry <= CONTRACTS_CONFIG.EXPIRY_WARNING_DAYS,
+      top: 100,
+      sortBy: contract => -contract.daysToExpiry,
+      item: data => ({
+        name: data.name,
+        daysToExpiry: data.daysToExpiry,
+        owner: data.owner,
+        drive: data.drive,
+        url: data.url
+      })
+    }
+  },
+
+  listSheet: {
+    name: CONTRACTS_CONFIG.SHEETS.CONTRACTS,
+    columns: [
+      ['Name', data => data.name],
+      ['Counterparty', data => data.counterparty],
+      ['Year', data => data.contractYear],
+      ['Days To Expiry', data => data.daysToExpiry === null ? '' : data.daysToExpiry],
+      ['Owner', data => data.owner],
+      ['Drive', data => data.drive],
+      ['Sharing', data => data.sharingAccess],
+      ['Folder Path', data => formatFolderPaths(data)],
+      ['Folder ID', data => formatFolderIds(data)],
+      ['URL', data => data.url]
+    ]
+  },
+
+  overview: {
+    title: 'Contracts Inventory',
+    summaryTitle: 'CONTRACTS SUMMARY',
+    summary: stats => [
+      ['Total Contracts:', stats.totalFiles],
+      ['Shared Contracts:', stats.sharedContracts],
+      ['Expiring Soon:', stats.expiringSoon.length],
+      ['Processing Errors:', stats.errors]
+    ],
+    sections: [
+      {
+        title: 'TOP COUNTERPARTIES',
+        entries: stats => Object.entries(stats.byCounterparty)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+      }
+    ]
+  },
+
+  reports: [
+    {
+      sheet: CONTRACTS_CONFIG.SHEETS.EXPIRING,
+      headers: ['Name', 'Days To Expiry', 'Owner', 'Drive', 'URL'],
+      rows: stats => stats.expiringSoon.map(c => [c.name, c.daysToExpiry, c.owner, c.drive, c.url])
+    },
+    {
+      sheet: CONTRACTS_CONFIG.SHEETS.BY_COUNTERPARTY,
+      headers: ['Counterparty', 'Contracts'],
+      rows: stats => Object.entries(stats.byCounterparty).sort((a, b) => b[1] - a[1])
+    }
+  ]
+};
+
+/**
+ * Run this to inventory contracts (run again to continue, or use automatic mode)
+ */
+function inventoryContracts() {
+  return runProfileInventory(CONTRACTS_PROFILE);
+}
+
+/**
+ * Called by the continuation trigger in automatic mode
+ */
+function continueContractsInventory() {
+  continueProfileInventory(CONTRACTS_PROFILE);
+}
+
+/**
+ * Process everything, scheduling continuations past the execution time limit
+ */
+function startAutomaticContractsInventory() {
+  return startAutomaticProfileInventory(CONTRACTS_PROFILE);
+}
+
+/**
+ * Re-process the contracts listed in the Errors sheet, removing the entries that succeed
+ */
+function retryFailedContracts() {
+  return retryProfileErrors(CONTRACTS_PROFILE);
+}
+
+/**
+ * Check the file name for a contract keyword
+ */
+function isContractFile(file) {
+  const name = file.getName().toLowerCase();
+  return CONTRACTS_CONFIG.CONTRACT_KEYWORDS.some(keyword => name.includes(keyword));
+}
+
+/**
+ * Read counterparty, year and expiry from names like "MSA - Acme Corp - 2024 - expires 2025-06-30.pdf"
+ */
+function addContractFields(data) {
+  const parts = data.name.replace(/\.[^.]+$/, '').split(' - ');
+  data.counterparty = parts.length > 1 ? parts[1].trim() : 'Unknown';
+
+  const year = data.name.match(/\b(19|20)\d{2}\b/);
+  data.contractYear = year ? year[0] : new Date(data.created).getFullYear();
+
+  const expiry = data.name.match(/expires (\d{4}-\d{2}-\d{2})/i);
+  data.daysToExpiry = expiry ? Math.floor(-getAgeInDays(expiry[1])) : null;
+}
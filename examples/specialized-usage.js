@@ -3,6 +3,7 @@
  * 
  * This file shows how to use each specialized inventory script
  * Copy the relevant functions to your Google Apps Script project
+ * Each specialized script also needs src/utils/common-functions.js and src/core/inventory-engine.js in the same project
  */
 
 // ========================================
@@ -212,7 +213,7 @@ function runDeveloperWorkflow() {
   console.log("3. Analyzing project documents...");
   // Copy code from getQuickDocumentStats() and inventoryDocuments()
   
-  console.log("Run each analysis separately, then compare results across spreadsheets");
+  console.log("Run each analysis separately, or together with runMultiProfileScan() (src/core/multi-profile-scan.js)");
 }
 
 /**
@@ -310,6 +311,7 @@ function runMonthlyReview() {
  * 2. Copy only the specific specialized script you need
  * 3. The functions referenced here need to be copied from the appropriate specialized scripts
  * 4. Each specialized script is standalone - you don't need all of them
+ *    (to run several in one pass over your Drive, add src/core/multi-profile-scan.js)
  * 5. Start with small batches if you have a large Drive
  * 
  * RECOMMENDED ORDER FOR NEW USERS:
@@ -320,6 +322,7 @@ function runMonthlyReview() {
  * 
  * TROUBLESHOOTING:
  * - If you get "Invalid argument: q" errors, use the -fixed versions
- * - If scripts timeout, reduce BATCH_SIZE in the CONFIG
+ * - If single runs timeout, reduce BATCH_SIZE in the script's configuration (e.g. IMAGE_CONFIG);
+ *   automatic mode sizes its batches from the measured time per file
  * - If you see permission errors, the script may not have access to some files
  */
\ No newline at end of file
@@ -2,6 +2,7 @@
  * Google Drive Inventory Script - Complete Version
  * Takes a comprehensive inventory of files in Google Drive
  * Processes files incrementally and generates detailed reports
+ * Requires src/utils/common-functions.js and src/core/inventory-engine.js in the same Apps Script project
  */
 
 // Configuration
@@ -9,6 +10,33 @@ const CONFIG = {
   // Process this many files per run (adjust based on your needs)
   BATCH_SIZE: 100,
   
+  // File listing: 'auto' uses the Drive API advanced service when it is enabled, else DriveApp
+  // ('driveapi' or 'driveapp' to force one)
+  DRIVE_BACKEND: 'auto',
+  
+  // Also scan every shared drive the account can see (Drive API only); the Overview breaks them down
+  SHARED_DRIVES: true,
+  
+  // Scan scope: only files below ROOT (a folder ID, or a path like 'Clients/2024') that match an INCLUDE rule,
+  // if there are any, and no EXCLUDE rule. Rules match globs on path, name, owner and mimeType, e.g.
+  // EXCLUDE: [{ path: ['Personal', 'Backups'] }, { name: '*.tmp' }, { owner: '*@partner.org', mimeType: 'video/*' }]
+  SCOPE: {
+    ROOT: null,
+    INCLUDE: [],
+    EXCLUDE: []
+  },
+  
+  // Only inventory the files matching this filter expression ('' for every file), e.g.
+  // "size > 50MB and owner != me", "type in (Video, Archive) and age > 2y" or "sharingAccess = ANYONE_WITH_LINK"
+  // Fields, operators and units are listed at compileFilterExpression in common-functions.js
+  FILTER: '',
+  
+  // Where stats are kept between runs: 'sheet' (hidden sheets in the report), 'drive' (JSON files),
+  // 'chunkedProperties' or 'properties' (one script property, fine for small drives only)
+  // Duplicate candidates alone outgrow the script property quota on large drives
+  STATS_STORE: 'sheet',
+  STATS_CACHE: true, // Also keep stats in CacheService so most runs skip reading the store
+  
   // Spreadsheet name for inventory results
   INVENTORY_SPREADSHEET_NAME: "📊 Drive Inventory Report v3",
   
@@ -21,14 +49,15 @@ const CONFIG = {
     DUPLICATES: "Potential Duplicates",
     SHARED_FILES: "Shared Files",
     FILE_TYPES: "File Types Analysis",
-    FOLDER_STRUCTURE: "Folder Structure"
+    FOLDER_STRUCTURE: "Folder Structure",
+    CHANGES: "Changes",
+    TRENDS: "Trends",
+    FILTERED: "Filtered Files"
   },
   
-  // File size thresholds (in MB)
-  LARGE_FILE_THRESHOLD_MB: 50,
-  
-  // Old file threshold (in days)
-  OLD_FILE_THRESHOLD_DAYS: 365,
+  // Files listed in the Large Files and Old Files reports, as filter expressions
+  LARGE_FILES_FILTER: 'size > 50MB',
+  OLD_FILES_FILTER: 'age > 365d',
   
   // Include Google native files (Docs, Sheets, etc.)
   INCLUDE_GOOGLE_FILES: true,
@@ -39,222 +68,232 @@ const CONFIG = {
   // Track file permissions and sharing
   TRACK_PERMISSIONS: true,
   
+  // Once an inventory is complete, later automatic and scheduled runs only refresh the files changed
+  // since (run resetInventory() first for a full inventory)
+  INCREMENTAL: true,
+  
+  // Deleted and trashed files are removed by incremental runs through the Drive API's changes; without
+  // the Drive API they stay listed, so a full inventory runs instead once the last one is this many days old
+  FULL_INVENTORY_DAYS: 30,
+  
+  // How often startWatchingDriveChanges() checks Drive for changes to apply to a complete inventory
+  // (a cron expression; needs the Drive API advanced service)
+  WATCH_SCHEDULE: '*/15 * * * *',
+  
   // Maximum number of duplicate groups to show
   MAX_DUPLICATE_GROUPS: 100
 };
 
-/**
- * Main function to inventory Drive files - runs continuously until complete
- */
-function inventoryDrive() {
-  console.log("Starting Drive inventory...");
+// Profile run by the inventory engine (src/core/inventory-engine.js)
+// Keeps the original property names so in-progress inventories carry on
+const INVENTORY_PROFILE = {
+  id: 'inventory',
+  label: 'Drive files',
+  config: CONFIG,
+  propertyKeys: {
+    token: 'continuationToken',
+    stats: 'inventoryStats',
+    autoMode: 'autoMode'
+  },
+  entryHandler: 'inventoryDrive',
+  continueHandler: 'continueAutomaticInventory',
+  scheduledHandlers: ['runScheduledInventory'],
+  watchHandler: 'watchDriveChanges', // Applies Drive changes to the File List and reports, see startWatchingDriveChanges
+  
+  // Start fresh with all files, or skip trashed files at the query level
+  query: CONFIG.INCLUDE_TRASHED ? null : 'trashed = false',
+  filter: shouldIncludeFile,
+  extractOptions: { trackPermissions: CONFIG.TRACK_PERMISSIONS, sharingUsers: 5 },
+  estimateProgress: true, // Count the drive's files a little each batch, for progress and ETA
+  incremental: CONFIG.INCREMENTAL, // Refresh changed files in the File List, by File ID, then rebuild the reports
+  changesSheet: CONFIG.SHEETS.CHANGES, // What changed since the previous inventory, kept as a File List snapshot
+  
+  stats: {
+    filesByCategory: { count: data => data.typeCategory },
+    filesByType: { count: data => data.type },
+    filesByFolder: { count: data => data.folderPath },
+    filesByOwner: { count: data => data.owner },
+    filesByYear: { count: data => new Date(data.lastModified).getFullYear() },
+    // Keep only top 100 largest files
+    largeFiles: {
+      when: data => matchesFilterExpression(CONFIG.LARGE_FILES_FILTER, data),
+      top: 100,
+      sortBy: file => file.size,
+      item: data => ({
+        name: data.name,
+        size: data.size,
+        drive: data.drive,
+        path: data.folderPath,
+        url: data.url
+      })
+    },
+    oldFiles: {
+      when: data => matchesFilterExpression(CONFIG.OLD_FILES_FILTER, data),
+      collect: 100,
+      item: data => ({
+        name: data.name,
+        lastModified: data.lastModified,
+        ageInDays: Math.floor(getAgeInDays(data.lastModified)),
+        drive: data.drive,
+        path: data.folderPath,
+        url: data.url
+      })
+    },
+    sharedCount: { countIf: data => isSharedAccess(data.sharingAccess) },
+    publicCount: { countIf: data => isPublicAccess(data.sharingAccess) },
+    sharedFiles: {
+      when: data => isSharedAccess(data.sharingAccess),
+      collect: 100,
+      item: data => ({
+        name: data.name,
+        sharingAccess: data.sharingAccess,
+        sharingPermission: data.sharingPermission,
+        drive: data.drive,
+        path: data.folderPath,
+        url: data.url
+      })
+    },
+    // Potential duplicates share name and size (to the 0.01 MB the list keeps); built from the list sheet
+    // once the inventory completes, keeping only names and sizes seen more than once
+    duplicateCandidates: {
+      fromList: true,
+      minItems: 2,
+      group: data => `${data.name}_${data.size}`,
+      item: data => ({
+        name: data.name,
+        drive: data.drive,
+        path: data.folderPath,
+        size: data.size,
+        url: data.url
+      })
+    }
+  },
   
-  // Check if automatic mode is enabled
-  const scriptProperties = PropertiesService.getScriptProperties();
-  const isAutoMode = scriptProperties.getProperty('autoMode') === 'true';
+  listSheet: {
+    name: CONFIG.SHEETS.FILE_LIST,
+    // Incremental runs read the reports' fields back from these columns (sizes to the nearest 0.01 MB)
+    columns: [
+      ['Name', data => data.name, 'name', String],
+      ['Category', data => data.typeCategory, 'typeCategory'],
+      ['Type', data => data.type, 'type'],
+      ['Size (MB)', data => (data.size / 1024 / 1024).toFixed(2), 'size', value => Math.round(Number(value) * 1024 * 1024)],
+      ['Created', data => data.created, 'created'],
+      ['Last Modified', data => data.lastModified, 'lastModified'],
+      ['Owner', data => data.owner, 'owner'],
+      ['Drive', data => data.drive, 'drive'],
+      ['Drive ID', data => data.driveId, 'driveId', String],
+      // Every path of every parent of the file, joined with ' | ' (see formatFolderPaths)
+      ['Folder Path', data => formatFolderPaths(data), 'folderPath', value => parseFolderPaths(value)[0]],
+      ['Folder ID', data => formatFolderIds(data)],
+      ['Sharing', data => data.sharingAccess, 'sharingAccess'],
+      ['Permission', data => data.sharingPermission, 'sharingPermission'],
+      ['Viewers', data => data.viewers.join(', '), 'viewers', splitListCell],
+      ['Editors', data => data.editors.join(', '), 'editors', splitListCell],
+      ['URL', data => data.url, 'url'],
+      ['File ID', data => data.id, 'id', String]
+    ]
+  },
   
-  if (!isAutoMode) {
-    // Run single batch
-    runInventoryBatch();
-  } else {
-    // Run continuously until time limit
-    runInventoryContinuously();
-  }
-}
-
-/**
- * Run inventory continuously until completion or time limit
- */
-function runInventoryContinuously() {
-  const startTime = new Date().getTime();
-  const MAX_RUNTIME_MS = 5 * 60 * 1000; // 5 minutes (leaving 1 minute buffer for 6-minute limit)
+  headers: {
+    [CONFIG.SHEETS.LARGE_FILES]: ['Name', 'Size (MB)', 'Drive', 'Folder Path', 'URL'],
+    [CONFIG.SHEETS.OLD_FILES]: ['Name', 'Last Modified', 'Age (Days)', 'Drive', 'Folder Path', 'URL'],
+    [CONFIG.SHEETS.DUPLICATES]: ['Name', 'Size (MB)', 'Count', 'Drives', 'Locations', 'URLs'],
+    [CONFIG.SHEETS.SHARED_FILES]: ['Name', 'Sharing Access', 'Permission', 'Drive', 'Folder Path', 'URL']
+  },
   
-  const scriptProperties = PropertiesService.getScriptProperties();
-  let batchCount = 0;
-  let totalProcessed = 0;
-  let hasMoreFiles = true;
+  overview: {
+    title: 'Google Drive Inventory Report',
+    summaryTitle: 'SUMMARY STATISTICS',
+    summary: stats => [
+      ['Total Files:', stats.totalFiles],
+      ['Total Size:', formatBytes(stats.totalSize)],
+      ['Average File Size:', formatBytes(stats.totalSize / Math.max(stats.totalFiles, 1))],
+      ['Large Files (' + CONFIG.LARGE_FILES_FILTER + '):', stats.largeFiles.length],
+      ['Old Files (' + CONFIG.OLD_FILES_FILTER + '):', stats.oldFiles.length],
+      ['Shared Files:', stats.sharedFiles.length],
+      ['Processing Errors:', stats.errors]
+    ],
+    sections: [
+      {
+        title: 'FILE CATEGORIES',
+        entries: stats => Object.entries(stats.filesByCategory)
+          .sort((a, b) => b[1] - a[1])
+      },
+      {
+        title: 'FILE TYPES DISTRIBUTION',
+        entries: stats => Object.entries(stats.filesByType)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 15)
+      },
+      {
+        title: 'FILES BY YEAR',
+        entries: stats => Object.entries(stats.filesByYear)
+          .sort((a, b) => b[0] - a[0])
+          .slice(0, 10)
+      },
+      {
+        title: 'TOP FOLDERS BY FILE COUNT',
+        entries: stats => Object.entries(stats.filesByFolder)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+      }
+    ]
+  },
   
-  console.log("Running in continuous mode...");
+  // One row per completed inventory; the Overview charts total size and file categories over time
+  trends: {
+    sheet: CONFIG.SHEETS.TRENDS,
+    values: stats => [
+      ['Total Size (GB)', Number((stats.totalSize / 1024 / 1024 / 1024).toFixed(2))],
+      ['Total Files', stats.totalFiles],
+      ['Shared Files', stats.sharedCount],
+      ['Public Files', stats.publicCount]
+    ].concat(
+      Object.entries(stats.filesByCategory).map(([category, count]) => [`Category: ${category}`, count]),
+      Object.entries(stats.filesByType).map(([type, count]) => [`Type: ${type}`, count]),
+      Object.entries(stats.filesByOwner)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([owner, count]) => [`Owner: ${owner}`, count]),
+      Object.entries(stats.filesByFolder)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([folder, count]) => [`Folder: ${folder}`, count])
+    ),
+    charts: [
+      { title: 'Total Size (GB)', columns: ['Total Size (GB)'] },
+      { title: 'Files by Category', prefix: 'Category: ' }
+    ]
+  },
   
-  while (hasMoreFiles) {
-    // Check execution time
-    const currentTime = new Date().getTime();
-    const elapsedTime = currentTime - startTime;
-    
-    if (elapsedTime > MAX_RUNTIME_MS) {
-      console.log(`Approaching time limit after ${(elapsedTime/1000).toFixed(0)} seconds`);
-      
-      // Schedule next run
-      scheduleNextRun();
-      
-      console.log(`Processed ${totalProcessed} files in ${batchCount} batches. Scheduled next run.`);
-      return;
-    }
-    
-    // Run a batch
-    const result = runInventoryBatch();
-    batchCount++;
-    totalProcessed += result.processedCount;
-    
-    if (!result.hasMore) {
-      hasMoreFiles = false;
-      console.log(`Inventory complete! Processed ${totalProcessed} files in ${batchCount} batches.`);
-      
-      // Cancel any scheduled runs
-      cancelScheduledRuns();
-    } else {
-      // Brief pause between batches to avoid rate limits
-      Utilities.sleep(100);
-    }
-  }
-}
+  reports: [
+    generateLargeFilesReport,
+    generateOldFilesReport,
+    generateDuplicatesReport,
+    generateSharedFilesReport,
+    generateFileTypesAnalysis
+  ]
+};
 
 /**
- * Run a single batch of inventory processing
+ * Main function to inventory Drive files - runs continuously until complete
  */
-function runInventoryBatch() {
-  // Get or create the inventory spreadsheet
-  const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
-  
-  // Initialize sheets if needed
-  initializeSheets(spreadsheet);
-  
-  // Get the continuation token from previous run
-  const scriptProperties = PropertiesService.getScriptProperties();
-  let continuationToken = scriptProperties.getProperty('continuationToken');
-  
-  // Get current stats
-  let stats = JSON.parse(scriptProperties.getProperty('inventoryStats') || '{}');
-  stats = initializeStats(stats);
-  
-  // Update status
-  updateInventoryStatus(spreadsheet, 'RUNNING', stats);
-  
-  // Get files to process
-  const files = getFilesToProcess(continuationToken, CONFIG.BATCH_SIZE);
-  
-  if (files.length === 0) {
-    console.log("No more files to process!");
-    
-    // Generate final reports
-    generateFinalReports(spreadsheet, stats);
-    
-    // Update status
-    updateInventoryStatus(spreadsheet, 'COMPLETE', stats);
-    
-    // Clear properties
-    scriptProperties.deleteProperty('continuationToken');
-    scriptProperties.deleteProperty('inventoryStats');
-    scriptProperties.deleteProperty('autoMode');
-    
-    // Cancel any scheduled runs
-    cancelScheduledRuns();
-    
-    return { processedCount: 0, hasMore: false };
-  }
-  
-  console.log(`Processing batch of ${files.length} files...`);
-  
-  // Process files and update stats
-  let processedCount = 0;
-  for (const file of files) {
-    try {
-      processFileForInventory(file, spreadsheet, stats);
-      processedCount++;
-    } catch (error) {
-      console.error(`Error processing file: ${error}`);
-      stats.errors++;
-    }
-  }
-  
-  // Save stats
-  scriptProperties.setProperty('inventoryStats', JSON.stringify(stats));
-  
-  // Update overview sheet with current progress
-  updateOverviewSheet(spreadsheet, stats, false);
-  
-  console.log(`Processed ${processedCount} files. Total so far: ${stats.totalFiles}`);
-  
-  // Check if there are more files
-  const hasMore = files.hasNext && files.hasNext();
-  
-  if (hasMore) {
-    const nextToken = files.getContinuationToken();
-    scriptProperties.setProperty('continuationToken', nextToken);
-    
-    // Estimate remaining files
-    const estimatedTotal = estimateRemainingFiles(stats);
-    console.log(`Progress: ${stats.totalFiles}/${estimatedTotal} files (estimated)`);
-  } else {
-    // Final run - generate complete reports
-    generateFinalReports(spreadsheet, stats);
-    
-    // Update status
-    updateInventoryStatus(spreadsheet, 'COMPLETE', stats);
-    
-    scriptProperties.deleteProperty('continuationToken');
-    scriptProperties.deleteProperty('inventoryStats');
-    scriptProperties.deleteProperty('autoMode');
-  }
-  
-  return { processedCount: processedCount, hasMore: hasMore };
+function inventoryDrive() {
+  return runProfileInventory(INVENTORY_PROFILE);
 }
 
 /**
- * Initialize statistics object
+ * Run a single batch of inventory processing
  */
-function initializeStats(stats) {
-  return {
-    totalFiles: stats.totalFiles || 0,
-    totalSize: stats.totalSize || 0,
-    filesByType: stats.filesByType || {},
-    filesByFolder: stats.filesByFolder || {},
-    filesByOwner: stats.filesByOwner || {},
-    filesByYear: stats.filesByYear || {},
-    largeFiles: stats.largeFiles || [],
-    oldFiles: stats.oldFiles || [],
-    sharedFiles: stats.sharedFiles || [],
-    duplicateCandidates: stats.duplicateCandidates || {},
-    errors: stats.errors || 0,
-    startTime: stats.startTime || new Date().toISOString()
-  };
+function runInventoryBatch() {
+  return runProfileBatch(INVENTORY_PROFILE);
 }
 
 /**
- * Get files to process in this batch
+ * Re-process the files listed in the Errors sheet, removing the entries that succeed
  */
-function getFilesToProcess(continuationToken, batchSize) {
-  let files;
-  
-  if (continuationToken) {
-    files = DriveApp.continueFileIterator(continuationToken);
-  } else {
-    // Start fresh - get all files
-    if (CONFIG.INCLUDE_TRASHED) {
-      files = DriveApp.getFiles();
-    } else {
-      files = DriveApp.searchFiles('trashed = false');
-    }
-  }
-  
-  const filesToProcess = [];
-  let count = 0;
-  
-  while (files.hasNext() && count < batchSize) {
-    const file = files.next();
-    
-    // Check if file should be included
-    if (shouldIncludeFile(file)) {
-      filesToProcess.push(file);
-      count++;
-    }
-  }
-  
-  // Attach continuation capability to the array
-  filesToProcess.hasNext = () => files.hasNext();
-  filesToProcess.getContinuationToken = () => files.getContinuationToken();
-  
-  return filesToProcess;
+function retryFailedFiles() {
+  return retryProfileErrors(INVENTORY_PROFILE);
 }
 
 /**
@@ -282,413 +321,6 @@ function shouldIncludeFile(file) {
   }
 }
 
-/**
- * Process a single file for inventory
- */
-function processFileForInventory(file, spreadsheet, stats) {
-  try {
-    const fileData = extractFileData(file);
-    
-    // Update statistics
-    stats.totalFiles++;
-    stats.totalSize += fileData.size;
-    
-    // Track by type
-    const fileType = fileData.type;
-    stats.filesByType[fileType] = (stats.filesByType[fileType] || 0) + 1;
-    
-    // Track by year
-    const year = new Date(fileData.lastModified).getFullYear();
-    stats.filesByYear[year] = (stats.filesByYear[year] || 0) + 1;
-    
-    // Track by folder
-    if (fileData.folderPath) {
-      stats.filesByFolder[fileData.folderPath] = (stats.filesByFolder[fileData.folderPath] || 0) + 1;
-    }
-    
-    // Track by owner
-    stats.filesByOwner[fileData.owner] = (stats.filesByOwner[fileData.owner] || 0) + 1;
-    
-    // Check for large files
-    if (fileData.size > CONFIG.LARGE_FILE_THRESHOLD_MB * 1024 * 1024) {
-      stats.largeFiles.push({
-        name: fileData.name,
-        size: fileData.size,
-        path: fileData.folderPath,
-        url: fileData.url
-      });
-      
-      // Keep only top 100 largest files
-      stats.largeFiles.sort((a, b) => b.size - a.size);
-      stats.largeFiles = stats.largeFiles.slice(0, 100);
-    }
-    
-    // Check for old files
-    const ageInDays = (new Date() - new Date(fileData.lastModified)) / (1000 * 60 * 60 * 24);
-    if (ageInDays > CONFIG.OLD_FILE_THRESHOLD_DAYS) {
-      if (stats.oldFiles.length < 100) {
-        stats.oldFiles.push({
-          name: fileData.name,
-          lastModified: fileData.lastModified,
-          ageInDays: Math.floor(ageInDays),
-          path: fileData.folderPath,
-          url: fileData.url
-        });
-      }
-    }
-    
-    // Track shared files
-    if (fileData.sharingAccess !== 'Private') {
-      if (stats.sharedFiles.length < 100) {
-        stats.sharedFiles.push({
-          name: fileData.name,
-          sharingAccess: fileData.sharingAccess,
-          sharingPermission: fileData.sharingPermission,
-          path: fileData.folderPath,
-          url: fileData.url
-        });
-      }
-    }
-    
-    // Track potential duplicates (by name and size)
-    const duplicateKey = `${fileData.name}_${fileData.size}`;
-    if (!stats.duplicateCandidates[duplicateKey]) {
-      stats.duplicateCandidates[duplicateKey] = [];
-    }
-    stats.duplicateCandidates[duplicateKey].push({
-      name: fileData.name,
-      path: fileData.folderPath,
-      size: fileData.size,
-      lastModified: fileData.lastModified,
-      url: fileData.url
-    });
-    
-    // Add to file list sheet
-    addToFileListSheet(spreadsheet, fileData);
-    
-  } catch (error) {
-    console.error(`Error processing file for inventory: ${error}`);
-    throw error;
-  }
-}
-
-/**
- * Extract comprehensive data from a file
- */
-function extractFileData(file) {
-  const data = {
-    id: file.getId(),
-    name: file.getName(),
-    mimeType: file.getMimeType(),
-    type: getFileType(file.getName(), file.getMimeType()),
-    size: file.getSize(),
-    created: file.getDateCreated().toISOString(),
-    lastModified: file.getLastUpdated().toISOString(),
-    owner: file.getOwner() ? file.getOwner().getEmail() : 'Unknown',
-    url: file.getUrl(),
-    description: file.getDescription() || '',
-    folderPath: '',
-    sharingAccess: 'Private',
-    sharingPermission: 'None',
-    viewers: [],
-    editors: []
-  };
-  
-  // Get folder path
-  try {
-    const parents = file.getParents();
-    const pathParts = [];
-    
-    if (parents.hasNext()) {
-      const parent = parents.next();
-      pathParts.push(parent.getName());
-      
-      // Get full path (limited depth to avoid timeout)
-      let currentParent = parent;
-      let depth = 0;
-      while (depth < 5) {
-        const grandParents = currentParent.getParents();
-        if (grandParents.hasNext()) {
-          currentParent = grandParents.next();
-          pathParts.unshift(currentParent.getName());
-          depth++;
-        } else {
-          break;
-        }
-      }
-    }
-    
-    data.folderPath = pathParts.length > 0 ? pathParts.join('/') : 'Root';
-  } catch (error) {
-    data.folderPath = 'Unknown';
-  }
-  
-  // Get sharing information
-  if (CONFIG.TRACK_PERMISSIONS) {
-    try {
-      const access = file.getSharingAccess();
-      const permission = file.getSharingPermission();
-      
-      data.sharingAccess = access.toString();
-      data.sharingPermission = permission.toString();
-      
-      // Get viewers and editors (limited to avoid timeout)
-      const viewers = file.getViewers();
-      const editors = file.getEditors();
-      
-      data.viewers = viewers.slice(0, 5).map(user => user.getEmail());
-      data.editors = editors.slice(0, 5).map(user => user.getEmail());
-      
-    } catch (error) {
-      // Some files may not have accessible permissions
-    }
-  }
-  
-  return data;
-}
-
-/**
- * Determine file type from name and MIME type
- */
-function getFileType(fileName, mimeType) {
-  // Check for Google file types
-  if (mimeType.startsWith('application/vnd.google-apps.')) {
-    const googleType = mimeType.replace('application/vnd.google-apps.', '');
-    return `Google ${googleType.charAt(0).toUpperCase() + googleType.slice(1)}`;
-  }
-  
-  // Check by extension
-  const extension = fileName.split('.').pop().toLowerCase();
-  
-  const typeMap = {
-    // Documents
-    'doc': 'Word Document', 'docx': 'Word Document',
-    'pdf': 'PDF', 'txt': 'Text File', 'rtf': 'Rich Text',
-    
-    // Spreadsheets
-    'xls': 'Excel', 'xlsx': 'Excel', 'csv': 'CSV',
-    
-    // Presentations
-    'ppt': 'PowerPoint', 'pptx': 'PowerPoint',
-    
-    // Images
-    'jpg': 'Image', 'jpeg': 'Image', 'png': 'Image', 
-    'gif': 'Image', 'svg': 'Image', 'bmp': 'Image',
-    
-    // Videos
-    'mp4': 'Video', 'avi': 'Video', 'mov': 'Video',
-    'wmv': 'Video', 'flv': 'Video', 'mkv': 'Video',
-    
-    // Audio
-    'mp3': 'Audio', 'wav': 'Audio', 'flac': 'Audio',
-    
-    // Archives
-    'zip': 'Archive', 'rar': 'Archive', '7z': 'Archive',
-    
-    // Code
-    'js': 'Code', 'html': 'Code', 'css': 'Code',
-    'py': 'Code', 'java': 'Code', 'cpp': 'Code'
-  };
-  
-  return typeMap[extension] || extension.toUpperCase() || 'Unknown';
-}
-
-/**
- * Get or create inventory spreadsheet
- */
-function getOrCreateSpreadsheet(name) {
-  const files = DriveApp.getFilesByName(name);
-  
-  if (files.hasNext()) {
-    return SpreadsheetApp.open(files.next());
-  } else {
-    const spreadsheet = SpreadsheetApp.create(name);
-    console.log(`Created new inventory spreadsheet: ${spreadsheet.getUrl()}`);
-    return spreadsheet;
-  }
-}
-
-/**
- * Initialize sheets in the spreadsheet
- */
-function initializeSheets(spreadsheet) {
-  // Ensure all required sheets exist
-  for (const sheetName of Object.values(CONFIG.SHEETS)) {
-    let sheet = spreadsheet.getSheetByName(sheetName);
-    
-    if (!sheet) {
-      sheet = spreadsheet.insertSheet(sheetName);
-      
-      // Set up headers based on sheet type
-      switch (sheetName) {
-        case CONFIG.SHEETS.FILE_LIST:
-          sheet.getRange(1, 1, 1, 12).setValues([[
-            'Name', 'Type', 'Size (MB)', 'Created', 'Last Modified',
-            'Owner', 'Folder Path', 'Sharing', 'Permission', 
-            'Viewers', 'Editors', 'URL'
-          ]]);
-          sheet.getRange(1, 1, 1, 12).setFontWeight('bold');
-          break;
-          
-        case CONFIG.SHEETS.LARGE_FILES:
-          sheet.getRange(1, 1, 1, 4).setValues([[
-            'Name', 'Size (MB)', 'Folder Path', 'URL'
-          ]]);
-          sheet.getRange(1, 1, 1, 4).setFontWeight('bold');
-          break;
-          
-        case CONFIG.SHEETS.OLD_FILES:
-          sheet.getRange(1, 1, 1, 5).setValues([[
-            'Name', 'Last Modified', 'Age (Days)', 'Folder Path', 'URL'
-          ]]);
-          sheet.getRange(1, 1, 1, 5).setFontWeight('bold');
-          break;
-          
-        case CONFIG.SHEETS.DUPLICATES:
-          sheet.getRange(1, 1, 1, 5).setValues([[
-            'Name', 'Size (MB)', 'Count', 'Locations', 'URLs'
-          ]]);
-          sheet.getRange(1, 1, 1, 5).setFontWeight('bold');
-          break;
-          
-        case CONFIG.SHEETS.SHARED_FILES:
-          sheet.getRange(1, 1, 1, 5).setValues([[
-            'Name', 'Sharing Access', 'Permission', 'Folder Path', 'URL'
-          ]]);
-          sheet.getRange(1, 1, 1, 5).setFontWeight('bold');
-          break;
-      }
-    }
-  }
-  
-  // Remove default "Sheet1" if it exists
-  const sheet1 = spreadsheet.getSheetByName('Sheet1');
-  if (sheet1 && spreadsheet.getSheets().length > 1) {
-    spreadsheet.deleteSheet(sheet1);
-  }
-}
-
-/**
- * Add file data to the file list sheet
- */
-function addToFileListSheet(spreadsheet, fileData) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.FILE_LIST);
-  
-  sheet.appendRow([
-    fileData.name,
-    fileData.type,
-    (fileData.size / 1024 / 1024).toFixed(2),
-    fileData.created,
-    fileData.lastModified,
-    fileData.owner,
-    fileData.folderPath,
-    fileData.sharingAccess,
-    fileData.sharingPermission,
-    fileData.viewers.join(', '),
-    fileData.editors.join(', '),
-    fileData.url
-  ]);
-}
-
-/**
- * Update the overview sheet with current statistics
- */
-function updateOverviewSheet(spreadsheet, stats, isFinal) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.OVERVIEW);
-  sheet.clear();
-  
-  // Title
-  sheet.getRange(1, 1).setValue('Google Drive Inventory Report')
-    .setFontSize(16).setFontWeight('bold');
-  
-  sheet.getRange(2, 1).setValue(isFinal ? 'Final Report' : 'Progress Report')
-    .setFontSize(12);
-  
-  sheet.getRange(3, 1).setValue(`Generated: ${new Date().toLocaleString()}`)
-    .setFontSize(10);
-  
-  // Summary Statistics
-  sheet.getRange(5, 1).setValue('SUMMARY STATISTICS').setFontWeight('bold');
-  
-  const summaryData = [
-    ['Total Files:', stats.totalFiles],
-    ['Total Size:', formatBytes(stats.totalSize)],
-    ['Average File Size:', formatBytes(stats.totalSize / Math.max(stats.totalFiles, 1))],
-    ['Large Files (>' + CONFIG.LARGE_FILE_THRESHOLD_MB + 'MB):', stats.largeFiles.length],
-    ['Old Files (>' + CONFIG.OLD_FILE_THRESHOLD_DAYS + ' days):', stats.oldFiles.length],
-    ['Shared Files:', stats.sharedFiles.length],
-    ['Processing Errors:', stats.errors]
-  ];
-  
-  sheet.getRange(6, 1, summaryData.length, 2).setValues(summaryData);
-  
-  // File Types Distribution
-  const typeRow = 14;
-  sheet.getRange(typeRow, 1).setValue('FILE TYPES DISTRIBUTION').setFontWeight('bold');
-  
-  const typeEntries = Object.entries(stats.filesByType)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 15);
-  
-  if (typeEntries.length > 0) {
-    sheet.getRange(typeRow + 1, 1, typeEntries.length, 2).setValues(typeEntries);
-  }
-  
-  // Files by Year
-  const yearRow = typeRow + typeEntries.length + 3;
-  sheet.getRange(yearRow, 1).setValue('FILES BY YEAR').setFontWeight('bold');
-  
-  const yearEntries = Object.entries(stats.filesByYear)
-    .sort((a, b) => b[0] - a[0])
-    .slice(0, 10);
-  
-  if (yearEntries.length > 0) {
-    sheet.getRange(yearRow + 1, 1, yearEntries.length, 2).setValues(yearEntries);
-  }
-  
-  // Top Folders
-  const folderRow = yearRow + yearEntries.length + 3;
-  sheet.getRange(folderRow, 1).setValue('TOP FOLDERS BY FILE COUNT').setFontWeight('bold');
-  
-  const folderEntries = Object.entries(stats.filesByFolder)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
-  
-  if (folderEntries.length > 0) {
-    sheet.getRange(folderRow + 1, 1, folderEntries.length, 2).setValues(folderEntries);
-  }
-  
-  // Format columns
-  sheet.autoResizeColumns(1, 2);
-}
-
-/**
- * Generate final reports after all files are processed
- */
-function generateFinalReports(spreadsheet, stats) {
-  console.log("Generating final reports...");
-  
-  // Update overview as final
-  updateOverviewSheet(spreadsheet, stats, true);
-  
-  // Generate large files report
-  generateLargeFilesReport(spreadsheet, stats);
-  
-  // Generate old files report
-  generateOldFilesReport(spreadsheet, stats);
-  
-  // Generate duplicates report
-  generateDuplicatesReport(spreadsheet, stats);
-  
-  // Generate shared files report
-  generateSharedFilesReport(spreadsheet, stats);
-  
-  // Generate file types analysis
-  generateFileTypesAnalysis(spreadsheet, stats);
-  
-  console.log(`Reports generated! View at: ${spreadsheet.getUrl()}`);
-}
-
 /**
  * Generate large files report
  */
@@ -696,21 +328,19 @@ function generateLargeFilesReport(spreadsheet, stats) {
   const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.LARGE_FILES);
   
   // Clear existing data (except header)
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
+  clearSheetData(sheet);
   
   // Add large files data
   if (stats.largeFiles.length > 0) {
     const data = stats.largeFiles.map(file => [
       file.name,
       (file.size / 1024 / 1024).toFixed(2),
+      file.drive,
       file.path,
       file.url
     ]);
     
-    sheet.getRange(2, 1, data.length, 4).setValues(data);
+    sheet.getRange(2, 1, data.length, 5).setValues(data);
   }
 }
 
@@ -721,10 +351,7 @@ function generateOldFilesReport(spreadsheet, stats) {
   const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.OLD_FILES);
   
   // Clear existing data (except header)
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
+  clearSheetData(sheet);
   
   // Add old files data
   if (stats.oldFiles.length > 0) {
@@ -732,11 +359,12 @@ function generateOldFilesReport(spreadsheet, stats) {
       file.name,
       file.lastModified,
       file.ageInDays,
+      file.drive,
       file.path,
       file.url
     ]);
     
-    sheet.getRange(2, 1, data.length, 5).setValues(data);
+    sheet.getRange(2, 1, data.length, 6).setValues(data);
   }
 }
 
@@ -747,10 +375,7 @@ function generateDuplicatesReport(spreadsheet, stats) {
   const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.DUPLICATES);
   
   // Clear existing data (except header)
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
+  clearSheetData(sheet);
   
   // Find actual duplicates (more than 1 file with same name and size)
   const duplicates = Object.entries(stats.duplicateCandidates)
@@ -763,11 +388,12 @@ function generateDuplicatesReport(spreadsheet, stats) {
       files[0].name,
       (files[0].size / 1024 / 1024).toFixed(2),
       files.length,
+      files.map(f => f.drive).join('\n'),
       files.map(f => f.path).join('\n'),
       files.map(f => f.url).join('\n')
     ]);
     
-    sheet.getRange(2, 1, data.length, 5).setValues(data);
+    sheet.getRange(2, 1, data.length, 6).setValues(data);
   }
 }
 
@@ -778,10 +404,7 @@ function generateSharedFilesReport(spreadsheet, stats) {
   const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.SHARED_FILES);
   
   // Clear existing data (except header)
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
+  clearSheetData(sheet);
   
   // Add shared files data
   if (stats.sharedFiles.length > 0) {
@@ -789,11 +412,12 @@ function generateSharedFilesReport(spreadsheet, stats) {
       file.name,
       file.sharingAccess,
       file.sharingPermission,
+      file.drive,
       file.path,
       file.url
     ]);
     
-    sheet.getRange(2, 1, data.length, 5).setValues(data);
+    sheet.getRange(2, 1, data.length, 6).setValues(data);
   }
 }
 
@@ -807,166 +431,83 @@ function generateFileTypesAnalysis(spreadsheet, stats) {
   sheet.getRange(1, 1).setValue('FILE TYPES ANALYSIS')
     .setFontSize(14).setFontWeight('bold');
   
-  // Headers
-  sheet.getRange(3, 1, 1, 3).setValues([['File Type', 'Count', 'Percentage']])
-    .setFontWeight('bold');
-  
-  // Calculate percentages and sort
+  // Calculate percentages and sort, one table for categories and one for file types
   const total = stats.totalFiles;
-  const typeData = Object.entries(stats.filesByType)
+  const toRows = counts => Object.entries(counts)
     .sort((a, b) => b[1] - a[1])
-    .map(([type, count]) => [
-      type,
+    .map(([label, count]) => [
+      label,
       count,
       ((count / total) * 100).toFixed(2) + '%'
     ]);
+  const categoryData = toRows(stats.filesByCategory);
+  const typeData = toRows(stats.filesByType);
   
+  sheet.getRange(3, 1, 1, 3).setValues([['Category', 'Count', 'Percentage']])
+    .setFontWeight('bold');
+  if (categoryData.length > 0) {
+    sheet.getRange(4, 1, categoryData.length, 3).setValues(categoryData);
+  }
+  
+  const typeRow = categoryData.length + 6;
+  sheet.getRange(typeRow, 1, 1, 3).setValues([['File Type', 'Count', 'Percentage']])
+    .setFontWeight('bold');
   if (typeData.length > 0) {
-    sheet.getRange(4, 1, typeData.length, 3).setValues(typeData);
+    sheet.getRange(typeRow + 1, 1, typeData.length, 3).setValues(typeData);
   }
   
   // Format
   sheet.autoResizeColumns(1, 3);
 }
 
-/**
- * Format bytes to human readable
- */
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
-
 /**
  * Start automatic inventory - will run continuously until complete
  */
 function startAutomaticInventory() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  
-  // Reset if starting fresh
-  const continuationToken = scriptProperties.getProperty('continuationToken');
-  if (!continuationToken) {
-    resetInventory();
-  }
-  
-  // Enable auto mode
-  scriptProperties.setProperty('autoMode', 'true');
-  
-  console.log("Starting automatic inventory...");
-  
-  // Run immediately
-  inventoryDrive();
+  return startAutomaticProfileInventory(INVENTORY_PROFILE);
 }
 
 /**
  * Stop automatic inventory
  */
 function stopAutomaticInventory() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  scriptProperties.setProperty('autoMode', 'false');
-  
-  // Cancel scheduled runs
-  cancelScheduledRuns();
-  
-  // Update status
-  const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
-  const stats = JSON.parse(scriptProperties.getProperty('inventoryStats') || '{}');
-  updateInventoryStatus(spreadsheet, 'PAUSED', stats);
-  
-  console.log("Automatic inventory stopped. Progress has been saved.");
-}
-
-/**
- * Schedule the next automatic run
- */
-function scheduleNextRun() {
-  // Cancel existing triggers first
-  cancelScheduledRuns();
-  
-  // Create a new trigger for 1 minute from now
-  ScriptApp.newTrigger('continueAutomaticInventory')
-    .timeBased()
-    .after(1 * 60 * 1000) // 1 minute
-    .create();
-  
-  console.log("Next run scheduled for 1 minute from now");
+  stopAutomaticProfileInventory(INVENTORY_PROFILE);
 }
 
 /**
  * Continue automatic inventory (called by trigger)
  */
 function continueAutomaticInventory() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  
-  // Check if auto mode is still enabled
-  if (scriptProperties.getProperty('autoMode') !== 'true') {
-    console.log("Auto mode disabled, stopping.");
-    cancelScheduledRuns();
-    return;
-  }
-  
-  // Continue inventory
-  inventoryDrive();
+  continueProfileInventory(INVENTORY_PROFILE);
 }
 
 /**
  * Cancel all scheduled runs
  */
 function cancelScheduledRuns() {
-  const triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(trigger => {
-    if (trigger.getHandlerFunction() === 'continueAutomaticInventory' ||
-        trigger.getHandlerFunction() === 'inventoryDrive' ||
-        trigger.getHandlerFunction() === 'runScheduledInventory') {
-      ScriptApp.deleteTrigger(trigger);
-    }
-  });
-  console.log("Cancelled all scheduled inventory runs");
+  cancelProfileScheduledRuns(INVENTORY_PROFILE);
 }
 
 /**
- * Update inventory status in the spreadsheet
+ * Keep a complete inventory current: every CONFIG.WATCH_SCHEDULE, apply the files created, changed, shared,
+ * trashed or deleted since the last check to the File List and reports, without rescanning Drive
  */
-function updateInventoryStatus(spreadsheet, status, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.OVERVIEW);
-  
-  // Add status indicator
-  const statusCell = sheet.getRange(4, 1);
-  const statusColor = {
-    'RUNNING': '#4CAF50',
-    'PAUSED': '#FFC107',
-    'COMPLETE': '#2196F3',
-    'ERROR': '#F44336'
-  };
-  
-  statusCell.setValue(`Status: ${status}`)
-    .setFontWeight('bold')
-    .setBackground(statusColor[status] || '#FFFFFF');
-  
-  // Add progress bar if running
-  if (status === 'RUNNING' && stats.totalFiles > 0) {
-    const estimated = estimateRemainingFiles(stats);
-    const progress = Math.min((stats.totalFiles / estimated) * 100, 100);
-    
-    sheet.getRange(4, 2).setValue(`Progress: ${progress.toFixed(1)}%`);
-  }
+function startWatchingDriveChanges() {
+  return startProfileChangeWatch(INVENTORY_PROFILE, CONFIG.WATCH_SCHEDULE);
 }
 
 /**
- * Estimate total files based on current processing rate
+ * Stop applying Drive changes
  */
-function estimateRemainingFiles(stats) {
-  // Simple estimation based on folder distribution
-  // Assumes similar file density across folders
-  const avgFilesPerFolder = stats.totalFiles / Math.max(Object.keys(stats.filesByFolder).length, 1);
-  const estimatedFolders = Object.keys(stats.filesByFolder).length * 1.5; // Rough estimate
-  
-  return Math.max(stats.totalFiles, Math.round(avgFilesPerFolder * estimatedFolders));
+function stopWatchingDriveChanges() {
+  stopProfileChangeWatch(INVENTORY_PROFILE);
+}
+
+/**
+ * Apply the Drive changes since the last check (called by the change watcher trigger)
+ */
+function watchDriveChanges() {
+  return watchProfileChanges(INVENTORY_PROFILE);
 }
 
 /**
@@ -974,25 +515,28 @@ function estimateRemainingFiles(stats) {
  */
 function getInventoryStatus() {
   const scriptProperties = PropertiesService.getScriptProperties();
-  const stats = JSON.parse(scriptProperties.getProperty('inventoryStats') || '{}');
+  const stats = loadProfileStats(INVENTORY_PROFILE);
   const continuationToken = scriptProperties.getProperty('continuationToken');
   const autoMode = scriptProperties.getProperty('autoMode') === 'true';
+  const incrementalPass = loadIncrementalPass(INVENTORY_PROFILE);
+  const lastComplete = loadProfileLastComplete(INVENTORY_PROFILE);
   
   const status = {
-    isRunning: !!continuationToken,
+    isRunning: !!continuationToken || !!incrementalPass,
     autoMode: autoMode,
     filesProcessed: stats.totalFiles || 0,
     errors: stats.errors || 0,
     startTime: stats.startTime || null,
-    currentSize: formatBytes(stats.totalSize || 0)
+    currentSize: formatBytes(stats.totalSize || 0),
+    progress: getProfileProgress(INVENTORY_PROFILE, stats),
+    activeRun: readRunLease(getProfilePropertyKeys(INVENTORY_PROFILE).lease),
+    incrementalPass: incrementalPass,
+    lastComplete: lastComplete ? lastComplete.completed : null,
+    watchingChanges: hasTriggerFor([INVENTORY_PROFILE.watchHandler])
   };
   
   // Check for active triggers
-  const triggers = ScriptApp.getProjectTriggers();
-  status.hasScheduledRun = triggers.some(t => 
-    t.getHandlerFunction() === 'continueAutomaticInventory' ||
-    t.getHandlerFunction() === 'runScheduledInventory'
-  );
+  status.hasScheduledRun = hasTriggerFor(['continueAutomaticInventory', 'runScheduledInventory']);
   
   console.log("Inventory Status:");
   console.log(`- Running: ${status.isRunning}`);
@@ -1001,6 +545,25 @@ function getInventoryStatus() {
   console.log(`- Total Size: ${status.currentSize}`);
   console.log(`- Errors: ${status.errors}`);
   console.log(`- Scheduled Run: ${status.hasScheduledRun}`);
+  console.log(`- Watching Drive Changes: ${status.watchingChanges}`);
+  
+  if (status.progress) {
+    console.log(`- Progress: ${formatProfileProgress(status.progress)}`);
+  }
+  
+  if (status.activeRun) {
+    console.log(`- Active Run: ${status.activeRun.owner} since ${status.activeRun.started}`);
+  }
+  
+  if (status.incrementalPass && status.incrementalPass.source === 'watch') {
+    console.log(`- Applying Drive Changes: ${status.incrementalPass.changedCount} changed and ${status.incrementalPass.removedCount} removed files so far`);
+  } else if (status.incrementalPass) {
+    console.log(`- Incremental Run: ${status.incrementalPass.changedCount} changed files refreshed since ${status.incrementalPass.since}`);
+  }
+  
+  if (status.lastComplete) {
+    console.log(`- Last Complete: ${status.lastComplete}`);
+  }
   
   if (status.startTime) {
     const elapsed = new Date() - new Date(status.startTime);
@@ -1018,12 +581,14 @@ function setupHourlyInventory() {
   cancelScheduledRuns();
   
   // Create hourly trigger
-  ScriptApp.newTrigger('runScheduledInventory')
-    .timeBased()
-    .everyHours(1)
-    .create();
+  createScheduledTrigger('runScheduledInventory', '@hourly', {
+    tool: INVENTORY_PROFILE.id,
+    purpose: CONFIG.INCREMENTAL ? 'Hourly inventory, then hourly incremental refreshes' : 'Hourly inventory until complete'
+  });
   
-  console.log("Hourly inventory scheduled. Will run every hour until complete.");
+  console.log(CONFIG.INCREMENTAL ?
+    "Hourly inventory scheduled. Will run every hour, refreshing changed files once complete." :
+    "Hourly inventory scheduled. Will run every hour until complete.");
   
   // Run first batch immediately
   runScheduledInventory();
@@ -1033,37 +598,40 @@ function setupHourlyInventory() {
  * Run scheduled inventory (called by hourly trigger)
  */
 function runScheduledInventory() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  const continuationToken = scriptProperties.getProperty('continuationToken');
+  setRunSource('schedule', 'runScheduledInventory');
   
-  if (!continuationToken) {
+  // Exits right away while a continuation (or another scheduled run) is still working
+  withProfileRunLease(INVENTORY_PROFILE, 'runScheduledInventory', () => {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const continuationToken = scriptProperties.getProperty('continuationToken');
+    
     // Check if we've already completed
-    const stats = JSON.parse(scriptProperties.getProperty('inventoryStats') || '{}');
-    if (stats.totalFiles > 0) {
-      console.log("Inventory already complete. Cancelling scheduled runs.");
-      cancelScheduledRuns();
-      return;
+    if (!continuationToken && !loadIncrementalPass(INVENTORY_PROFILE) && loadProfileLastComplete(INVENTORY_PROFILE)) {
+      if (!CONFIG.INCREMENTAL) {
+        console.log("Inventory already complete. Cancelling scheduled runs.");
+        cancelScheduledRuns();
+        return;
+      }
+      
+      // Refresh the files changed since (a full inventory when the File List has no File ID column yet)
+      beginIncrementalPass(INVENTORY_PROFILE);
     }
-  }
-  
-  console.log("Running scheduled inventory batch...");
-  
-  // Set auto mode for continuous processing
-  scriptProperties.setProperty('autoMode', 'true');
-  
-  // Run inventory
-  inventoryDrive();
+    
+    console.log("Running scheduled inventory batch...");
+    
+    // Set auto mode for continuous processing
+    scriptProperties.setProperty('autoMode', 'true');
+    
+    // Run inventory
+    inventoryDrive();
+  });
 }
 
 /**
  * Reset the inventory process
  */
 function resetInventory() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  scriptProperties.deleteProperty('continuationToken');
-  scriptProperties.deleteProperty('inventoryStats');
-  scriptProperties.deleteProperty('autoMode');
-  console.log("Inventory reset. Next run will start from the beginning.");
+  resetProfileInventory(INVENTORY_PROFILE);
 }
 
 /**
@@ -1139,7 +707,8 @@ function getQuickStats() {
 }
 
 /**
- * Find specific types of files
+ * Find specific types of files, or files matching a filter expression
+ * e.g. findFilesByType('pdfs') or findFilesByType('size > 50MB and owner != me')
  */
 function findFilesByType(fileType) {
   console.log(`Searching for ${fileType} files...`);
@@ -1154,12 +723,26 @@ function findFilesByType(fileType) {
     'documents': "mimeType contains 'document' or mimeType contains 'text'",
     'spreadsheets': "mimeType contains 'spreadsheet'",
     'pdfs': "mimeType = 'application/pdf'",
-    'large': "", // Will filter by size
-    'old': "", // Will filter by date
     'shared': "visibility != 'limited'"
   };
   
-  query = typeQueries[fileType.toLowerCase()] || "";
+  // Large and old files are checked against the report filters, anything else is a filter expression
+  const typeFilters = {
+    'large': CONFIG.LARGE_FILES_FILTER,
+    'old': CONFIG.OLD_FILES_FILTER
+  };
+  
+  const typeKey = fileType.toLowerCase();
+  const expression = typeQueries[typeKey] ? '' : (typeFilters[typeKey] || fileType);
+  let filter = null;
+  try {
+    filter = compileFilterExpression(expression);
+  } catch (error) {
+    const types = Object.keys(typeQueries).concat(Object.keys(typeFilters)).join(', ');
+    throw new Error(`"${fileType}" is neither a file type (${types}) nor a valid filter. ${error.message}`);
+  }
+  
+  query = typeQueries[typeKey] || "";
   
   if (query) {
     query += " and trashed = false";
@@ -1169,23 +752,28 @@ function findFilesByType(fileType) {
   
   const files = DriveApp.searchFiles(query);
   let count = 0;
+  let checked = 0;
   const maxResults = 50;
+  const maxChecked = 2000;
+  
+  // Filters look at the same fields as the inventory, read only as the expression needs them;
+  // folder paths come from (and go back to) the report's folder cache
+  const folderCache = filter && filter.fields.indexOf('path') !== -1 ?
+    loadFolderCache(getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME)) : null;
+  const recordOptions = { trackPermissions: CONFIG.TRACK_PERMISSIONS, sharingUsers: 5, folderCache: folderCache };
   
   while (files.hasNext() && count < maxResults) {
+    if (filter && checked >= maxChecked) {
+      console.log(`Stopped after checking ${maxChecked} files, narrow the filter to search further`);
+      break;
+    }
     const file = files.next();
+    checked++;
     
-    // Additional filters
-    if (fileType.toLowerCase() === 'large' && file.getSize() < CONFIG.LARGE_FILE_THRESHOLD_MB * 1024 * 1024) {
+    if (filter && !filter(createLazyFileRecord(file, recordOptions))) {
       continue;
     }
     
-    if (fileType.toLowerCase() === 'old') {
-      const ageInDays = (new Date() - file.getLastUpdated()) / (1000 * 60 * 60 * 24);
-      if (ageInDays < CONFIG.OLD_FILE_THRESHOLD_DAYS) {
-        continue;
-      }
-    }
-    
     results.push({
       name: file.getName(),
       size: formatBytes(file.getSize()),
@@ -1196,6 +784,10 @@ function findFilesByType(fileType) {
     count++;
   }
   
+  if (folderCache) {
+    saveFolderCache(folderCache);
+  }
+  
   console.log(`Found ${results.length} ${fileType} files`);
   results.forEach(file => {
     console.log(`- ${file.name} (${file.size}) - ${file.lastModified}`);
@@ -1210,15 +802,26 @@ function findFilesByType(fileType) {
 function onOpen() {
   try {
     const ui = SpreadsheetApp.getUi();
-    ui.createMenu('📊 Drive Inventory')
+    const menu = ui.createMenu('📊 Drive Inventory')
       .addItem('▶️ Start Automatic Scan', 'startAutomaticInventory')
       .addItem('⏸️ Pause Scan', 'stopAutomaticInventory')
       .addItem('📈 Check Status', 'showInventoryStatus')
+      .addItem('🔁 Retry Failed Files', 'retryFailedFiles')
+      .addItem('🔎 Filter File List', 'promptFilterFileList')
       .addSeparator()
       .addItem('🔄 Reset Inventory', 'confirmReset')
       .addItem('⏰ Setup Hourly Scans', 'setupHourlyInventory')
-      .addItem('🚫 Cancel All Schedules', 'cancelScheduledRuns')
-      .addToUi();
+      .addItem('👀 Watch Drive Changes', 'startWatchingDriveChanges')
+      .addItem('🚫 Cancel All Schedules', 'cancelScheduledRuns');
+    
+    // Schedules of every tool, when src/core/scheduler.js is part of the project
+    if (typeof showSchedules !== 'undefined') {
+      menu.addSeparator()
+        .addItem('🗓️ Show Schedules', 'showSchedules')
+        .addItem('✏️ Apply Schedule Changes', 'applyScheduleChanges');
+    }
+    
+    menu.addToUi();
   } catch (e) {
     // Not in Sheets context
   }
@@ -1237,7 +840,8 @@ function showInventoryStatus() {
     <b>Files Processed:</b> ${status.filesProcessed.toLocaleString()}<br>
     <b>Total Size:</b> ${status.currentSize}<br>
     <b>Errors:</b> ${status.errors}<br>
-    <b>Scheduled Run:</b> ${status.hasScheduledRun ? 'Yes' : 'No'}
+    <b>Scheduled Run:</b> ${status.hasScheduledRun ? 'Yes' : 'No'}<br>
+    <b>Watching Drive Changes:</b> ${status.watchingChanges ? 'Yes' : 'No'}
   `;
   
   if (status.startTime) {
@@ -1245,6 +849,14 @@ function showInventoryStatus() {
     message += `<br><b>Running for:</b> ${(elapsed / 1000 / 60).toFixed(1)} minutes`;
   }
   
+  if (status.lastComplete) {
+    message += `<br><b>Last Complete:</b> ${new Date(status.lastComplete).toLocaleString()}`;
+  }
+  
+  if (status.activeRun) {
+    message += `<br><b>Active Run:</b> ${status.activeRun.owner} since ${new Date(status.activeRun.started).toLocaleTimeString()}`;
+  }
+  
   // For standalone script execution (not in Sheets)
   console.log("=== Drive Inventory Status ===");
   console.log(status.isRunning ? 'Status: 🟢 Running' : 'Status: 🔴 Stopped');
@@ -1263,6 +875,37 @@ function showInventoryStatus() {
   }
 }
 
+/**
+ * List the File List rows matching a filter expression in the Filtered Files sheet
+ * e.g. filterFileList('type in (Video, Archive) and age > 2y')
+ */
+function filterFileList(expression) {
+  return filterProfileList(INVENTORY_PROFILE, expression, CONFIG.SHEETS.FILTERED);
+}
+
+/**
+ * Ask for a filter expression and list the matching files (menu)
+ */
+function promptFilterFileList() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    'Filter File List',
+    'Filter expression, e.g. size > 50MB and owner != me, or sharingAccess = ANYONE_WITH_LINK:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  
+  try {
+    const count = filterFileList(response.getResponseText());
+    ui.alert(`${count} matching files are listed in the ${CONFIG.SHEETS.FILTERED} sheet.`);
+  } catch (error) {
+    ui.alert(error.message);
+  }
+}
+
 /**
  * Confirm before resetting inventory
  */
@@ -1314,66 +957,21 @@ function testInventory() {
   // Reset to start fresh
   resetInventory();
   
-  // Run single batch - inline version for testing
   try {
-    // Get or create the inventory spreadsheet
-    const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
-    
-    // Initialize sheets if needed
-    initializeSheets(spreadsheet);
-    
-    // Get the continuation token from previous run (should be null after reset)
-    const scriptProperties = PropertiesService.getScriptProperties();
-    let continuationToken = scriptProperties.getProperty('continuationToken');
-    
-    // Get current stats
-    let stats = JSON.parse(scriptProperties.getProperty('inventoryStats') || '{}');
-    stats = initializeStats(stats);
-    
-    // Get files to process
-    const files = getFilesToProcess(continuationToken, CONFIG.BATCH_SIZE);
-    
-    if (files.length === 0) {
-      console.log("No files found to process!");
-      CONFIG.BATCH_SIZE = originalBatchSize;
-      return;
-    }
-    
-    console.log(`Processing ${files.length} test files...`);
-    
-    // Process files and update stats
-    for (const file of files) {
-      try {
-        processFileForInventory(file, spreadsheet, stats);
-      } catch (error) {
-        console.error(`Error processing file: ${error}`);
-        stats.errors++;
-      }
-    }
-    
-    // Save stats
-    scriptProperties.setProperty('inventoryStats', JSON.stringify(stats));
-    
-    // Update overview sheet with current progress
-    updateOverviewSheet(spreadsheet, stats, false);
+    const result = runInventoryBatch();
     
-    console.log(`Test complete. Processed ${files.length} files.`);
-    console.log(`View results at: ${spreadsheet.getUrl()}`);
+    console.log(`Test complete. Processed ${result.processedCount} files.`);
     
-    // Check if there are more files
-    if (files.hasNext && files.hasNext()) {
-      const nextToken = files.getContinuationToken();
-      scriptProperties.setProperty('continuationToken', nextToken);
+    if (result.hasMore) {
       console.log("More files available. Run inventoryDrive() to continue.");
     }
-    
   } catch (error) {
     console.error(`Test failed: ${error}`);
     console.error(`Error stack: ${error.stack}`);
+  } finally {
+    // Restore original config
+    CONFIG.BATCH_SIZE = originalBatchSize;
   }
-  
-  // Restore original config
-  CONFIG.BATCH_SIZE = originalBatchSize;
 }
 
 /**
@@ -1381,7 +979,7 @@ function testInventory() {
  */
 function monitorProgress() {
   const scriptProperties = PropertiesService.getScriptProperties();
-  const stats = JSON.parse(scriptProperties.getProperty('inventoryStats') || '{}');
+  const stats = loadProfileStats(INVENTORY_PROFILE);
   
   if (!stats.totalFiles) {
     console.log("No inventory in progress.");
@@ -1405,10 +1003,11 @@ function monitorProgress() {
     });
   }
   
-  // Estimate completion
-  const estimatedTotal = estimateRemainingFiles(stats);
-  const percentComplete = (stats.totalFiles / estimatedTotal * 100).toFixed(1);
-  console.log(`\nEstimated Progress: ${percentComplete}%`);
+  // Files checked against the counted total, and time left at the measured throughput
+  const progress = getProfileProgress(INVENTORY_PROFILE, stats);
+  if (progress) {
+    console.log(`\nEstimated Progress: ${formatProfileProgress(progress)}`);
+  }
   
   // Check if still running
   const continuationToken = scriptProperties.getProperty('continuationToken');
@@ -1426,8 +1025,7 @@ function checkFunctions() {
   console.log("Checking functions...");
   console.log("runInventoryBatch exists: " + (typeof runInventoryBatch !== 'undefined'));
   console.log("inventoryDrive exists: " + (typeof inventoryDrive !== 'undefined'));
-  console.log("initializeStats exists: " + (typeof initializeStats !== 'undefined'));
-  console.log("getFilesToProcess exists: " + (typeof getFilesToProcess !== 'undefined'));
-  console.log("processFileForInventory exists: " + (typeof processFileForInventory !== 'undefined'));
+  console.log("runProfileBatch exists: " + (typeof runProfileBatch !== 'undefined'));
+  console.log("extractBaseFileData exists: " + (typeof extractBaseFileData !== 'undefined'));
   console.log("All functions defined: Script ready!");
 }
\ No newline at end of file
@@ -2,11 +2,18 @@
  * Google Drive Inventory Script - Memory Optimized Version
  * Fixes property storage quota issues for large drives
  * Stores data directly in spreadsheet instead of script properties
+ * Requires src/utils/common-functions.js in the same Apps Script project
  */
 
 // Optimized configuration for large drives
 const CONFIG = {
   BATCH_SIZE: 200, // Larger batches for efficiency
+  DRIVE_BACKEND: 'auto', // 'auto' (Drive API when the advanced service is enabled), 'driveapi' or 'driveapp'
+  SHARED_DRIVES: true, // Also scan every shared drive the account can see (Drive API only)
+  // Only scan below ROOT (folder ID or path), with include/exclude rules (see compileScanScope)
+  SCOPE: { ROOT: null, INCLUDE: [], EXCLUDE: [] },
+  // Only inventory files matching this filter expression, e.g. "size > 1MB and owner = me" (see compileFilterExpression)
+  FILTER: '',
   INVENTORY_SPREADSHEET_NAME: "📊 Drive Inventory Report v4",
   
   SHEETS: {
@@ -20,8 +27,8 @@ const CONFIG = {
     PROGRESS: "Progress Tracking"
   },
   
-  LARGE_FILE_THRESHOLD_MB: 50,
-  OLD_FILE_THRESHOLD_DAYS: 365,
+  LARGE_FILES_FILTER: 'size > 50MB', // Files listed in the Large Files report
+  OLD_FILES_FILTER: 'age > 365d', // Files listed in the Old Files report
   INCLUDE_GOOGLE_FILES: true,
   INCLUDE_TRASHED: false,
   TRACK_PERMISSIONS: true,
@@ -34,38 +41,53 @@ const CONFIG = {
   PROGRESS_SAVE_INTERVAL: 50 // Save progress every N files
 };
 
+// Held while a run is in progress so overlapping triggers exit instead of racing
+const OPTIMIZED_RUN_LEASE_KEY = 'optimizedInventoryRunLease';
+
 /**
  * MAIN FUNCTION - Start here for large drive inventory
  * This version handles memory limitations properly
  */
 function inventoryDriveLarge() {
-  console.log("Starting optimized Drive inventory for large drives...");
-  
-  try {
-    // Reset any existing progress
-    resetInventoryProgress();
-    
-    // Run the optimized inventory
-    runOptimizedInventory();
-    
-  } catch (error) {
-    console.error(`Error in inventory: ${error}`);
-    console.error(`Stack trace: ${error.stack}`);
+  withRunLease(OPTIMIZED_RUN_LEASE_KEY, 'inventoryDriveLarge', () => {
+    console.log("Starting optimized Drive inventory for large drives...");
     
-    // Try to save what we have so far
     try {
-      const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
-      saveErrorInfo(spreadsheet, error);
-    } catch (saveError) {
-      console.error(`Could not save error info: ${saveError}`);
+      // Reset any existing progress
+      resetInventoryProgress();
+      
+      // Run the optimized inventory
+      recordOptimizedRun();
+      
+    } catch (error) {
+      console.error(`Error in inventory: ${error}`);
+      console.error(`Stack trace: ${error.stack}`);
+      
+      // Try to save what we have so far
+      try {
+        const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
+        saveErrorInfo(spreadsheet, error);
+      } catch (saveError) {
+        console.error(`Could not save error info: ${saveError}`);
+      }
     }
-  }
+  });
+}
+
+/**
+ * Run the optimized inventory, adding a row for this execution to the Run History sheet (see recordRun)
+ */
+function recordOptimizedRun() {
+  return recordRun('optimized', () => getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME), runOptimizedInventory);
 }
 
 /**
  * Run optimized inventory that doesn't hit memory limits
+ * Returns the files processed and failed in this execution, and why it stopped
  */
 function runOptimizedInventory() {
+  validateConfigFilters(CONFIG);
+  
   const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
   initializeOptimizedSheets(spreadsheet);
   
@@ -76,18 +98,31 @@ function runOptimizedInventory() {
   // Track stats directly in spreadsheet instead of script properties
   const stats = initializeStatsInSheet(spreadsheet);
   
+  // A fresh inventory starts with an empty folder cache, a continued one keeps it
+  const folderCache = loadFolderCache(spreadsheet, continuationToken ? undefined : stats.startTime);
+  
+  // File List rows are written in bulk, always before progress is saved
+  const fileListBuffer = createRowBuffer(spreadsheet.getSheetByName(CONFIG.SHEETS.FILE_LIST));
+  
+  // Files that fail are listed in the Errors sheet, emptied when a new inventory starts
+  const errorLog = openErrorLog(spreadsheet, continuationToken ? 0 : 1);
+  
   console.log("Starting file processing...");
   updateProgressSheet(spreadsheet, 'STARTING', stats);
   
   let totalProcessed = 0;
+  let totalErrors = 0;
   let batchCount = 0;
   const startTime = new Date();
   
+  // Batch sizes adapt to the measured time per file, stopping a minute before the execution limit
+  const budget = createRuntimeBudget({ batchSize: CONFIG.BATCH_SIZE });
+  
   while (true) {
     const batchStartTime = new Date();
     
     // Get files for this batch
-    const files = getFilesToProcess(continuationToken, CONFIG.BATCH_SIZE);
+    const files = getFilesToProcess(continuationToken, getBudgetBatchSize(budget));
     
     if (files.length === 0) {
       console.log("No more files to process!");
@@ -106,26 +141,37 @@ function runOptimizedInventory() {
     let processedInBatch = 0;
     for (const file of files) {
       try {
-        processFileOptimized(file, spreadsheet, stats);
+        processFileOptimized(file, fileListBuffer, stats, folderCache);
         processedInBatch++;
         totalProcessed++;
         
         // Save progress periodically to avoid memory issues
         if (processedInBatch % CONFIG.PROGRESS_SAVE_INTERVAL === 0) {
+          flushRowBuffer(fileListBuffer);
+          flushRowBuffer(errorLog);
           updateStatsInSheet(spreadsheet, stats);
         }
         
       } catch (error) {
-        console.error(`Error processing file ${file.getName()}: ${error}`);
+        const fileName = getFileNameSafely(file);
+        console.error(`Error processing file ${fileName}: ${error}`);
         stats.errors++;
+        totalErrors++;
+        logFileError(errorLog, file.getId(), fileName, error);
       }
     }
     
-    // Update stats in spreadsheet
+    // Save list and error rows, new folders and stats in spreadsheet
+    flushRowBuffer(fileListBuffer);
+    flushRowBuffer(errorLog);
+    saveFolderCache(folderCache);
+    stats.folderCacheHits = folderCache.hits;
+    stats.folderCacheMisses = folderCache.misses;
     updateStatsInSheet(spreadsheet, stats);
     
     const batchTime = (new Date() - batchStartTime) / 1000;
     console.log(`Batch ${batchCount} complete: ${processedInBatch} files in ${batchTime.toFixed(1)}s`);
+    recordBatchTime(budget, processedInBatch, batchTime * 1000);
     
     // Check if more files available
     const hasMore = files.hasNext && files.hasNext();
@@ -134,11 +180,16 @@ function runOptimizedInventory() {
       scriptProperties.setProperty('continuationToken', nextToken);
       
       // Check execution time - leave buffer for cleanup
-      const elapsed = (new Date() - startTime) / 1000;
-      if (elapsed > 300) { // 5 minutes
+      if (!hasTimeForBatch(budget)) {
         console.log(`Processed ${totalProcessed} files in ${batchCount} batches. Continuing in next run...`);
         scheduleNextRun();
-        return;
+        return {
+          processedCount: totalProcessed,
+          checkedCount: totalProcessed + totalErrors,
+          errorCount: totalErrors,
+          batchCount: batchCount,
+          stopReason: 'time budget'
+        };
       }
       
       // Brief pause between batches
@@ -164,14 +215,26 @@ function runOptimizedInventory() {
   console.log(`Spreadsheet: ${spreadsheet.getUrl()}`);
   
   updateProgressSheet(spreadsheet, 'COMPLETE', { ...stats, totalProcessed: totalProcessed });
+  
+  return {
+    processedCount: totalProcessed,
+    checkedCount: totalProcessed + totalErrors,
+    errorCount: totalErrors,
+    batchCount: batchCount,
+    stopReason: 'complete'
+  };
 }
 
 /**
  * Process a single file with memory optimization
  */
-function processFileOptimized(file, spreadsheet, stats) {
+function processFileOptimized(file, fileListBuffer, stats, folderCache) {
   try {
-    const fileData = extractFileDataOptimized(file);
+    // Rate limits and timeouts are retried with backoff before the file counts as an error
+    const fileData = withRetry(() => extractFileDataOptimized(file, folderCache), 'Reading file');
+    if (!matchesFilterExpression(CONFIG.FILTER, fileData)) {
+      return;
+    }
     
     // Update basic stats
     stats.totalFiles++;
@@ -187,15 +250,19 @@ function processFileOptimized(file, spreadsheet, stats) {
     const year = new Date(fileData.lastModified).getFullYear();
     stats.filesByYear[year] = (stats.filesByYear[year] || 0) + 1;
     
-    // Add to main file list immediately (don't store in memory)
-    addToFileListSheetOptimized(spreadsheet, fileData);
+    // Track by drive (My Drive, Shared with me and each shared drive)
+    addDriveTotals(stats.filesByDrive, fileData);
+    
+    // Add to main file list buffer (only a few hundred rows are kept in memory)
+    withErrorStage('write', () => addToFileListSheetOptimized(fileListBuffer, fileData));
     
     // Check for large files (store limited number)
-    if (fileData.size > CONFIG.LARGE_FILE_THRESHOLD_MB * 1024 * 1024) {
+    if (matchesFilterExpression(CONFIG.LARGE_FILES_FILTER, fileData)) {
       if (stats.largeFiles.length < CONFIG.MAX_LARGE_FILES) {
         stats.largeFiles.push({
           name: fileData.name,
           size: fileData.size,
+          drive: fileData.drive,
           path: fileData.folderPath,
           url: fileData.url
         });
@@ -209,23 +276,25 @@ function processFileOptimized(file, spreadsheet, stats) {
     }
     
     // Check for old files (store limited number)
-    const ageInDays = (new Date() - new Date(fileData.lastModified)) / (1000 * 60 * 60 * 24);
-    if (ageInDays > CONFIG.OLD_FILE_THRESHOLD_DAYS && stats.oldFiles.length < CONFIG.MAX_OLD_FILES) {
+    const ageInDays = getAgeInDays(fileData.lastModified);
+    if (matchesFilterExpression(CONFIG.OLD_FILES_FILTER, fileData) && stats.oldFiles.length < CONFIG.MAX_OLD_FILES) {
       stats.oldFiles.push({
         name: fileData.name,
         lastModified: fileData.lastModified,
         ageInDays: Math.floor(ageInDays),
+        drive: fileData.drive,
         path: fileData.folderPath,
         url: fileData.url
       });
     }
     
     // Track shared files (store limited number)  
-    if (fileData.sharingAccess !== 'PRIVATE' && stats.sharedFiles.length < CONFIG.MAX_SHARED_FILES) {
+    if (isSharedAccess(fileData.sharingAccess) && stats.sharedFiles.length < CONFIG.MAX_SHARED_FILES) {
       stats.sharedFiles.push({
         name: fileData.name,
         sharingAccess: fileData.sharingAccess,
         sharingPermission: fileData.sharingPermission,
+        drive: fileData.drive,
         path: fileData.folderPath,
         url: fileData.url
       });
@@ -240,66 +309,13 @@ function processFileOptimized(file, spreadsheet, stats) {
 /**
  * Extract file data with minimal memory usage
  */
-function extractFileDataOptimized(file) {
-  const data = {
-    name: file.getName(),
-    mimeType: file.getMimeType(),
-    type: getFileTypeSimple(file.getName(), file.getMimeType()),
-    size: file.getSize(),
-    lastModified: file.getLastUpdated().toISOString(),
-    owner: file.getOwner() ? file.getOwner().getEmail() : 'Unknown',
-    url: file.getUrl(),
-    folderPath: 'Root',
-    sharingAccess: 'PRIVATE',
-    sharingPermission: 'NONE'
-  };
-  
-  // Get folder path (simplified)
-  try {
-    const parents = file.getParents();
-    if (parents.hasNext()) {
-      const parent = parents.next();
-      data.folderPath = parent.getName();
-    }
-  } catch (error) {
-    data.folderPath = 'Unknown';
-  }
-  
-  // Get sharing info (simplified)
-  if (CONFIG.TRACK_PERMISSIONS) {
-    try {
-      data.sharingAccess = file.getSharingAccess().toString();
-      data.sharingPermission = file.getSharingPermission().toString();
-    } catch (error) {
-      // Skip if no access
-    }
-  }
-  
-  return data;
-}
-
-/**
- * Simple file type detection
- */
-function getFileTypeSimple(fileName, mimeType) {
-  if (mimeType.startsWith('application/vnd.google-apps.')) {
-    const googleType = mimeType.replace('application/vnd.google-apps.', '');
-    return `Google ${googleType.charAt(0).toUpperCase() + googleType.slice(1)}`;
-  }
-  
-  const extension = fileName.split('.').pop().toLowerCase();
-  
-  const typeMap = {
-    'pdf': 'PDF', 'doc': 'Word', 'docx': 'Word', 'txt': 'Text',
-    'xls': 'Excel', 'xlsx': 'Excel', 'csv': 'CSV',
-    'ppt': 'PowerPoint', 'pptx': 'PowerPoint',
-    'jpg': 'Image', 'jpeg': 'Image', 'png': 'Image', 'gif': 'Image',
-    'mp4': 'Video', 'avi': 'Video', 'mov': 'Video',
-    'mp3': 'Audio', 'wav': 'Audio',
-    'zip': 'Archive', 'rar': 'Archive'
-  };
-  
-  return typeMap[extension] || extension.toUpperCase() || 'Unknown';
+function extractFileDataOptimized(file, folderCache) {
+  // No viewer/editor lists to keep memory low
+  return extractBaseFileData(file, {
+    trackPermissions: CONFIG.TRACK_PERMISSIONS,
+    sharingUsers: 0,
+    folderCache: folderCache
+  });
 }
 
 /**
@@ -321,10 +337,13 @@ function initializeStatsInSheet(spreadsheet) {
     totalSize: 0,
     filesByType: {},
     filesByYear: {},
+    filesByDrive: {},
     largeFiles: [],
     oldFiles: [],
     sharedFiles: [],
     errors: 0,
+    folderCacheHits: 0,
+    folderCacheMisses: 0,
     startTime: new Date().toISOString()
   };
   
@@ -346,6 +365,7 @@ function updateStatsInSheet(spreadsheet, stats) {
     ['Shared Files Found', stats.sharedFiles.length],
     ['Errors', stats.errors],
     ['File Types', Object.keys(stats.filesByType).length],
+    ['Folder Cache Hits', formatFolderCacheHits(stats.folderCacheHits, stats.folderCacheMisses)],
     ['Last Updated', new Date().toLocaleString()]
   ];
   
@@ -373,18 +393,19 @@ function updateProgressSheet(spreadsheet, status, stats) {
 }
 
 /**
- * Add file to list sheet immediately (don't store in memory)
+ * Buffer a file row for the list sheet (written in bulk by flushRowBuffer)
  */
-function addToFileListSheetOptimized(spreadsheet, fileData) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.FILE_LIST);
-  
-  sheet.appendRow([
+function addToFileListSheetOptimized(fileListBuffer, fileData) {
+  bufferRow(fileListBuffer, [
     fileData.name,
+    fileData.typeCategory,
     fileData.type,
     (fileData.size / 1024 / 1024).toFixed(2),
     fileData.lastModified,
     fileData.owner,
-    fileData.folderPath,
+    fileData.drive,
+    formatFolderPaths(fileData),
+    formatFolderIds(fileData),
     fileData.sharingAccess,
     fileData.url
   ]);
@@ -394,29 +415,14 @@ function addToFileListSheetOptimized(spreadsheet, fileData) {
  * Initialize optimized sheets
  */
 function initializeOptimizedSheets(spreadsheet) {
-  // Create all sheets
-  for (const sheetName of Object.values(CONFIG.SHEETS)) {
-    let sheet = spreadsheet.getSheetByName(sheetName);
-    
-    if (!sheet) {
-      sheet = spreadsheet.insertSheet(sheetName);
-      
-      // Set up headers
-      if (sheetName === CONFIG.SHEETS.FILE_LIST) {
-        sheet.getRange(1, 1, 1, 8).setValues([[
-          'Name', 'Type', 'Size (MB)', 'Last Modified', 'Owner', 'Folder', 'Sharing', 'URL'
-        ]]);
-        sheet.getRange(1, 1, 1, 8).setFontWeight('bold');
-        sheet.setFrozenRows(1);
-      }
-    }
-  }
+  const headers = {};
+  headers[CONFIG.SHEETS.FILE_LIST] = [
+    'Name', 'Category', 'Type', 'Size (MB)', 'Last Modified', 'Owner', 'Drive', 'Folder Path', 'Folder ID', 'Sharing', 'URL'
+  ];
   
-  // Remove default sheet
-  const sheet1 = spreadsheet.getSheetByName('Sheet1');
-  if (sheet1 && spreadsheet.getSheets().length > 1) {
-    spreadsheet.deleteSheet(sheet1);
-  }
+  // Create all sheets
+  initializeReportSheets(spreadsheet, Object.values(CONFIG.SHEETS), headers);
+  spreadsheet.getSheetByName(CONFIG.SHEETS.FILE_LIST).setFrozenRows(1);
 }
 
 /**
@@ -470,7 +476,8 @@ function generateOptimizedOverview(spreadsheet, stats) {
     ['Old Files Found:', stats.oldFiles.length], 
     ['Shared Files Found:', stats.sharedFiles.length],
     ['File Types Detected:', Object.keys(stats.filesByType).length],
-    ['Processing Errors:', stats.errors]
+    ['Processing Errors:', stats.errors],
+    ['Folder Cache Hits:', formatFolderCacheHits(stats.folderCacheHits, stats.folderCacheMisses)]
   ];
   
   sheet.getRange(4, 1, summaryData.length, 2).setValues(summaryData);
@@ -487,6 +494,17 @@ function generateOptimizedOverview(spreadsheet, stats) {
     sheet.getRange(typeRow + 1, 1, typeEntries.length, 2).setValues(typeEntries);
   }
   
+  // Files, size, members and external sharing of each drive
+  if (CONFIG.SHARED_DRIVES) {
+    const driveRow = typeRow + typeEntries.length + 3;
+    sheet.getRange(driveRow, 1).setValue('DRIVES').setFontWeight('bold');
+    
+    const driveRows = getDriveBreakdownRows(stats.filesByDrive, true);
+    if (driveRows.length > 0) {
+      sheet.getRange(driveRow + 1, 1, driveRows.length, driveRows[0].length).setValues(driveRows);
+    }
+  }
+  
   sheet.autoResizeColumns(1, 2);
 }
 
@@ -495,18 +513,19 @@ function generateLargeFilesReport(spreadsheet, largeFiles) {
   const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.LARGE_FILES);
   sheet.clear();
   
-  sheet.getRange(1, 1, 1, 4).setValues([['Name', 'Size (MB)', 'Folder', 'URL']]);
-  sheet.getRange(1, 1, 1, 4).setFontWeight('bold');
+  sheet.getRange(1, 1, 1, 5).setValues([['Name', 'Size (MB)', 'Drive', 'Folder', 'URL']]);
+  sheet.getRange(1, 1, 1, 5).setFontWeight('bold');
   
   const data = largeFiles.map(file => [
     file.name,
     (file.size / 1024 / 1024).toFixed(2),
+    file.drive,
     file.path,
     file.url
   ]);
   
   if (data.length > 0) {
-    sheet.getRange(2, 1, data.length, 4).setValues(data);
+    sheet.getRange(2, 1, data.length, 5).setValues(data);
   }
 }
 
@@ -514,18 +533,19 @@ function generateOldFilesReport(spreadsheet, oldFiles) {
   const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.OLD_FILES);
   sheet.clear();
   
-  sheet.getRange(1, 1, 1, 4).setValues([['Name', 'Age (Days)', 'Folder', 'URL']]);
-  sheet.getRange(1, 1, 1, 4).setFontWeight('bold');
+  sheet.getRange(1, 1, 1, 5).setValues([['Name', 'Age (Days)', 'Drive', 'Folder', 'URL']]);
+  sheet.getRange(1, 1, 1, 5).setFontWeight('bold');
   
   const data = oldFiles.map(file => [
     file.name,
     file.ageInDays,
+    file.drive,
     file.path,
     file.url
   ]);
   
   if (data.length > 0) {
-    sheet.getRange(2, 1, data.length, 4).setValues(data);
+    sheet.getRange(2, 1, data.length, 5).setValues(data);
   }
 }
 
@@ -533,18 +553,19 @@ function generateSharedFilesReport(spreadsheet, sharedFiles) {
   const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.SHARED_FILES);
   sheet.clear();
   
-  sheet.getRange(1, 1, 1, 4).setValues([['Name', 'Sharing Access', 'Folder', 'URL']]);
-  sheet.getRange(1, 1, 1, 4).setFontWeight('bold');
+  sheet.getRange(1, 1, 1, 5).setValues([['Name', 'Sharing Access', 'Drive', 'Folder', 'URL']]);
+  sheet.getRange(1, 1, 1, 5).setFontWeight('bold');
   
   const data = sharedFiles.map(file => [
     file.name,
     file.sharingAccess,
+    file.drive,
     file.path,
     file.url
   ]);
   
   if (data.length > 0) {
-    sheet.getRange(2, 1, data.length, 4).setValues(data);
+    sheet.getRange(2, 1, data.length, 5).setValues(data);
   }
 }
 
@@ -569,42 +590,55 @@ function generateFileTypesReport(spreadsheet, stats) {
   }
 }
 
+/**
+ * Re-process the files listed in the Errors sheet, adding their File List rows and removing the entries that succeed
+ * The Overview keeps the totals of the last run
+ */
+function retryOptimizedInventoryErrors() {
+  return withRunLease(OPTIMIZED_RUN_LEASE_KEY, 'retryOptimizedInventoryErrors', () => {
+    const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
+    initializeOptimizedSheets(spreadsheet);
+    
+    const fileListBuffer = createRowBuffer(spreadsheet.getSheetByName(CONFIG.SHEETS.FILE_LIST));
+    const folderCache = loadFolderCache(spreadsheet);
+    
+    const result = retryErrorLogFiles(spreadsheet, file => {
+      const fileData = withRetry(() => extractFileDataOptimized(file, folderCache), 'Reading file');
+      withErrorStage('write', () => addToFileListSheetOptimized(fileListBuffer, fileData));
+    }, createRuntimeBudget({ batchSize: CONFIG.BATCH_SIZE }));
+    
+    flushRowBuffer(fileListBuffer);
+    saveFolderCache(folderCache);
+    saveErrorLog(spreadsheet, result.entries);
+    
+    console.log(`Retried ${result.retried} failed files: ${result.fixed} fixed, ${result.entries.length} left in the Errors sheet`);
+    return result;
+  });
+}
+
 // Utility functions
 function getFilesToProcess(continuationToken, batchSize) {
-  let files;
-  
-  if (continuationToken) {
-    files = DriveApp.continueFileIterator(continuationToken);
-  } else {
-    files = DriveApp.searchFiles('trashed = false');
-  }
-  
-  const filesToProcess = [];
-  let count = 0;
-  
-  while (files.hasNext() && count < batchSize) {
-    filesToProcess.push(files.next());
-    count++;
-  }
-  
-  filesToProcess.hasNext = () => files.hasNext();
-  filesToProcess.getContinuationToken = () => files.getContinuationToken();
-  
-  return filesToProcess;
+  return getFileBatch(continuationToken, batchSize, {
+    query: 'trashed = false',
+    backend: CONFIG.DRIVE_BACKEND,
+    sharedDrives: CONFIG.SHARED_DRIVES,
+    scope: CONFIG.SCOPE
+  });
 }
 
 function scheduleNextRun() {
-  ScriptApp.newTrigger('continueOptimizedInventory')
-    .timeBased()
-    .after(1 * 60 * 1000) // 1 minute
-    .create();
-  
-  console.log("Next run scheduled for 1 minute from now");
+  scheduleTriggerAfter('continueOptimizedInventory', 1 * 60 * 1000, {
+    tool: 'optimized',
+    purpose: 'Continue the optimized inventory'
+  });
 }
 
 function continueOptimizedInventory() {
-  console.log("Continuing optimized inventory...");
-  runOptimizedInventory();
+  setRunSource('continuation trigger', 'continueOptimizedInventory');
+  withRunLease(OPTIMIZED_RUN_LEASE_KEY, 'continueOptimizedInventory', () => {
+    console.log("Continuing optimized inventory...");
+    recordOptimizedRun();
+  });
 }
 
 function resetInventoryProgress() {
@@ -612,12 +646,7 @@ function resetInventoryProgress() {
   scriptProperties.deleteProperty('continuationToken');
   
   // Cancel any existing triggers
-  const triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(trigger => {
-    if (trigger.getHandlerFunction() === 'continueOptimizedInventory') {
-      ScriptApp.deleteTrigger(trigger);
-    }
-  });
+  deleteTriggersFor(['continueOptimizedInventory']);
   
   console.log("Previous inventory progress reset");
 }
@@ -630,25 +659,6 @@ function saveErrorInfo(spreadsheet, error) {
   progressSheet.getRange(errorRow + 1, 1, 1, 2).setValues([['Error Time', new Date().toLocaleString()]]);
 }
 
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
-
-function getOrCreateSpreadsheet(name) {
-  const files = DriveApp.getFilesByName(name);
-  if (files.hasNext()) {
-    return SpreadsheetApp.open(files.next());
-  } else {
-    const spreadsheet = SpreadsheetApp.create(name);
-    console.log(`Created optimized inventory spreadsheet: ${spreadsheet.getUrl()}`);
-    return spreadsheet;
-  }
-}
-
 /**
  * Quick test function for large drives
  */
@@ -661,7 +671,7 @@ function testOptimizedInventory() {
   
   try {
     resetInventoryProgress();
-    runOptimizedInventory();
+    recordOptimizedRun();
   } finally {
     CONFIG.BATCH_SIZE = originalBatchSize;
   }
@@ -674,6 +684,7 @@ function testOptimizedInventory() {
  * 2. This version stores data directly in the spreadsheet instead of script properties  
  * 3. It will automatically continue across multiple execution sessions if needed
  * 4. Monitor progress in the "Progress Tracking" sheet of the generated spreadsheet
+ *    (files that failed are listed in the "Errors" sheet; run retryOptimizedInventoryErrors() to try them again)
  * 5. If you get quota errors, the script will save what it has and schedule continuation
  * 
  * BENEFITS:
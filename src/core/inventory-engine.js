@@ -0,0 +1,1979 @@
+/**
+ * Google Drive Inventory Tools - Inventory Engine
+ * Runs inventory profiles with batching, continuation, scheduling and status handling
+ * Requires src/utils/common-functions.js in the same Apps Script project
+ *
+ * A profile is a plain object that describes one analyzer:
+ *
+ *   const CONTRACTS_PROFILE = {
+ *     id: 'contracts',                          // Prefix for script property keys
+ *     label: 'contract files',                  // Used in progress messages
+ *     config: CONTRACTS_CONFIG,                 // Needs BATCH_SIZE, INVENTORY_SPREADSHEET_NAME, SHEETS.OVERVIEW
+ *                                               // (optional DRIVE_BACKEND and SHARED_DRIVES, see
+ *                                               // openFileIterator, SCOPE, see compileScanScope, FILTER,
+ *                                               // see compileFilterExpression, and STATS_STORE /
+ *                                               // STATS_CACHE, see openStatsStore)
+ *     entryHandler: 'inventoryContracts',       // Function that runs the profile
+ *     continueHandler: 'continueContractsInventory', // Function called by the continuation trigger
+ *     query: 'trashed = false',                 // Drive search query (null iterates every file)
+ *     searchFilter: { nameContains: ['contract'] }, // Optional: filter pushed into the Drive query (see compileSearchFilter)
+ *     filter: isContractFile,                   // file => boolean, checked before extraction (config.FILTER after)
+ *     maxCheckFactor: 10,                       // Optional: check at most BATCH_SIZE * factor files per batch
+ *     extractOptions: { trackPermissions: true, sharingUsers: 0 },
+ *     extract: addContractFields,               // Optional: (data, file) => adds fields to the base record
+ *     stats: { byCounterparty: { count: data => data.counterparty } },
+ *     listSheet: { name: 'Contracts', columns: [['Name', data => data.name], ['URL', data => data.url]] },
+ *     headers: { 'Expiring': ['Name', 'Expires', 'URL'] },
+ *     overview: { title: 'Contracts Inventory', summaryTitle: 'SUMMARY', summary: stats => [...], sections: [...] },
+ *     reports: [{ sheet: 'Expiring', rows: stats => [...] }]
+ *   };
+ *
+ * Optional keys: propertyKeys ({ token, stats, autoMode, checkpoint, lease, lastComplete, incremental }) to keep
+ * existing property names, scheduledHandlers (other trigger handlers owned by the profile), pauseMs,
+ * estimateProgress (true to count the files matching query alongside the inventory, for progress and ETA;
+ * not for profiles with a searchFilter), incremental (true to refresh a complete inventory with only the
+ * files changed since, see beginIncrementalPass), changesSheet (sheet listing what changed since the
+ * previous inventory, see writeProfileChanges), trends (totals kept per completed inventory and charted on
+ * the Overview, see appendProfileTrends) and watchHandler (function called by the change watcher trigger, which
+ * applies Drive changes to a complete inventory, see watchProfileChanges).
+ *
+ * Incremental profiles, watched profiles and profiles with a changesSheet need list columns that can be read
+ * back: a column's third entry names the record field it holds and an optional fourth parses the cell,
+ * e.g. ['Owner', data => data.owner, 'owner', String]. One of them must hold 'id'.
+ *
+ * Every report also gets an Errors sheet listing the files that could not be inventoried (see retryProfileErrors),
+ * and a Run History sheet with a row per execution (see recordRun).
+ * Runs of a profile hold its run lease (see withRunLease), so a trigger firing during a run exits right away.
+ */
+
+/**
+ * Script property keys used by a profile
+ */
+function getProfilePropertyKeys(profile) {
+  const keys = profile.propertyKeys || {
+    token: `${profile.id}ContinuationToken`,
+    stats: `${profile.id}InventoryStats`,
+    autoMode: `${profile.id}AutoMode`
+  };
+
+  return Object.assign({
+    checkpoint: `${profile.id}Checkpoint`,
+    lease: `${profile.id}RunLease`,
+    lastComplete: `${profile.id}LastComplete`,
+    incremental: `${profile.id}Incremental`
+  }, keys);
+}
+
+/**
+ * Store holding the stats of a profile between batches (script properties unless config.STATS_STORE says otherwise)
+ */
+function getProfileStatsStore(profile, spreadsheet) {
+  return openStatsStore({
+    backend: profile.config.STATS_STORE,
+    cache: profile.config.STATS_CACHE,
+    spreadsheet: spreadsheet,
+    spreadsheetName: profile.config.INVENTORY_SPREADSHEET_NAME
+  });
+}
+
+/**
+ * Saved stats of a profile's unfinished inventory ({} when there are none)
+ */
+function loadProfileStats(profile, store) {
+  return loadStoredStats(store || getProfileStatsStore(profile), getProfilePropertyKeys(profile).stats) || {};
+}
+
+/**
+ * Trigger handlers that belong to a profile
+ */
+function getProfileTriggerHandlers(profile) {
+  return [profile.continueHandler, profile.entryHandler]
+    .concat(profile.scheduledHandlers || [])
+    .filter(Boolean);
+}
+
+/**
+ * Call action() while holding the run lease of a profile (see withRunLease)
+ * owner names the caller in the lease (defaults to the entry handler). While another execution holds
+ * the lease, returns { processedCount: 0, hasMore: true, alreadyRunning: true } without calling action
+ */
+function withProfileRunLease(profile, owner, action) {
+  return withRunLease(getProfilePropertyKeys(profile).lease, owner || profile.entryHandler || profile.id, action,
+    { processedCount: 0, hasMore: true, alreadyRunning: true });
+}
+
+/**
+ * Call runner() and add a row for this execution to the Run History sheet of the profile (see recordRun)
+ */
+function recordProfileRun(profile, runner) {
+  return recordRun(profile.id, () => getOrCreateSpreadsheet(profile.config.INVENTORY_SPREADSHEET_NAME), runner);
+}
+
+/**
+ * Main entry point for a profile - runs one batch, or continuously in automatic mode
+ */
+function runProfileInventory(profile, owner) {
+  return recordProfileRun(profile, () => withProfileRunLease(profile, owner, () => {
+    console.log(`Starting ${profile.label} inventory...`);
+
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const isAutoMode = scriptProperties.getProperty(getProfilePropertyKeys(profile).autoMode) === 'true';
+
+    if (isAutoMode) {
+      return runProfileContinuously(profile);
+    }
+
+    const result = runProfileBatch(profile);
+
+    if (result.hasMore && profile.entryHandler) {
+      console.log(`More ${profile.label} to process. Run ${profile.entryHandler}() again to continue.`);
+    }
+
+    return result;
+  }));
+}
+
+/**
+ * Run batches of a profile until complete or the time limit is reached
+ */
+function runProfileContinuously(profile) {
+  console.log(`Running ${profile.label} inventory in continuous mode...`);
+  const autoModeKey = getProfilePropertyKeys(profile).autoMode;
+
+  return runBatchesUntilTimeLimit(budget => runProfileBatch(profile, budget), {
+    label: profile.label,
+    budget: createRuntimeBudget({ batchSize: profile.config.BATCH_SIZE }),
+    pauseMs: profile.pauseMs || 100,
+    onTimeLimit: () => scheduleNextProfileRun(profile),
+    onComplete: () => cancelProfileContinuationRuns(profile),
+    // Stop between batches once automatic mode is switched off
+    isPaused: () => PropertiesService.getScriptProperties().getProperty(autoModeKey) !== 'true'
+  });
+}
+
+/**
+ * Run a single batch of a profile, unless another execution is running it
+ */
+function runProfileBatch(profile, budget) {
+  return recordProfileRun(profile, () => withProfileRunLease(profile, null, () => processProfileBatch(profile, budget)));
+}
+
+/**
+ * Process a single batch of a profile, under its run lease
+ * The runtime budget sizes the batch; once it is spent the batch stops after the current file and
+ * saves a checkpoint, so the next run carries on from there
+ */
+function processProfileBatch(profile, budget) {
+  validateConfigFilters(profile.config);
+
+  // An incremental pass takes the place of the full inventory until it completes
+  const pass = loadIncrementalPass(profile);
+  if (pass) {
+    return processIncrementalBatch(profile, pass, budget);
+  }
+
+  const batchStartTime = new Date().getTime();
+  const config = profile.config;
+  const runtimeBudget = budget || createRuntimeBudget({ batchSize: config.BATCH_SIZE });
+  const spreadsheet = getOrCreateSpreadsheet(config.INVENTORY_SPREADSHEET_NAME);
+  initializeProfileSheets(profile, spreadsheet);
+
+  const keys = getProfilePropertyKeys(profile);
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const continuationToken = scriptProperties.getProperty(keys.token);
+
+  const statsStore = getProfileStatsStore(profile, spreadsheet);
+  const savedStats = loadProfileStats(profile, statsStore);
+  const stats = initializeProfileStats(profile, savedStats);
+  const countMs = profile.estimateProgress ? countProfileFiles(profile, stats) : 0;
+
+  // The change watcher picks up from the start of the inventory, so changes made while it runs are applied too
+  if (profile.watchHandler && !savedStats.startTime) {
+    stats.changesToken = getDriveChangesStartToken(config.DRIVE_BACKEND, config.SHARED_DRIVES);
+  }
+
+  updateProfileStatus(profile, spreadsheet, 'RUNNING', stats);
+
+  const folderCache = loadFolderCache(spreadsheet, stats.startTime);
+
+  // A checkpoint left behind means the last batch was killed: drop its unsaved rows and resume it
+  const savedCheckpoint = loadProfileCheckpoint(profile, continuationToken);
+  if (!savedCheckpoint && !savedStats.startTime) {
+    startNewProfileList(profile, spreadsheet);
+  }
+  const listBuffer = openProfileListBuffer(profile, spreadsheet, savedCheckpoint ? savedCheckpoint.listRows : 0);
+  // A new inventory starts with an empty Errors sheet
+  const errorRows = savedCheckpoint ? savedCheckpoint.errorRows || 0 : (savedStats.startTime ? 0 : 1);
+  const errorLog = openErrorLog(spreadsheet, errorRows);
+  // A resumed batch is listed at its original size, so the checkpoint file is still in it
+  const batchSize = savedCheckpoint && savedCheckpoint.batchSize ? savedCheckpoint.batchSize : getBudgetBatchSize(runtimeBudget);
+  const files = getProfileFilesToProcess(profile, continuationToken, batchSize);
+
+  if (files.length === 0 && !files.hasNext() && stats.retryQueue.length === 0) {
+    console.log(`No more ${profile.label} to process!`);
+    completeProfileInventory(profile, spreadsheet, stats);
+    return { processedCount: 0, checkedCount: files.checkedCount, errorCount: 0, hasMore: false, stopReason: 'complete' };
+  }
+
+  const checkpoint = savedCheckpoint || {
+    token: continuationToken,
+    fileId: null,
+    listRows: listBuffer ? listBuffer.sheet.getLastRow() : 0,
+    errorRows: errorLog.sheet.getLastRow(),
+    batchSize: batchSize
+  };
+  if (!savedCheckpoint) {
+    saveProfileCheckpoint(profile, statsStore, checkpoint, stats);
+  }
+
+  // Files that failed in earlier runs go first; the checkpoint then covers their rows and stats
+  if (stats.retryQueue.length > 0) {
+    processRetryQueue(profile, stats, listBuffer, errorLog, folderCache, runtimeBudget);
+    flushProfileBatchRows(checkpoint, listBuffer, errorLog);
+    saveFolderCache(folderCache);
+    saveProfileCheckpoint(profile, statsStore, checkpoint, getCheckpointStats(stats, folderCache));
+  }
+
+  const resumeIndex = getCheckpointResumeIndex(files, checkpoint);
+
+  console.log(`Processing batch of ${files.length - resumeIndex} ${profile.label}...`);
+
+  let processedCount = 0;
+  let errorCount = 0;
+  let lastFile = null;
+  for (const file of files.slice(resumeIndex)) {
+    if (lastFile && isRuntimeBudgetSpent(runtimeBudget)) {
+      break;
+    }
+
+    const flushes = listBuffer ? listBuffer.flushes : 0;
+    lastFile = file;
+
+    try {
+      if (processFileWithProfile(profile, file, listBuffer, stats, folderCache)) {
+        processedCount++;
+      }
+    } catch (error) {
+      const entry = { id: file.getId(), name: getFileNameSafely(file), attempts: 0 };
+      recordProfileFileError(profile, stats, errorLog, error, entry);
+      errorCount++;
+    }
+
+    // Buffered rows up to this file were just written: record how far the batch got
+    if (listBuffer && listBuffer.flushes !== flushes) {
+      checkpoint.fileId = file.getId();
+      flushProfileBatchRows(checkpoint, listBuffer, errorLog);
+      saveFolderCache(folderCache);
+      saveProfileCheckpoint(profile, statsStore, checkpoint, getCheckpointStats(stats, folderCache));
+    }
+  }
+
+  flushProfileBatchRows(checkpoint, listBuffer, errorLog);
+  saveFolderCache(folderCache);
+
+  // Out of time: the next run picks the batch up after the last file
+  if (lastFile && lastFile !== files[files.length - 1]) {
+    checkpoint.fileId = lastFile.getId();
+    saveProfileCheckpoint(profile, statsStore, checkpoint, getCheckpointStats(stats, folderCache));
+
+    console.log(`Out of time after ${processedCount} ${profile.label}, the next run finishes this batch`);
+    return {
+      processedCount: processedCount,
+      checkedCount: files.checkedCount,
+      errorCount: errorCount,
+      hasMore: true,
+      stopReason: 'time budget'
+    };
+  }
+
+  addFolderCacheStats(stats, folderCache);
+
+  // Throughput for the ETA, leaving out time spent counting
+  stats.filesChecked += files.checkedCount;
+  stats.processingMs += new Date().getTime() - batchStartTime - countMs;
+
+  renderProfileOverview(profile, spreadsheet, stats, false);
+
+  console.log(`Processed ${processedCount} ${profile.label}. Total so far: ${stats.totalFiles}`);
+
+  // Queued files keep the inventory going for another batch, even after the last file
+  const hasMore = files.hasNext() || stats.retryQueue.length > 0;
+
+  if (hasMore) {
+    // Stats and token are saved together, then the batch checkpoint is no longer needed
+    saveStoredStats(statsStore, { [keys.stats]: stats }, { [keys.token]: files.getContinuationToken() });
+    scriptProperties.deleteProperty(keys.checkpoint);
+
+    const progress = getProfileProgress(profile, stats);
+    if (progress) {
+      console.log(`Progress: ${formatProfileProgress(progress)}`);
+    }
+  } else {
+    completeProfileInventory(profile, spreadsheet, stats);
+  }
+
+  return {
+    processedCount: processedCount,
+    checkedCount: files.checkedCount,
+    errorCount: errorCount,
+    hasMore: hasMore,
+    stopReason: hasMore ? 'batch done' : 'complete'
+  };
+}
+
+/**
+ * Get the next batch of files matching a profile
+ */
+function getProfileFilesToProcess(profile, continuationToken, batchSize) {
+  return getFileBatch(continuationToken, batchSize, {
+    query: profile.query,
+    filter: profile.filter,
+    maxCheck: profile.maxCheckFactor ? batchSize * profile.maxCheckFactor : 0,
+    backend: profile.config.DRIVE_BACKEND,
+    sharedDrives: profile.config.SHARED_DRIVES,
+    scope: profile.config.SCOPE,
+    searchFilter: profile.searchFilter
+  });
+}
+
+/**
+ * Generate final reports and clear saved progress once a profile has seen every file
+ * Also records when it finished and started, so schedules can tell it is done and incremental passes where to begin,
+ * and the Drive changes token the change watcher starts from
+ * pass is the incremental pass that rebuilt the stats, if any; change watcher passes add no trends row
+ */
+function completeProfileInventory(profile, spreadsheet, stats, pass) {
+  generateProfileReports(profile, spreadsheet, stats);
+  if (profile.changesSheet) {
+    writeProfileChanges(profile, spreadsheet);
+  }
+  if (profile.trends && !(pass && pass.source === 'watch')) {
+    appendProfileTrends(profile, spreadsheet, stats);
+  }
+  updateProfileStatus(profile, spreadsheet, 'COMPLETE', stats);
+
+  clearProfileProgress(profile);
+  cancelProfileContinuationRuns(profile);
+
+  // full is when the last full inventory started (incremental and change watcher passes keep it)
+  const lastComplete = pass ? loadProfileLastComplete(profile) : null;
+  PropertiesService.getScriptProperties().setProperty(getProfilePropertyKeys(profile).lastComplete, JSON.stringify({
+    completed: new Date().toISOString(),
+    since: stats.startTime,
+    full: pass ? (lastComplete && (lastComplete.full || lastComplete.since)) || pass.since : stats.startTime,
+    changesToken: stats.changesToken
+  }));
+}
+
+/**
+ * Delete the continuation token, stats, auto mode flag and incremental pass of a profile
+ */
+function clearProfileProgress(profile) {
+  const keys = getProfilePropertyKeys(profile);
+  const scriptProperties = PropertiesService.getScriptProperties();
+
+  scriptProperties.deleteProperty(keys.token);
+  removeStoredStats(getProfileStatsStore(profile), keys.stats);
+  scriptProperties.deleteProperty(keys.autoMode);
+  scriptProperties.deleteProperty(keys.checkpoint);
+  scriptProperties.deleteProperty(keys.incremental);
+}
+
+/**
+ * When the last complete inventory of a profile finished ({ completed, since }, null before the first one)
+ * since is when that inventory started, so files changed while it ran are fetched again
+ */
+function loadProfileLastComplete(profile) {
+  const keys = getProfilePropertyKeys(profile);
+  return JSON.parse(PropertiesService.getScriptProperties().getProperty(keys.lastComplete) || 'null');
+}
+
+/**
+ * Saved state of the unfinished incremental pass of a profile (null when none is running)
+ */
+function loadIncrementalPass(profile) {
+  const keys = getProfilePropertyKeys(profile);
+  return JSON.parse(PropertiesService.getScriptProperties().getProperty(keys.incremental) || 'null');
+}
+
+/**
+ * Start an incremental pass: the next batches refresh the list rows of the files changed since the last
+ * complete inventory, in place by file ID, remove the rows of files deleted or trashed since (from the Drive
+ * changes saved with that inventory), then rebuild the stats and reports from the list sheet
+ * Returns false, starting nothing, when the profile is not incremental, has no complete inventory yet,
+ * its list sheet was created before it had the file ID column, or deleted files cannot be found (no Drive
+ * changes token) and the last full inventory is older than the FULL_INVENTORY_DAYS of its config
+ */
+function beginIncrementalPass(profile) {
+  const lastComplete = profile.incremental ? loadProfileLastComplete(profile) : null;
+  if (!lastComplete) {
+    return false;
+  }
+
+  const removalsToken = shouldUseDriveApi(profile.config.DRIVE_BACKEND) ? lastComplete.changesToken || null : null;
+  const fullDays = profile.config.FULL_INVENTORY_DAYS;
+  if (!removalsToken && fullDays && getAgeInDays(lastComplete.full || lastComplete.since) > fullDays) {
+    console.log(`The last full ${profile.label} inventory is more than ${fullDays} days old and deleted files ` +
+      'can only be found without the Drive API by a full inventory, running one instead');
+    return false;
+  }
+
+  const spreadsheet = getOrCreateSpreadsheet(profile.config.INVENTORY_SPREADSHEET_NAME);
+  if (!hasProfileIdColumn(profile, spreadsheet.getSheetByName(profile.listSheet.name))) {
+    console.log(`The ${profile.listSheet.name} sheet has no file ID column, running a full inventory instead`);
+    return false;
+  }
+
+  // Sharing changes leave modifiedDate alone; only Drive API records carry sharing without extra calls
+  const extractOptions = profile.extractOptions || {};
+  const sharingFields = getProfileListFieldColumns(profile, LIST_SHARING_FIELDS).map(column => column.field);
+  const checkSharing = extractOptions.trackPermissions !== false && sharingFields.length > 0 &&
+    shouldUseDriveApi(profile.config.DRIVE_BACKEND);
+
+  snapshotProfileList(profile, spreadsheet);
+
+  const pass = {
+    since: lastComplete.since,
+    started: new Date().toISOString(),
+    phase: 'changes',
+    token: null,
+    sharingFields: checkSharing ? sharingFields : [],
+    removalsToken: removalsToken,
+    changesToken: profile.watchHandler ?
+      getDriveChangesStartToken(profile.config.DRIVE_BACKEND, profile.config.SHARED_DRIVES) : null,
+    changedCount: 0,
+    removedCount: 0,
+    errorCount: 0,
+    row: 2
+  };
+  PropertiesService.getScriptProperties().setProperty(getProfilePropertyKeys(profile).incremental, JSON.stringify(pass));
+
+  console.log(`Starting incremental ${profile.label} inventory: files changed since ${lastComplete.since}` +
+    (checkSharing ? ' or with new sharing' : ''));
+  return true;
+}
+
+/**
+ * Process a batch of an incremental pass: list rows of changed files first, then of deleted files,
+ * then the stats rebuild
+ */
+function processIncrementalBatch(profile, pass, budget) {
+  const runtimeBudget = budget || createRuntimeBudget({ batchSize: profile.config.BATCH_SIZE });
+  const spreadsheet = getOrCreateSpreadsheet(profile.config.INVENTORY_SPREADSHEET_NAME);
+  initializeProfileSheets(profile, spreadsheet);
+  updateProfileStatus(profile, spreadsheet, 'RUNNING', {});
+
+  if (pass.phase === 'changes') {
+    return pass.source === 'watch' ?
+      applyProfileDriveChanges(profile, spreadsheet, pass, runtimeBudget) :
+      refreshChangedProfileFiles(profile, spreadsheet, pass, runtimeBudget);
+  }
+  if (pass.phase === 'removals') {
+    return removeDeletedProfileFiles(profile, spreadsheet, pass, runtimeBudget);
+  }
+
+  return rebuildProfileStats(profile, spreadsheet, pass, runtimeBudget);
+}
+
+/**
+ * Write the list rows of the next batch of changed files: rows of listed files are replaced, new files appended
+ * Rewriting a row twice does no harm, so a batch that runs out of time is simply listed again next run
+ */
+function refreshChangedProfileFiles(profile, spreadsheet, pass, budget) {
+  const sheet = spreadsheet.getSheetByName(profile.listSheet.name);
+  const index = readProfileListIndex(profile, sheet, pass.sharingFields);
+  const files = getChangedProfileFiles(profile, pass, index, getBudgetBatchSize(budget));
+  const folderCache = loadFolderCache(spreadsheet, pass.started);
+  const listBuffer = createRowBuffer(sheet);
+  const errorLog = openErrorLog(spreadsheet, 0);
+
+  console.log(`Refreshing ${files.length} changed ${profile.label}...`);
+
+  let processedCount = 0;
+  let errorCount = 0;
+  let outOfTime = false;
+  const removedRows = [];
+  for (const file of files) {
+    if (processedCount + errorCount > 0 && isRuntimeBudgetSpent(budget)) {
+      outOfTime = true;
+      break;
+    }
+
+    try {
+      if (writeChangedProfileFile(profile, file, sheet, index, listBuffer, folderCache)) {
+        processedCount++;
+      } else if (index[file.getId()]) {
+        removedRows.push(index[file.getId()].row);
+      }
+    } catch (error) {
+      console.error(`Error refreshing ${profile.label} (${classifyError(error)}, ${getErrorStage(error)} stage): ${error}`);
+      logFileError(errorLog, file.getId(), getFileNameSafely(file), error);
+      errorCount++;
+    }
+  }
+
+  flushRowBuffer(listBuffer);
+  deleteProfileListRows(sheet, removedRows);
+  flushRowBuffer(errorLog);
+  saveFolderCache(folderCache);
+
+  const result = {
+    processedCount: processedCount,
+    checkedCount: files.checkedCount,
+    errorCount: errorCount,
+    hasMore: true,
+    stopReason: outOfTime ? 'time budget' : 'batch done'
+  };
+
+  if (outOfTime) {
+    console.log(`Out of time after ${processedCount} changed ${profile.label}, the next run lists this batch again`);
+    return result;
+  }
+
+  pass.changedCount += processedCount;
+  pass.removedCount = (pass.removedCount || 0) + removedRows.length;
+  pass.errorCount += errorCount;
+  pass.token = files.hasNext() ? files.getContinuationToken() : null;
+  if (!pass.token) {
+    pass.phase = pass.removalsToken ? 'removals' : 'stats';
+    console.log(`Refreshed ${pass.changedCount} changed ${profile.label}` +
+      (pass.removedCount ? ` (${pass.removedCount} no longer match the filter)` : '') +
+      (pass.removalsToken ? ', removing deleted files next' : ', rebuilding the reports next'));
+  }
+  PropertiesService.getScriptProperties().setProperty(getProfilePropertyKeys(profile).incremental, JSON.stringify(pass));
+
+  return result;
+}
+
+/**
+ * Extract a changed file and write its list row: the row of a listed file is replaced, a new file's row is buffered
+ * Returns false, writing nothing, when the file does not match the FILTER of the profile's config
+ */
+function writeChangedProfileFile(profile, file, sheet, index, listBuffer, folderCache) {
+  const fileData = withRetry(() => {
+    const baseFileData = extractBaseFileData(file, getProfileExtractOptions(profile, folderCache));
+    return extractProfileFileData(profile, file, baseFileData);
+  }, `Reading ${profile.label}`);
+  if (!matchesFilterExpression(profile.config.FILTER, fileData)) {
+    return false;
+  }
+
+  const row = withErrorStage('write', () => getProfileListRow(profile, fileData));
+  const listed = index[fileData.id];
+
+  if (listed) {
+    withErrorStage('write', () => withRetry(() => {
+      sheet.getRange(listed.row, 1, 1, row.length).setValues([row]);
+    }, 'Updating list row'));
+  } else {
+    withErrorStage('write', () => bufferRow(listBuffer, row));
+  }
+  return true;
+}
+
+/**
+ * Next batch of files changed since the pass's last complete inventory
+ * Without sharing checks Drive is searched for files modified since; with them every file is listed and
+ * kept if it is new, modified since, or its sharing differs from its list row
+ */
+function getChangedProfileFiles(profile, pass, index, batchSize) {
+  const since = new Date(pass.since);
+
+  if (pass.sharingFields.length === 0) {
+    const changedQuery = `modifiedDate > '${pass.since.slice(0, 19)}'`;
+
+    return getFileBatch(pass.token, batchSize, {
+      query: profile.query ? `${profile.query} and ${changedQuery}` : changedQuery,
+      filter: profile.filter,
+      maxCheck: profile.maxCheckFactor ? batchSize * profile.maxCheckFactor : 0,
+      backend: profile.config.DRIVE_BACKEND,
+      sharedDrives: profile.config.SHARED_DRIVES,
+      scope: profile.config.SCOPE,
+      searchFilter: profile.searchFilter
+    });
+  }
+
+  const sharingUsers = (profile.extractOptions || {}).sharingUsers;
+  const isChanged = file => {
+    const listed = index[file.getId()];
+    if (!listed || file.getLastUpdated() > since) {
+      return true;
+    }
+
+    const sharing = getDriveApiSharingDetails(file.driveApiRecord, sharingUsers === undefined ? 5 : sharingUsers);
+    const current = {
+      sharingAccess: sharing.access,
+      sharingPermission: sharing.permission,
+      viewers: sharing.viewers,
+      editors: sharing.editors
+    };
+    return pass.sharingFields.some(field => String(current[field]) !== String(listed[field]));
+  };
+
+  return getFileBatch(pass.token, batchSize, {
+    query: profile.query,
+    filter: file => isChanged(file) && (!profile.filter || profile.filter(file)),
+    maxCheck: batchSize * INCREMENTAL_CHECK_FACTOR,
+    backend: 'driveapi',
+    sharedDrives: profile.config.SHARED_DRIVES,
+    scope: profile.config.SCOPE,
+    searchFilter: profile.searchFilter
+  });
+}
+
+/**
+ * Start a change watcher pass: the next batches apply the Drive changes made since the last complete inventory
+ * to the list sheet, by file ID, then rebuild the stats and reports from it
+ * Without a saved changes token (the last inventory ran without the Drive API) an incremental pass catches up
+ * first and saves one. Returns false, starting nothing, when there is no complete inventory to keep current
+ */
+function beginWatchPass(profile) {
+  const lastComplete = loadProfileLastComplete(profile);
+  if (!lastComplete) {
+    console.log(`No complete ${profile.label} inventory to apply Drive changes to yet`);
+    return false;
+  }
+
+  if (!lastComplete.changesToken) {
+    if (profile.incremental && shouldUseDriveApi(profile.config.DRIVE_BACKEND)) {
+      console.log(`No Drive changes token saved for the ${profile.label} inventory yet, refreshing changed files first`);
+      return beginIncrementalPass(profile);
+    }
+    console.log(`No Drive changes token saved for the ${profile.label} inventory: run a full inventory with the Drive API enabled`);
+    return false;
+  }
+
+  const spreadsheet = getOrCreateSpreadsheet(profile.config.INVENTORY_SPREADSHEET_NAME);
+  if (!hasProfileIdColumn(profile, spreadsheet.getSheetByName(profile.listSheet.name))) {
+    console.log(`The ${profile.listSheet.name} sheet has no file ID column, run a full inventory first`);
+    return false;
+  }
+
+  const pass = {
+    since: lastComplete.since,
+    started: new Date().toISOString(),
+    phase: 'changes',
+    source: 'watch',
+    token: lastComplete.changesToken,
+    sharingFields: [],
+    changesToken: null,
+    changedCount: 0,
+    removedCount: 0,
+    errorCount: 0,
+    row: 2
+  };
+  PropertiesService.getScriptProperties().setProperty(getProfilePropertyKeys(profile).incremental, JSON.stringify(pass));
+
+  console.log(`Checking Drive changes for the ${profile.label} inventory...`);
+  return true;
+}
+
+/**
+ * Apply the next page of Drive changes to the list sheet: created and updated files that match the profile (and
+ * its scope) get their row written, removed or trashed files and files that no longer match lose theirs
+ * Folder changes are skipped, so paths under a renamed or moved folder are updated by the next full inventory
+ * Applying a page twice does no harm, so a page that runs out of time is simply applied again next run
+ */
+function applyProfileDriveChanges(profile, spreadsheet, pass, budget) {
+  const sheet = spreadsheet.getSheetByName(profile.listSheet.name);
+  const index = readProfileListIndex(profile, sheet, []);
+  const page = listDriveChanges(pass.token, getBudgetBatchSize(budget), profile.config.SHARED_DRIVES);
+  const folderCache = loadFolderCache(spreadsheet, pass.started);
+  const listBuffer = createRowBuffer(sheet);
+  const errorLog = openErrorLog(spreadsheet, 0);
+  const excludesTrashed = /trashed\s*=\s*false/.test(profile.query || '');
+  const scope = compileScanScope(profile.config.SCOPE);
+
+  // Only the latest change of a file matters
+  const latest = {};
+  page.changes.filter(change => change.fileId).forEach(change => {
+    latest[change.fileId] = change;
+  });
+  const changes = Object.values(latest);
+
+  console.log(`Applying ${changes.length} Drive changes to the ${profile.label} inventory...`);
+
+  let processedCount = 0;
+  let errorCount = 0;
+  let outOfTime = false;
+  const removedRows = [];
+  for (const change of changes) {
+    if (processedCount + errorCount > 0 && isRuntimeBudgetSpent(budget)) {
+      outOfTime = true;
+      break;
+    }
+
+    const file = change.removed || !change.file ? null : createDriveApiFile(change.file);
+    if (file && file.getMimeType() === FOLDER_MIME_TYPE) {
+      continue;
+    }
+
+    try {
+      const matches = file && !(excludesTrashed && file.isTrashed()) && isFileInScope(file, scope) &&
+        (!profile.filter || profile.filter(file));
+      if (matches && writeChangedProfileFile(profile, file, sheet, index, listBuffer, folderCache)) {
+        processedCount++;
+      } else if (index[change.fileId]) {
+        removedRows.push(index[change.fileId].row);
+      }
+    } catch (error) {
+      console.error(`Error applying a change to ${profile.label} (${classifyError(error)}, ${getErrorStage(error)} stage): ${error}`);
+      logFileError(errorLog, change.fileId, change.file ? change.file.name : '', error);
+      errorCount++;
+    }
+  }
+
+  flushRowBuffer(listBuffer);
+  deleteProfileListRows(sheet, removedRows);
+  flushRowBuffer(errorLog);
+  saveFolderCache(folderCache);
+
+  const result = {
+    processedCount: processedCount,
+    checkedCount: changes.length,
+    errorCount: errorCount,
+    hasMore: true,
+    stopReason: outOfTime ? 'time budget' : 'batch done'
+  };
+
+  if (outOfTime) {
+    console.log(`Out of time after ${processedCount} changed ${profile.label}, the next run applies this page again`);
+    return result;
+  }
+
+  pass.changedCount += processedCount;
+  pass.removedCount += removedRows.length;
+  pass.errorCount += errorCount;
+  pass.token = page.nextPageToken;
+
+  const keys = getProfilePropertyKeys(profile);
+  const scriptProperties = PropertiesService.getScriptProperties();
+
+  if (!pass.token) {
+    pass.changesToken = page.newStartPageToken;
+
+    // Nothing to rebuild: the reports stay as they are and the next check starts from the new token
+    if (pass.changedCount + pass.removedCount + pass.errorCount === 0) {
+      const lastComplete = loadProfileLastComplete(profile);
+      lastComplete.changesToken = pass.changesToken;
+      scriptProperties.setProperty(keys.lastComplete, JSON.stringify(lastComplete));
+      clearProfileProgress(profile);
+      updateProfileStatus(profile, spreadsheet, 'COMPLETE', {});
+
+      console.log(`No Drive changes to apply to the ${profile.label} inventory`);
+      return Object.assign(result, { hasMore: false, stopReason: 'complete' });
+    }
+
+    pass.phase = 'stats';
+    console.log(`Applied ${pass.changedCount} changed and ${pass.removedCount} removed ${profile.label}, rebuilding the reports next`);
+  }
+  scriptProperties.setProperty(keys.incremental, JSON.stringify(pass));
+
+  return result;
+}
+
+/**
+ * Remove the list rows of the files deleted or trashed since the last complete inventory, a page of Drive changes
+ * at a time (searches by modified date cannot find them); other changes were refreshed already
+ * Removing a page twice does no harm, so an interrupted page is simply checked again next run
+ */
+function removeDeletedProfileFiles(profile, spreadsheet, pass, budget) {
+  const sheet = spreadsheet.getSheetByName(profile.listSheet.name);
+  const index = readProfileListIndex(profile, sheet, []);
+  const page = listDriveChanges(pass.removalsToken, getBudgetBatchSize(budget), profile.config.SHARED_DRIVES);
+  const excludesTrashed = /trashed\s*=\s*false/.test(profile.query || '');
+
+  // Only the latest change of a file matters
+  const latest = {};
+  page.changes.filter(change => change.fileId).forEach(change => {
+    latest[change.fileId] = change;
+  });
+  const removedRows = Object.values(latest)
+    .filter(change => index[change.fileId] &&
+      (change.removed || !change.file || (excludesTrashed && !!change.file.trashed)))
+    .map(change => index[change.fileId].row);
+
+  deleteProfileListRows(sheet, removedRows);
+
+  pass.removedCount += removedRows.length;
+  pass.removalsToken = page.nextPageToken;
+  if (!pass.removalsToken) {
+    pass.phase = 'stats';
+    console.log(`Checked Drive changes for deleted ${profile.label} (${pass.removedCount} rows removed), ` +
+      'rebuilding the reports next');
+  }
+  PropertiesService.getScriptProperties().setProperty(getProfilePropertyKeys(profile).incremental, JSON.stringify(pass));
+
+  return {
+    processedCount: 0,
+    checkedCount: page.changes.length,
+    errorCount: 0,
+    hasMore: true,
+    stopReason: 'batch done'
+  };
+}
+
+/**
+ * Delete list rows, bottom up so the row numbers still to delete stay valid, a run of adjacent rows at a time
+ */
+function deleteProfileListRows(sheet, rows) {
+  const sorted = rows.slice().sort((a, b) => b - a);
+  let index = 0;
+
+  while (index < sorted.length) {
+    let count = 1;
+    while (index + count < sorted.length && sorted[index + count] === sorted[index] - count) {
+      count++;
+    }
+
+    const firstRow = sorted[index + count - 1];
+    withRetry(() => sheet.deleteRows(firstRow, count), 'Deleting list rows');
+    index += count;
+  }
+}
+
+/**
+ * Rebuild the stats of a profile from its list sheet, a few thousand rows at a time, then complete the pass
+ * Stats are saved between batches with the row to carry on from
+ */
+function rebuildProfileStats(profile, spreadsheet, pass, budget) {
+  const keys = getProfilePropertyKeys(profile);
+  const statsStore = getProfileStatsStore(profile, spreadsheet);
+  const savedStats = pass.row > 2 ?
+    loadProfileStats(profile, statsStore) :
+    { startTime: pass.started, changesToken: pass.changesToken };
+  const stats = initializeProfileStats(profile, savedStats);
+
+  const sheet = spreadsheet.getSheetByName(profile.listSheet.name);
+  const columns = getProfileListFieldColumns(profile, null);
+  const lastRow = sheet.getLastRow();
+  const startRow = pass.row;
+
+  while (pass.row <= lastRow && !(pass.row > startRow && isRuntimeBudgetSpent(budget))) {
+    const count = Math.min(INCREMENTAL_RECOMPUTE_ROWS, lastRow - pass.row + 1);
+    const rows = withRetry(() => sheet.getRange(pass.row, 1, count, profile.listSheet.columns.length).getValues(),
+      'Reading list rows');
+
+    rows.filter(row => row.some(cell => cell !== '')).forEach(row => {
+      recordProfileFile(profile, getProfileRecordFromRow(columns, row), null, stats);
+    });
+    pass.row += count;
+  }
+
+  if (pass.row <= lastRow) {
+    saveStoredStats(statsStore, { [keys.stats]: stats }, { [keys.incremental]: JSON.stringify(pass) });
+    console.log(`Rebuilt ${profile.label} stats from ${pass.row - 2} of ${lastRow - 1} list rows`);
+    return { processedCount: 0, errorCount: 0, hasMore: true, stopReason: 'time budget' };
+  }
+
+  const errorSheet = spreadsheet.getSheetByName(ERRORS_SHEET);
+  stats.errors = errorSheet ? Math.max(errorSheet.getLastRow() - 1, 0) : 0;
+
+  console.log(`Incremental ${profile.label} inventory complete: ${pass.changedCount} changed files refreshed, ` +
+    `${pass.removedCount || 0} removed`);
+  completeProfileInventory(profile, spreadsheet, stats, pass);
+  return { processedCount: 0, errorCount: 0, hasMore: false, stopReason: 'complete' };
+}
+
+/**
+ * List columns of a profile that hold one of the given record fields (null for every readable column)
+ * Returns [{ index, header, field, parse }]
+ */
+function getProfileListFieldColumns(profile, fields) {
+  return profile.listSheet.columns
+    .map((column, index) => ({
+      index: index,
+      header: column[0],
+      field: column[2],
+      parse: column[3] || (value => value)
+    }))
+    .filter(column => column.field && (!fields || fields.indexOf(column.field) !== -1));
+}
+
+/**
+ * Record of a list row, with the fields its readable columns hold
+ */
+function getProfileRecordFromRow(columns, row) {
+  const record = {};
+  columns.forEach(column => {
+    record[column.field] = column.parse(row[column.index]);
+  });
+  return record;
+}
+
+/**
+ * Copy the list rows matching a filter expression (see compileFilterExpression) to another sheet of the
+ * profile's report, replacing what it held. The expression sees the fields of the readable list columns
+ * Returns the number of rows copied
+ */
+function filterProfileList(profile, expression, sheetName) {
+  const filter = compileFilterExpression(expression);
+  const spreadsheet = getOrCreateSpreadsheet(profile.config.INVENTORY_SPREADSHEET_NAME);
+  initializeProfileSheets(profile, spreadsheet);
+
+  const listSheet = spreadsheet.getSheetByName(profile.listSheet.name);
+  const sheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+  const columns = getProfileListFieldColumns(profile, null);
+  const width = profile.listSheet.columns.length;
+  const lastRow = listSheet.getLastRow();
+  const results = createRowBuffer(sheet);
+
+  sheet.clear();
+  sheet.getRange(1, 1, 1, width).setValues([profile.listSheet.columns.map(column => column[0])]).setFontWeight('bold');
+  sheet.getRange(1, 1).setNote(`Filter: ${expression || '(none)'}`);
+  sheet.setFrozenRows(1);
+
+  let matched = 0;
+  for (let row = 2; row <= lastRow; row += INCREMENTAL_RECOMPUTE_ROWS) {
+    const count = Math.min(INCREMENTAL_RECOMPUTE_ROWS, lastRow - row + 1);
+    const rows = withRetry(() => listSheet.getRange(row, 1, count, width).getValues(), 'Reading list rows');
+
+    rows.filter(values => values.some(cell => cell !== ''))
+      .filter(values => !filter || filter(getProfileRecordFromRow(columns, values)))
+      .forEach(values => {
+        bufferRow(results, values);
+        matched++;
+      });
+  }
+  flushRowBuffer(results);
+
+  console.log(`${matched} of ${Math.max(lastRow - 1, 0)} ${profile.label} match "${expression}", listed in ${sheetName}`);
+  return matched;
+}
+
+/**
+ * Check if a list sheet (or a snapshot of it) has the file ID column of the profile
+ */
+function hasProfileIdColumn(profile, sheet) {
+  const idColumn = getProfileListFieldColumns(profile, ['id'])[0];
+  return !!idColumn && !!sheet && sheet.getRange(1, idColumn.index + 1).getValue() === idColumn.header;
+}
+
+/**
+ * Empty the list sheet of a profile for a new inventory, keeping the previous list as a snapshot first
+ * (profiles with a changes sheet)
+ */
+function startNewProfileList(profile, spreadsheet) {
+  if (!profile.listSheet) {
+    return;
+  }
+
+  snapshotProfileList(profile, spreadsheet);
+  clearSheetData(spreadsheet.getSheetByName(profile.listSheet.name));
+}
+
+/**
+ * Keep a copy of the list sheet of a profile with a changesSheet, named after the list and today's date,
+ * in place of its previous snapshot. Returns the snapshot, or null when there is no list to keep
+ */
+function snapshotProfileList(profile, spreadsheet) {
+  const sheet = profile.changesSheet ? spreadsheet.getSheetByName(profile.listSheet.name) : null;
+  if (!sheet || sheet.getLastRow() < 2) {
+    return null;
+  }
+
+  getProfileSnapshotSheets(profile, spreadsheet).forEach(snapshot => spreadsheet.deleteSheet(snapshot));
+
+  const date = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+  const name = `${SNAPSHOT_SHEET_PREFIX}${profile.listSheet.name} ${date}`;
+  const snapshot = withRetry(() => sheet.copyTo(spreadsheet), 'Copying list snapshot').setName(name);
+
+  console.log(`Kept the previous ${profile.listSheet.name} sheet as "${name}"`);
+  return snapshot;
+}
+
+/**
+ * Snapshot sheets of the list sheet of a profile
+ */
+function getProfileSnapshotSheets(profile, spreadsheet) {
+  const prefix = `${SNAPSHOT_SHEET_PREFIX}${profile.listSheet.name} `;
+  return spreadsheet.getSheets().filter(sheet => sheet.getName().indexOf(prefix) === 0);
+}
+
+/**
+ * Write the changes sheet of a profile: files added, deleted, moved, renamed, resized or re-shared since the
+ * snapshot of the previous list, with their before and after values, below the number of files per change
+ * Returns the counts per change, or null when there is no snapshot to compare with
+ */
+function writeProfileChanges(profile, spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(profile.changesSheet);
+  const snapshot = getProfileSnapshotSheets(profile, spreadsheet)[0];
+  sheet.clear();
+
+  if (!hasProfileIdColumn(profile, snapshot)) {
+    sheet.getRange(1, 1).setValue('No earlier inventory with file IDs to compare with yet').setFontWeight('bold');
+    return null;
+  }
+
+  const fields = ['name', 'folderPath', 'size', 'url'].concat(LIST_SHARING_FIELDS);
+  const changes = compareProfileLists(
+    readProfileListIndex(profile, snapshot, fields),
+    readProfileListIndex(profile, spreadsheet.getSheetByName(profile.listSheet.name), fields),
+    getProfileListFieldColumns(profile, LIST_SHARING_FIELDS).map(column => column.field)
+  );
+
+  const counts = {};
+  CHANGE_CATEGORIES.forEach(category => {
+    counts[category] = changes.filter(change => change[0] === category).length;
+  });
+
+  sheet.getRange(1, 1).setValue(`Changes since ${snapshot.getName().slice(SNAPSHOT_SHEET_PREFIX.length)}`)
+    .setFontSize(12).setFontWeight('bold');
+  sheet.getRange(3, 1, 1, 2).setValues([['Change', 'Files']]).setFontWeight('bold');
+  sheet.getRange(4, 1, CHANGE_CATEGORIES.length, 2).setValues(CHANGE_CATEGORIES.map(category => [category, counts[category]]));
+
+  const headerRow = CHANGE_CATEGORIES.length + 6;
+  const headers = ['Change', 'Name', 'Before', 'After', 'File ID', 'URL'];
+  sheet.getRange(headerRow, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+
+  const rows = changes
+    .sort((a, b) => CHANGE_CATEGORIES.indexOf(a[0]) - CHANGE_CATEGORIES.indexOf(b[0]))
+    .slice(0, CHANGES_MAX_ROWS);
+  if (rows.length > 0) {
+    sheet.getRange(headerRow + 1, 1, rows.length, headers.length).setValues(rows);
+  }
+  if (changes.length > rows.length) {
+    sheet.getRange(headerRow - 1, 1).setValue(`Showing the first ${rows.length} of ${changes.length} changes`);
+  }
+
+  console.log(`Changes since the previous inventory: ${CHANGE_CATEGORIES.map(category => `${counts[category]} ${category.toLowerCase()}`).join(', ')}`);
+  return counts;
+}
+
+/**
+ * Changes between two list indexes (see readProfileListIndex), as Changes sheet rows
+ * A file can change in several ways, each getting its own row
+ */
+function compareProfileLists(before, after, sharingFields) {
+  const changes = [];
+  const row = (category, file, from, to) => [category, file.name, from, to, file.id, file.url];
+  const describeSharing = file => sharingFields.map(field => [].concat(file[field]).join(', ')).filter(Boolean).join(' / ');
+
+  Object.values(after).forEach(file => {
+    const previous = before[file.id];
+    if (!previous) {
+      changes.push(row('Added', file, '', file.folderPath));
+      return;
+    }
+
+    if (previous.folderPath !== file.folderPath) {
+      changes.push(row('Moved', file, previous.folderPath, file.folderPath));
+    }
+    if (previous.name !== file.name) {
+      changes.push(row('Renamed', file, previous.name, file.name));
+    }
+    if (previous.size !== file.size) {
+      changes.push(row('Resized', file, formatBytes(previous.size), formatBytes(file.size)));
+    }
+    if (describeSharing(previous) !== describeSharing(file)) {
+      changes.push(row('Re-shared', file, describeSharing(previous), describeSharing(file)));
+    }
+  });
+
+  Object.values(before).forEach(file => {
+    if (!after[file.id]) {
+      changes.push(row('Deleted', file, file.folderPath, ''));
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Rows of the list sheet by file ID: { row, ...fields } for the given fields
+ */
+function readProfileListIndex(profile, sheet, fields) {
+  const index = {};
+  const rowCount = sheet.getLastRow() - 1;
+  if (rowCount < 1) {
+    return index;
+  }
+
+  const columns = getProfileListFieldColumns(profile, ['id'].concat(fields));
+  const values = columns.map(column => withRetry(() => sheet.getRange(2, column.index + 1, rowCount, 1).getValues(),
+    'Reading list index'));
+
+  for (let i = 0; i < rowCount; i++) {
+    const row = [];
+    columns.forEach((column, c) => {
+      row[column.index] = values[c][i][0];
+    });
+
+    const record = getProfileRecordFromRow(columns, row);
+    if (record.id) {
+      index[record.id] = Object.assign(record, { row: i + 2 });
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Checkpoint of an unfinished batch, if the saved one belongs to the batch starting at continuationToken
+ * A checkpoint holds that token, the ID of the last file whose row and stats are saved, and the
+ * list sheet and Errors sheet row counts at that point
+ */
+function loadProfileCheckpoint(profile, continuationToken) {
+  const keys = getProfilePropertyKeys(profile);
+  const checkpoint = JSON.parse(PropertiesService.getScriptProperties().getProperty(keys.checkpoint) || 'null');
+
+  // Any other token means the batch finished but was stopped before clearing its checkpoint
+  return checkpoint && checkpoint.token === continuationToken ? checkpoint : null;
+}
+
+/**
+ * Save a batch checkpoint together with the stats it matches
+ */
+function saveProfileCheckpoint(profile, statsStore, checkpoint, stats) {
+  const keys = getProfilePropertyKeys(profile);
+
+  saveStoredStats(statsStore, { [keys.stats]: stats }, { [keys.checkpoint]: JSON.stringify(checkpoint) });
+}
+
+/**
+ * Write the buffered list and error rows of a batch, recording in its checkpoint how many rows are saved
+ */
+function flushProfileBatchRows(checkpoint, listBuffer, errorLog) {
+  if (listBuffer) {
+    flushRowBuffer(listBuffer);
+    checkpoint.listRows = listBuffer.sheet.getLastRow();
+  }
+
+  flushRowBuffer(errorLog);
+  checkpoint.errorRows = errorLog.sheet.getLastRow();
+}
+
+/**
+ * Stats to save with a checkpoint, counting the folder cache lookups of the batch so far
+ */
+function getCheckpointStats(stats, folderCache) {
+  const checkpointStats = Object.assign({}, stats);
+  addFolderCacheStats(checkpointStats, folderCache);
+  return checkpointStats;
+}
+
+/**
+ * Position in a batch to resume from: right after the checkpoint's last saved file
+ */
+function getCheckpointResumeIndex(files, checkpoint) {
+  if (!checkpoint.fileId) {
+    return 0;
+  }
+
+  const index = files.findIndex(file => file.getId() === checkpoint.fileId);
+
+  if (index < 0) {
+    console.log(`Checkpoint file ${checkpoint.fileId} is no longer in this batch, processing the whole batch`);
+    return 0;
+  }
+
+  console.log(`Resuming interrupted batch after ${index + 1} saved files`);
+  return index + 1;
+}
+
+/**
+ * Extract, reduce and list a single file
+ * Returns null, recording nothing, when the file does not match the FILTER of the profile's config
+ */
+function processFileWithProfile(profile, file, listBuffer, stats, folderCache) {
+  const fileData = withRetry(() => {
+    const baseFileData = extractBaseFileData(file, getProfileExtractOptions(profile, folderCache));
+    return extractProfileFileData(profile, file, baseFileData);
+  }, `Reading ${profile.label}`);
+  if (!matchesFilterExpression(profile.config.FILTER, fileData)) {
+    return null;
+  }
+
+  recordProfileFile(profile, fileData, listBuffer, stats);
+
+  return fileData;
+}
+
+/**
+ * Record a file ({ id, name, attempts }) that could not be processed
+ * Rate limit and timeout failures go to the retry queue, up to RETRY_QUEUE_MAX_RUNS runs per file;
+ * everything else counts as an error and is listed in the Errors sheet
+ */
+function recordProfileFileError(profile, stats, errorLog, error, entry) {
+  const kind = classifyError(error);
+  stats.errorsByKind[kind] = (stats.errorsByKind[kind] || 0) + 1;
+
+  console.error(`Error processing ${profile.label} (${kind}, ${getErrorStage(error)} stage): ${error}`);
+
+  if (isTransientError(error) && entry.attempts + 1 < RETRY_QUEUE_MAX_RUNS &&
+      stats.retryQueue.length < RETRY_QUEUE_MAX_FILES) {
+    stats.retryQueue.push({ id: entry.id, name: entry.name, attempts: entry.attempts + 1 });
+    return;
+  }
+
+  stats.errors++;
+  logFileError(errorLog, entry.id, entry.name, error);
+}
+
+/**
+ * Process the files queued by recordProfileFileError, while the runtime budget lasts
+ * Files left over stay queued for the next batch
+ */
+function processRetryQueue(profile, stats, listBuffer, errorLog, folderCache, budget) {
+  const queue = stats.retryQueue;
+  stats.retryQueue = [];
+
+  let processed = 0;
+  queue.forEach(entry => {
+    if (isRuntimeBudgetSpent(budget)) {
+      stats.retryQueue.push(entry);
+      return;
+    }
+
+    try {
+      const file = withRetry(() => DriveApp.getFileById(entry.id), 'Opening queued file');
+      const matches = !profile.filter || profile.filter(file);
+      if (matches && processFileWithProfile(profile, file, listBuffer, stats, folderCache)) {
+        processed++;
+      }
+    } catch (error) {
+      recordProfileFileError(profile, stats, errorLog, error, entry);
+    }
+  });
+
+  console.log(`Retried ${queue.length} queued ${profile.label}: ${processed} processed, ${stats.retryQueue.length} still queued`);
+  return processed;
+}
+
+/**
+ * Add an extracted file record to the stats and list sheet buffer of a profile
+ */
+function recordProfileFile(profile, fileData, listBuffer, stats) {
+  // The row is built first, so a file whose row fails is not counted either
+  const row = listBuffer ? withErrorStage('write', () => getProfileListRow(profile, fileData)) : null;
+
+  stats.totalFiles++;
+  stats.totalSize += fileData.size;
+  addDriveTotals(stats.drives, fileData);
+
+  applyProfileReducers(profile, stats, fileData);
+
+  if (row) {
+    withErrorStage('write', () => bufferRow(listBuffer, row));
+  }
+}
+
+/**
+ * Extract options of a profile, looking folders up through the folder cache when one is given
+ */
+function getProfileExtractOptions(profile, folderCache) {
+  return Object.assign({}, profile.extractOptions, { folderCache: folderCache });
+}
+
+/**
+ * Build the record for a file: the shared base fields plus the profile's own fields
+ * baseFileData can be passed in when the base fields were already extracted with the same options
+ */
+function extractProfileFileData(profile, file, baseFileData) {
+  const fileData = baseFileData ? Object.assign({}, baseFileData) : extractBaseFileData(file, profile.extractOptions);
+
+  if (profile.extract) {
+    profile.extract(fileData, file);
+  }
+
+  return fileData;
+}
+
+/**
+ * Create a stats object with the engine totals plus every reducer of the profile
+ * Values saved by a previous batch are kept
+ */
+function initializeProfileStats(profile, savedStats) {
+  const saved = savedStats || {};
+  const stats = {
+    totalFiles: saved.totalFiles || 0,
+    totalSize: saved.totalSize || 0
+  };
+
+  Object.entries(profile.stats || {}).forEach(([key, reducer]) => {
+    stats[key] = saved[key] !== undefined && !reducer.fromList ? saved[key] : getReducerInitialValue(reducer);
+  });
+
+  stats.errors = saved.errors || 0;
+  stats.folderCacheHits = saved.folderCacheHits || 0;
+  stats.folderCacheMisses = saved.folderCacheMisses || 0;
+  stats.startTime = saved.startTime || new Date().toISOString();
+  stats.errorsByKind = saved.errorsByKind || {};
+  stats.drives = saved.drives || {};
+  stats.retryQueue = saved.retryQueue || [];
+  stats.filesChecked = saved.filesChecked || 0;
+  stats.processingMs = saved.processingMs || 0;
+
+  if (profile.estimateProgress) {
+    stats.fileCount = saved.fileCount || null;
+  }
+  if (profile.watchHandler) {
+    stats.changesToken = saved.changesToken || null;
+  }
+
+  return stats;
+}
+
+/**
+ * Count more of the files matching the profile query (see countDriveFiles), until every file is counted
+ * Returns the time spent
+ */
+function countProfileFiles(profile, stats) {
+  if (stats.fileCount && stats.fileCount.done) {
+    return 0;
+  }
+
+  const startTime = new Date().getTime();
+
+  try {
+    stats.fileCount = countDriveFiles(stats.fileCount, profile.query, profile.config.DRIVE_BACKEND, null,
+      profile.config.SHARED_DRIVES);
+    console.log(stats.fileCount.done ?
+      `Counted ${stats.fileCount.count} files to inventory` :
+      `Counted ${stats.fileCount.count} files so far, counting continues next batch`);
+  } catch (error) {
+    console.error(`Error counting files: ${error}`);
+  }
+
+  return new Date().getTime() - startTime;
+}
+
+/**
+ * Progress of a profile that estimates it: files checked, total files, percent done and time left
+ * The percent and time left are null until every file is counted; time left comes from the files
+ * checked per millisecond of processing over all batches so far
+ */
+function getProfileProgress(profile, stats) {
+  if (!profile.estimateProgress || !stats.fileCount) {
+    return null;
+  }
+
+  const counted = stats.fileCount.done;
+  const checked = stats.filesChecked || 0;
+  const total = Math.max(stats.fileCount.count, checked);
+  const filesPerMs = stats.processingMs > 0 ? checked / stats.processingMs : 0;
+
+  return {
+    checked: checked,
+    total: total,
+    counted: counted,
+    percent: counted && total > 0 ? (checked / total) * 100 : null,
+    remainingMs: counted && filesPerMs > 0 ? (total - checked) / filesPerMs : null
+  };
+}
+
+/**
+ * Describe progress as "45.2% (4520 of 10000 files, about 12m left)"
+ */
+function formatProfileProgress(progress) {
+  if (!progress.counted) {
+    return `${progress.checked} files checked, still counting (${progress.total} so far)`;
+  }
+
+  const timeLeft = progress.remainingMs !== null ? `, about ${formatDuration(progress.remainingMs)} left` : '';
+  return `${(progress.percent || 0).toFixed(1)}% (${progress.checked} of ${progress.total} files${timeLeft})`;
+}
+
+/**
+ * Add the folder cache hits and misses of a batch to the stats
+ */
+function addFolderCacheStats(stats, folderCache) {
+  stats.folderCacheHits += folderCache.hits;
+  stats.folderCacheMisses += folderCache.misses;
+}
+
+/**
+ * Starting value of a stats reducer
+ *
+ * Reducer kinds:
+ *   { count: data => key }                          Counts per key (a key array counts each entry)
+ *   { countIf: data => boolean }                    Number of matching files
+ *   { top: 100, sortBy: item => number, item }      Keeps the N items with the highest sortBy value
+ *   { collect: 100, item }                          Keeps the first N items (0 keeps everything)
+ *   { group: data => key, item }                    Lists items per key
+ *   { initial: () => value, reduce }                Custom: reduce(value, data, stats) returns the new value
+ * Every kind accepts when: data => boolean to skip files.
+ * fromList: true builds a reducer once from the list sheet when the reports are generated (see
+ * applyProfileListReducers), so values that grow with the drive are not saved with the stats at every checkpoint.
+ * Such a group also accepts minItems: n to keep only the keys with at least n items
+ */
+function getReducerInitialValue(reducer) {
+  if (reducer.reduce) {
+    return typeof reducer.initial === 'function' ? reducer.initial() : reducer.initial;
+  }
+  if (reducer.countIf) return 0;
+  if (reducer.top !== undefined || reducer.collect !== undefined) return [];
+  return {};
+}
+
+/**
+ * Apply every stats reducer of a profile to a file record
+ */
+function applyProfileReducers(profile, stats, fileData) {
+  Object.entries(profile.stats || {}).forEach(([key, reducer]) => {
+    if (reducer.fromList || (reducer.when && !reducer.when(fileData, stats))) {
+      return;
+    }
+
+    stats[key] = applyReducer(reducer, stats[key], fileData, stats);
+  });
+}
+
+/**
+ * Build the fromList reducers of a profile from its list sheet, a few thousand rows at a time
+ * The reducers see the fields of the readable list columns. Groups with minItems are counted in a first
+ * read of the sheet, so the second one only keeps the items of keys that reach it
+ */
+function applyProfileListReducers(profile, spreadsheet, stats) {
+  const reducers = Object.entries(profile.stats || {}).filter(([, reducer]) => reducer.fromList);
+  const sheet = reducers.length > 0 && profile.listSheet ? spreadsheet.getSheetByName(profile.listSheet.name) : null;
+  if (!sheet) {
+    return;
+  }
+
+  const columns = getProfileListFieldColumns(profile, null);
+  const lastRow = sheet.getLastRow();
+  const forEachRecord = callback => {
+    for (let row = 2; row <= lastRow; row += INCREMENTAL_RECOMPUTE_ROWS) {
+      const count = Math.min(INCREMENTAL_RECOMPUTE_ROWS, lastRow - row + 1);
+      const rows = withRetry(() => sheet.getRange(row, 1, count, profile.listSheet.columns.length).getValues(),
+        'Reading list rows');
+      rows.filter(values => values.some(cell => cell !== ''))
+        .forEach(values => callback(getProfileRecordFromRow(columns, values)));
+    }
+  };
+  const applies = (reducer, record) => !reducer.when || reducer.when(record, stats);
+
+  const counted = reducers.filter(([, reducer]) => reducer.group && reducer.minItems);
+  const counts = {};
+  if (counted.length > 0) {
+    counted.forEach(([key]) => { counts[key] = {}; });
+    forEachRecord(record => counted.forEach(([key, reducer]) => {
+      if (applies(reducer, record)) {
+        const group = reducer.group(record);
+        counts[key][group] = (counts[key][group] || 0) + 1;
+      }
+    }));
+  }
+
+  reducers.forEach(([key, reducer]) => { stats[key] = getReducerInitialValue(reducer); });
+  forEachRecord(record => reducers.forEach(([key, reducer]) => {
+    if (!applies(reducer, record) || (counts[key] && counts[key][reducer.group(record)] < reducer.minItems)) {
+      return;
+    }
+
+    stats[key] = applyReducer(reducer, stats[key], record, stats);
+  }));
+}
+
+/**
+ * Apply a single reducer and return the updated value
+ */
+function applyReducer(reducer, value, fileData, stats) {
+  if (reducer.reduce) {
+    return reducer.reduce(value, fileData, stats);
+  }
+
+  if (reducer.count) {
+    [].concat(reducer.count(fileData)).forEach(key => {
+      if (key !== undefined && key !== null && key !== '') {
+        value[key] = (value[key] || 0) + 1;
+      }
+    });
+    return value;
+  }
+
+  if (reducer.countIf) {
+    return reducer.countIf(fileData) ? value + 1 : value;
+  }
+
+  const item = reducer.item ? reducer.item(fileData) : fileData;
+
+  if (reducer.top !== undefined) {
+    value.push(item);
+    value.sort((a, b) => reducer.sortBy(b) - reducer.sortBy(a));
+    return value.slice(0, reducer.top);
+  }
+
+  if (reducer.collect !== undefined) {
+    if (!reducer.collect || value.length < reducer.collect) {
+      value.push(item);
+    }
+    return value;
+  }
+
+  if (reducer.group) {
+    const key = reducer.group(fileData);
+    if (!value[key]) {
+      value[key] = [];
+    }
+    value[key].push(item);
+    return value;
+  }
+
+  return value;
+}
+
+/**
+ * Create any missing sheets of a profile with their header rows
+ */
+function initializeProfileSheets(profile, spreadsheet) {
+  const headers = Object.assign({}, profile.headers || {});
+  const sheetNames = Object.values(profile.config.SHEETS);
+
+  if (profile.listSheet) {
+    headers[profile.listSheet.name] = profile.listSheet.columns.map(column => column[0]);
+    sheetNames.push(profile.listSheet.name);
+  }
+
+  // Declarative reports may name sheets that are not listed in SHEETS
+  (profile.reports || []).forEach(report => {
+    if (typeof report !== 'function') {
+      sheetNames.push(report.sheet);
+    }
+  });
+
+  initializeReportSheets(spreadsheet, sheetNames.filter((name, index) => sheetNames.indexOf(name) === index), headers);
+}
+
+/**
+ * Open a row buffer on the profile's list sheet (null for profiles without one)
+ * Rows past savedRows were written by a batch that was killed before saving its progress;
+ * they are cleared because that part of the batch runs again (0 keeps every row)
+ */
+function openProfileListBuffer(profile, spreadsheet, savedRows) {
+  if (!profile.listSheet) {
+    return null;
+  }
+
+  const sheet = spreadsheet.getSheetByName(profile.listSheet.name);
+
+  if (savedRows > 0) {
+    const clearedRows = clearRowsAfter(sheet, savedRows);
+    if (clearedRows > 0) {
+      console.log(`Cleared ${clearedRows} rows left by an interrupted ${profile.label} batch`);
+    }
+  }
+
+  return createRowBuffer(sheet);
+}
+
+/**
+ * List sheet row of a file record
+ */
+function getProfileListRow(profile, fileData) {
+  return profile.listSheet.columns.map(column => column[1](fileData));
+}
+
+/**
+ * Render the overview sheet of a profile
+ * Sections either list entries ([label, value] rows) or render themselves and return the rows used
+ */
+function renderProfileOverview(profile, spreadsheet, stats, isFinal) {
+  const overview = profile.overview;
+  const sheet = spreadsheet.getSheetByName(profile.config.SHEETS.OVERVIEW);
+  sheet.clear();
+
+  sheet.getRange(1, 1).setValue(overview.title)
+    .setFontSize(16).setFontWeight('bold');
+
+  sheet.getRange(2, 1).setValue(isFinal ? 'Final Report' : 'Progress Report')
+    .setFontSize(12);
+
+  sheet.getRange(3, 1).setValue(`Generated: ${new Date().toLocaleString()}`)
+    .setFontSize(10);
+
+  const progress = isFinal ? null : getProfileProgress(profile, stats);
+  if (progress) {
+    sheet.getRange(4, 2).setValue(`Progress: ${formatProfileProgress(progress)}`);
+  }
+
+  // Summary Statistics (row 4 is kept for the status indicator)
+  sheet.getRange(5, 1).setValue(overview.summaryTitle || 'SUMMARY STATISTICS').setFontWeight('bold');
+
+  const summaryData = overview.summary(stats)
+    .concat([['Folder Cache Hits:', formatFolderCacheHits(stats.folderCacheHits, stats.folderCacheMisses)]]);
+
+  if (Object.keys(stats.errorsByKind || {}).length > 0) {
+    summaryData.push(['Failures By Kind:', Object.entries(stats.errorsByKind).map(([kind, count]) => `${kind}: ${count}`).join(', ')]);
+  }
+  if (stats.retryQueue && stats.retryQueue.length > 0) {
+    summaryData.push(['Retry Queue:', `${stats.retryQueue.length} files`]);
+  }
+  sheet.getRange(6, 1, summaryData.length, 2).setValues(summaryData);
+
+  let row = Math.max(14, summaryData.length + 7);
+
+  const sections = (overview.sections || [])
+    .concat(profile.config.SHARED_DRIVES ? [{
+      title: 'DRIVES',
+      entries: stats => getDriveBreakdownRows(stats.drives, isFinal) // Members only for the final report
+    }] : []);
+
+  sections.forEach(section => {
+    sheet.getRange(row, 1).setValue(section.title).setFontWeight('bold');
+
+    let rowsUsed = 0;
+    if (section.render) {
+      rowsUsed = section.render(sheet, row + 1, stats) || 0;
+    } else {
+      const entries = section.entries(stats);
+      if (entries.length > 0) {
+        sheet.getRange(row + 1, 1, entries.length, entries[0].length).setValues(entries);
+      }
+      rowsUsed = entries.length;
+    }
+
+    row += rowsUsed + 3;
+  });
+
+  sheet.autoResizeColumns(1, 2);
+}
+
+/**
+ * Generate the final overview and every report of a profile
+ * A report is either a function (spreadsheet, stats) or { sheet, headers, rows: stats => rows }
+ */
+function generateProfileReports(profile, spreadsheet, stats) {
+  console.log(`Generating final ${profile.label} reports...`);
+
+  applyProfileListReducers(profile, spreadsheet, stats);
+  renderProfileOverview(profile, spreadsheet, stats, true);
+
+  (profile.reports || []).forEach(report => {
+    if (typeof report === 'function') {
+      report(spreadsheet, stats);
+    } else {
+      writeProfileReport(spreadsheet, report, stats);
+    }
+  });
+
+  console.log(`${profile.overview.title} reports generated! View at: ${spreadsheet.getUrl()}`);
+}
+
+/**
+ * Add a row with the totals of a completed inventory to the trends sheet of a profile, then chart them on its Overview
+ * trends: { sheet, values: stats => [[column, value]], charts: [{ title, columns: [...] } or { title, prefix }] }
+ * A column is added the first time an inventory reports it; rows of earlier inventories leave it blank
+ */
+function appendProfileTrends(profile, spreadsheet, stats) {
+  const sheet = spreadsheet.getSheetByName(profile.trends.sheet);
+  const values = profile.trends.values(stats);
+
+  const headers = sheet.getLastColumn() > 0 ?
+    sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(String) :
+    ['Completed'];
+  values.forEach(([column]) => {
+    if (headers.indexOf(column) === -1) {
+      headers.push(column);
+    }
+  });
+
+  const row = headers.map(() => '');
+  row[0] = new Date();
+  values.forEach(([column, value]) => {
+    row[headers.indexOf(column)] = value;
+  });
+
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.getRange(sheet.getLastRow() + 1, 1, 1, row.length).setValues([row]);
+  sheet.setFrozenRows(1);
+
+  renderProfileTrendCharts(profile, spreadsheet, headers, row);
+}
+
+/**
+ * Replace the trend charts on the Overview of a profile with line charts of its trends sheet
+ * A chart with a column prefix shows the columns with the highest values in the latest row
+ * Charts are told apart by title, so charts added to the Overview by hand stay
+ */
+function renderProfileTrendCharts(profile, spreadsheet, headers, latestRow) {
+  const overview = spreadsheet.getSheetByName(profile.config.SHEETS.OVERVIEW);
+  const trendsSheet = spreadsheet.getSheetByName(profile.trends.sheet);
+  const rowCount = trendsSheet.getLastRow();
+
+  const titles = (profile.trends.charts || []).map(chart => chart.title);
+  overview.getCharts()
+    .filter(chart => titles.indexOf(chart.getOptions().get('title')) !== -1)
+    .forEach(chart => overview.removeChart(chart));
+
+  (profile.trends.charts || []).forEach((chart, index) => {
+    const columns = headers
+      .map((header, column) => ({ header: header, column: column + 1, latest: Number(latestRow[column]) || 0 }))
+      .filter(entry => chart.columns ? chart.columns.indexOf(entry.header) !== -1 : entry.header.indexOf(chart.prefix) === 0)
+      .sort((a, b) => b.latest - a.latest)
+      .slice(0, TREND_CHART_MAX_SERIES)
+      .sort((a, b) => a.column - b.column);
+
+    if (columns.length === 0) {
+      return;
+    }
+
+    const builder = overview.newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(trendsSheet.getRange(1, 1, rowCount, 1));
+    columns.forEach(entry => builder.addRange(trendsSheet.getRange(1, entry.column, rowCount, 1)));
+
+    overview.insertChart(builder
+      .setNumHeaders(1)
+      .setOption('title', chart.title)
+      .setPosition(1 + index * TREND_CHART_ROWS, 4, 0, 0)
+      .build());
+  });
+}
+
+/**
+ * Write a declarative report to its sheet
+ */
+function writeProfileReport(spreadsheet, report, stats) {
+  const sheet = spreadsheet.getSheetByName(report.sheet);
+
+  clearSheetData(sheet);
+
+  if (report.headers) {
+    sheet.getRange(1, 1, 1, report.headers.length).setValues([report.headers]);
+    sheet.getRange(1, 1, 1, report.headers.length).setFontWeight('bold');
+  }
+
+  const rows = report.rows(stats);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+  }
+}
+
+/**
+ * Update the status indicator (and progress when the profile can estimate it)
+ */
+function updateProfileStatus(profile, spreadsheet, status, stats) {
+  const sheet = spreadsheet.getSheetByName(profile.config.SHEETS.OVERVIEW);
+
+  setStatusCell(sheet, status);
+
+  const progress = getProfileProgress(profile, stats);
+  if (sheet && status === 'RUNNING' && progress) {
+    sheet.getRange(4, 2).setValue(`Progress: ${formatProfileProgress(progress)}`);
+  }
+}
+
+/**
+ * Schedule the continuation trigger of a profile
+ */
+function scheduleNextProfileRun(profile) {
+  cancelProfileContinuationRuns(profile);
+  scheduleTriggerAfter(profile.continueHandler, 1 * 60 * 1000, {
+    tool: profile.id,
+    purpose: `Continue the ${profile.label} inventory`
+  });
+}
+
+/**
+ * Continue a profile from its trigger, unless automatic mode was switched off
+ */
+function continueProfileInventory(profile) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  setRunSource('continuation trigger', profile.continueHandler);
+
+  if (scriptProperties.getProperty(getProfilePropertyKeys(profile).autoMode) !== 'true') {
+    console.log(`Auto mode disabled for ${profile.label}, stopping.`);
+    cancelProfileContinuationRuns(profile);
+    recordProfileRun(profile, () => ({ processedCount: 0, batchCount: 0, stopReason: 'paused' }));
+    return;
+  }
+
+  // While the previous execution still holds the lease, try again later rather than end the chain here
+  const result = runProfileInventory(profile, profile.continueHandler);
+  if (result && result.alreadyRunning) {
+    console.log(`The previous ${profile.label} run is still going, continuing in a minute`);
+    scheduleNextProfileRun(profile);
+  }
+}
+
+/**
+ * Delete every trigger owned by a profile
+ */
+function cancelProfileScheduledRuns(profile) {
+  deleteTriggersFor(getProfileTriggerHandlers(profile));
+  console.log(`Cancelled all scheduled ${profile.label} inventory runs`);
+}
+
+/**
+ * Delete the continuation and entry triggers of a profile
+ * Its recurring schedules (scheduledHandlers) stay, so they can start the next (incremental) inventory
+ */
+function cancelProfileContinuationRuns(profile) {
+  deleteTriggersFor([profile.continueHandler, profile.entryHandler].filter(Boolean));
+}
+
+/**
+ * Start a profile in automatic mode - runs continuously until complete
+ * Once an incremental profile has completed an inventory, this starts an incremental pass instead
+ */
+function startAutomaticProfileInventory(profile) {
+  return withProfileRunLease(profile, null, () => {
+    const keys = getProfilePropertyKeys(profile);
+    const scriptProperties = PropertiesService.getScriptProperties();
+
+    // Refresh a complete inventory with the files changed since, or reset if starting fresh
+    if (!scriptProperties.getProperty(keys.token) && !loadIncrementalPass(profile) && !beginIncrementalPass(profile)) {
+      resetProfileInventory(profile);
+    }
+
+    scriptProperties.setProperty(keys.autoMode, 'true');
+
+    console.log(`Starting automatic ${profile.label} inventory...`);
+    return runProfileInventory(profile);
+  });
+}
+
+/**
+ * Stop automatic mode for a profile, keeping its progress
+ */
+function stopAutomaticProfileInventory(profile) {
+  const keys = getProfilePropertyKeys(profile);
+  const scriptProperties = PropertiesService.getScriptProperties();
+  scriptProperties.setProperty(keys.autoMode, 'false');
+
+  cancelProfileScheduledRuns(profile);
+
+  const spreadsheet = getOrCreateSpreadsheet(profile.config.INVENTORY_SPREADSHEET_NAME);
+  const stats = loadProfileStats(profile, getProfileStatsStore(profile, spreadsheet));
+  updateProfileStatus(profile, spreadsheet, 'PAUSED', stats);
+
+  console.log(`Automatic ${profile.label} inventory stopped. Progress has been saved.`);
+}
+
+/**
+ * Handler of the change watcher trigger of a profile: applies the Drive changes made since the last check
+ * to the list sheet and reports, continuing in automatic mode when there are many
+ * Waits while a full inventory is under way; once it completes, the watcher picks up from its start
+ */
+function watchProfileChanges(profile) {
+  setRunSource('schedule', profile.watchHandler);
+
+  return withProfileRunLease(profile, profile.watchHandler, () => {
+    const keys = getProfilePropertyKeys(profile);
+    const scriptProperties = PropertiesService.getScriptProperties();
+
+    if (scriptProperties.getProperty(keys.token)) {
+      console.log(`A full ${profile.label} inventory is running, Drive changes are applied once it completes`);
+      return { processedCount: 0, hasMore: true, stopReason: 'paused' };
+    }
+
+    // An unfinished pass (of the watcher or an incremental run) carries on first
+    if (!loadIncrementalPass(profile) && !beginWatchPass(profile)) {
+      return { processedCount: 0, hasMore: false, stopReason: 'complete' };
+    }
+
+    if (profile.continueHandler) {
+      scriptProperties.setProperty(keys.autoMode, 'true');
+    }
+
+    return runProfileInventory(profile, profile.watchHandler);
+  });
+}
+
+/**
+ * Check for Drive changes on a schedule (a cron expression, see parseCronSchedule), replacing an earlier one
+ * Needs the Drive API advanced service; changes are applied once a complete inventory exists
+ * Returns the trigger id
+ */
+function startProfileChangeWatch(profile, schedule) {
+  if (!shouldUseDriveApi(profile.config.DRIVE_BACKEND)) {
+    throw new Error(`Watching Drive changes needs the Drive API advanced service (and a DRIVE_BACKEND other than 'driveapp')`);
+  }
+
+  deleteTriggersFor([profile.watchHandler]);
+  const trigger = createScheduledTrigger(profile.watchHandler, schedule, {
+    tool: profile.id,
+    purpose: `Apply Drive changes to the ${profile.label} inventory`
+  });
+
+  if (!loadProfileLastComplete(profile)) {
+    console.log(`Drive changes are applied once a complete ${profile.label} inventory exists`);
+  }
+
+  return trigger.getUniqueId();
+}
+
+/**
+ * Stop checking for Drive changes; an unfinished watcher pass is completed by the next run of the profile
+ */
+function stopProfileChangeWatch(profile) {
+  const deleted = deleteTriggersFor([profile.watchHandler]);
+  console.log(`Stopped watching Drive changes for ${profile.label} (${deleted} trigger(s) deleted)`);
+}
+
+/**
+ * Reset a profile so the next run starts from the beginning, with a full inventory
+ */
+function resetProfileInventory(profile) {
+  withProfileRunLease(profile, null, () => {
+    clearProfileProgress(profile);
+    PropertiesService.getScriptProperties().deleteProperty(getProfilePropertyKeys(profile).lastComplete);
+    console.log(`${profile.label.charAt(0).toUpperCase() + profile.label.slice(1)} inventory reset. Next run will start from the beginning.`);
+  });
+}
+
+/**
+ * Re-process the files listed in a profile's Errors sheet, removing the entries that succeed
+ * During an unfinished inventory fixed files are added to its saved stats; after a finished one only their
+ * list rows are added, and the Overview keeps the totals of that run. Files already in the list (they failed
+ * during an incremental or watcher pass, or after being listed) get their row updated by file ID and no stats
+ * progress: { statsStore, statsKey, checkpointKey } of another run of the profile (the multi-profile scan)
+ */
+function retryProfileErrors(profile, progress) {
+  return withProfileRunLease(profile, null, () => {
+    const keys = getProfilePropertyKeys(profile);
+    const settings = Object.assign({ statsKey: keys.stats, checkpointKey: keys.checkpoint }, progress || {});
+
+    // The rows of an interrupted batch are cleared when it resumes, so retried rows could be lost with them
+    if (PropertiesService.getScriptProperties().getProperty(settings.checkpointKey)) {
+      console.log(`An interrupted ${profile.label} batch has not finished yet. Let it finish, then retry failed files.`);
+      return null;
+    }
+
+    const spreadsheet = getOrCreateSpreadsheet(profile.config.INVENTORY_SPREADSHEET_NAME);
+    initializeProfileSheets(profile, spreadsheet);
+
+    const statsStore = settings.statsStore || getProfileStatsStore(profile, spreadsheet);
+    const savedStats = loadStoredStats(statsStore, settings.statsKey);
+    const stats = initializeProfileStats(profile, savedStats);
+    const folderCache = loadFolderCache(spreadsheet, savedStats ? savedStats.startTime : undefined);
+    const listBuffer = openProfileListBuffer(profile, spreadsheet, 0);
+    const listSheet = listBuffer ? spreadsheet.getSheetByName(profile.listSheet.name) : null;
+    const index = hasProfileIdColumn(profile, listSheet) ? readProfileListIndex(profile, listSheet, []) : {};
+    const removedRows = [];
+
+    console.log(`Retrying failed ${profile.label}...`);
+
+    const result = retryErrorLogFiles(spreadsheet, file => {
+      // A file that no longer matches the profile (or its FILTER) is dropped from the log, and from the list
+      const matches = !profile.filter || profile.filter(file);
+      if (index[file.getId()]) {
+        if (!matches || !writeChangedProfileFile(profile, file, listSheet, index, listBuffer, folderCache)) {
+          removedRows.push(index[file.getId()].row);
+        }
+      } else if (matches) {
+        processFileWithProfile(profile, file, listBuffer, stats, folderCache);
+      }
+      stats.errors = Math.max(stats.errors - 1, 0);
+    }, createRuntimeBudget({ batchSize: profile.config.BATCH_SIZE }));
+
+    if (listBuffer) {
+      flushRowBuffer(listBuffer);
+      deleteProfileListRows(listSheet, removedRows);
+    }
+    saveFolderCache(folderCache);
+
+    if (savedStats) {
+      addFolderCacheStats(stats, folderCache);
+      saveStoredStats(statsStore, { [settings.statsKey]: stats });
+      renderProfileOverview(profile, spreadsheet, stats, false);
+    }
+    saveErrorLog(spreadsheet, result.entries);
+
+    console.log(`Retried ${result.retried} failed ${profile.label}: ${result.fixed} fixed, ` +
+      `${result.entries.length} left in the ${ERRORS_SHEET} sheet`);
+    return result;
+  });
+}
@@ -0,0 +1,511 @@
+/**
+ * Google Drive Inventory Tools - Multi-Profile Scan
+ * Walks the Drive once and hands every file to each enabled analyzer
+ * Requires src/utils/common-functions.js, src/core/inventory-engine.js and the specialized
+ * scripts of the analyzers you want to run, all in the same Apps Script project
+ *
+ * Each analyzer still writes its usual report spreadsheet, but there is a single
+ * continuation token for the whole scan instead of one traversal per script.
+ * Progress is kept apart from the standalone scripts, so both can be used side by side.
+ */
+
+// Configuration for the combined scan
+const MULTI_SCAN_CONFIG = {
+  BATCH_SIZE: 100, // Files in the first batch - every file is checked by each analyzer; later batches adapt to the time left
+  QUERY: 'trashed = false',
+  DRIVE_BACKEND: 'auto', // 'auto' (Drive API when the advanced service is enabled), 'driveapi' or 'driveapp'
+  SHARED_DRIVES: true, // Also scan every shared drive the account can see (Drive API only)
+  // Only scan below ROOT (folder ID or path), with include/exclude rules (see compileScanScope)
+  SCOPE: { ROOT: null, INCLUDE: [], EXCLUDE: [] },
+  STATS_STORE: 'properties', // 'properties', 'chunkedProperties', 'sheet' or 'drive' (see openStatsStore)
+  STATS_CACHE: false, // Also keep stats in CacheService (sheet and drive stores)
+
+  // Analyzers to run, by profile id (change only between scans)
+  // An analyzer whose script is not in the project is skipped
+  ENABLED_PROFILES: ['image', 'document', 'code', 'markdown', 'largeFiles', 'sharedFiles']
+};
+
+const MULTI_SCAN_KEYS = {
+  token: 'multiScanContinuationToken',
+  autoMode: 'multiScanAutoMode',
+  checkpoint: 'multiScanCheckpoint',
+  lease: 'multiScanRunLease'
+};
+
+const MULTI_SCAN_HANDLERS = ['continueMultiProfileScan', 'runMultiProfileScan'];
+
+/**
+ * Main function - scans one batch, or continuously in automatic mode
+ * Exits right away while another execution is running the scan
+ */
+function runMultiProfileScan(owner) {
+  return recordMultiScanRun(() => withRunLease(MULTI_SCAN_KEYS.lease, owner || 'runMultiProfileScan', () => {
+    console.log("Starting multi-profile scan...");
+
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const isAutoMode = scriptProperties.getProperty(MULTI_SCAN_KEYS.autoMode) === 'true';
+
+    if (isAutoMode) {
+      return runMultiProfileScanContinuously();
+    }
+
+    const result = runMultiProfileScanBatch();
+
+    if (result.hasMore) {
+      console.log("More files to scan. Run runMultiProfileScan() again to continue.");
+    }
+
+    return result;
+  }, { processedCount: 0, hasMore: true, alreadyRunning: true }));
+}
+
+/**
+ * Call runner() and add a row for this execution to the Run History sheet of the first analyzer's report,
+ * where the folder cache is kept too (see recordRun)
+ */
+function recordMultiScanRun(runner) {
+  return recordRun('multiScan', () => {
+    const profiles = getMultiScanProfiles();
+    return profiles.length > 0 ? getOrCreateSpreadsheet(profiles[0].config.INVENTORY_SPREADSHEET_NAME) : null;
+  }, runner);
+}
+
+/**
+ * Run batches until the scan is complete or the time limit is reached
+ */
+function runMultiProfileScanContinuously() {
+  console.log("Running multi-profile scan in continuous mode...");
+
+  return runBatchesUntilTimeLimit(runMultiProfileScanBatch, {
+    label: 'files',
+    budget: createRuntimeBudget({ batchSize: MULTI_SCAN_CONFIG.BATCH_SIZE }),
+    onTimeLimit: scheduleNextMultiProfileScan,
+    onComplete: cancelMultiProfileScanRuns,
+    // Stop between batches once automatic mode is switched off
+    isPaused: () => PropertiesService.getScriptProperties().getProperty(MULTI_SCAN_KEYS.autoMode) !== 'true'
+  });
+}
+
+/**
+ * Scan a single batch of files with every enabled analyzer
+ * The runtime budget sizes the batch; once it is spent the batch stops after the current file and
+ * saves a checkpoint, so the next run carries on from there
+ */
+function runMultiProfileScanBatch(budget) {
+  const profiles = getMultiScanProfiles();
+
+  if (profiles.length === 0) {
+    console.log("No analyzers to run. Add their scripts to the project and check ENABLED_PROFILES.");
+    return { processedCount: 0, hasMore: false, stopReason: 'complete' };
+  }
+
+  profiles.forEach(profile => validateConfigFilters(profile.config));
+
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const continuationToken = scriptProperties.getProperty(MULTI_SCAN_KEYS.token);
+
+  const runtimeBudget = budget || createRuntimeBudget({ batchSize: MULTI_SCAN_CONFIG.BATCH_SIZE });
+
+  // A checkpoint left behind means the last batch was killed or ran out of time: it carries on from there
+  const savedCheckpoint = JSON.parse(scriptProperties.getProperty(MULTI_SCAN_KEYS.checkpoint) || 'null');
+  const checkpoint = savedCheckpoint && savedCheckpoint.token === continuationToken ? savedCheckpoint : null;
+
+  const statsStore = getMultiScanStatsStore(profiles[0]);
+  const runs = profiles.map(profile => openMultiScanRun(profile, statsStore, checkpoint));
+
+  // A resumed batch is listed at its original size, so the checkpoint file is still in it
+  const batchSize = checkpoint && checkpoint.batchSize ? checkpoint.batchSize : getBudgetBatchSize(runtimeBudget);
+
+  const batchCheckpoint = checkpoint || {
+    token: continuationToken,
+    fileId: null,
+    listRows: getMultiScanListRows(runs),
+    errorRows: getMultiScanErrorRows(runs),
+    batchSize: batchSize
+  };
+  if (!checkpoint) {
+    scriptProperties.setProperty(MULTI_SCAN_KEYS.checkpoint, JSON.stringify(batchCheckpoint));
+  }
+
+  // One folder cache for the whole scan, kept with the first analyzer's report
+  const folderCache = loadFolderCache(runs[0].spreadsheet, runs[0].stats.startTime);
+
+  // Files that failed in earlier runs go first; the checkpoint then covers their rows and stats
+  if (runs.some(run => run.stats.retryQueue.length > 0)) {
+    runs.forEach(run => processRetryQueue(run.profile, run.stats, run.listBuffer, run.errorLog, folderCache, runtimeBudget));
+    saveMultiScanCheckpoint(statsStore, runs, folderCache, batchCheckpoint);
+  }
+
+  const files = getFileBatch(continuationToken, batchSize, {
+    query: MULTI_SCAN_CONFIG.QUERY,
+    backend: MULTI_SCAN_CONFIG.DRIVE_BACKEND,
+    sharedDrives: MULTI_SCAN_CONFIG.SHARED_DRIVES,
+    scope: MULTI_SCAN_CONFIG.SCOPE
+  });
+
+  const resumeIndex = checkpoint ? getCheckpointResumeIndex(files, checkpoint) : 0;
+
+  console.log(`Scanning batch of ${files.length - resumeIndex} files with ${runs.length} analyzers...`);
+
+  let processedCount = 0;
+  let matchedCount = 0;
+  let errorCount = 0;
+  let lastFile = null;
+  for (const file of files.slice(resumeIndex)) {
+    if (lastFile && isRuntimeBudgetSpent(runtimeBudget)) {
+      break;
+    }
+
+    const dispatched = dispatchFileToProfiles(file, runs, folderCache);
+    processedCount++;
+    matchedCount += dispatched.matched > 0 ? 1 : 0;
+    errorCount += dispatched.failed > 0 ? 1 : 0;
+    lastFile = file;
+  }
+
+  // Every file is scanned; matched files were taken by at least one analyzer
+  const counts = {
+    processedCount: processedCount,
+    checkedCount: processedCount,
+    matchedCount: matchedCount,
+    errorCount: errorCount
+  };
+
+  saveFolderCache(folderCache);
+
+  // Out of time: save every analyzer's rows and stats up to the last file, the next run does the rest
+  if (lastFile && lastFile !== files[files.length - 1]) {
+    batchCheckpoint.fileId = lastFile.getId();
+    saveMultiScanCheckpoint(statsStore, runs, folderCache, batchCheckpoint);
+
+    console.log(`Out of time after ${processedCount} files, the next run finishes this batch`);
+    return Object.assign(counts, { hasMore: true, stopReason: 'time budget' });
+  }
+
+  const progress = {};
+
+  runs.forEach(run => {
+    if (run.listBuffer) {
+      flushRowBuffer(run.listBuffer);
+    }
+    flushRowBuffer(run.errorLog);
+    addFolderCacheStats(run.stats, folderCache);
+    progress[getMultiScanStatsKey(run.profile)] = run.stats;
+    renderProfileOverview(run.profile, run.spreadsheet, run.stats, false);
+  });
+
+  console.log(`Scanned ${processedCount} files. ` +
+    runs.map(run => `${run.profile.label}: ${run.stats.totalFiles}`).join(', '));
+
+  // Queued files keep the scan going for another batch, even after the last file
+  const hasMore = files.hasNext() || runs.some(run => run.stats.retryQueue.length > 0);
+
+  if (hasMore) {
+    // Every analyzer's stats and the token are saved together, then the checkpoint is no longer needed
+    saveStoredStats(statsStore, progress, { [MULTI_SCAN_KEYS.token]: files.getContinuationToken() });
+    scriptProperties.deleteProperty(MULTI_SCAN_KEYS.checkpoint);
+  } else {
+    completeMultiProfileScan(runs);
+  }
+
+  return Object.assign(counts, { hasMore: hasMore, stopReason: hasMore ? 'batch done' : 'complete' });
+}
+
+/**
+ * Write every analyzer's buffered list and error rows, then save their stats together with the batch checkpoint
+ */
+function saveMultiScanCheckpoint(statsStore, runs, folderCache, checkpoint) {
+  const checkpointStats = {};
+
+  runs.forEach(run => {
+    if (run.listBuffer) {
+      flushRowBuffer(run.listBuffer);
+    }
+    flushRowBuffer(run.errorLog);
+    checkpointStats[getMultiScanStatsKey(run.profile)] = getCheckpointStats(run.stats, folderCache);
+  });
+
+  checkpoint.listRows = getMultiScanListRows(runs);
+  checkpoint.errorRows = getMultiScanErrorRows(runs);
+  saveStoredStats(statsStore, checkpointStats, { [MULTI_SCAN_KEYS.checkpoint]: JSON.stringify(checkpoint) });
+}
+
+/**
+ * List sheet row count of every analyzer, by profile id
+ */
+function getMultiScanListRows(runs) {
+  return runs.reduce((listRows, run) => {
+    listRows[run.profile.id] = run.listBuffer ? run.listBuffer.sheet.getLastRow() : 0;
+    return listRows;
+  }, {});
+}
+
+/**
+ * Errors sheet row count of every analyzer, by profile id
+ */
+function getMultiScanErrorRows(runs) {
+  return runs.reduce((errorRows, run) => {
+    errorRows[run.profile.id] = run.errorLog.sheet.getLastRow();
+    return errorRows;
+  }, {});
+}
+
+/**
+ * Profiles of every analyzer script that is part of this project
+ */
+function getAvailableMultiScanProfiles() {
+  return [
+    typeof IMAGE_PROFILE !== 'undefined' ? IMAGE_PROFILE : null,
+    typeof DOCUMENT_PROFILE !== 'undefined' ? DOCUMENT_PROFILE : null,
+    typeof CODE_PROFILE !== 'undefined' ? CODE_PROFILE : null,
+    typeof MARKDOWN_PROFILE !== 'undefined' ? MARKDOWN_PROFILE : null,
+    typeof LARGE_FILES_PROFILE !== 'undefined' ? LARGE_FILES_PROFILE : null,
+    typeof SHARED_FILES_PROFILE !== 'undefined' ? SHARED_FILES_PROFILE : null
+  ].filter(Boolean);
+}
+
+/**
+ * Enabled profiles, in the order of ENABLED_PROFILES
+ */
+function getMultiScanProfiles() {
+  const available = getAvailableMultiScanProfiles();
+
+  return MULTI_SCAN_CONFIG.ENABLED_PROFILES
+    .map(id => {
+      const profile = available.find(candidate => candidate.id === id);
+      if (!profile) {
+        console.log(`Skipping ${id}: its script is not in this project`);
+      }
+      return profile;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Stats store key holding the stats of a profile during a multi-profile scan
+ */
+function getMultiScanStatsKey(profile) {
+  return `${profile.id}MultiScanStats`;
+}
+
+/**
+ * Store holding every analyzer's stats during the scan, kept with the first analyzer's report for the sheet store
+ */
+function getMultiScanStatsStore(profile) {
+  return openStatsStore({
+    backend: MULTI_SCAN_CONFIG.STATS_STORE,
+    cache: MULTI_SCAN_CONFIG.STATS_CACHE,
+    spreadsheetName: profile.config.INVENTORY_SPREADSHEET_NAME
+  });
+}
+
+/**
+ * Open the spreadsheet, saved stats, list buffer and error log of a profile for this batch
+ * With a checkpoint, list and error rows written after it was taken are cleared; a new scan empties the list and Errors sheets
+ */
+function openMultiScanRun(profile, statsStore, checkpoint) {
+  const spreadsheet = getOrCreateSpreadsheet(profile.config.INVENTORY_SPREADSHEET_NAME);
+  initializeProfileSheets(profile, spreadsheet);
+
+  const savedStats = loadStoredStats(statsStore, getMultiScanStatsKey(profile)) || {};
+  const stats = initializeProfileStats(profile, savedStats);
+
+  updateProfileStatus(profile, spreadsheet, 'RUNNING', stats);
+
+  // A new scan starts every analyzer with an empty list, as its own inventory would
+  if (!checkpoint && !savedStats.startTime) {
+    startNewProfileList(profile, spreadsheet);
+  }
+  const listBuffer = openProfileListBuffer(profile, spreadsheet, checkpoint ? checkpoint.listRows[profile.id] : 0);
+  const errorRows = checkpoint ? (checkpoint.errorRows || {})[profile.id] || 0 : (savedStats.startTime ? 0 : 1);
+  const errorLog = openErrorLog(spreadsheet, errorRows);
+
+  return { profile: profile, spreadsheet: spreadsheet, stats: stats, listBuffer: listBuffer, errorLog: errorLog };
+}
+
+/**
+ * Hand a file to every analyzer whose filter (and FILTER expression) accepts it
+ * Base fields are extracted once per distinct set of extract options
+ * Returns how many analyzers recorded the file and how many failed on it
+ */
+function dispatchFileToProfiles(file, runs, folderCache) {
+  const baseFileData = {};
+  const dispatched = { matched: 0, failed: 0 };
+
+  runs.forEach(run => {
+    const profile = run.profile;
+
+    try {
+      if (profile.filter && !profile.filter(file)) {
+        return;
+      }
+
+      const optionsKey = JSON.stringify(profile.extractOptions || {});
+      const fileData = withRetry(() => {
+        if (!baseFileData[optionsKey]) {
+          baseFileData[optionsKey] = extractBaseFileData(file, getProfileExtractOptions(profile, folderCache));
+        }
+        return extractProfileFileData(profile, file, baseFileData[optionsKey]);
+      }, `Reading ${profile.label}`);
+      if (!matchesFilterExpression(profile.config.FILTER, fileData)) {
+        return;
+      }
+
+      recordProfileFile(profile, fileData, run.listBuffer, run.stats);
+      dispatched.matched++;
+    } catch (error) {
+      const entry = { id: file.getId(), name: getFileNameSafely(file), attempts: 0 };
+      recordProfileFileError(profile, run.stats, run.errorLog, error, entry);
+      dispatched.failed++;
+    }
+  });
+
+  return dispatched;
+}
+
+/**
+ * Generate the final reports of every analyzer and clear the scan progress
+ */
+function completeMultiProfileScan(runs) {
+  console.log("Multi-profile scan complete! Generating reports...");
+
+  runs.forEach(run => {
+    generateProfileReports(run.profile, run.spreadsheet, run.stats);
+    if (run.profile.changesSheet) {
+      writeProfileChanges(run.profile, run.spreadsheet);
+    }
+    updateProfileStatus(run.profile, run.spreadsheet, 'COMPLETE', run.stats);
+  });
+
+  clearMultiProfileScanProgress();
+  cancelMultiProfileScanRuns();
+}
+
+/**
+ * Delete the continuation token, auto mode flag, checkpoint and per-analyzer stats of the scan
+ */
+function clearMultiProfileScanProgress() {
+  const scriptProperties = PropertiesService.getScriptProperties();
+
+  scriptProperties.deleteProperty(MULTI_SCAN_KEYS.token);
+  scriptProperties.deleteProperty(MULTI_SCAN_KEYS.autoMode);
+  scriptProperties.deleteProperty(MULTI_SCAN_KEYS.checkpoint);
+
+  const profiles = getMultiScanProfiles();
+  if (profiles.length > 0) {
+    const statsStore = getMultiScanStatsStore(profiles[0]);
+    getAvailableMultiScanProfiles().forEach(profile => {
+      removeStoredStats(statsStore, getMultiScanStatsKey(profile));
+    });
+  }
+}
+
+/**
+ * Schedule the next scan run
+ */
+function scheduleNextMultiProfileScan() {
+  cancelMultiProfileScanRuns();
+  scheduleTriggerAfter('continueMultiProfileScan', 1 * 60 * 1000, {
+    tool: 'multiScan',
+    purpose: 'Continue the multi-profile scan'
+  });
+}
+
+/**
+ * Continue the scan (called by trigger)
+ */
+function continueMultiProfileScan() {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  setRunSource('continuation trigger', 'continueMultiProfileScan');
+
+  if (scriptProperties.getProperty(MULTI_SCAN_KEYS.autoMode) !== 'true') {
+    console.log("Auto mode disabled for the multi-profile scan, stopping.");
+    cancelMultiProfileScanRuns();
+    recordMultiScanRun(() => ({ processedCount: 0, batchCount: 0, stopReason: 'paused' }));
+    return;
+  }
+
+  // While the previous execution still holds the lease, try again later rather than end the chain here
+  const result = runMultiProfileScan('continueMultiProfileScan');
+  if (result && result.alreadyRunning) {
+    console.log("The previous multi-profile scan run is still going, continuing in a minute");
+    scheduleNextMultiProfileScan();
+  }
+}
+
+/**
+ * Cancel all scheduled scan runs
+ */
+function cancelMultiProfileScanRuns() {
+  deleteTriggersFor(MULTI_SCAN_HANDLERS);
+  console.log("Cancelled all scheduled multi-profile scan runs");
+}
+
+/**
+ * Start the scan in automatic mode - runs continuously until complete
+ */
+function startAutomaticMultiProfileScan() {
+  return withRunLease(MULTI_SCAN_KEYS.lease, 'startAutomaticMultiProfileScan', () => {
+    const scriptProperties = PropertiesService.getScriptProperties();
+
+    // Reset if starting fresh
+    if (!scriptProperties.getProperty(MULTI_SCAN_KEYS.token)) {
+      resetMultiProfileScan();
+    }
+
+    scriptProperties.setProperty(MULTI_SCAN_KEYS.autoMode, 'true');
+
+    console.log("Starting automatic multi-profile scan...");
+    return runMultiProfileScan();
+  });
+}
+
+/**
+ * Stop automatic mode, keeping the scan progress
+ */
+function stopAutomaticMultiProfileScan() {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  scriptProperties.setProperty(MULTI_SCAN_KEYS.autoMode, 'false');
+
+  cancelMultiProfileScanRuns();
+
+  const profiles = getMultiScanProfiles();
+  const statsStore = profiles.length > 0 ? getMultiScanStatsStore(profiles[0]) : null;
+
+  profiles.forEach(profile => {
+    const spreadsheet = getOrCreateSpreadsheet(profile.config.INVENTORY_SPREADSHEET_NAME);
+    const stats = loadStoredStats(statsStore, getMultiScanStatsKey(profile)) || {};
+    updateProfileStatus(profile, spreadsheet, 'PAUSED', stats);
+  });
+
+  console.log("Automatic multi-profile scan stopped. Progress has been saved.");
+}
+
+/**
+ * Re-process the files in every analyzer's Errors sheet, removing the entries that succeed
+ * Fixed files are added to the stats of an unfinished scan
+ */
+function retryMultiProfileScanErrors() {
+  withRunLease(MULTI_SCAN_KEYS.lease, 'retryMultiProfileScanErrors', () => {
+    const profiles = getMultiScanProfiles();
+    const statsStore = profiles.length > 0 ? getMultiScanStatsStore(profiles[0]) : null;
+
+    profiles.forEach(profile => {
+      retryProfileErrors(profile, {
+        statsStore: statsStore,
+        statsKey: getMultiScanStatsKey(profile),
+        checkpointKey: MULTI_SCAN_KEYS.checkpoint
+      });
+    });
+  });
+}
+
+/**
+ * Reset the scan so the next run starts from the beginning
+ */
+function resetMultiProfileScan() {
+  withRunLease(MULTI_SCAN_KEYS.lease, 'resetMultiProfileScan', () => {
+    clearMultiProfileScanProgress();
+    console.log("Multi-profile scan reset. Next run will start from the beginning.");
+  });
+}
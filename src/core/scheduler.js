@@ -0,0 +1,302 @@
+/**
+ * Google Drive Inventory Tools - Scheduler
+ * Runs the inventory tools on cron-like schedules and lists every trigger of the project
+ * Requires src/utils/common-functions.js, src/core/inventory-engine.js and the scripts of the tools
+ * you want to schedule, all in the same Apps Script project
+ *
+ * Every trigger the tools create is recorded with its tool and purpose (see registerTrigger).
+ * showSchedules() lists them in a Schedules sheet, together with triggers nobody recorded, so stray
+ * triggers can be spotted before they use up the project's trigger quota. To cancel or edit a schedule,
+ * set its Action to Cancel or change its Schedule or Purpose in the sheet, then run applyScheduleChanges().
+ */
+
+// Configuration for scheduled runs
+const SCHEDULER_CONFIG = {
+  SPREADSHEET_NAME: "⏰ Drive Inventory Schedules",
+
+  SHEETS: {
+    SCHEDULES: "Schedules"
+  },
+
+  // Created by applyConfiguredSchedules(). tool is one of the ids listed by getSchedulerTools,
+  // schedule a cron expression (see parseCronSchedule in common-functions.js)
+  SCHEDULES: [
+    { tool: 'sharedFiles', schedule: '0 8 * * MON', purpose: 'Weekly security audit' },
+    { tool: 'largeFiles', schedule: '0 6 1 * *', purpose: 'Monthly large files report' }
+  ]
+};
+
+// Every schedule calls this handler, which looks up the tool the firing trigger was registered for
+const SCHEDULER_HANDLER = 'runScheduledTool';
+
+const SCHEDULE_HEADERS = ['Trigger ID', 'Tool', 'Purpose', 'Handler', 'Schedule', 'Runs', 'Created', 'Action'];
+const SCHEDULE_ACTIONS = ['Keep', 'Cancel'];
+
+/**
+ * Tools that can be scheduled, for the scripts that are part of this project
+ * Profiles run in automatic mode, so a schedule starts a fresh inventory once the previous one is complete
+ */
+function getSchedulerTools() {
+  const profiles = [
+    typeof INVENTORY_PROFILE !== 'undefined' ? INVENTORY_PROFILE : null,
+    typeof IMAGE_PROFILE !== 'undefined' ? IMAGE_PROFILE : null,
+    typeof DOCUMENT_PROFILE !== 'undefined' ? DOCUMENT_PROFILE : null,
+    typeof LARGE_FILES_PROFILE !== 'undefined' ? LARGE_FILES_PROFILE : null,
+    typeof SHARED_FILES_PROFILE !== 'undefined' ? SHARED_FILES_PROFILE : null
+  ].filter(profile => profile && profile.continueHandler); // Automatic mode needs a continuation handler
+
+  const tools = profiles.map(profile => ({
+    id: profile.id,
+    label: `${profile.label} inventory`,
+    run: () => startAutomaticProfileInventory(profile)
+  }));
+
+  if (typeof startAutomaticMultiProfileScan !== 'undefined') {
+    tools.push({ id: 'multiScan', label: 'multi-profile scan', run: () => startAutomaticMultiProfileScan() });
+  }
+  if (typeof inventoryDriveLarge !== 'undefined') {
+    tools.push({ id: 'optimized', label: 'optimized inventory', run: () => inventoryDriveLarge() });
+  }
+
+  return tools;
+}
+
+/**
+ * Schedule a tool - run this to add a schedule, e.g. scheduleTool('sharedFiles', '0 8 * * MON', 'Weekly security audit')
+ * Returns the trigger id
+ */
+function scheduleTool(toolId, schedule, purpose) {
+  const tool = getSchedulerTools().find(candidate => candidate.id === toolId);
+
+  if (!tool) {
+    const available = getSchedulerTools().map(candidate => candidate.id).join(', ');
+    throw new Error(`Unknown tool "${toolId}" (or its script is not in this project). Available: ${available}`);
+  }
+
+  const trigger = createScheduledTrigger(SCHEDULER_HANDLER, schedule, {
+    tool: tool.id,
+    purpose: purpose || `Scheduled ${tool.label}`
+  });
+
+  return trigger.getUniqueId();
+}
+
+/**
+ * Create the schedules of SCHEDULER_CONFIG.SCHEDULES that do not exist yet
+ */
+function applyConfiguredSchedules() {
+  const registry = loadTriggerRegistry();
+  let created = 0;
+
+  SCHEDULER_CONFIG.SCHEDULES.forEach(config => {
+    const expression = parseCronSchedule(config.schedule).expression;
+    const exists = Object.values(registry).some(entry =>
+      entry.handler === SCHEDULER_HANDLER && entry.tool === config.tool && entry.schedule === expression
+    );
+
+    if (!exists) {
+      scheduleTool(config.tool, config.schedule, config.purpose);
+      created++;
+    }
+  });
+
+  console.log(`Created ${created} of ${SCHEDULER_CONFIG.SCHEDULES.length} configured schedules`);
+  return showSchedules();
+}
+
+/**
+ * Handler of every schedule trigger (called with the trigger event)
+ */
+function runScheduledTool(event) {
+  const entry = event ? loadTriggerRegistry()[event.triggerUid] : null;
+  const tool = entry ? getSchedulerTools().find(candidate => candidate.id === entry.tool) : null;
+
+  if (!tool) {
+    console.log(`No scheduled tool found for trigger ${event ? event.triggerUid : 'unknown'}, skipping`);
+    return null;
+  }
+
+  console.log(`Scheduled run of the ${tool.label}: ${entry.purpose}`);
+  setRunSource('schedule', entry.purpose || SCHEDULER_HANDLER);
+  return tool.run();
+}
+
+/**
+ * Cancel every schedule of a tool
+ */
+function cancelToolSchedules(toolId) {
+  const deleted = deleteTriggersWhere((trigger, entry) =>
+    trigger.getHandlerFunction() === SCHEDULER_HANDLER && !!entry && entry.tool === toolId
+  );
+
+  console.log(`Cancelled ${deleted} schedule(s) of ${toolId}`);
+  return deleted;
+}
+
+/**
+ * Delete every trigger of the project - scheduled tools, pending continuations and unrecorded triggers alike
+ */
+function cancelAllSchedules() {
+  const deleted = deleteTriggersWhere(() => true);
+  saveTriggerRegistry({});
+
+  console.log(`Deleted all ${deleted} project trigger(s)`);
+  return deleted;
+}
+
+/**
+ * Every project trigger with its registry entry; registry entries of deleted triggers are dropped
+ */
+function getSchedules() {
+  const registry = loadTriggerRegistry();
+  const triggers = ScriptApp.getProjectTriggers();
+  const ids = triggers.map(trigger => trigger.getUniqueId());
+
+  const stale = Object.keys(registry).filter(id => ids.indexOf(id) === -1);
+  if (stale.length > 0) {
+    stale.forEach(id => delete registry[id]);
+    saveTriggerRegistry(registry);
+  }
+
+  return triggers.map(trigger => {
+    const entry = registry[trigger.getUniqueId()];
+
+    return {
+      id: trigger.getUniqueId(),
+      handler: trigger.getHandlerFunction(),
+      registered: !!entry,
+      tool: entry ? entry.tool : '',
+      purpose: entry ? entry.purpose : '',
+      schedule: entry ? entry.schedule : '',
+      runs: describeScheduleRuns(entry),
+      created: entry ? entry.created : ''
+    };
+  });
+}
+
+/**
+ * When a registered trigger runs, in words
+ */
+function describeScheduleRuns(entry) {
+  if (!entry) {
+    return 'Unknown (not created by these tools)';
+  }
+  if (entry.schedule) {
+    return parseCronSchedule(entry.schedule).description;
+  }
+  return entry.runsAt ? `Once, at ${entry.runsAt}` : 'Once';
+}
+
+/**
+ * Write every project trigger to the Schedules sheet
+ */
+function showSchedules() {
+  const schedules = getSchedules();
+  const spreadsheet = getOrCreateSpreadsheet(SCHEDULER_CONFIG.SPREADSHEET_NAME);
+  const sheet = getSchedulesSheet(spreadsheet);
+
+  sheet.clear();
+  sheet.getRange(1, 1, 1, SCHEDULE_HEADERS.length).setValues([SCHEDULE_HEADERS]);
+  sheet.getRange(1, 1, 1, SCHEDULE_HEADERS.length).setFontWeight('bold');
+  sheet.getRange(1, 5).setNote('Edit the cron schedule of a recurring trigger, then run applyScheduleChanges()');
+  sheet.getRange(1, 8).setNote('Set to Cancel to delete the trigger, then run applyScheduleChanges()');
+  sheet.setFrozenRows(1);
+
+  if (schedules.length > 0) {
+    const rows = schedules.map(schedule => [
+      schedule.id,
+      schedule.tool,
+      schedule.purpose,
+      schedule.handler,
+      schedule.schedule,
+      schedule.runs,
+      schedule.created,
+      SCHEDULE_ACTIONS[0]
+    ]);
+
+    // Trigger IDs are digits; keep them as text so they read back equal to getUniqueId()
+    sheet.getRange(2, 1, rows.length, 1).setNumberFormat('@');
+    sheet.getRange(2, 1, rows.length, SCHEDULE_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 8, rows.length, 1).setDataValidation(
+      SpreadsheetApp.newDataValidation().requireValueInList(SCHEDULE_ACTIONS).build()
+    );
+  }
+
+  console.log(`${schedules.length} trigger(s), ${schedules.filter(schedule => !schedule.registered).length} not recorded`);
+  console.log(`Schedules: ${spreadsheet.getUrl()}`);
+  return schedules;
+}
+
+/**
+ * Apply the cancellations and edits made in the Schedules sheet, then list the triggers again
+ */
+function applyScheduleChanges() {
+  const spreadsheet = getOrCreateSpreadsheet(SCHEDULER_CONFIG.SPREADSHEET_NAME);
+  const rows = getSchedulesSheet(spreadsheet).getDataRange().getValues().slice(1);
+  const ids = ScriptApp.getProjectTriggers().map(trigger => String(trigger.getUniqueId()));
+  let cancelled = 0;
+  let changed = 0;
+
+  rows.forEach(row => {
+    const [cellId, , purpose, , schedule, , , action] = row;
+    // Sheets may still hand back IDs written before they were stored as text as numbers
+    const id = String(cellId).trim();
+    if (ids.indexOf(id) === -1) {
+      return;
+    }
+
+    if (String(action).trim().toLowerCase() === 'cancel') {
+      cancelled += deleteTriggersWhere(trigger => String(trigger.getUniqueId()) === id);
+      return;
+    }
+
+    try {
+      if (applyScheduleEdit(id, String(purpose).trim(), String(schedule).trim())) {
+        changed++;
+      }
+    } catch (error) {
+      console.error(`Could not change trigger ${id}: ${error.message}`);
+    }
+  });
+
+  console.log(`Schedule changes applied: ${cancelled} cancelled, ${changed} changed`);
+  return showSchedules();
+}
+
+/**
+ * Update the purpose of a registered trigger, and recreate it when its schedule changed
+ * Returns true if anything changed
+ */
+function applyScheduleEdit(id, purpose, schedule) {
+  const registry = loadTriggerRegistry();
+  const entry = registry[id];
+  if (!entry) {
+    return false;
+  }
+
+  const purposeChanged = purpose !== entry.purpose;
+  if (purposeChanged) {
+    entry.purpose = purpose;
+    saveTriggerRegistry(registry);
+  }
+
+  // Only recurring triggers have a schedule to edit; an unsupported one throws before the old trigger is deleted
+  if (!entry.schedule || !schedule || parseCronSchedule(schedule).expression === entry.schedule) {
+    return purposeChanged;
+  }
+
+  deleteTriggersWhere(trigger => String(trigger.getUniqueId()) === id);
+  createScheduledTrigger(entry.handler, schedule, { tool: entry.tool, purpose: entry.purpose });
+  return true;
+}
+
+/**
+ * Schedules sheet of the spreadsheet, created the first time
+ */
+function getSchedulesSheet(spreadsheet) {
+  initializeReportSheets(spreadsheet, [SCHEDULER_CONFIG.SHEETS.SCHEDULES], {
+    [SCHEDULER_CONFIG.SHEETS.SCHEDULES]: SCHEDULE_HEADERS
+  });
+
+  return spreadsheet.getSheetByName(SCHEDULER_CONFIG.SHEETS.SCHEDULES);
+}
@@ -2,12 +2,16 @@
  * Google Drive Code Files Inventory Script
  * Specialized script for analyzing programming and code files in Google Drive
  * Perfect for developers tracking code repositories, scripts, and project files
+ * Requires src/utils/common-functions.js and src/core/inventory-engine.js in the same Apps Script project
  */
 
 // Configuration for code files analysis
-const CONFIG = {
+const CODE_CONFIG = {
   BATCH_SIZE: 100,
   INVENTORY_SPREADSHEET_NAME: "💻 Code Files Inventory Report",
+  SHARED_DRIVES: true, // Also scan every shared drive the account can see (Drive API only)
+  SCOPE: { ROOT: null, INCLUDE: [], EXCLUDE: [] }, // Folder to scan and include/exclude rules, see compileScanScope
+  FILTER: '', // Only inventory files matching this expression, e.g. "path = Projects", see compileFilterExpression
   
   SHEETS: {
     OVERVIEW: "Overview",
@@ -26,36 +30,30 @@ const CONFIG = {
   INCLUDE_TRASHED: false,
   TRACK_PERMISSIONS: true,
   
-  // Programming languages and extensions
-  PROGRAMMING_LANGUAGES: {
+  // Code extensions; language labels come from classifyFile (src/utils/common-functions.js)
+  CODE_EXTENSIONS: [
     // Web Development
-    'js': 'JavaScript', 'jsx': 'React/JSX', 'ts': 'TypeScript', 'tsx': 'TypeScript React',
-    'html': 'HTML', 'htm': 'HTML', 'css': 'CSS', 'scss': 'SASS/SCSS', 'sass': 'SASS/SCSS',
-    'less': 'LESS', 'vue': 'Vue.js', 'svelte': 'Svelte',
+    'js', 'jsx', 'ts', 'tsx', 'html', 'htm', 'css', 'scss', 'sass', 'less', 'vue', 'svelte',
     
     // Backend Languages
-    'py': 'Python', 'java': 'Java', 'c': 'C', 'cpp': 'C++', 'cc': 'C++', 'cxx': 'C++',
-    'cs': 'C#', 'php': 'PHP', 'rb': 'Ruby', 'go': 'Go', 'rs': 'Rust',
-    'kt': 'Kotlin', 'scala': 'Scala', 'clj': 'Clojure', 'hs': 'Haskell',
-    'swift': 'Swift', 'dart': 'Dart', 'lua': 'Lua', 'r': 'R',
+    'py', 'java', 'c', 'cpp', 'cc', 'cxx', 'cs', 'php', 'rb', 'go', 'rs',
+    'kt', 'scala', 'clj', 'hs', 'swift', 'dart', 'lua', 'r',
     
     // Mobile Development
-    'm': 'Objective-C', 'mm': 'Objective-C++',
+    'm', 'mm',
     
     // Data & Config
-    'sql': 'SQL', 'json': 'JSON', 'xml': 'XML', 'yaml': 'YAML', 'yml': 'YAML',
-    'toml': 'TOML', 'ini': 'INI', 'cfg': 'Config', 'conf': 'Config',
+    'sql', 'json', 'xml', 'yaml', 'yml', 'toml', 'ini', 'cfg', 'conf',
     
     // Scripting
-    'sh': 'Shell Script', 'bash': 'Bash Script', 'ps1': 'PowerShell', 
-    'bat': 'Batch File', 'cmd': 'Command File',
+    'sh', 'bash', 'ps1', 'bat', 'cmd',
     
     // Markup & Documentation
-    'md': 'Markdown', 'rst': 'reStructuredText', 'tex': 'LaTeX',
+    'md', 'rst', 'tex',
     
     // Other
-    'dockerfile': 'Docker', 'makefile': 'Makefile', 'cmake': 'CMake'
-  },
+    'dockerfile', 'makefile', 'cmake'
+  ],
   
   // Configuration file patterns
   CONFIG_FILES: [
@@ -75,118 +73,147 @@ const CONFIG = {
   SCRIPT_PATTERNS: ['script', 'bin', 'tool', 'util', 'helper', 'run', 'build', 'deploy']
 };
 
+// Profile run by the inventory engine (src/core/inventory-engine.js)
+const CODE_PROFILE = {
+  id: 'code',
+  label: 'code files',
+  config: CODE_CONFIG,
+  entryHandler: 'inventoryCodeFiles',
+  
+  // Code extensions and config/script names are pushed into the search, checked again by isCodeFile
+  query: 'trashed = false',
+  searchFilter: {
+    extensions: CODE_CONFIG.CODE_EXTENSIONS,
+    nameContains: CODE_CONFIG.CONFIG_FILES.concat(CODE_CONFIG.SCRIPT_PATTERNS, ['config'])
+  },
+  filter: isCodeFile,
+  maxCheckFactor: 15, // Check more files to find code files
+  extractOptions: {
+    trackPermissions: CODE_CONFIG.TRACK_PERMISSIONS,
+    sharingUsers: 0
+  },
+  extract: addCodeFileFields,
+  
+  stats: {
+    byLanguage: { count: data => data.language },
+    byCategory: { count: data => data.category },
+    byProject: { count: data => data.project },
+    byOwner: { count: data => data.owner },
+    byYear: { count: data => new Date(data.lastModified).getFullYear() },
+    largeFiles: {
+      when: data => data.size > CODE_CONFIG.LARGE_FILE_THRESHOLD_MB * 1024 * 1024,
+      top: 50,
+      sortBy: file => file.size,
+      item: data => ({
+        name: data.name,
+        size: data.size,
+        language: data.language,
+        category: data.category,
+        drive: data.drive,
+        path: data.folderPath,
+        url: data.url,
+        lastModified: data.lastModified
+      })
+    },
+    oldFiles: {
+      when: data => getAgeInDays(data.lastModified) > CODE_CONFIG.OLD_FILE_THRESHOLD_DAYS,
+      collect: 50,
+      item: data => ({
+        name: data.name,
+        language: data.language,
+        lastModified: data.lastModified,
+        ageInDays: Math.floor(getAgeInDays(data.lastModified)),
+        drive: data.drive,
+        path: data.folderPath,
+        url: data.url
+      })
+    },
+    repositories: {
+      when: data => data.project && data.isInRepository,
+      initial: () => ({}),
+      reduce: addToRepositoryStats
+    }
+  },
+  
+  listSheet: {
+    name: CODE_CONFIG.SHEETS.CODE_FILES,
+    columns: [
+      ['Name', data => data.name],
+      ['Language', data => data.language],
+      ['Category', data => data.category],
+      ['Extension', data => data.extension],
+      ['Size (KB)', data => (data.size / 1024).toFixed(2)], // KB for code files
+      ['Project', data => data.project],
+      ['Last Modified', data => data.lastModified],
+      ['Owner', data => data.owner],
+      ['Drive', data => data.drive],
+      ['Folder Path', data => formatFolderPaths(data)],
+      ['Folder ID', data => formatFolderIds(data)],
+      ['Sharing', data => data.sharingAccess],
+      ['URL', data => data.url]
+    ]
+  },
+  
+  headers: {
+    [CODE_CONFIG.SHEETS.REPOSITORIES]: [
+      'Repository/Project', 'File Count', 'Languages', 'Last Activity', 'Has Config'
+    ]
+  },
+  
+  overview: {
+    title: 'Code Files Inventory',
+    summaryTitle: 'CODE SUMMARY STATISTICS',
+    summary: stats => [
+      ['Total Code Files:', stats.totalFiles],
+      ['Total Size:', formatBytes(stats.totalSize)],
+      ['Programming Languages:', Object.keys(stats.byLanguage).length],
+      ['Projects/Repositories:', Object.keys(stats.byProject).length],
+      ['Large Files (>' + CODE_CONFIG.LARGE_FILE_THRESHOLD_MB + 'MB):', stats.largeFiles.length],
+      ['Old Files (>' + CODE_CONFIG.OLD_FILE_THRESHOLD_DAYS + ' days):', stats.oldFiles.length],
+      ['Active Repositories:', Object.keys(stats.repositories).length],
+      ['Processing Errors:', stats.errors]
+    ],
+    sections: [
+      {
+        title: 'TOP PROGRAMMING LANGUAGES',
+        entries: stats => Object.entries(stats.byLanguage)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+      },
+      {
+        title: 'FILE CATEGORIES',
+        entries: stats => Object.entries(stats.byCategory)
+          .sort((a, b) => b[1] - a[1])
+      }
+    ]
+  },
+  
+  reports: [
+    generateLanguageAnalysisReport,
+    generateRepositoryAnalysisReport,
+    generateLargeCodeFilesReport
+  ]
+};
+
 /**
  * Main function to inventory code files
  */
 function inventoryCodeFiles() {
-  console.log("Starting code files inventory...");
-  
-  try {
-    const result = runCodeInventoryBatch();
-    console.log(`Processed ${result.processedCount} code files`);
-    
-    if (result.hasMore) {
-      console.log("More code files to process. Run inventoryCodeFiles() again to continue.");
-    } else {
-      console.log("Code files inventory complete!");
-    }
-  } catch (error) {
-    console.error(`Error in code inventory: ${error}`);
-    console.error(`Error details: ${error.stack}`);
-  }
+  return runProfileInventory(CODE_PROFILE);
 }
 
 /**
  * Process a batch of code files
  */
 function runCodeInventoryBatch() {
-  const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
-  initializeCodeSheets(spreadsheet);
-  
-  const scriptProperties = PropertiesService.getScriptProperties();
-  let continuationToken = scriptProperties.getProperty('codeContinuationToken');
-  
-  let stats = JSON.parse(scriptProperties.getProperty('codeInventoryStats') || '{}');
-  stats = initializeCodeStats(stats);
-  
-  const files = getCodeFilesToProcess(continuationToken, CONFIG.BATCH_SIZE);
-  
-  if (files.length === 0) {
-    console.log("No more code files found!");
-    generateCodeFinalReports(spreadsheet, stats);
-    
-    // Clean up
-    scriptProperties.deleteProperty('codeContinuationToken');
-    scriptProperties.deleteProperty('codeInventoryStats');
-    
-    return { processedCount: 0, hasMore: false };
-  }
-  
-  console.log(`Processing ${files.length} code files...`);
-  
-  let processedCount = 0;
-  for (const file of files) {
-    try {
-      if (isCodeFile(file)) {
-        processCodeFile(file, spreadsheet, stats);
-        processedCount++;
-      }
-    } catch (error) {
-      console.error(`Error processing file ${file.getName()}: ${error}`);
-      stats.errors = (stats.errors || 0) + 1;
-    }
-  }
-  
-  // Save progress
-  scriptProperties.setProperty('codeInventoryStats', JSON.stringify(stats));
-  updateCodeOverviewSheet(spreadsheet, stats);
-  
-  const hasMore = files.hasNext && files.hasNext();
-  if (hasMore) {
-    const nextToken = files.getContinuationToken();
-    scriptProperties.setProperty('codeContinuationToken', nextToken);
-  } else {
-    generateCodeFinalReports(spreadsheet, stats);
-    scriptProperties.deleteProperty('codeContinuationToken');
-    scriptProperties.deleteProperty('codeInventoryStats');
-  }
-  
-  return { processedCount: processedCount, hasMore: hasMore };
+  return runProfileBatch(CODE_PROFILE);
 }
 
 /**
- * Get code files to process
+ * Re-process the code files listed in the Errors sheet, removing the entries that succeed
  */
-function getCodeFilesToProcess(continuationToken, batchSize) {
-  let files;
-  
-  if (continuationToken) {
-    files = DriveApp.continueFileIterator(continuationToken);
-  } else {
-    files = DriveApp.searchFiles('trashed = false');
-  }
-  
-  const filesToProcess = [];
-  let count = 0;
-  let checkedCount = 0;
-  const maxCheck = batchSize * 15; // Check more files to find code files
-  
-  while (files.hasNext() && count < batchSize && checkedCount < maxCheck) {
-    const file = files.next();
-    checkedCount++;
-    
-    if (isCodeFile(file)) {
-      filesToProcess.push(file);
-      count++;
-    }
-  }
-  
-  console.log(`Found ${count} code files after checking ${checkedCount} files`);
-  
-  filesToProcess.hasNext = () => files.hasNext();
-  filesToProcess.getContinuationToken = () => files.getContinuationToken();
-  
-  return filesToProcess;
+function retryFailedCodeFiles() {
+  return retryProfileErrors(CODE_PROFILE);
 }
 
 /**
@@ -199,18 +226,18 @@ function isCodeFile(file) {
     const mimeType = file.getMimeType();
     
     // Check by extension first
-    if (CONFIG.PROGRAMMING_LANGUAGES[extension]) {
+    if (CODE_CONFIG.CODE_EXTENSIONS.includes(extension)) {
       return true;
     }
     
     // Check for specific config files
-    if (CONFIG.CONFIG_FILES.includes(fileName)) {
+    if (CODE_CONFIG.CONFIG_FILES.includes(fileName)) {
       return true;
     }
     
     // Check for files without extensions but with code-like names
     if (!fileName.includes('.') && (
-      CONFIG.SCRIPT_PATTERNS.some(pattern => fileName.includes(pattern)) ||
+      CODE_CONFIG.SCRIPT_PATTERNS.some(pattern => fileName.includes(pattern)) ||
       fileName === 'makefile' || fileName === 'dockerfile'
     )) {
       return true;
@@ -218,7 +245,7 @@ function isCodeFile(file) {
     
     // Check MIME type for text files that might be code
     if (mimeType === 'text/plain' && (
-      CONFIG.PROGRAMMING_LANGUAGES[extension] ||
+      CODE_CONFIG.CODE_EXTENSIONS.includes(extension) ||
       fileName.includes('script') ||
       fileName.includes('config')
     )) {
@@ -233,170 +260,26 @@ function isCodeFile(file) {
 }
 
 /**
- * Process a single code file
+ * Add code-specific fields to the base file data
  */
-function processCodeFile(file, spreadsheet, stats) {
-  try {
-    const fileData = extractCodeFileData(file);
-    
-    stats.totalFiles++;
-    stats.totalSize += fileData.size;
-    
-    // Track by programming language
-    const language = fileData.language;
-    stats.byLanguage[language] = (stats.byLanguage[language] || 0) + 1;
-    
-    // Track by file category
-    const category = fileData.category;
-    stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
-    
-    // Track by project/repository
-    if (fileData.project) {
-      stats.byProject[fileData.project] = (stats.byProject[fileData.project] || 0) + 1;
-      
-      // Track repository info
-      if (fileData.isInRepository) {
-        if (!stats.repositories[fileData.project]) {
-          stats.repositories[fileData.project] = {
-            fileCount: 0,
-            languages: new Set(),
-            hasConfig: false,
-            lastActivity: fileData.lastModified
-          };
-        }
-        stats.repositories[fileData.project].fileCount++;
-        stats.repositories[fileData.project].languages.add(language);
-        if (fileData.category === 'Configuration') {
-          stats.repositories[fileData.project].hasConfig = true;
-        }
-        if (fileData.lastModified > stats.repositories[fileData.project].lastActivity) {
-          stats.repositories[fileData.project].lastActivity = fileData.lastModified;
-        }
-      }
-    }
-    
-    // Track by owner
-    stats.byOwner[fileData.owner] = (stats.byOwner[fileData.owner] || 0) + 1;
-    
-    // Track by year
-    const year = new Date(fileData.lastModified).getFullYear();
-    stats.byYear[year] = (stats.byYear[year] || 0) + 1;
-    
-    // Check for large files
-    if (fileData.size > CONFIG.LARGE_FILE_THRESHOLD_MB * 1024 * 1024) {
-      stats.largeFiles.push({
-        name: fileData.name,
-        size: fileData.size,
-        language: language,
-        category: category,
-        path: fileData.folderPath,
-        url: fileData.url,
-        lastModified: fileData.lastModified
-      });
-      
-      stats.largeFiles.sort((a, b) => b.size - a.size);
-      stats.largeFiles = stats.largeFiles.slice(0, 50);
-    }
-    
-    // Check for old files
-    const ageInDays = (new Date() - new Date(fileData.lastModified)) / (1000 * 60 * 60 * 24);
-    if (ageInDays > CONFIG.OLD_FILE_THRESHOLD_DAYS) {
-      if (stats.oldFiles.length < 50) {
-        stats.oldFiles.push({
-          name: fileData.name,
-          language: language,
-          lastModified: fileData.lastModified,
-          ageInDays: Math.floor(ageInDays),
-          path: fileData.folderPath,
-          url: fileData.url
-        });
-      }
-    }
-    
-    // Add to main list
-    addToCodeListSheet(spreadsheet, fileData);
-    
-  } catch (error) {
-    console.error(`Error processing code file: ${error}`);
-    throw error;
-  }
-}
-
-/**
- * Extract code-specific file data
- */
-function extractCodeFileData(file) {
-  const fileName = file.getName();
-  const data = {
-    id: file.getId(),
-    name: fileName,
-    mimeType: file.getMimeType(),
-    extension: fileName.split('.').pop().toLowerCase(),
-    language: getLanguage(fileName),
-    category: getFileCategory(fileName),
-    size: file.getSize(),
-    created: file.getDateCreated().toISOString(),
-    lastModified: file.getLastUpdated().toISOString(),
-    owner: file.getOwner() ? file.getOwner().getEmail() : 'Unknown',
-    url: file.getUrl(),
-    description: file.getDescription() || '',
-    folderPath: 'Root',
-    project: 'Uncategorized',
-    isInRepository: false,
-    sharingAccess: 'Private'
-  };
-  
-  // Get folder path and project info
-  try {
-    const parents = file.getParents();
-    const pathParts = [];
-    
-    if (parents.hasNext()) {
-      const parent = parents.next();
-      pathParts.push(parent.getName());
-      
-      let currentParent = parent;
-      let depth = 0;
-      while (depth < 4) { // Check deeper for code projects
-        const grandParents = currentParent.getParents();
-        if (grandParents.hasNext()) {
-          currentParent = grandParents.next();
-          pathParts.unshift(currentParent.getName());
-          depth++;
-        } else {
-          break;
-        }
-      }
-    }
-    
-    data.folderPath = pathParts.length > 0 ? pathParts.join('/') : 'Root';
-    data.project = extractProjectName(data.folderPath);
-    data.isInRepository = checkIfInRepository(data.folderPath, fileName);
-  } catch (error) {
-    data.folderPath = 'Unknown';
-  }
-  
-  // Get sharing info
-  try {
-    const access = file.getSharingAccess();
-    data.sharingAccess = access.toString();
-  } catch (error) {
-    // Some files may not have accessible permissions
-  }
-  
-  return data;
+function addCodeFileFields(data) {
+  data.extension = data.name.split('.').pop().toLowerCase();
+  data.language = getLanguage(data.name, data.mimeType);
+  data.category = getFileCategory(data.name);
+  data.project = extractCodeProjectName(data.folderPath);
+  data.isInRepository = checkIfInRepository(data.folderPath, data.name);
 }
 
 /**
- * Get programming language from filename
+ * Get programming language from filename and MIME type, with the same labels as every other report
  */
-function getLanguage(fileName) {
+function getLanguage(fileName, mimeType) {
   const lowerName = fileName.toLowerCase();
   const extension = lowerName.split('.').pop();
   
   // Check extension first
-  if (CONFIG.PROGRAMMING_LANGUAGES[extension]) {
-    return CONFIG.PROGRAMMING_LANGUAGES[extension];
+  if (lowerName.includes('.') && CODE_CONFIG.CODE_EXTENSIONS.includes(extension)) {
+    return classifyFile(fileName, mimeType).type;
   }
   
   // Check for special cases
@@ -408,7 +291,7 @@ function getLanguage(fileName) {
     return 'Docker';
   }
   
-  if (CONFIG.CONFIG_FILES.includes(lowerName)) {
+  if (CODE_CONFIG.CONFIG_FILES.includes(lowerName)) {
     return 'Configuration';
   }
   
@@ -422,7 +305,7 @@ function getFileCategory(fileName) {
   const lowerName = fileName.toLowerCase();
   
   // Configuration files
-  if (CONFIG.CONFIG_FILES.includes(lowerName) ||
+  if (CODE_CONFIG.CONFIG_FILES.includes(lowerName) ||
       lowerName.includes('config') ||
       lowerName.includes('.env') ||
       lowerName.startsWith('.')) {
@@ -430,7 +313,7 @@ function getFileCategory(fileName) {
   }
   
   // Scripts
-  if (CONFIG.SCRIPT_PATTERNS.some(pattern => lowerName.includes(pattern)) ||
+  if (CODE_CONFIG.SCRIPT_PATTERNS.some(pattern => lowerName.includes(pattern)) ||
       ['sh', 'bash', 'ps1', 'bat', 'cmd'].includes(lowerName.split('.').pop())) {
     return 'Script';
   }
@@ -457,7 +340,7 @@ function getFileCategory(fileName) {
 /**
  * Extract project name from folder path
  */
-function extractProjectName(folderPath) {
+function extractCodeProjectName(folderPath) {
   if (!folderPath || folderPath === 'Root' || folderPath === 'Unknown') {
     return 'Uncategorized';
   }
@@ -477,8 +360,8 @@ function extractProjectName(folderPath) {
     }
   }
   
-  // Return the first folder (likely the main project folder)
-  return parts[0] || 'Uncategorized';
+  // Return the first folder below the drive root (likely the main project folder)
+  return parts[1] || parts[0] || 'Uncategorized';
 }
 
 /**
@@ -489,159 +372,44 @@ function checkIfInRepository(folderPath, fileName) {
   const name = fileName.toLowerCase();
   
   // Look for repository indicators in path
-  return CONFIG.REPO_INDICATORS.some(indicator => 
+  return CODE_CONFIG.REPO_INDICATORS.some(indicator => 
     path.includes(indicator) || name === indicator
   ) || path.includes('src') || path.includes('lib') || path.includes('app');
 }
 
 /**
- * Initialize code statistics
+ * Track repository info (languages are kept as an array so stats survive JSON)
  */
-function initializeCodeStats(stats) {
-  return {
-    totalFiles: stats.totalFiles || 0,
-    totalSize: stats.totalSize || 0,
-    byLanguage: stats.byLanguage || {},
-    byCategory: stats.byCategory || {},
-    byProject: stats.byProject || {},
-    byOwner: stats.byOwner || {},
-    byYear: stats.byYear || {},
-    largeFiles: stats.largeFiles || [],
-    oldFiles: stats.oldFiles || [],
-    repositories: stats.repositories || {},
-    errors: stats.errors || 0,
-    startTime: stats.startTime || new Date().toISOString()
-  };
-}
-
-/**
- * Initialize code-specific sheets
- */
-function initializeCodeSheets(spreadsheet) {
-  for (const sheetName of Object.values(CONFIG.SHEETS)) {
-    let sheet = spreadsheet.getSheetByName(sheetName);
-    
-    if (!sheet) {
-      sheet = spreadsheet.insertSheet(sheetName);
-      
-      switch (sheetName) {
-        case CONFIG.SHEETS.CODE_FILES:
-          sheet.getRange(1, 1, 1, 11).setValues([[
-            'Name', 'Language', 'Category', 'Extension', 'Size (KB)', 'Project',
-            'Last Modified', 'Owner', 'Folder Path', 'Sharing', 'URL'
-          ]]);
-          sheet.getRange(1, 1, 1, 11).setFontWeight('bold');
-          break;
-          
-        case CONFIG.SHEETS.REPOSITORIES:
-          sheet.getRange(1, 1, 1, 5).setValues([[
-            'Repository/Project', 'File Count', 'Languages', 'Last Activity', 'Has Config'
-          ]]);
-          sheet.getRange(1, 1, 1, 5).setFontWeight('bold');
-          break;
-      }
-    }
+function addToRepositoryStats(repositories, fileData) {
+  if (!repositories[fileData.project]) {
+    repositories[fileData.project] = {
+      fileCount: 0,
+      languages: [],
+      hasConfig: false,
+      lastActivity: fileData.lastModified
+    };
   }
   
-  // Remove default sheet
-  const sheet1 = spreadsheet.getSheetByName('Sheet1');
-  if (sheet1 && spreadsheet.getSheets().length > 1) {
-    spreadsheet.deleteSheet(sheet1);
+  const repository = repositories[fileData.project];
+  repository.fileCount++;
+  if (!repository.languages.includes(fileData.language)) {
+    repository.languages.push(fileData.language);
   }
-}
-
-/**
- * Add code file to main list sheet
- */
-function addToCodeListSheet(spreadsheet, fileData) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.CODE_FILES);
-  
-  sheet.appendRow([
-    fileData.name,
-    fileData.language,
-    fileData.category,
-    fileData.extension,
-    (fileData.size / 1024).toFixed(2), // KB for code files
-    fileData.project,
-    fileData.lastModified,
-    fileData.owner,
-    fileData.folderPath,
-    fileData.sharingAccess,
-    fileData.url
-  ]);
-}
-
-/**
- * Update code overview sheet
- */
-function updateCodeOverviewSheet(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.OVERVIEW);
-  sheet.clear();
-  
-  sheet.getRange(1, 1).setValue('Code Files Inventory')
-    .setFontSize(16).setFontWeight('bold');
-  
-  sheet.getRange(2, 1).setValue(`Generated: ${new Date().toLocaleString()}`)
-    .setFontSize(10);
-  
-  // Summary statistics
-  const summaryData = [
-    ['Total Code Files:', stats.totalFiles],
-    ['Total Size:', formatBytes(stats.totalSize)],
-    ['Programming Languages:', Object.keys(stats.byLanguage).length],
-    ['Projects/Repositories:', Object.keys(stats.byProject).length],
-    ['Large Files (>' + CONFIG.LARGE_FILE_THRESHOLD_MB + 'MB):', stats.largeFiles.length],
-    ['Old Files (>' + CONFIG.OLD_FILE_THRESHOLD_DAYS + ' days):', stats.oldFiles.length],
-    ['Active Repositories:', Object.keys(stats.repositories).length],
-    ['Processing Errors:', stats.errors]
-  ];
-  
-  sheet.getRange(4, 1, summaryData.length, 2).setValues(summaryData);
-  
-  // Top languages
-  sheet.getRange(14, 1).setValue('TOP PROGRAMMING LANGUAGES').setFontWeight('bold');
-  
-  const languageEntries = Object.entries(stats.byLanguage)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
-  
-  if (languageEntries.length > 0) {
-    sheet.getRange(15, 1, languageEntries.length, 2).setValues(languageEntries);
+  if (fileData.category === 'Configuration') {
+    repository.hasConfig = true;
   }
-  
-  // File categories
-  const categoryRow = 15 + languageEntries.length + 2;
-  sheet.getRange(categoryRow, 1).setValue('FILE CATEGORIES').setFontWeight('bold');
-  
-  const categoryEntries = Object.entries(stats.byCategory)
-    .sort((a, b) => b[1] - a[1]);
-  
-  if (categoryEntries.length > 0) {
-    sheet.getRange(categoryRow + 1, 1, categoryEntries.length, 2).setValues(categoryEntries);
+  if (fileData.lastModified > repository.lastActivity) {
+    repository.lastActivity = fileData.lastModified;
   }
   
-  sheet.autoResizeColumns(1, 2);
-}
-
-/**
- * Generate final code reports
- */
-function generateCodeFinalReports(spreadsheet, stats) {
-  console.log("Generating final code reports...");
-  
-  updateCodeOverviewSheet(spreadsheet, stats);
-  generateLanguageAnalysisReport(spreadsheet, stats);
-  generateRepositoryAnalysisReport(spreadsheet, stats);
-  generateLargeFilesReport(spreadsheet, stats);
-  
-  console.log(`Code inventory complete! View at: ${spreadsheet.getUrl()}`);
+  return repositories;
 }
 
 /**
  * Generate programming language analysis
  */
 function generateLanguageAnalysisReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.BY_LANGUAGE);
+  const sheet = spreadsheet.getSheetByName(CODE_CONFIG.SHEETS.BY_LANGUAGE);
   sheet.clear();
   
   sheet.getRange(1, 1, 1, 3).setValues([['Programming Language', 'File Count', 'Percentage']]);
@@ -665,19 +433,16 @@ function generateLanguageAnalysisReport(spreadsheet, stats) {
  * Generate repository analysis report
  */
 function generateRepositoryAnalysisReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.REPOSITORIES);
+  const sheet = spreadsheet.getSheetByName(CODE_CONFIG.SHEETS.REPOSITORIES);
   
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
+  clearSheetData(sheet);
   
   const repoData = Object.entries(stats.repositories)
     .sort((a, b) => b[1].fileCount - a[1].fileCount)
     .map(([repo, data]) => [
       repo,
       data.fileCount,
-      Array.from(data.languages).join(', '),
+      data.languages.join(', '),
       data.lastActivity,
       data.hasConfig ? 'Yes' : 'No'
     ]);
@@ -690,12 +455,12 @@ function generateRepositoryAnalysisReport(spreadsheet, stats) {
 /**
  * Generate large code files report
  */
-function generateLargeFilesReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.LARGE_FILES);
+function generateLargeCodeFilesReport(spreadsheet, stats) {
+  const sheet = spreadsheet.getSheetByName(CODE_CONFIG.SHEETS.LARGE_FILES);
   sheet.clear();
   
-  sheet.getRange(1, 1, 1, 6).setValues([['File Name', 'Size (MB)', 'Language', 'Category', 'Project', 'URL']]);
-  sheet.getRange(1, 1, 1, 6).setFontWeight('bold');
+  sheet.getRange(1, 1, 1, 7).setValues([['File Name', 'Size (MB)', 'Language', 'Category', 'Drive', 'Project', 'URL']]);
+  sheet.getRange(1, 1, 1, 7).setFontWeight('bold');
   
   if (stats.largeFiles.length > 0) {
     const data = stats.largeFiles.map(file => [
@@ -703,35 +468,12 @@ function generateLargeFilesReport(spreadsheet, stats) {
       (file.size / 1024 / 1024).toFixed(2),
       file.language,
       file.category,
-      extractProjectName(file.path),
+      file.drive,
+      extractCodeProjectName(file.path),
       file.url
     ]);
     
-    sheet.getRange(2, 1, data.length, 6).setValues(data);
-  }
-}
-
-// Utility functions
-
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
-
-function getOrCreateSpreadsheet(name) {
-  const files = DriveApp.getFilesByName(name);
-  
-  if (files.hasNext()) {
-    return SpreadsheetApp.open(files.next());
-  } else {
-    const spreadsheet = SpreadsheetApp.create(name);
-    console.log(`Created new code inventory spreadsheet: ${spreadsheet.getUrl()}`);
-    return spreadsheet;
+    sheet.getRange(2, 1, data.length, 7).setValues(data);
   }
 }
 
@@ -758,7 +500,7 @@ function getQuickCodeStats() {
     if (isCodeFile(file)) {
       stats.totalCode++;
       
-      const language = getLanguage(file.getName());
+      const language = getLanguage(file.getName(), file.getMimeType());
       stats.languages[language] = (stats.languages[language] || 0) + 1;
       
       const category = getFileCategory(file.getName());
@@ -1,17 +1,21 @@
 /**
  * Google Drive Document Files Inventory Script - BUGFIX VERSION
  * This version fixes the search query issue and should work reliably
+ * Requires src/utils/common-functions.js and src/core/inventory-engine.js in the same Apps Script project
  * 
  * QUICK START:
- * 1. Copy this entire script to Google Apps Script
+ * 1. Copy this entire script, src/utils/common-functions.js and src/core/inventory-engine.js to Google Apps Script
  * 2. Run: inventoryDocuments()
  * 3. Check the generated spreadsheet for results
  */
 
 // Configuration for document analysis
-const CONFIG = {
+const DOCUMENT_CONFIG = {
   BATCH_SIZE: 50, // Smaller batch size for better reliability
   INVENTORY_SPREADSHEET_NAME: "📄 Document Files Inventory Report",
+  SHARED_DRIVES: true, // Also scan every shared drive the account can see (Drive API only)
+  SCOPE: { ROOT: null, INCLUDE: [], EXCLUDE: [] }, // Folder to scan and include/exclude rules, see compileScanScope
+  FILTER: '', // Only inventory files matching this expression, e.g. "age > 2y", see compileFilterExpression
   
   SHEETS: {
     OVERVIEW: "Overview",
@@ -27,143 +31,140 @@ const CONFIG = {
   INCLUDE_TRASHED: false,
   TRACK_PERMISSIONS: true,
   
-  // Document formats we're looking for
-  DOCUMENT_FORMATS: {
-    'google-document': 'Google Docs',
-    'google-spreadsheet': 'Google Sheets', 
-    'google-presentation': 'Google Slides',
-    'google-form': 'Google Forms',
-    'doc': 'Word Document',
-    'docx': 'Word Document',
-    'xls': 'Excel Spreadsheet',
-    'xlsx': 'Excel Spreadsheet',
-    'ppt': 'PowerPoint',
-    'pptx': 'PowerPoint',
-    'pdf': 'PDF Document',
-    'txt': 'Text File',
-    'csv': 'CSV File'
-  }
+  // What counts as a document (Google Workspace types, MIME types, then extensions); type labels come from classifyFile
+  GOOGLE_DOCUMENT_TYPES: ['document', 'spreadsheet', 'presentation', 'form'],
+  DOCUMENT_MIME_TYPES: [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/plain',
+    'text/csv'
+  ],
+  DOCUMENT_EXTENSIONS: ['doc', 'docx', 'pdf', 'txt', 'xls', 'xlsx', 'ppt', 'pptx', 'csv']
+};
+
+// Profile run by the inventory engine (src/core/inventory-engine.js)
+const DOCUMENT_PROFILE = {
+  id: 'document',
+  label: 'documents',
+  config: DOCUMENT_CONFIG,
+  entryHandler: 'inventoryDocuments',
+  
+  // Only non-trashed documents are searched; if Drive rejects the combined query it is split
+  // into simpler ones. Stop after checking batchSize * 10 files
+  query: 'trashed = false',
+  searchFilter: {
+    mimeTypes: DOCUMENT_CONFIG.GOOGLE_DOCUMENT_TYPES.map(type => `application/vnd.google-apps.${type}`)
+      .concat(DOCUMENT_CONFIG.DOCUMENT_MIME_TYPES),
+    extensions: DOCUMENT_CONFIG.DOCUMENT_EXTENSIONS
+  },
+  filter: isDocumentFile,
+  maxCheckFactor: 10,
+  // Access level only, no viewer/editor lists (simplified)
+  extractOptions: { trackPermissions: DOCUMENT_CONFIG.TRACK_PERMISSIONS, sharingUsers: 0 },
+  extract: addDocumentFields,
+  
+  stats: {
+    filesByType: { count: data => data.type },
+    filesByOwner: { count: data => data.owner },
+    // Keep only top 50 largest
+    largeDocuments: {
+      when: data => data.size > DOCUMENT_CONFIG.LARGE_FILE_THRESHOLD_MB * 1024 * 1024,
+      top: 50,
+      sortBy: doc => doc.size,
+      item: data => ({
+        name: data.name,
+        size: data.size,
+        type: data.type,
+        drive: data.drive,
+        path: data.folderPath,
+        url: data.url
+      })
+    },
+    oldDocuments: {
+      when: data => getAgeInDays(data.lastModified) > DOCUMENT_CONFIG.OLD_FILE_THRESHOLD_DAYS,
+      collect: 50,
+      item: data => ({
+        name: data.name,
+        lastModified: data.lastModified,
+        ageInDays: Math.floor(getAgeInDays(data.lastModified)),
+        type: data.type,
+        drive: data.drive,
+        path: data.folderPath,
+        url: data.url
+      })
+    },
+    googleWorkspaceFiles: { countIf: data => data.isGoogleFile },
+    otherDocumentFiles: { countIf: data => !data.isGoogleFile }
+  },
+  
+  listSheet: {
+    name: DOCUMENT_CONFIG.SHEETS.DOCUMENT_LIST,
+    columns: [
+      ['Name', data => data.name],
+      ['Document Type', data => data.type],
+      ['Google File', data => data.isGoogleFile ? 'Yes' : 'No'],
+      ['Size (MB)', data => (data.size / 1024 / 1024).toFixed(2)],
+      ['Created', data => data.created],
+      ['Last Modified', data => data.lastModified],
+      ['Owner', data => data.owner],
+      ['Drive', data => data.drive],
+      ['Folder Path', data => formatFolderPaths(data)],
+      ['Folder ID', data => formatFolderIds(data)],
+      ['URL', data => data.url]
+    ]
+  },
+  
+  overview: {
+    title: 'Document Files Inventory',
+    summary: stats => [
+      ['Total Documents:', stats.totalFiles],
+      ['Total Size:', formatBytes(stats.totalSize)],
+      ['Google Workspace Files:', stats.googleWorkspaceFiles],
+      ['Other Document Files:', stats.otherDocumentFiles],
+      ['Large Documents:', stats.largeDocuments.length],
+      ['Old Documents:', stats.oldDocuments.length],
+      ['Processing Errors:', stats.errors]
+    ],
+    sections: [
+      {
+        title: 'Document Types',
+        entries: stats => Object.entries(stats.filesByType)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+      }
+    ]
+  },
+  
+  reports: [
+    generateDocumentTypeReport,
+    generateLargeDocumentsReport
+  ]
 };
 
 /**
  * Main function - run this to start the document inventory
  */
 function inventoryDocuments() {
-  console.log("Starting document inventory...");
-  
-  try {
-    const result = runDocumentInventoryBatch();
-    console.log(`Processed ${result.processedCount} documents`);
-    
-    if (result.hasMore) {
-      console.log("More documents to process. Run inventoryDocuments() again to continue.");
-    } else {
-      console.log("Document inventory complete!");
-    }
-  } catch (error) {
-    console.error(`Error in document inventory: ${error}`);
-    console.error(`Error details: ${error.stack}`);
-  }
+  return runProfileInventory(DOCUMENT_PROFILE);
 }
 
 /**
  * Process a batch of documents
  */
 function runDocumentInventoryBatch() {
-  const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
-  initializeSheets(spreadsheet);
-  
-  const scriptProperties = PropertiesService.getScriptProperties();
-  let continuationToken = scriptProperties.getProperty('documentContinuationToken');
-  
-  let stats = JSON.parse(scriptProperties.getProperty('documentInventoryStats') || '{}');
-  stats = initializeStats(stats);
-  
-  // Get files to process
-  const files = getDocumentFilesToProcess(continuationToken, CONFIG.BATCH_SIZE);
-  
-  if (files.length === 0) {
-    console.log("No more document files found!");
-    generateFinalReports(spreadsheet, stats);
-    
-    // Clean up
-    scriptProperties.deleteProperty('documentContinuationToken');
-    scriptProperties.deleteProperty('documentInventoryStats');
-    
-    return { processedCount: 0, hasMore: false };
-  }
-  
-  console.log(`Processing ${files.length} documents...`);
-  
-  // Process each file
-  let processedCount = 0;
-  for (const file of files) {
-    try {
-      if (isDocumentFile(file)) {
-        processDocumentFile(file, spreadsheet, stats);
-        processedCount++;
-      }
-    } catch (error) {
-      console.error(`Error processing file ${file.getName()}: ${error}`);
-      stats.errors = (stats.errors || 0) + 1;
-    }
-  }
-  
-  // Save progress
-  scriptProperties.setProperty('documentInventoryStats', JSON.stringify(stats));
-  updateOverviewSheet(spreadsheet, stats);
-  
-  // Check if more files to process
-  const hasMore = files.hasNext && files.hasNext();
-  if (hasMore) {
-    const nextToken = files.getContinuationToken();
-    scriptProperties.setProperty('documentContinuationToken', nextToken);
-    console.log(`Processed ${processedCount} documents. More files available.`);
-  } else {
-    generateFinalReports(spreadsheet, stats);
-    scriptProperties.deleteProperty('documentContinuationToken');
-    scriptProperties.deleteProperty('documentInventoryStats');
-    console.log(`Final batch: processed ${processedCount} documents.`);
-  }
-  
-  return { processedCount: processedCount, hasMore: hasMore };
+  return runProfileBatch(DOCUMENT_PROFILE);
 }
 
 /**
- * Get document files to process (FIXED VERSION)
+ * Re-process the documents listed in the Errors sheet, removing the entries that succeed
  */
-function getDocumentFilesToProcess(continuationToken, batchSize) {
-  let files;
-  
-  if (continuationToken) {
-    files = DriveApp.continueFileIterator(continuationToken);
-  } else {
-    // Simple, reliable query - get all non-trashed files
-    files = DriveApp.searchFiles('trashed = false');
-  }
-  
-  const filesToProcess = [];
-  let count = 0;
-  let checkedCount = 0;
-  const maxCheck = batchSize * 10; // Check more files to find documents
-  
-  while (files.hasNext() && count < batchSize && checkedCount < maxCheck) {
-    const file = files.next();
-    checkedCount++;
-    
-    if (isDocumentFile(file)) {
-      filesToProcess.push(file);
-      count++;
-    }
-  }
-  
-  console.log(`Found ${count} documents after checking ${checkedCount} files`);
-  
-  // Attach continuation methods
-  filesToProcess.hasNext = () => files.hasNext();
-  filesToProcess.getContinuationToken = () => files.getContinuationToken();
-  
-  return filesToProcess;
+function retryFailedDocuments() {
+  return retryProfileErrors(DOCUMENT_PROFILE);
 }
 
 /**
@@ -177,30 +178,17 @@ function isDocumentFile(file) {
     // Check Google Workspace files first
     if (mimeType.startsWith('application/vnd.google-apps.')) {
       const googleType = mimeType.replace('application/vnd.google-apps.', '');
-      return ['document', 'spreadsheet', 'presentation', 'form'].includes(googleType);
+      return DOCUMENT_CONFIG.GOOGLE_DOCUMENT_TYPES.includes(googleType);
     }
     
     // Check common document MIME types
-    const documentMimeTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-powerpoint',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'text/plain',
-      'text/csv'
-    ];
-    
-    if (documentMimeTypes.includes(mimeType)) {
+    if (DOCUMENT_CONFIG.DOCUMENT_MIME_TYPES.includes(mimeType)) {
       return true;
     }
     
     // Check by file extension as fallback
     const extension = fileName.split('.').pop();
-    const documentExtensions = ['doc', 'docx', 'pdf', 'txt', 'xls', 'xlsx', 'ppt', 'pptx', 'csv'];
-    return documentExtensions.includes(extension);
+    return DOCUMENT_CONFIG.DOCUMENT_EXTENSIONS.includes(extension);
     
   } catch (error) {
     console.error(`Error checking file type for ${file.getName()}: ${error}`);
@@ -209,255 +197,17 @@ function isDocumentFile(file) {
 }
 
 /**
- * Process a single document file
+ * Add document fields to the base file data
  */
-function processDocumentFile(file, spreadsheet, stats) {
-  try {
-    const fileData = extractFileData(file);
-    
-    stats.totalFiles++;
-    stats.totalSize = (stats.totalSize || 0) + fileData.size;
-    
-    // Track by document type
-    const docType = fileData.documentType;
-    stats.filesByType = stats.filesByType || {};
-    stats.filesByType[docType] = (stats.filesByType[docType] || 0) + 1;
-    
-    // Track Google vs other files
-    if (fileData.isGoogleFile) {
-      stats.googleWorkspaceFiles = (stats.googleWorkspaceFiles || 0) + 1;
-    } else {
-      stats.otherDocumentFiles = (stats.otherDocumentFiles || 0) + 1;
-    }
-    
-    // Track by owner
-    stats.filesByOwner = stats.filesByOwner || {};
-    stats.filesByOwner[fileData.owner] = (stats.filesByOwner[fileData.owner] || 0) + 1;
-    
-    // Check for large documents
-    if (fileData.size > CONFIG.LARGE_FILE_THRESHOLD_MB * 1024 * 1024) {
-      stats.largeDocuments = stats.largeDocuments || [];
-      stats.largeDocuments.push({
-        name: fileData.name,
-        size: fileData.size,
-        documentType: fileData.documentType,
-        path: fileData.folderPath,
-        url: fileData.url
-      });
-      
-      // Keep only top 50 largest
-      stats.largeDocuments.sort((a, b) => b.size - a.size);
-      stats.largeDocuments = stats.largeDocuments.slice(0, 50);
-    }
-    
-    // Check for old documents
-    const ageInDays = (new Date() - new Date(fileData.lastModified)) / (1000 * 60 * 60 * 24);
-    if (ageInDays > CONFIG.OLD_FILE_THRESHOLD_DAYS) {
-      stats.oldDocuments = stats.oldDocuments || [];
-      if (stats.oldDocuments.length < 50) {
-        stats.oldDocuments.push({
-          name: fileData.name,
-          lastModified: fileData.lastModified,
-          ageInDays: Math.floor(ageInDays),
-          documentType: fileData.documentType,
-          path: fileData.folderPath,
-          url: fileData.url
-        });
-      }
-    }
-    
-    // Add to main document list
-    addToDocumentListSheet(spreadsheet, fileData);
-    
-  } catch (error) {
-    console.error(`Error processing document file: ${error}`);
-    throw error;
-  }
-}
-
-/**
- * Extract file data
- */
-function extractFileData(file) {
-  const data = {
-    id: file.getId(),
-    name: file.getName(),
-    mimeType: file.getMimeType(),
-    documentType: getDocumentType(file.getName(), file.getMimeType()),
-    isGoogleFile: file.getMimeType().startsWith('application/vnd.google-apps.'),
-    size: file.getSize(),
-    created: file.getDateCreated().toISOString(),
-    lastModified: file.getLastUpdated().toISOString(),
-    owner: file.getOwner() ? file.getOwner().getEmail() : 'Unknown',
-    url: file.getUrl(),
-    folderPath: 'Root',
-    sharingAccess: 'Private'
-  };
-  
-  // Get folder path (simplified)
-  try {
-    const parents = file.getParents();
-    if (parents.hasNext()) {
-      const parent = parents.next();
-      data.folderPath = parent.getName();
-    }
-  } catch (error) {
-    data.folderPath = 'Unknown';
-  }
-  
-  // Get sharing info (simplified)
-  try {
-    const access = file.getSharingAccess();
-    data.sharingAccess = access.toString();
-  } catch (error) {
-    // Some files may not have accessible permissions
-  }
-  
-  return data;
-}
-
-/**
- * Determine document type
- */
-function getDocumentType(fileName, mimeType) {
-  // Check for Google Workspace files
-  if (mimeType.startsWith('application/vnd.google-apps.')) {
-    const googleType = mimeType.replace('application/vnd.google-apps.', '');
-    return CONFIG.DOCUMENT_FORMATS[`google-${googleType}`] || `Google ${googleType}`;
-  }
-  
-  // Check by extension
-  const extension = fileName.split('.').pop().toLowerCase();
-  return CONFIG.DOCUMENT_FORMATS[extension] || extension.toUpperCase() || 'Unknown Document';
-}
-
-/**
- * Initialize statistics
- */
-function initializeStats(stats) {
-  return {
-    totalFiles: stats.totalFiles || 0,
-    totalSize: stats.totalSize || 0,
-    filesByType: stats.filesByType || {},
-    filesByOwner: stats.filesByOwner || {},
-    largeDocuments: stats.largeDocuments || [],
-    oldDocuments: stats.oldDocuments || [],
-    googleWorkspaceFiles: stats.googleWorkspaceFiles || 0,
-    otherDocumentFiles: stats.otherDocumentFiles || 0,
-    errors: stats.errors || 0,
-    startTime: stats.startTime || new Date().toISOString()
-  };
-}
-
-/**
- * Initialize spreadsheet sheets
- */
-function initializeSheets(spreadsheet) {
-  for (const sheetName of Object.values(CONFIG.SHEETS)) {
-    let sheet = spreadsheet.getSheetByName(sheetName);
-    
-    if (!sheet) {
-      sheet = spreadsheet.insertSheet(sheetName);
-      
-      if (sheetName === CONFIG.SHEETS.DOCUMENT_LIST) {
-        sheet.getRange(1, 1, 1, 9).setValues([[
-          'Name', 'Document Type', 'Google File', 'Size (MB)', 'Created', 
-          'Last Modified', 'Owner', 'Folder Path', 'URL'
-        ]]);
-        sheet.getRange(1, 1, 1, 9).setFontWeight('bold');
-      }
-    }
-  }
-  
-  // Remove default sheet
-  const sheet1 = spreadsheet.getSheetByName('Sheet1');
-  if (sheet1 && spreadsheet.getSheets().length > 1) {
-    spreadsheet.deleteSheet(sheet1);
-  }
-}
-
-/**
- * Add document to the main list sheet
- */
-function addToDocumentListSheet(spreadsheet, fileData) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.DOCUMENT_LIST);
-  
-  sheet.appendRow([
-    fileData.name,
-    fileData.documentType,
-    fileData.isGoogleFile ? 'Yes' : 'No',
-    (fileData.size / 1024 / 1024).toFixed(2),
-    fileData.created,
-    fileData.lastModified,
-    fileData.owner,
-    fileData.folderPath,
-    fileData.url
-  ]);
-}
-
-/**
- * Update overview sheet
- */
-function updateOverviewSheet(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.OVERVIEW);
-  sheet.clear();
-  
-  sheet.getRange(1, 1).setValue('Document Files Inventory')
-    .setFontSize(16).setFontWeight('bold');
-  
-  sheet.getRange(2, 1).setValue(`Generated: ${new Date().toLocaleString()}`)
-    .setFontSize(10);
-  
-  // Summary statistics
-  const summaryData = [
-    ['Total Documents:', stats.totalFiles],
-    ['Total Size:', formatBytes(stats.totalSize)],
-    ['Google Workspace Files:', stats.googleWorkspaceFiles],
-    ['Other Document Files:', stats.otherDocumentFiles],
-    ['Large Documents:', stats.largeDocuments.length],
-    ['Old Documents:', stats.oldDocuments.length],
-    ['Processing Errors:', stats.errors]
-  ];
-  
-  sheet.getRange(4, 1, summaryData.length, 2).setValues(summaryData);
-  
-  // Document types
-  sheet.getRange(12, 1).setValue('Document Types').setFontWeight('bold');
-  
-  const typeEntries = Object.entries(stats.filesByType)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
-  
-  if (typeEntries.length > 0) {
-    sheet.getRange(13, 1, typeEntries.length, 2).setValues(typeEntries);
-  }
-  
-  sheet.autoResizeColumns(1, 2);
-}
-
-/**
- * Generate final reports
- */
-function generateFinalReports(spreadsheet, stats) {
-  console.log("Generating final reports...");
-  
-  // Update overview
-  updateOverviewSheet(spreadsheet, stats);
-  
-  // Generate document type report
-  generateDocumentTypeReport(spreadsheet, stats);
-  
-  // Generate large documents report
-  generateLargeDocumentsReport(spreadsheet, stats);
-  
-  console.log(`Document inventory complete! View at: ${spreadsheet.getUrl()}`);
+function addDocumentFields(data) {
+  data.isGoogleFile = data.mimeType.startsWith('application/vnd.google-apps.');
 }
 
 /**
  * Generate document type breakdown
  */
 function generateDocumentTypeReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.BY_TYPE);
+  const sheet = spreadsheet.getSheetByName(DOCUMENT_CONFIG.SHEETS.BY_TYPE);
   sheet.clear();
   
   sheet.getRange(1, 1, 1, 3).setValues([['Document Type', 'Count', 'Percentage']]);
@@ -481,46 +231,23 @@ function generateDocumentTypeReport(spreadsheet, stats) {
  * Generate large documents report
  */
 function generateLargeDocumentsReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.LARGE_DOCS);
+  const sheet = spreadsheet.getSheetByName(DOCUMENT_CONFIG.SHEETS.LARGE_DOCS);
   sheet.clear();
   
-  sheet.getRange(1, 1, 1, 5).setValues([['Name', 'Size (MB)', 'Type', 'Folder', 'URL']]);
-  sheet.getRange(1, 1, 1, 5).setFontWeight('bold');
+  sheet.getRange(1, 1, 1, 6).setValues([['Name', 'Size (MB)', 'Type', 'Drive', 'Folder', 'URL']]);
+  sheet.getRange(1, 1, 1, 6).setFontWeight('bold');
   
   if (stats.largeDocuments.length > 0) {
     const data = stats.largeDocuments.map(doc => [
       doc.name,
       (doc.size / 1024 / 1024).toFixed(2),
-      doc.documentType,
+      doc.type,
+      doc.drive,
       doc.path,
       doc.url
     ]);
     
-    sheet.getRange(2, 1, data.length, 5).setValues(data);
-  }
-}
-
-// Utility functions
-
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
-
-function getOrCreateSpreadsheet(name) {
-  const files = DriveApp.getFilesByName(name);
-  
-  if (files.hasNext()) {
-    return SpreadsheetApp.open(files.next());
-  } else {
-    const spreadsheet = SpreadsheetApp.create(name);
-    console.log(`Created new spreadsheet: ${spreadsheet.getUrl()}`);
-    return spreadsheet;
+    sheet.getRange(2, 1, data.length, 6).setValues(data);
   }
 }
 
@@ -553,7 +280,7 @@ function getQuickDocumentStats() {
         stats.otherDocs++;
       }
       
-      const docType = getDocumentType(file.getName(), file.getMimeType());
+      const docType = classifyFile(file.getName(), file.getMimeType()).type;
       stats.typeBreakdown[docType] = (stats.typeBreakdown[docType] || 0) + 1;
     }
     count++;
@@ -569,7 +296,7 @@ function getQuickDocumentStats() {
 /**
  * USAGE INSTRUCTIONS:
  * 
- * 1. Copy this entire script to Google Apps Script
+ * 1. Copy this entire script, src/utils/common-functions.js and src/core/inventory-engine.js to Google Apps Script
  * 2. Run: inventoryDocuments() - this will process documents in batches
  * 3. If it says "More documents to process", run inventoryDocuments() again
  * 4. Check the generated spreadsheet for your results
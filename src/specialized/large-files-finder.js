@@ -2,12 +2,16 @@
  * Google Drive Large Files Finder Script
  * Specialized script for finding and analyzing large files in Google Drive
  * Focuses on storage optimization and cleanup opportunities
+ * Requires src/utils/common-functions.js and src/core/inventory-engine.js in the same Apps Script project
  */
 
 // Configuration for large files analysis
-const CONFIG = {
+const LARGE_FILES_CONFIG = {
   BATCH_SIZE: 50, // Smaller batch size for large file processing
   INVENTORY_SPREADSHEET_NAME: "📦 Large Files Analysis Report",
+  SHARED_DRIVES: true, // Also scan every shared drive the account can see (Drive API only)
+  SCOPE: { ROOT: null, INCLUDE: [], EXCLUDE: [] }, // Folder to scan and include/exclude rules, see compileScanScope
+  FILTER: '', // Only inventory files matching this expression, e.g. "owner != me", see compileFilterExpression
   
   SHEETS: {
     OVERVIEW: "Overview",
@@ -38,158 +42,174 @@ const CONFIG = {
   MAX_FILES_PER_CATEGORY: 200
 };
 
-/**
- * Main function to find large files
- */
-function findLargeFiles() {
-  console.log("Starting large files analysis...");
+// Profile run by the inventory engine (src/core/inventory-engine.js)
+const LARGE_FILES_PROFILE = {
+  id: 'largeFiles',
+  label: 'large files',
+  config: LARGE_FILES_CONFIG,
+  propertyKeys: {
+    token: 'largeFilesContinuationToken',
+    stats: 'largeFilesStats',
+    autoMode: 'largeFilesAutoMode'
+  },
+  entryHandler: 'findLargeFiles',
+  continueHandler: 'continueLargeFilesAnalysis',
+  pauseMs: 200, // Longer pause for large file processing
+  
+  // Get all files, we'll filter by size during processing
+  // (Drive search has no size field, so there is no searchFilter to push down)
+  query: 'trashed = false',
+  filter: isLargeFile,
+  maxCheckFactor: 20, // Check more files to find large ones
+  extractOptions: { trackPermissions: LARGE_FILES_CONFIG.TRACK_PERMISSIONS, sharingUsers: 0 },
+  extract: addLargeFileFields,
+  
+  stats: {
+    bySizeCategory: { count: data => data.sizeCategory },
+    byFileType: { count: data => data.type },
+    byFolder: {
+      when: data => !!data.folderPath,
+      initial: () => ({}),
+      reduce: (folders, data) => {
+        if (!folders[data.folderPath]) {
+          folders[data.folderPath] = { count: 0, totalSize: 0 };
+        }
+        folders[data.folderPath].count++;
+        folders[data.folderPath].totalSize += data.size;
+        return folders;
+      }
+    },
+    byOwner: { count: data => data.owner },
+    // Master list, keeping only top files by size
+    largeFiles: {
+      top: LARGE_FILES_CONFIG.MAX_FILES_PER_CATEGORY,
+      sortBy: file => file.size,
+      item: data => ({
+        name: data.name,
+        size: data.size,
+        type: data.type,
+        sizeCategory: data.sizeCategory,
+        created: data.created,
+        lastModified: data.lastModified,
+        owner: data.owner,
+        drive: data.drive,
+        path: data.folderPath,
+        sharingAccess: data.sharingAccess,
+        url: data.url,
+        ageInDays: data.ageInDays,
+        cleanupScore: data.cleanupScore
+      })
+    },
+    cleanupCandidates: {
+      when: data => data.cleanupScore >= 70, // High cleanup score
+      top: 100,
+      sortBy: file => file.cleanupScore,
+      item: data => ({
+        name: data.name,
+        size: data.size,
+        type: data.type,
+        drive: data.drive,
+        path: data.folderPath,
+        url: data.url,
+        cleanupScore: data.cleanupScore,
+        reasons: getCleanupReasons(data)
+      })
+    },
+    duplicateCandidates: {
+      fromList: true,
+      minItems: 2,
+      group: data => `${data.name}_${data.size}`,
+      item: data => ({
+        name: data.name,
+        drive: data.drive,
+        path: data.folderPath,
+        size: data.size,
+        type: data.type,
+        url: data.url
+      })
+    }
+  },
   
-  const scriptProperties = PropertiesService.getScriptProperties();
-  const isAutoMode = scriptProperties.getProperty('largeFilesAutoMode') === 'true';
+  listSheet: {
+    name: LARGE_FILES_CONFIG.SHEETS.LARGE_FILES,
+    columns: [
+      ['Name', data => data.name, 'name', String],
+      ['Size (MB)', data => (data.size / 1024 / 1024).toFixed(2), 'size', value => Math.round(Number(value) * 1024 * 1024)],
+      ['Type', data => data.type, 'type'],
+      ['Category', data => data.sizeCategory],
+      ['Age (Days)', data => data.ageInDays],
+      ['Owner', data => data.owner],
+      ['Drive', data => data.drive, 'drive'],
+      ['Folder Path', data => formatFolderPaths(data), 'folderPath', value => parseFolderPaths(value)[0]],
+      ['Folder ID', data => formatFolderIds(data)],
+      ['Sharing', data => data.sharingAccess],
+      ['Cleanup Score', data => data.cleanupScore],
+      ['URL', data => data.url, 'url']
+    ]
+  },
   
-  if (!isAutoMode) {
-    runLargeFilesAnalysisBatch();
-  } else {
-    runLargeFilesAnalysisContinuously();
-  }
-}
-
-/**
- * Run large files analysis continuously
- */
-function runLargeFilesAnalysisContinuously() {
-  const startTime = new Date().getTime();
-  const MAX_RUNTIME_MS = 5 * 60 * 1000;
+  headers: {
+    [LARGE_FILES_CONFIG.SHEETS.BY_SIZE_CATEGORY]: ['Size Category', 'File Count', 'Total Size (GB)'],
+    [LARGE_FILES_CONFIG.SHEETS.CLEANUP_CANDIDATES]: [
+      'Name', 'Size (MB)', 'Type', 'Cleanup Score', 'Reasons', 'Drive', 'Folder Path', 'URL'
+    ],
+    [LARGE_FILES_CONFIG.SHEETS.BY_FOLDER]: ['Folder Path', 'File Count', 'Total Size (GB)', 'Avg File Size (MB)']
+  },
   
-  const scriptProperties = PropertiesService.getScriptProperties();
-  let batchCount = 0;
-  let totalProcessed = 0;
-  let hasMoreFiles = true;
+  overview: {
+    title: 'Google Drive Large Files Analysis',
+    summaryTitle: 'LARGE FILES SUMMARY',
+    summary: stats => [
+      ['Total Large Files:', stats.totalFiles],
+      ['Total Size:', formatBytes(stats.totalSize)],
+      ['Average File Size:', formatBytes(stats.totalSize / Math.max(stats.totalFiles, 1))],
+      ['Cleanup Candidates:', stats.cleanupCandidates.length],
+      ['Potential Space Savings:', formatBytes(stats.cleanupCandidates.slice(0, 50).reduce((sum, file) => sum + file.size, 0))],
+      ['Processing Errors:', stats.errors]
+    ],
+    sections: [
+      {
+        title: 'SIZE CATEGORIES DISTRIBUTION',
+        entries: stats => Object.entries(stats.bySizeCategory)
+          .sort((a, b) => b[1] - a[1])
+      },
+      {
+        title: 'FILE TYPES DISTRIBUTION',
+        entries: stats => Object.entries(stats.byFileType)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+      }
+    ]
+  },
   
-  console.log("Running large files analysis in continuous mode...");
+  reports: [
+    generateSizeCategoryReport,
+    generateFileTypeReport,
+    generateFolderAnalysisReport,
+    generateCleanupCandidatesReport,
+    generateRecommendationsReport
+  ]
+};
   
-  while (hasMoreFiles) {
-    const currentTime = new Date().getTime();
-    const elapsedTime = currentTime - startTime;
-    
-    if (elapsedTime > MAX_RUNTIME_MS) {
-      console.log(`Approaching time limit after ${(elapsedTime/1000).toFixed(0)} seconds`);
-      scheduleNextLargeFilesRun();
-      console.log(`Processed ${totalProcessed} large files in ${batchCount} batches. Scheduled next run.`);
-      return;
-    }
-    
-    const result = runLargeFilesAnalysisBatch();
-    batchCount++;
-    totalProcessed += result.processedCount;
-    
-    if (!result.hasMore) {
-      hasMoreFiles = false;
-      console.log(`Large files analysis complete! Processed ${totalProcessed} files in ${batchCount} batches.`);
-      cancelLargeFilesScheduledRuns();
-    } else {
-      Utilities.sleep(200); // Longer pause for large file processing
-    }
-  }
+/**
+ * Main function to find large files
+ */
+function findLargeFiles() {
+  return runProfileInventory(LARGE_FILES_PROFILE);
 }
 
 /**
  * Run a single batch of large files analysis
  */
 function runLargeFilesAnalysisBatch() {
-  const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
-  initializeLargeFilesSheets(spreadsheet);
-  
-  const scriptProperties = PropertiesService.getScriptProperties();
-  let continuationToken = scriptProperties.getProperty('largeFilesContinuationToken');
-  
-  let stats = JSON.parse(scriptProperties.getProperty('largeFilesStats') || '{}');
-  stats = initializeLargeFilesStats(stats);
-  
-  updateLargeFilesStatus(spreadsheet, 'RUNNING', stats);
-  
-  const files = getLargeFilesToProcess(continuationToken, CONFIG.BATCH_SIZE);
-  
-  if (files.length === 0) {
-    console.log("No more large files to process!");
-    generateLargeFilesFinalReports(spreadsheet, stats);
-    updateLargeFilesStatus(spreadsheet, 'COMPLETE', stats);
-    
-    scriptProperties.deleteProperty('largeFilesContinuationToken');
-    scriptProperties.deleteProperty('largeFilesStats');
-    scriptProperties.deleteProperty('largeFilesAutoMode');
-    
-    cancelLargeFilesScheduledRuns();
-    return { processedCount: 0, hasMore: false };
-  }
-  
-  console.log(`Processing batch of ${files.length} large files...`);
-  
-  let processedCount = 0;
-  for (const file of files) {
-    try {
-      processLargeFile(file, spreadsheet, stats);
-      processedCount++;
-    } catch (error) {
-      console.error(`Error processing large file: ${error}`);
-      stats.errors++;
-    }
-  }
-  
-  scriptProperties.setProperty('largeFilesStats', JSON.stringify(stats));
-  updateLargeFilesOverviewSheet(spreadsheet, stats, false);
-  
-  console.log(`Processed ${processedCount} large files. Total so far: ${stats.totalFiles}`);
-  
-  const hasMore = files.hasNext && files.hasNext();
-  
-  if (hasMore) {
-    const nextToken = files.getContinuationToken();
-    scriptProperties.setProperty('largeFilesContinuationToken', nextToken);
-  } else {
-    generateLargeFilesFinalReports(spreadsheet, stats);
-    updateLargeFilesStatus(spreadsheet, 'COMPLETE', stats);
-    
-    scriptProperties.deleteProperty('largeFilesContinuationToken');
-    scriptProperties.deleteProperty('largeFilesStats');
-    scriptProperties.deleteProperty('largeFilesAutoMode');
-  }
-  
-  return { processedCount: processedCount, hasMore: hasMore };
+  return runProfileBatch(LARGE_FILES_PROFILE);
 }
 
 /**
- * Get large files to process
+ * Re-process the large files listed in the Errors sheet, removing the entries that succeed
  */
-function getLargeFilesToProcess(continuationToken, batchSize) {
-  let files;
-  
-  if (continuationToken) {
-    files = DriveApp.continueFileIterator(continuationToken);
-  } else {
-    // Get all files, we'll filter by size during processing
-    files = DriveApp.searchFiles('trashed = false');
-  }
-  
-  const filesToProcess = [];
-  let count = 0;
-  let checkedCount = 0;
-  const maxCheck = batchSize * 20; // Check more files to find large ones
-  
-  while (files.hasNext() && count < batchSize && checkedCount < maxCheck) {
-    const file = files.next();
-    checkedCount++;
-    
-    if (isLargeFile(file)) {
-      filesToProcess.push(file);
-      count++;
-    }
-  }
-  
-  filesToProcess.hasNext = () => files.hasNext();
-  filesToProcess.getContinuationToken = () => files.getContinuationToken();
-  
-  return filesToProcess;
+function retryFailedLargeFiles() {
+  return retryProfileErrors(LARGE_FILES_PROFILE);
 }
 
 /**
@@ -198,7 +218,7 @@ function getLargeFilesToProcess(continuationToken, batchSize) {
 function isLargeFile(file) {
   try {
     const sizeInMB = file.getSize() / (1024 * 1024);
-    return sizeInMB >= CONFIG.SIZE_THRESHOLDS.MEDIUM;
+    return sizeInMB >= LARGE_FILES_CONFIG.SIZE_THRESHOLDS.MEDIUM;
   } catch (error) {
     console.error(`Error checking file size: ${error}`);
     return false;
@@ -206,161 +226,15 @@ function isLargeFile(file) {
 }
 
 /**
- * Process a single large file
- */
-function processLargeFile(file, spreadsheet, stats) {
-  try {
-    const fileData = extractLargeFileData(file);
-    
-    stats.totalFiles++;
-    stats.totalSize += fileData.size;
-    
-    // Categorize by size
-    const sizeCategory = getSizeCategory(fileData.size);
-    stats.bySizeCategory[sizeCategory] = (stats.bySizeCategory[sizeCategory] || 0) + 1;
-    
-    // Track by file type
-    const fileType = fileData.type;
-    stats.byFileType[fileType] = (stats.byFileType[fileType] || 0) + 1;
-    
-    // Track by folder
-    if (fileData.folderPath) {
-      if (!stats.byFolder[fileData.folderPath]) {
-        stats.byFolder[fileData.folderPath] = { count: 0, totalSize: 0 };
-      }
-      stats.byFolder[fileData.folderPath].count++;
-      stats.byFolder[fileData.folderPath].totalSize += fileData.size;
-    }
-    
-    // Track by owner
-    stats.byOwner[fileData.owner] = (stats.byOwner[fileData.owner] || 0) + 1;
-    
-    // Add to master list (keep sorted by size)
-    stats.largeFiles.push({
-      name: fileData.name,
-      size: fileData.size,
-      type: fileData.type,
-      sizeCategory: sizeCategory,
-      created: fileData.created,
-      lastModified: fileData.lastModified,
-      owner: fileData.owner,
-      path: fileData.folderPath,
-      sharingAccess: fileData.sharingAccess,
-      url: fileData.url,
-      ageInDays: fileData.ageInDays,
-      cleanupScore: calculateCleanupScore(fileData)
-    });
-    
-    // Keep only top files by size
-    stats.largeFiles.sort((a, b) => b.size - a.size);
-    stats.largeFiles = stats.largeFiles.slice(0, CONFIG.MAX_FILES_PER_CATEGORY);
-    
-    // Track cleanup candidates
-    const cleanupScore = calculateCleanupScore(fileData);
-    if (cleanupScore >= 70) { // High cleanup score
-      stats.cleanupCandidates.push({
-        name: fileData.name,
-        size: fileData.size,
-        type: fileData.type,
-        path: fileData.folderPath,
-        url: fileData.url,
-        cleanupScore: cleanupScore,
-        reasons: getCleanupReasons(fileData)
-      });
-      
-      // Keep only top cleanup candidates
-      stats.cleanupCandidates.sort((a, b) => b.cleanupScore - a.cleanupScore);
-      stats.cleanupCandidates = stats.cleanupCandidates.slice(0, 100);
-    }
-    
-    // Track potential duplicates
-    const duplicateKey = `${fileData.name}_${fileData.size}`;
-    if (!stats.duplicateCandidates[duplicateKey]) {
-      stats.duplicateCandidates[duplicateKey] = [];
-    }
-    stats.duplicateCandidates[duplicateKey].push({
-      name: fileData.name,
-      path: fileData.folderPath,
-      size: fileData.size,
-      type: fileData.type,
-      lastModified: fileData.lastModified,
-      url: fileData.url
-    });
-    
-    addToLargeFilesSheet(spreadsheet, fileData);
-    
-  } catch (error) {
-    console.error(`Error processing large file: ${error}`);
-    throw error;
-  }
-}
-
-/**
- * Extract large file specific data
+ * Add large file specific fields to the base file data
  */
-function extractLargeFileData(file) {
-  const data = {
-    id: file.getId(),
-    name: file.getName(),
-    mimeType: file.getMimeType(),
-    type: getFileType(file.getName(), file.getMimeType()),
-    size: file.getSize(),
-    created: file.getDateCreated().toISOString(),
-    lastModified: file.getLastUpdated().toISOString(),
-    owner: file.getOwner() ? file.getOwner().getEmail() : 'Unknown',
-    url: file.getUrl(),
-    description: file.getDescription() || '',
-    folderPath: '',
-    sharingAccess: 'Private',
-    sharingPermission: 'None',
-    ageInDays: 0
-  };
+function addLargeFileFields(data) {
+  data.sizeCategory = getSizeCategory(data.size);
   
   // Calculate age
-  data.ageInDays = Math.floor((new Date() - new Date(data.lastModified)) / (1000 * 60 * 60 * 24));
-  
-  // Get folder path
-  try {
-    const parents = file.getParents();
-    const pathParts = [];
-    
-    if (parents.hasNext()) {
-      const parent = parents.next();
-      pathParts.push(parent.getName());
-      
-      let currentParent = parent;
-      let depth = 0;
-      while (depth < 5) {
-        const grandParents = currentParent.getParents();
-        if (grandParents.hasNext()) {
-          currentParent = grandParents.next();
-          pathParts.unshift(currentParent.getName());
-          depth++;
-        } else {
-          break;
-        }
-      }
-    }
-    
-    data.folderPath = pathParts.length > 0 ? pathParts.join('/') : 'Root';
-  } catch (error) {
-    data.folderPath = 'Unknown';
-  }
-  
-  // Get sharing information
-  if (CONFIG.TRACK_PERMISSIONS) {
-    try {
-      const access = file.getSharingAccess();
-      const permission = file.getSharingPermission();
-      
-      data.sharingAccess = access.toString();
-      data.sharingPermission = permission.toString();
-    } catch (error) {
-      // Some files may not have accessible permissions
-    }
-  }
+  data.ageInDays = Math.floor(getAgeInDays(data.lastModified));
   
-  return data;
+  data.cleanupScore = calculateCleanupScore(data);
 }
 
 /**
@@ -369,10 +243,10 @@ function extractLargeFileData(file) {
 function getSizeCategory(sizeInBytes) {
   const sizeInMB = sizeInBytes / (1024 * 1024);
   
-  if (sizeInMB >= CONFIG.SIZE_THRESHOLDS.HUGE) return 'Huge (500MB+)';
-  if (sizeInMB >= CONFIG.SIZE_THRESHOLDS.VERY_LARGE) return 'Very Large (100-500MB)';
-  if (sizeInMB >= CONFIG.SIZE_THRESHOLDS.LARGE) return 'Large (50-100MB)';
-  if (sizeInMB >= CONFIG.SIZE_THRESHOLDS.MEDIUM) return 'Medium (10-50MB)';
+  if (sizeInMB >= LARGE_FILES_CONFIG.SIZE_THRESHOLDS.HUGE) return 'Huge (500MB+)';
+  if (sizeInMB >= LARGE_FILES_CONFIG.SIZE_THRESHOLDS.VERY_LARGE) return 'Very Large (100-500MB)';
+  if (sizeInMB >= LARGE_FILES_CONFIG.SIZE_THRESHOLDS.LARGE) return 'Large (50-100MB)';
+  if (sizeInMB >= LARGE_FILES_CONFIG.SIZE_THRESHOLDS.MEDIUM) return 'Medium (10-50MB)';
   return 'Other';
 }
 
@@ -397,16 +271,16 @@ function calculateCleanupScore(fileData) {
   else score += 10; // 10MB+
   
   // File type factor (0-20 points)
-  const suspiciousTypes = ['zip', 'rar', 'tar', 'backup', 'tmp', 'log'];
+  const suspiciousTypes = ['backup', 'tmp', 'log'];
   const fileType = fileData.type.toLowerCase();
-  if (suspiciousTypes.some(type => fileType.includes(type))) {
+  if (fileData.typeCategory === 'Archive' || suspiciousTypes.some(type => fileType.includes(type))) {
     score += 20;
-  } else if (fileType.includes('video') || fileType.includes('audio')) {
+  } else if (fileData.typeCategory === 'Video' || fileData.typeCategory === 'Audio') {
     score += 10; // Media files are often large but may be needed
   }
   
   // Sharing factor (0-10 points)
-  if (fileData.sharingAccess === 'Private') {
+  if (!isSharedAccess(fileData.sharingAccess)) {
     score += 10; // Private files are safer to clean up
   }
   
@@ -428,190 +302,25 @@ function getCleanupReasons(fileData) {
     reasons.push(`Very large file (${sizeInMB.toFixed(0)}MB)`);
   }
   
-  const suspiciousTypes = ['zip', 'rar', 'backup', 'tmp', 'log'];
-  if (suspiciousTypes.some(type => fileData.type.toLowerCase().includes(type))) {
+  const suspiciousTypes = ['backup', 'tmp', 'log'];
+  if (fileData.typeCategory === 'Archive' || suspiciousTypes.some(type => fileData.type.toLowerCase().includes(type))) {
     reasons.push('Potentially temporary or archive file');
   }
   
-  if (fileData.sharingAccess === 'Private') {
+  if (!isSharedAccess(fileData.sharingAccess)) {
     reasons.push('Private file (safer to remove)');
   }
   
   return reasons;
 }
 
-/**
- * Initialize large files statistics
- */
-function initializeLargeFilesStats(stats) {
-  return {
-    totalFiles: stats.totalFiles || 0,
-    totalSize: stats.totalSize || 0,
-    bySizeCategory: stats.bySizeCategory || {},
-    byFileType: stats.byFileType || {},
-    byFolder: stats.byFolder || {},
-    byOwner: stats.byOwner || {},
-    largeFiles: stats.largeFiles || [],
-    cleanupCandidates: stats.cleanupCandidates || [],
-    duplicateCandidates: stats.duplicateCandidates || {},
-    errors: stats.errors || 0,
-    startTime: stats.startTime || new Date().toISOString()
-  };
-}
-
-/**
- * Initialize large files specific sheets
- */
-function initializeLargeFilesSheets(spreadsheet) {
-  for (const sheetName of Object.values(CONFIG.SHEETS)) {
-    let sheet = spreadsheet.getSheetByName(sheetName);
-    
-    if (!sheet) {
-      sheet = spreadsheet.insertSheet(sheetName);
-      
-      switch (sheetName) {
-        case CONFIG.SHEETS.LARGE_FILES:
-          sheet.getRange(1, 1, 1, 10).setValues([[
-            'Name', 'Size (MB)', 'Type', 'Category', 'Age (Days)', 
-            'Owner', 'Folder Path', 'Sharing', 'Cleanup Score', 'URL'
-          ]]);
-          sheet.getRange(1, 1, 1, 10).setFontWeight('bold');
-          break;
-          
-        case CONFIG.SHEETS.BY_SIZE_CATEGORY:
-          sheet.getRange(1, 1, 1, 3).setValues([[
-            'Size Category', 'File Count', 'Total Size (GB)'
-          ]]);
-          sheet.getRange(1, 1, 1, 3).setFontWeight('bold');
-          break;
-          
-        case CONFIG.SHEETS.CLEANUP_CANDIDATES:
-          sheet.getRange(1, 1, 1, 7).setValues([[
-            'Name', 'Size (MB)', 'Type', 'Cleanup Score', 'Reasons', 'Folder Path', 'URL'
-          ]]);
-          sheet.getRange(1, 1, 1, 7).setFontWeight('bold');
-          break;
-          
-        case CONFIG.SHEETS.BY_FOLDER:
-          sheet.getRange(1, 1, 1, 4).setValues([[
-            'Folder Path', 'File Count', 'Total Size (GB)', 'Avg File Size (MB)'
-          ]]);
-          sheet.getRange(1, 1, 1, 4).setFontWeight('bold');
-          break;
-      }
-    }
-  }
-  
-  const sheet1 = spreadsheet.getSheetByName('Sheet1');
-  if (sheet1 && spreadsheet.getSheets().length > 1) {
-    spreadsheet.deleteSheet(sheet1);
-  }
-}
-
-/**
- * Add large file data to the sheet
- */
-function addToLargeFilesSheet(spreadsheet, fileData) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.LARGE_FILES);
-  
-  const cleanupScore = calculateCleanupScore(fileData);
-  
-  sheet.appendRow([
-    fileData.name,
-    (fileData.size / 1024 / 1024).toFixed(2),
-    fileData.type,
-    getSizeCategory(fileData.size),
-    fileData.ageInDays,
-    fileData.owner,
-    fileData.folderPath,
-    fileData.sharingAccess,
-    cleanupScore,
-    fileData.url
-  ]);
-}
-
-/**
- * Update the large files overview sheet
- */
-function updateLargeFilesOverviewSheet(spreadsheet, stats, isFinal) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.OVERVIEW);
-  sheet.clear();
-  
-  sheet.getRange(1, 1).setValue('Google Drive Large Files Analysis')
-    .setFontSize(16).setFontWeight('bold');
-  
-  sheet.getRange(2, 1).setValue(isFinal ? 'Final Report' : 'Progress Report')
-    .setFontSize(12);
-  
-  sheet.getRange(3, 1).setValue(`Generated: ${new Date().toLocaleString()}`)
-    .setFontSize(10);
-  
-  // Summary Statistics
-  sheet.getRange(5, 1).setValue('LARGE FILES SUMMARY').setFontWeight('bold');
-  
-  const summaryData = [
-    ['Total Large Files:', stats.totalFiles],
-    ['Total Size:', formatBytes(stats.totalSize)],
-    ['Average File Size:', formatBytes(stats.totalSize / Math.max(stats.totalFiles, 1))],
-    ['Cleanup Candidates:', stats.cleanupCandidates.length],
-    ['Potential Space Savings:', formatBytes(stats.cleanupCandidates.slice(0, 50).reduce((sum, file) => sum + file.size, 0))],
-    ['Processing Errors:', stats.errors]
-  ];
-  
-  sheet.getRange(6, 1, summaryData.length, 2).setValues(summaryData);
-  
-  // Size Categories Distribution
-  const categoryRow = 14;
-  sheet.getRange(categoryRow, 1).setValue('SIZE CATEGORIES DISTRIBUTION').setFontWeight('bold');
-  
-  const categoryEntries = Object.entries(stats.bySizeCategory)
-    .sort((a, b) => b[1] - a[1]);
-  
-  if (categoryEntries.length > 0) {
-    sheet.getRange(categoryRow + 1, 1, categoryEntries.length, 2).setValues(categoryEntries);
-  }
-  
-  // File Types Distribution  
-  const typeRow = categoryRow + categoryEntries.length + 3;
-  sheet.getRange(typeRow, 1).setValue('FILE TYPES DISTRIBUTION').setFontWeight('bold');
-  
-  const typeEntries = Object.entries(stats.byFileType)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
-  
-  if (typeEntries.length > 0) {
-    sheet.getRange(typeRow + 1, 1, typeEntries.length, 2).setValues(typeEntries);
-  }
-  
-  sheet.autoResizeColumns(1, 2);
-}
-
-/**
- * Generate final large files reports
- */
-function generateLargeFilesFinalReports(spreadsheet, stats) {
-  console.log("Generating final large files reports...");
-  
-  updateLargeFilesOverviewSheet(spreadsheet, stats, true);
-  generateSizeCategoryReport(spreadsheet, stats);
-  generateFileTypeReport(spreadsheet, stats);
-  generateFolderAnalysisReport(spreadsheet, stats);
-  generateCleanupCandidatesReport(spreadsheet, stats);
-  generateRecommendationsReport(spreadsheet, stats);
-  
-  console.log(`Large files reports generated! View at: ${spreadsheet.getUrl()}`);
-}
-
 /**
  * Generate size category report
  */
 function generateSizeCategoryReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.BY_SIZE_CATEGORY);
+  const sheet = spreadsheet.getSheetByName(LARGE_FILES_CONFIG.SHEETS.BY_SIZE_CATEGORY);
   
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
+  clearSheetData(sheet);
   
   const categoryData = Object.entries(stats.bySizeCategory)
     .map(([category, count]) => {
@@ -629,7 +338,7 @@ function generateSizeCategoryReport(spreadsheet, stats) {
  * Generate file type report
  */
 function generateFileTypeReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.BY_FILE_TYPE);
+  const sheet = spreadsheet.getSheetByName(LARGE_FILES_CONFIG.SHEETS.BY_FILE_TYPE);
   
   sheet.clear();
   sheet.getRange(1, 1, 1, 4).setValues([[
@@ -655,12 +364,9 @@ function generateFileTypeReport(spreadsheet, stats) {
  * Generate folder analysis report
  */
 function generateFolderAnalysisReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.BY_FOLDER);
+  const sheet = spreadsheet.getSheetByName(LARGE_FILES_CONFIG.SHEETS.BY_FOLDER);
   
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
+  clearSheetData(sheet);
   
   const folderData = Object.entries(stats.byFolder)
     .map(([folder, data]) => [
@@ -681,12 +387,9 @@ function generateFolderAnalysisReport(spreadsheet, stats) {
  * Generate cleanup candidates report
  */
 function generateCleanupCandidatesReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.CLEANUP_CANDIDATES);
+  const sheet = spreadsheet.getSheetByName(LARGE_FILES_CONFIG.SHEETS.CLEANUP_CANDIDATES);
   
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
+  clearSheetData(sheet);
   
   if (stats.cleanupCandidates.length > 0) {
     const data = stats.cleanupCandidates.map(file => [
@@ -695,11 +398,12 @@ function generateCleanupCandidatesReport(spreadsheet, stats) {
       file.type,
       file.cleanupScore,
       file.reasons.join('; '),
+      file.drive,
       file.path,
       file.url
     ]);
     
-    sheet.getRange(2, 1, data.length, 7).setValues(data);
+    sheet.getRange(2, 1, data.length, 8).setValues(data);
   }
 }
 
@@ -707,7 +411,7 @@ function generateCleanupCandidatesReport(spreadsheet, stats) {
  * Generate recommendations report
  */
 function generateRecommendationsReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.RECOMMENDATIONS);
+  const sheet = spreadsheet.getSheetByName(LARGE_FILES_CONFIG.SHEETS.RECOMMENDATIONS);
   sheet.clear();
   
   sheet.getRange(1, 1).setValue('STORAGE OPTIMIZATION RECOMMENDATIONS')
@@ -793,130 +497,32 @@ function generateStorageRecommendations(stats) {
   return recommendations;
 }
 
-// Utility functions
-
-function scheduleNextLargeFilesRun() {
-  cancelLargeFilesScheduledRuns();
-  
-  ScriptApp.newTrigger('continueLargeFilesAnalysis')
-    .timeBased()
-    .after(1 * 60 * 1000)
-    .create();
-  
-  console.log("Next large files analysis scheduled for 1 minute from now");
-}
-
+/**
+ * Continue large files analysis from the scheduled trigger
+ */
 function continueLargeFilesAnalysis() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  
-  if (scriptProperties.getProperty('largeFilesAutoMode') !== 'true') {
-    console.log("Large files auto mode disabled, stopping.");
-    cancelLargeFilesScheduledRuns();
-    return;
-  }
-  
-  findLargeFiles();
+  continueProfileInventory(LARGE_FILES_PROFILE);
 }
 
+/**
+ * Cancel scheduled large files analysis runs
+ */
 function cancelLargeFilesScheduledRuns() {
-  const triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(trigger => {
-    if (trigger.getHandlerFunction() === 'continueLargeFilesAnalysis' ||
-        trigger.getHandlerFunction() === 'findLargeFiles') {
-      ScriptApp.deleteTrigger(trigger);
-    }
-  });
-  console.log("Cancelled all scheduled large files analysis runs");
-}
-
-function updateLargeFilesStatus(spreadsheet, status, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.OVERVIEW);
-  
-  const statusCell = sheet.getRange(4, 1);
-  const statusColor = {
-    'RUNNING': '#4CAF50',
-    'PAUSED': '#FFC107', 
-    'COMPLETE': '#2196F3',
-    'ERROR': '#F44336'
-  };
-  
-  statusCell.setValue(`Status: ${status}`)
-    .setFontWeight('bold')
-    .setBackground(statusColor[status] || '#FFFFFF');
-}
-
-function getFileType(fileName, mimeType) {
-  // Similar to the main script's getFileType function
-  if (mimeType.startsWith('application/vnd.google-apps.')) {
-    const googleType = mimeType.replace('application/vnd.google-apps.', '');
-    return `Google ${googleType.charAt(0).toUpperCase() + googleType.slice(1)}`;
-  }
-  
-  const extension = fileName.split('.').pop().toLowerCase();
-  
-  const typeMap = {
-    'doc': 'Word Document', 'docx': 'Word Document',
-    'pdf': 'PDF', 'txt': 'Text File',
-    'xls': 'Excel', 'xlsx': 'Excel', 'csv': 'CSV',
-    'ppt': 'PowerPoint', 'pptx': 'PowerPoint',
-    'jpg': 'Image', 'jpeg': 'Image', 'png': 'Image', 'gif': 'Image',
-    'mp4': 'Video', 'avi': 'Video', 'mov': 'Video', 'wmv': 'Video',
-    'mp3': 'Audio', 'wav': 'Audio', 'flac': 'Audio',
-    'zip': 'Archive', 'rar': 'Archive', '7z': 'Archive',
-    'js': 'Code', 'html': 'Code', 'css': 'Code', 'py': 'Code'
-  };
-  
-  return typeMap[extension] || extension.toUpperCase() || 'Unknown';
-}
-
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
-
-function getOrCreateSpreadsheet(name) {
-  const files = DriveApp.getFilesByName(name);
-  
-  if (files.hasNext()) {
-    return SpreadsheetApp.open(files.next());
-  } else {
-    const spreadsheet = SpreadsheetApp.create(name);
-    console.log(`Created new large files analysis spreadsheet: ${spreadsheet.getUrl()}`);
-    return spreadsheet;
-  }
+  cancelProfileScheduledRuns(LARGE_FILES_PROFILE);
 }
 
 /**
  * Start automatic large files analysis
  */
 function startAutomaticLargeFilesAnalysis() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  
-  const continuationToken = scriptProperties.getProperty('largeFilesContinuationToken');
-  if (!continuationToken) {
-    resetLargeFilesAnalysis();
-  }
-  
-  scriptProperties.setProperty('largeFilesAutoMode', 'true');
-  
-  console.log("Starting automatic large files analysis...");
-  findLargeFiles();
+  return startAutomaticProfileInventory(LARGE_FILES_PROFILE);
 }
 
 /**
  * Reset large files analysis
  */
 function resetLargeFilesAnalysis() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  scriptProperties.deleteProperty('largeFilesContinuationToken');
-  scriptProperties.deleteProperty('largeFilesStats');
-  scriptProperties.deleteProperty('largeFilesAutoMode');
-  console.log("Large files analysis reset. Next run will start from the beginning.");
+  resetProfileInventory(LARGE_FILES_PROFILE);
 }
 
 /**
@@ -2,12 +2,16 @@
  * Google Drive Shared Files Security Audit Script
  * Specialized script for analyzing file sharing and permissions in Google Drive
  * Focuses on security, compliance, and access management
+ * Requires src/utils/common-functions.js and src/core/inventory-engine.js in the same Apps Script project
  */
 
 // Configuration for shared files analysis
-const CONFIG = {
+const SHARED_FILES_CONFIG = {
   BATCH_SIZE: 100,
   INVENTORY_SPREADSHEET_NAME: "🔒 Shared Files Security Audit Report",
+  SHARED_DRIVES: true, // Also scan every shared drive the account can see (Drive API only)
+  SCOPE: { ROOT: null, INCLUDE: [], EXCLUDE: [] }, // Folder to scan and include/exclude rules, see compileScanScope
+  FILTER: '', // Only inventory files matching this expression, e.g. "sharingAccess = ANYONE_WITH_LINK", see compileFilterExpression
   
   SHEETS: {
     OVERVIEW: "Overview",
@@ -39,159 +43,158 @@ const CONFIG = {
   ]
 };
 
-/**
- * Main function to audit shared files
- */
-function auditSharedFiles() {
-  console.log("Starting shared files security audit...");
+// Profile run by the inventory engine (src/core/inventory-engine.js)
+const SHARED_FILES_PROFILE = {
+  id: 'sharedFiles',
+  label: 'shared files',
+  config: SHARED_FILES_CONFIG,
+  propertyKeys: {
+    token: 'sharedFilesContinuationToken',
+    stats: 'sharedFilesStats',
+    autoMode: 'sharedFilesAutoMode'
+  },
+  entryHandler: 'auditSharedFiles',
+  continueHandler: 'continueSharedFilesAudit',
+  pauseMs: 150, // Slightly longer pause for permission checking
+  
+  // Search for all non-trashed files, we'll filter shared files during processing
+  // This is more reliable than complex visibility queries
+  query: 'trashed = false',
+  searchFilter: { visibility: ['anyoneCanFind', 'anyoneWithLink', 'domainCanFind', 'domainWithLink'] },
+  filter: isSharedFile,
+  maxCheckFactor: 10, // Check more files to find shared ones
+  extractOptions: {
+    trackPermissions: true,
+    sharingUsers: 20 // Limit to avoid timeout
+  },
+  extract: addSharedFileFields,
+  
+  stats: {
+    byAccessLevel: { count: data => data.sharingAccess },
+    byPermission: { count: data => data.sharingPermission },
+    byOwner: { count: data => data.owner },
+    byFileType: { count: data => data.type },
+    publicFiles: { countIf: data => getSharingCategory(data) === 'public' },
+    domainSharedFiles: { countIf: data => getSharingCategory(data) === 'domain' },
+    externallySharedFiles: { countIf: data => getSharingCategory(data) === 'external' },
+    internallySharedFiles: { countIf: data => getSharingCategory(data) === 'internal' },
+    highRiskFiles: {
+      when: data => data.riskScore >= 70, // High risk threshold
+      top: 100,
+      sortBy: file => file.riskScore,
+      item: data => ({
+        name: data.name,
+        type: data.type,
+        size: data.size,
+        owner: data.owner,
+        sharingAccess: data.sharingAccess,
+        sharingPermission: data.sharingPermission,
+        drive: data.drive,
+        path: data.folderPath,
+        url: data.url,
+        riskScore: data.riskScore,
+        riskFactors: getRiskFactors(data),
+        externalDomains: data.externalDomains,
+        viewerCount: data.viewers.length,
+        editorCount: data.editors.length
+      })
+    },
+    externalDomains: { count: data => data.externalDomains }
+  },
   
-  const scriptProperties = PropertiesService.getScriptProperties();
-  const isAutoMode = scriptProperties.getProperty('sharedFilesAutoMode') === 'true';
+  listSheet: {
+    name: SHARED_FILES_CONFIG.SHEETS.SHARED_FILES,
+    columns: [
+      ['Name', data => data.name],
+      ['Type', data => data.type],
+      ['Owner', data => data.owner],
+      ['Drive', data => data.drive],
+      ['Sharing Access', data => data.sharingAccess],
+      ['Permission', data => data.sharingPermission],
+      ['Viewers', data => data.viewers.slice(0, 5).join(', ')], // Limit display
+      ['Editors', data => data.editors.slice(0, 5).join(', ')],
+      ['External Domains', data => data.externalDomains.join(', ')],
+      ['Risk Score', data => data.riskScore],
+      ['Folder Path', data => formatFolderPaths(data)],
+      ['Folder ID', data => formatFolderIds(data)],
+      ['Size (MB)', data => (data.size / 1024 / 1024).toFixed(2)],
+      ['URL', data => data.url]
+    ]
+  },
   
-  if (!isAutoMode) {
-    runSharedFilesAuditBatch();
-  } else {
-    runSharedFilesAuditContinuously();
-  }
-}
+  headers: {
+    [SHARED_FILES_CONFIG.SHEETS.HIGH_RISK]: [
+      'Name', 'Type', 'Owner', 'Sharing Level', 'Risk Score', 
+      'Risk Factors', 'External Users', 'Drive', 'Folder Path', 'Size (MB)', 'URL'
+    ],
+    [SHARED_FILES_CONFIG.SHEETS.PUBLIC_FILES]: [
+      'Name', 'Type', 'Owner', 'Permission', 'Risk Score',
+      'Drive', 'Folder Path', 'Size (MB)', 'URL'
+    ],
+    [SHARED_FILES_CONFIG.SHEETS.EXTERNALLY_SHARED]: [
+      'Name', 'Type', 'Owner', 'External Domains', 'Viewers',
+      'Editors', 'Drive', 'Folder Path', 'Size (MB)', 'URL'
+    ]
+  },
+  
+  overview: {
+    title: 'Google Drive Shared Files Security Audit',
+    summaryTitle: 'SHARING SECURITY SUMMARY',
+    summary: stats => [
+      ['Total Shared Files:', stats.totalFiles],
+      ['Total Size:', formatBytes(stats.totalSize)],
+      ['Public Files:', stats.publicFiles],
+      ['Domain Shared Files:', stats.domainSharedFiles],
+      ['Externally Shared Files:', stats.externallySharedFiles],
+      ['Internally Shared Files:', stats.internallySharedFiles],
+      ['High Risk Files:', stats.highRiskFiles.length],
+      ['External Domains:', Object.keys(stats.externalDomains).length],
+      ['Processing Errors:', stats.errors]
+    ],
+    sections: [
+      { title: 'SECURITY RISK ASSESSMENT', render: renderOverallRiskLevel },
+      {
+        title: 'SHARING ACCESS DISTRIBUTION',
+        entries: stats => Object.entries(stats.byAccessLevel)
+          .sort((a, b) => b[1] - a[1])
+      },
+      {
+        title: 'TOP EXTERNAL DOMAINS',
+        entries: stats => Object.entries(stats.externalDomains)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+      }
+    ]
+  },
+  
+  reports: [
+    generatePublicFilesReport,
+    generateExternalSharingReport,
+    generateHighRiskFilesReport,
+    generatePermissionAnalysisReport,
+    generateSecurityRecommendationsReport
+  ]
+};
 
 /**
- * Run shared files audit continuously
+ * Main function to audit shared files
  */
-function runSharedFilesAuditContinuously() {
-  const startTime = new Date().getTime();
-  const MAX_RUNTIME_MS = 5 * 60 * 1000;
-  
-  const scriptProperties = PropertiesService.getScriptProperties();
-  let batchCount = 0;
-  let totalProcessed = 0;
-  let hasMoreFiles = true;
-  
-  console.log("Running shared files audit in continuous mode...");
-  
-  while (hasMoreFiles) {
-    const currentTime = new Date().getTime();
-    const elapsedTime = currentTime - startTime;
-    
-    if (elapsedTime > MAX_RUNTIME_MS) {
-      console.log(`Approaching time limit after ${(elapsedTime/1000).toFixed(0)} seconds`);
-      scheduleNextSharedFilesRun();
-      console.log(`Processed ${totalProcessed} shared files in ${batchCount} batches. Scheduled next run.`);
-      return;
-    }
-    
-    const result = runSharedFilesAuditBatch();
-    batchCount++;
-    totalProcessed += result.processedCount;
-    
-    if (!result.hasMore) {
-      hasMoreFiles = false;
-      console.log(`Shared files audit complete! Processed ${totalProcessed} files in ${batchCount} batches.`);
-      cancelSharedFilesScheduledRuns();
-    } else {
-      Utilities.sleep(150); // Slightly longer pause for permission checking
-    }
-  }
+function auditSharedFiles() {
+  return runProfileInventory(SHARED_FILES_PROFILE);
 }
 
 /**
  * Run a single batch of shared files audit
  */
 function runSharedFilesAuditBatch() {
-  const spreadsheet = getOrCreateSpreadsheet(CONFIG.INVENTORY_SPREADSHEET_NAME);
-  initializeSharedFilesSheets(spreadsheet);
-  
-  const scriptProperties = PropertiesService.getScriptProperties();
-  let continuationToken = scriptProperties.getProperty('sharedFilesContinuationToken');
-  
-  let stats = JSON.parse(scriptProperties.getProperty('sharedFilesStats') || '{}');
-  stats = initializeSharedFilesStats(stats);
-  
-  updateSharedFilesStatus(spreadsheet, 'RUNNING', stats);
-  
-  const files = getSharedFilesToProcess(continuationToken, CONFIG.BATCH_SIZE);
-  
-  if (files.length === 0) {
-    console.log("No more shared files to process!");
-    generateSharedFilesFinalReports(spreadsheet, stats);
-    updateSharedFilesStatus(spreadsheet, 'COMPLETE', stats);
-    
-    scriptProperties.deleteProperty('sharedFilesContinuationToken');
-    scriptProperties.deleteProperty('sharedFilesStats');
-    scriptProperties.deleteProperty('sharedFilesAutoMode');
-    
-    cancelSharedFilesScheduledRuns();
-    return { processedCount: 0, hasMore: false };
-  }
-  
-  console.log(`Processing batch of ${files.length} shared files...`);
-  
-  let processedCount = 0;
-  for (const file of files) {
-    try {
-      processSharedFile(file, spreadsheet, stats);
-      processedCount++;
-    } catch (error) {
-      console.error(`Error processing shared file: ${error}`);
-      stats.errors++;
-    }
-  }
-  
-  scriptProperties.setProperty('sharedFilesStats', JSON.stringify(stats));
-  updateSharedFilesOverviewSheet(spreadsheet, stats, false);
-  
-  console.log(`Processed ${processedCount} shared files. Total so far: ${stats.totalFiles}`);
-  
-  const hasMore = files.hasNext && files.hasNext();
-  
-  if (hasMore) {
-    const nextToken = files.getContinuationToken();
-    scriptProperties.setProperty('sharedFilesContinuationToken', nextToken);
-  } else {
-    generateSharedFilesFinalReports(spreadsheet, stats);
-    updateSharedFilesStatus(spreadsheet, 'COMPLETE', stats);
-    
-    scriptProperties.deleteProperty('sharedFilesContinuationToken');
-    scriptProperties.deleteProperty('sharedFilesStats');
-    scriptProperties.deleteProperty('sharedFilesAutoMode');
-  }
-  
-  return { processedCount: processedCount, hasMore: hasMore };
+  return runProfileBatch(SHARED_FILES_PROFILE);
 }
 
 /**
- * Get shared files to process
+ * Re-process the shared files listed in the Errors sheet, removing the entries that succeed
  */
-function getSharedFilesToProcess(continuationToken, batchSize) {
-  let files;
-  
-  if (continuationToken) {
-    files = DriveApp.continueFileIterator(continuationToken);
-  } else {
-    // Search for all non-trashed files, we'll filter shared files during processing
-    // This is more reliable than complex visibility queries
-    files = DriveApp.searchFiles('trashed = false');
-  }
-  
-  const filesToProcess = [];
-  let count = 0;
-  let checkedCount = 0;
-  const maxCheck = batchSize * 10; // Check more files to find shared ones
-  
-  while (files.hasNext() && count < batchSize && checkedCount < maxCheck) {
-    const file = files.next();
-    checkedCount++;
-    
-    if (isSharedFile(file)) {
-      filesToProcess.push(file);
-      count++;
-    }
-  }
-  
-  filesToProcess.hasNext = () => files.hasNext();
-  filesToProcess.getContinuationToken = () => files.getContinuationToken();
-  
-  return filesToProcess;
+function retryFailedSharedFiles() {
+  return retryProfileErrors(SHARED_FILES_PROFILE);
 }
 
 /**
@@ -199,8 +202,7 @@ function getSharedFilesToProcess(continuationToken, batchSize) {
  */
 function isSharedFile(file) {
   try {
-    const access = file.getSharingAccess();
-    return access.toString() !== 'PRIVATE';
+    return isSharedAccess(file.getSharingAccess().toString());
   } catch (error) {
     console.error(`Error checking file sharing: ${error}`);
     return false;
@@ -208,170 +210,36 @@ function isSharedFile(file) {
 }
 
 /**
- * Process a single shared file
- */
-function processSharedFile(file, spreadsheet, stats) {
-  try {
-    const fileData = extractSharedFileData(file);
-    
-    stats.totalFiles++;
-    stats.totalSize += fileData.size;
-    
-    // Track by sharing access level
-    const accessLevel = fileData.sharingAccess;
-    stats.byAccessLevel[accessLevel] = (stats.byAccessLevel[accessLevel] || 0) + 1;
-    
-    // Track by permission level
-    const permissionLevel = fileData.sharingPermission;
-    stats.byPermission[permissionLevel] = (stats.byPermission[permissionLevel] || 0) + 1;
-    
-    // Track by owner
-    stats.byOwner[fileData.owner] = (stats.byOwner[fileData.owner] || 0) + 1;
-    
-    // Track by file type
-    const fileType = fileData.type;
-    stats.byFileType[fileType] = (stats.byFileType[fileType] || 0) + 1;
-    
-    // Categorize sharing level
-    categorizeSharing(fileData, stats);
-    
-    // Security risk assessment
-    const riskLevel = assessSecurityRisk(fileData);
-    if (riskLevel >= 70) { // High risk threshold
-      stats.highRiskFiles.push({
-        name: fileData.name,
-        type: fileData.type,
-        size: fileData.size,
-        owner: fileData.owner,
-        sharingAccess: fileData.sharingAccess,
-        sharingPermission: fileData.sharingPermission,
-        path: fileData.folderPath,
-        url: fileData.url,
-        riskScore: riskLevel,
-        riskFactors: getRiskFactors(fileData),
-        externalDomains: fileData.externalDomains,
-        viewerCount: fileData.viewers.length,
-        editorCount: fileData.editors.length
-      });
-      
-      // Sort by risk score and keep top 100
-      stats.highRiskFiles.sort((a, b) => b.riskScore - a.riskScore);
-      stats.highRiskFiles = stats.highRiskFiles.slice(0, 100);
-    }
-    
-    // Track external domains
-    fileData.externalDomains.forEach(domain => {
-      stats.externalDomains[domain] = (stats.externalDomains[domain] || 0) + 1;
-    });
-    
-    addToSharedFilesSheet(spreadsheet, fileData, riskLevel);
-    
-  } catch (error) {
-    console.error(`Error processing shared file: ${error}`);
-    throw error;
-  }
-}
-
-/**
- * Extract shared file specific data
+ * Add shared file specific fields to the base file data
  */
-function extractSharedFileData(file) {
-  const data = {
-    id: file.getId(),
-    name: file.getName(),
-    mimeType: file.getMimeType(),
-    type: getFileType(file.getName(), file.getMimeType()),
-    size: file.getSize(),
-    created: file.getDateCreated().toISOString(),
-    lastModified: file.getLastUpdated().toISOString(),
-    owner: file.getOwner() ? file.getOwner().getEmail() : 'Unknown',
-    url: file.getUrl(),
-    description: file.getDescription() || '',
-    folderPath: '',
-    sharingAccess: 'Private',
-    sharingPermission: 'None',
-    viewers: [],
-    editors: [],
-    externalDomains: [],
-    isPublic: false,
-    isDomainShared: false
-  };
+function addSharedFileFields(data) {
+  data.isPublic = isPublicAccess(data.sharingAccess);
+  data.isDomainShared = (data.sharingAccess === 'DOMAIN' || data.sharingAccess === 'DOMAIN_WITH_LINK');
   
-  // Get folder path
-  try {
-    const parents = file.getParents();
-    const pathParts = [];
-    
-    if (parents.hasNext()) {
-      const parent = parents.next();
-      pathParts.push(parent.getName());
-      
-      let currentParent = parent;
-      let depth = 0;
-      while (depth < 5) {
-        const grandParents = currentParent.getParents();
-        if (grandParents.hasNext()) {
-          currentParent = grandParents.next();
-          pathParts.unshift(currentParent.getName());
-          depth++;
-        } else {
-          break;
-        }
-      }
-    }
-    
-    data.folderPath = pathParts.length > 0 ? pathParts.join('/') : 'Root';
-  } catch (error) {
-    data.folderPath = 'Unknown';
-  }
+  // Identify external domains
+  const ownerDomain = data.owner.split('@')[1];
+  const allUsers = [...data.viewers, ...data.editors];
   
-  // Get detailed sharing information
-  try {
-    const access = file.getSharingAccess();
-    const permission = file.getSharingPermission();
-    
-    data.sharingAccess = access.toString();
-    data.sharingPermission = permission.toString();
-    
-    data.isPublic = (access.toString() === 'ANYONE' || access.toString() === 'ANYONE_WITH_LINK');
-    data.isDomainShared = (access.toString() === 'DOMAIN' || access.toString() === 'DOMAIN_WITH_LINK');
-    
-    // Get viewers and editors
-    const viewers = file.getViewers();
-    const editors = file.getEditors();
-    
-    data.viewers = viewers.slice(0, 20).map(user => user.getEmail()); // Limit to avoid timeout
-    data.editors = editors.slice(0, 20).map(user => user.getEmail());
-    
-    // Identify external domains
-    const ownerDomain = data.owner.split('@')[1];
-    const allUsers = [...data.viewers, ...data.editors];
-    
-    data.externalDomains = [...new Set(allUsers
-      .map(email => email.split('@')[1])
-      .filter(domain => domain && domain !== ownerDomain)
-    )];
-    
-  } catch (error) {
-    console.error(`Error getting sharing details: ${error}`);
-  }
+  data.externalDomains = [...new Set(allUsers
+    .map(email => email.split('@')[1])
+    .filter(domain => domain && domain !== ownerDomain)
+  )];
   
-  return data;
+  data.riskScore = assessSecurityRisk(data);
 }
 
 /**
  * Categorize sharing level
  */
-function categorizeSharing(fileData, stats) {
+function getSharingCategory(fileData) {
   if (fileData.isPublic) {
-    stats.publicFiles++;
+    return 'public';
   } else if (fileData.isDomainShared) {
-    stats.domainSharedFiles++;
+    return 'domain';
   } else if (fileData.externalDomains.length > 0) {
-    stats.externallySharedFiles++;
-  } else {
-    stats.internallySharedFiles++;
+    return 'external';
   }
+  return 'internal';
 }
 
 /**
@@ -400,7 +268,7 @@ function assessSecurityRisk(fileData) {
   const fileName = fileData.name.toLowerCase();
   const description = fileData.description.toLowerCase();
   
-  CONFIG.HIGH_RISK_KEYWORDS.forEach(keyword => {
+  SHARED_FILES_CONFIG.HIGH_RISK_KEYWORDS.forEach(keyword => {
     if (fileName.includes(keyword) || description.includes(keyword)) {
       riskScore += 5; // Max 25 points for sensitive content
     }
@@ -409,8 +277,8 @@ function assessSecurityRisk(fileData) {
   riskScore = Math.min(riskScore, 25); // Cap sensitive content score
   
   // File type risk
-  const sensitiveTypes = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'csv'];
-  if (sensitiveTypes.includes(fileData.type.toLowerCase())) {
+  const sensitiveTypes = ['PDF', 'Word', 'Excel', 'CSV'];
+  if (sensitiveTypes.includes(fileData.type)) {
     riskScore += 10;
   }
   
@@ -445,7 +313,7 @@ function getRiskFactors(fileData) {
   }
   
   const fileName = fileData.name.toLowerCase();
-  const sensitiveKeywords = CONFIG.HIGH_RISK_KEYWORDS.filter(keyword => 
+  const sensitiveKeywords = SHARED_FILES_CONFIG.HIGH_RISK_KEYWORDS.filter(keyword => 
     fileName.includes(keyword)
   );
   
@@ -461,139 +329,9 @@ function getRiskFactors(fileData) {
 }
 
 /**
- * Initialize shared files statistics
- */
-function initializeSharedFilesStats(stats) {
-  return {
-    totalFiles: stats.totalFiles || 0,
-    totalSize: stats.totalSize || 0,
-    byAccessLevel: stats.byAccessLevel || {},
-    byPermission: stats.byPermission || {},
-    byOwner: stats.byOwner || {},
-    byFileType: stats.byFileType || {},
-    publicFiles: stats.publicFiles || 0,
-    domainSharedFiles: stats.domainSharedFiles || 0,
-    externallySharedFiles: stats.externallySharedFiles || 0,
-    internallySharedFiles: stats.internallySharedFiles || 0,
-    highRiskFiles: stats.highRiskFiles || [],
-    externalDomains: stats.externalDomains || {},
-    errors: stats.errors || 0,
-    startTime: stats.startTime || new Date().toISOString()
-  };
-}
-
-/**
- * Initialize shared files specific sheets
- */
-function initializeSharedFilesSheets(spreadsheet) {
-  for (const sheetName of Object.values(CONFIG.SHEETS)) {
-    let sheet = spreadsheet.getSheetByName(sheetName);
-    
-    if (!sheet) {
-      sheet = spreadsheet.insertSheet(sheetName);
-      
-      switch (sheetName) {
-        case CONFIG.SHEETS.SHARED_FILES:
-          sheet.getRange(1, 1, 1, 12).setValues([[
-            'Name', 'Type', 'Owner', 'Sharing Access', 'Permission', 
-            'Viewers', 'Editors', 'External Domains', 'Risk Score', 
-            'Folder Path', 'Size (MB)', 'URL'
-          ]]);
-          sheet.getRange(1, 1, 1, 12).setFontWeight('bold');
-          break;
-          
-        case CONFIG.SHEETS.HIGH_RISK:
-          sheet.getRange(1, 1, 1, 10).setValues([[
-            'Name', 'Type', 'Owner', 'Sharing Level', 'Risk Score', 
-            'Risk Factors', 'External Users', 'Folder Path', 'Size (MB)', 'URL'
-          ]]);
-          sheet.getRange(1, 1, 1, 10).setFontWeight('bold');
-          break;
-          
-        case CONFIG.SHEETS.PUBLIC_FILES:
-          sheet.getRange(1, 1, 1, 8).setValues([[
-            'Name', 'Type', 'Owner', 'Permission', 'Risk Score',
-            'Folder Path', 'Size (MB)', 'URL'
-          ]]);
-          sheet.getRange(1, 1, 1, 8).setFontWeight('bold');
-          break;
-          
-        case CONFIG.SHEETS.EXTERNALLY_SHARED:
-          sheet.getRange(1, 1, 1, 9).setValues([[
-            'Name', 'Type', 'Owner', 'External Domains', 'Viewers',
-            'Editors', 'Folder Path', 'Size (MB)', 'URL'
-          ]]);
-          sheet.getRange(1, 1, 1, 9).setFontWeight('bold');
-          break;
-      }
-    }
-  }
-  
-  const sheet1 = spreadsheet.getSheetByName('Sheet1');
-  if (sheet1 && spreadsheet.getSheets().length > 1) {
-    spreadsheet.deleteSheet(sheet1);
-  }
-}
-
-/**
- * Add shared file data to the sheet
- */
-function addToSharedFilesSheet(spreadsheet, fileData, riskScore) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.SHARED_FILES);
-  
-  sheet.appendRow([
-    fileData.name,
-    fileData.type,
-    fileData.owner,
-    fileData.sharingAccess,
-    fileData.sharingPermission,
-    fileData.viewers.slice(0, 5).join(', '), // Limit display
-    fileData.editors.slice(0, 5).join(', '),
-    fileData.externalDomains.join(', '),
-    riskScore,
-    fileData.folderPath,
-    (fileData.size / 1024 / 1024).toFixed(2),
-    fileData.url
-  ]);
-}
-
-/**
- * Update the shared files overview sheet
+ * Write the overall risk level into the overview (uses one row)
  */
-function updateSharedFilesOverviewSheet(spreadsheet, stats, isFinal) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.OVERVIEW);
-  sheet.clear();
-  
-  sheet.getRange(1, 1).setValue('Google Drive Shared Files Security Audit')
-    .setFontSize(16).setFontWeight('bold');
-  
-  sheet.getRange(2, 1).setValue(isFinal ? 'Final Report' : 'Progress Report')
-    .setFontSize(12);
-  
-  sheet.getRange(3, 1).setValue(`Generated: ${new Date().toLocaleString()}`)
-    .setFontSize(10);
-  
-  // Summary Statistics
-  sheet.getRange(5, 1).setValue('SHARING SECURITY SUMMARY').setFontWeight('bold');
-  
-  const summaryData = [
-    ['Total Shared Files:', stats.totalFiles],
-    ['Total Size:', formatBytes(stats.totalSize)],
-    ['Public Files:', stats.publicFiles],
-    ['Domain Shared Files:', stats.domainSharedFiles],
-    ['Externally Shared Files:', stats.externallySharedFiles],
-    ['Internally Shared Files:', stats.internallySharedFiles],
-    ['High Risk Files:', stats.highRiskFiles.length],
-    ['External Domains:', Object.keys(stats.externalDomains).length],
-    ['Processing Errors:', stats.errors]
-  ];
-  
-  sheet.getRange(6, 1, summaryData.length, 2).setValues(summaryData);
-  
-  // Risk Assessment
-  const riskRow = 16;
-  sheet.getRange(riskRow, 1).setValue('SECURITY RISK ASSESSMENT').setFontWeight('bold');
-  
+function renderOverallRiskLevel(sheet, row, stats) {
   let riskLevel = 'LOW';
   let riskColor = '#4CAF50';
   
@@ -605,68 +343,24 @@ function updateSharedFilesOverviewSheet(spreadsheet, stats, isFinal) {
     riskColor = '#FF9800';
   }
   
-  sheet.getRange(riskRow + 1, 1).setValue(`Overall Risk Level: ${riskLevel}`)
+  sheet.getRange(row, 1).setValue(`Overall Risk Level: ${riskLevel}`)
     .setBackground(riskColor)
     .setFontColor('#FFFFFF')
     .setFontWeight('bold');
   
-  // Access Levels Distribution
-  const accessRow = riskRow + 4;
-  sheet.getRange(accessRow, 1).setValue('SHARING ACCESS DISTRIBUTION').setFontWeight('bold');
-  
-  const accessEntries = Object.entries(stats.byAccessLevel)
-    .sort((a, b) => b[1] - a[1]);
-  
-  if (accessEntries.length > 0) {
-    sheet.getRange(accessRow + 1, 1, accessEntries.length, 2).setValues(accessEntries);
-  }
-  
-  // Top External Domains
-  const domainRow = accessRow + accessEntries.length + 3;
-  sheet.getRange(domainRow, 1).setValue('TOP EXTERNAL DOMAINS').setFontWeight('bold');
-  
-  const domainEntries = Object.entries(stats.externalDomains)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
-  
-  if (domainEntries.length > 0) {
-    sheet.getRange(domainRow + 1, 1, domainEntries.length, 2).setValues(domainEntries);
-  }
-  
-  sheet.autoResizeColumns(1, 2);
-}
-
-/**
- * Generate final shared files reports
- */
-function generateSharedFilesFinalReports(spreadsheet, stats) {
-  console.log("Generating final shared files reports...");
-  
-  updateSharedFilesOverviewSheet(spreadsheet, stats, true);
-  generatePublicFilesReport(spreadsheet, stats);
-  generateExternalSharingReport(spreadsheet, stats);
-  generateHighRiskFilesReport(spreadsheet, stats);
-  generatePermissionAnalysisReport(spreadsheet, stats);
-  generateSecurityRecommendationsReport(spreadsheet, stats);
-  
-  console.log(`Shared files audit reports generated! View at: ${spreadsheet.getUrl()}`);
+  return 1;
 }
 
 /**
  * Generate public files report
  */
 function generatePublicFilesReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.PUBLIC_FILES);
+  const sheet = spreadsheet.getSheetByName(SHARED_FILES_CONFIG.SHEETS.PUBLIC_FILES);
   
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
+  clearSheetData(sheet);
   
   // Filter for public files from high risk files
-  const publicFiles = stats.highRiskFiles.filter(file => 
-    file.sharingAccess === 'ANYONE' || file.sharingAccess === 'ANYONE_WITH_LINK'
-  );
+  const publicFiles = stats.highRiskFiles.filter(file => isPublicAccess(file.sharingAccess));
   
   if (publicFiles.length > 0) {
     const data = publicFiles.map(file => [
@@ -675,12 +369,13 @@ function generatePublicFilesReport(spreadsheet, stats) {
       file.owner,
       file.sharingPermission,
       file.riskScore,
+      file.drive,
       file.path,
       (file.size / 1024 / 1024).toFixed(2),
       file.url
     ]);
     
-    sheet.getRange(2, 1, data.length, 8).setValues(data);
+    sheet.getRange(2, 1, data.length, 9).setValues(data);
   }
 }
 
@@ -688,12 +383,9 @@ function generatePublicFilesReport(spreadsheet, stats) {
  * Generate external sharing report
  */
 function generateExternalSharingReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.EXTERNALLY_SHARED);
+  const sheet = spreadsheet.getSheetByName(SHARED_FILES_CONFIG.SHEETS.EXTERNALLY_SHARED);
   
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
+  clearSheetData(sheet);
   
   const externalFiles = stats.highRiskFiles.filter(file => 
     file.externalDomains && file.externalDomains.length > 0
@@ -707,12 +399,13 @@ function generateExternalSharingReport(spreadsheet, stats) {
       file.externalDomains.join(', '),
       file.viewerCount,
       file.editorCount,
+      file.drive,
       file.path,
       (file.size / 1024 / 1024).toFixed(2),
       file.url
     ]);
     
-    sheet.getRange(2, 1, data.length, 9).setValues(data);
+    sheet.getRange(2, 1, data.length, 10).setValues(data);
   }
 }
 
@@ -720,12 +413,9 @@ function generateExternalSharingReport(spreadsheet, stats) {
  * Generate high risk files report
  */
 function generateHighRiskFilesReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.HIGH_RISK);
+  const sheet = spreadsheet.getSheetByName(SHARED_FILES_CONFIG.SHEETS.HIGH_RISK);
   
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
+  clearSheetData(sheet);
   
   if (stats.highRiskFiles.length > 0) {
     const data = stats.highRiskFiles.map(file => [
@@ -736,12 +426,13 @@ function generateHighRiskFilesReport(spreadsheet, stats) {
       file.riskScore,
       file.riskFactors.join('; '),
       file.viewerCount + file.editorCount,
+      file.drive,
       file.path,
       (file.size / 1024 / 1024).toFixed(2),
       file.url
     ]);
     
-    sheet.getRange(2, 1, data.length, 10).setValues(data);
+    sheet.getRange(2, 1, data.length, 11).setValues(data);
   }
 }
 
@@ -749,7 +440,7 @@ function generateHighRiskFilesReport(spreadsheet, stats) {
  * Generate permission analysis report
  */
 function generatePermissionAnalysisReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.BY_PERMISSION);
+  const sheet = spreadsheet.getSheetByName(SHARED_FILES_CONFIG.SHEETS.BY_PERMISSION);
   
   sheet.clear();
   sheet.getRange(1, 1, 1, 4).setValues([[
@@ -775,7 +466,7 @@ function generatePermissionAnalysisReport(spreadsheet, stats) {
  * Generate security recommendations report
  */
 function generateSecurityRecommendationsReport(spreadsheet, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.RECOMMENDATIONS);
+  const sheet = spreadsheet.getSheetByName(SHARED_FILES_CONFIG.SHEETS.RECOMMENDATIONS);
   sheet.clear();
   
   sheet.getRange(1, 1).setValue('SECURITY RECOMMENDATIONS')
@@ -857,128 +548,32 @@ function generateSecurityRecommendations(stats) {
   return recommendations;
 }
 
-// Utility functions
-
-function scheduleNextSharedFilesRun() {
-  cancelSharedFilesScheduledRuns();
-  
-  ScriptApp.newTrigger('continueSharedFilesAudit')
-    .timeBased()
-    .after(1 * 60 * 1000)
-    .create();
-  
-  console.log("Next shared files audit scheduled for 1 minute from now");
-}
-
+/**
+ * Continue shared files audit from the scheduled trigger
+ */
 function continueSharedFilesAudit() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  
-  if (scriptProperties.getProperty('sharedFilesAutoMode') !== 'true') {
-    console.log("Shared files auto mode disabled, stopping.");
-    cancelSharedFilesScheduledRuns();
-    return;
-  }
-  
-  auditSharedFiles();
+  continueProfileInventory(SHARED_FILES_PROFILE);
 }
 
+/**
+ * Cancel scheduled shared files audit runs
+ */
 function cancelSharedFilesScheduledRuns() {
-  const triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(trigger => {
-    if (trigger.getHandlerFunction() === 'continueSharedFilesAudit' ||
-        trigger.getHandlerFunction() === 'auditSharedFiles') {
-      ScriptApp.deleteTrigger(trigger);
-    }
-  });
-  console.log("Cancelled all scheduled shared files audit runs");
-}
-
-function updateSharedFilesStatus(spreadsheet, status, stats) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.OVERVIEW);
-  
-  const statusCell = sheet.getRange(4, 1);
-  const statusColor = {
-    'RUNNING': '#4CAF50',
-    'PAUSED': '#FFC107',
-    'COMPLETE': '#2196F3',
-    'ERROR': '#F44336'
-  };
-  
-  statusCell.setValue(`Status: ${status}`)
-    .setFontWeight('bold')
-    .setBackground(statusColor[status] || '#FFFFFF');
-}
-
-function getFileType(fileName, mimeType) {
-  if (mimeType.startsWith('application/vnd.google-apps.')) {
-    const googleType = mimeType.replace('application/vnd.google-apps.', '');
-    return `Google ${googleType.charAt(0).toUpperCase() + googleType.slice(1)}`;
-  }
-  
-  const extension = fileName.split('.').pop().toLowerCase();
-  
-  const typeMap = {
-    'doc': 'Word Document', 'docx': 'Word Document',
-    'pdf': 'PDF', 'txt': 'Text File',
-    'xls': 'Excel', 'xlsx': 'Excel', 'csv': 'CSV',
-    'ppt': 'PowerPoint', 'pptx': 'PowerPoint',
-    'jpg': 'Image', 'jpeg': 'Image', 'png': 'Image',
-    'mp4': 'Video', 'avi': 'Video', 'mov': 'Video',
-    'mp3': 'Audio', 'wav': 'Audio',
-    'zip': 'Archive', 'rar': 'Archive'
-  };
-  
-  return typeMap[extension] || extension.toUpperCase() || 'Unknown';
-}
-
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
-
-function getOrCreateSpreadsheet(name) {
-  const files = DriveApp.getFilesByName(name);
-  
-  if (files.hasNext()) {
-    return SpreadsheetApp.open(files.next());
-  } else {
-    const spreadsheet = SpreadsheetApp.create(name);
-    console.log(`Created new shared files audit spreadsheet: ${spreadsheet.getUrl()}`);
-    return spreadsheet;
-  }
+  cancelProfileScheduledRuns(SHARED_FILES_PROFILE);
 }
 
 /**
  * Start automatic shared files audit
  */
 function startAutomaticSharedFilesAudit() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  
-  const continuationToken = scriptProperties.getProperty('sharedFilesContinuationToken');
-  if (!continuationToken) {
-    resetSharedFilesAudit();
-  }
-  
-  scriptProperties.setProperty('sharedFilesAutoMode', 'true');
-  
-  console.log("Starting automatic shared files audit...");
-  auditSharedFiles();
+  return startAutomaticProfileInventory(SHARED_FILES_PROFILE);
 }
 
 /**
  * Reset shared files audit
  */
 function resetSharedFilesAudit() {
-  const scriptProperties = PropertiesService.getScriptProperties();
-  scriptProperties.deleteProperty('sharedFilesContinuationToken');
-  scriptProperties.deleteProperty('sharedFilesStats');
-  scriptProperties.deleteProperty('sharedFilesAutoMode');
-  console.log("Shared files audit reset. Next run will start from the beginning.");
+  resetProfileInventory(SHARED_FILES_PROFILE);
 }
 
 /**
@@ -1029,7 +624,7 @@ function getQuickSecurityCheck() {
       
       // Quick risk check
       const fileName = file.getName().toLowerCase();
-      if (CONFIG.HIGH_RISK_KEYWORDS.some(keyword => fileName.includes(keyword))) {
+      if (SHARED_FILES_CONFIG.HIGH_RISK_KEYWORDS.some(keyword => fileName.includes(keyword))) {
         stats.highRiskFound++;
       }
       
@@ -0,0 +1,3091 @@
+/**
+ * Google Drive Inventory Tools - Common Functions
+ * Shared primitives used by the core inventory and every specialized script
+ * Add this file to the same Apps Script project as the script you run
+ */
+
+// Sharing values as returned by DriveApp (DriveApp.Access / DriveApp.Permission)
+const SHARING_ACCESS_PRIVATE = 'PRIVATE';
+const SHARING_PERMISSION_NONE = 'NONE';
+
+// Status indicator colors used in every Overview sheet
+const STATUS_COLORS = {
+  'RUNNING': '#4CAF50',
+  'PAUSED': '#FFC107',
+  'COMPLETE': '#2196F3',
+  'ERROR': '#F44336'
+};
+
+// Drive shortcuts point at another file through getTargetId()
+const SHORTCUT_MIME_TYPE = 'application/vnd.google-apps.shortcut';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Drive API backend: one files.list request returns up to a page of files with these fields
+const DRIVE_API_PAGE_SIZE = 1000;
+const DRIVE_API_RECORD_FIELDS = 'id, name, mimeType, size, quotaBytesUsed, md5Checksum, ' +
+  'parents, owners(emailAddress), permissions(type, role, emailAddress, domain, allowFileDiscovery), ' +
+  'createdTime, modifiedTime, webViewLink, description, trashed, shortcutDetails(targetId), driveId, ownedByMe';
+const DRIVE_API_FILE_FIELDS = `nextPageToken, files(${DRIVE_API_RECORD_FIELDS})`;
+const DRIVE_API_TOKEN_PREFIX = 'driveapi:';
+
+// Shared drives: listed with drives.list, their members with permissions.list
+const DRIVE_API_DRIVE_FIELDS = 'nextPageToken, drives(id, name)';
+const DRIVE_API_MEMBER_FIELDS = 'nextPageToken, permissions(type, emailAddress, domain)';
+// files.list leaves permissions out for shared drive items; they are listed per file, inherited drive members aside
+const DRIVE_API_PERMISSION_FIELDS =
+  'nextPageToken, permissions(type, role, emailAddress, domain, allowFileDiscovery, permissionDetails(inherited))';
+
+// Drive column of files outside shared drives
+const MY_DRIVE_LABEL = 'My Drive';
+const SHARED_WITH_ME_LABEL = 'Shared with me';
+
+// Shared drives and the account's email, looked up once per execution
+const DRIVE_LOOKUPS = {};
+
+// Drive API changes.list: the same record for each changed file, removed files have none
+const DRIVE_API_CHANGE_FIELDS =
+  `nextPageToken, newStartPageToken, changes(fileId, removed, file(${DRIVE_API_RECORD_FIELDS}))`;
+
+// DriveApp search fields that have another name in Drive API v3 queries
+const DRIVE_API_QUERY_FIELDS = {
+  'title': 'name',
+  'modifiedDate': 'modifiedTime',
+  'createdDate': 'createdTime',
+  'lastViewedByMeDate': 'viewedByMeTime'
+};
+
+// Drive API permission roles as DriveApp.Permission names
+const DRIVE_API_ROLE_PERMISSIONS = {
+  'owner': 'OWNER',
+  'organizer': 'ORGANIZER',
+  'fileOrganizer': 'FILE_ORGANIZER',
+  'writer': 'EDIT',
+  'commenter': 'COMMENT',
+  'reader': 'VIEW'
+};
+
+// Hidden sheet that keeps folder names and parents between batches
+const FOLDER_CACHE_SHEET = 'Folder Cache';
+
+// Most paths kept for one folder whose folders above it have several parents
+const MAX_FOLDER_PATHS = 10;
+
+// Search filters: Drive visibility values as DriveApp.Access names
+const VISIBILITY_ACCESS = {
+  'anyoneCanFind': 'ANYONE',
+  'anyoneWithLink': 'ANYONE_WITH_LINK',
+  'domainCanFind': 'DOMAIN',
+  'domainWithLink': 'DOMAIN_WITH_LINK'
+};
+const FILTERED_TOKEN_PREFIX = 'filtered:';
+
+// Scan scopes (see compileScanScope): a ROOT that looks like this is a folder ID, anything else a path
+const FOLDER_ID_PATTERN = /^[\w-]{20,}$/;
+const SCOPE_RULE_FIELDS = ['path', 'name', 'owner', 'mimeType'];
+
+// Filter expressions (see compileFilterExpression): fields of an extracted file record by name, and the
+// units of size and age values (a bare size is in bytes, a bare age in days)
+const FILTER_FIELDS = {
+  name: { kind: 'text', value: data => data.name },
+  // File type and its category, see classifyFile; type matches either, so "type = Video" and "type = MP4" both work
+  type: { kind: 'text', value: data => [data.typeCategory, data.type].filter(value => value !== undefined) },
+  category: { kind: 'text', value: data => data.typeCategory },
+  extension: { kind: 'text', value: data => data.name.indexOf('.') === -1 ? '' : data.name.split('.').pop() },
+  mimeType: { kind: 'text', value: data => data.mimeType },
+  size: { kind: 'size', value: data => data.size },
+  age: { kind: 'age', value: data => getAgeInDays(data.lastModified) },
+  created: { kind: 'date', value: data => new Date(data.created).getTime() },
+  modified: { kind: 'date', value: data => new Date(data.lastModified).getTime() },
+  owner: { kind: 'text', value: data => data.owner },
+  drive: { kind: 'text', value: data => data.drive },
+  path: { kind: 'path', value: data => data.folderPaths && data.folderPaths.length ? data.folderPaths : data.folderPath },
+  sharingAccess: { kind: 'text', value: data => data.sharingAccess },
+  sharingPermission: { kind: 'text', value: data => data.sharingPermission },
+  viewers: { kind: 'text', value: data => data.viewers || [] },
+  editors: { kind: 'text', value: data => data.editors || [] }
+};
+const FILTER_FIELD_ALIASES = {
+  sharing: 'sharingAccess',
+  permission: 'sharingPermission',
+  lastModified: 'modified',
+  folderPath: 'path'
+};
+const FILTER_SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024, TB: 1024 * 1024 * 1024 * 1024 };
+const FILTER_AGE_UNITS = { D: 1, W: 7, M: 30, Y: 365 };
+const FILTER_COMPARISONS = ['=', '!=', '>', '>=', '<', '<='];
+
+// Filter expressions compiled in this execution, by expression
+const COMPILED_FILTERS = {};
+
+// File classification (see classifyFile): [category, type] by MIME type, then by extension.
+// Generic MIME types such as text/plain and application/octet-stream are left to the extension
+const FILE_TYPE_MIME_TYPES = {
+  // Google Workspace
+  'application/vnd.google-apps.document': ['Document', 'Google Docs'],
+  'application/vnd.google-apps.spreadsheet': ['Spreadsheet', 'Google Sheets'],
+  'application/vnd.google-apps.presentation': ['Presentation', 'Google Slides'],
+  'application/vnd.google-apps.form': ['Form', 'Google Forms'],
+  'application/vnd.google-apps.drawing': ['Image', 'Google Drawings'],
+  'application/vnd.google-apps.jam': ['Image', 'Google Jamboard'],
+  'application/vnd.google-apps.site': ['Website', 'Google Sites'],
+  'application/vnd.google-apps.map': ['Map', 'Google My Maps'],
+  'application/vnd.google-apps.script': ['Code', 'Apps Script'],
+  'application/vnd.google-apps.shortcut': ['Shortcut', 'Shortcut'],
+  'application/vnd.google-apps.folder': ['Folder', 'Folder'],
+
+  // Documents
+  'application/pdf': ['Document', 'PDF'],
+  'application/msword': ['Document', 'Word'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['Document', 'Word'],
+  'application/rtf': ['Document', 'Rich Text'],
+  'text/rtf': ['Document', 'Rich Text'],
+  'application/vnd.oasis.opendocument.text': ['Document', 'OpenDocument Text'],
+  'text/markdown': ['Document', 'Markdown'],
+
+  // Spreadsheets
+  'application/vnd.ms-excel': ['Spreadsheet', 'Excel'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['Spreadsheet', 'Excel'],
+  'application/vnd.oasis.opendocument.spreadsheet': ['Spreadsheet', 'OpenDocument Spreadsheet'],
+  'text/csv': ['Spreadsheet', 'CSV'],
+  'text/tab-separated-values': ['Spreadsheet', 'TSV'],
+
+  // Presentations
+  'application/vnd.ms-powerpoint': ['Presentation', 'PowerPoint'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['Presentation', 'PowerPoint'],
+  'application/vnd.oasis.opendocument.presentation': ['Presentation', 'OpenDocument Presentation'],
+
+  // Images
+  'image/jpeg': ['Image', 'JPEG'],
+  'image/png': ['Image', 'PNG'],
+  'image/gif': ['Image', 'GIF'],
+  'image/bmp': ['Image', 'BMP'],
+  'image/svg+xml': ['Image', 'SVG'],
+  'image/webp': ['Image', 'WebP'],
+  'image/tiff': ['Image', 'TIFF'],
+  'image/heic': ['Image', 'HEIC'],
+  'image/heif': ['Image', 'HEIF'],
+  'image/x-icon': ['Image', 'ICO'],
+  'image/vnd.adobe.photoshop': ['Image', 'Photoshop'],
+
+  // Video
+  'video/mp4': ['Video', 'MP4'],
+  'video/quicktime': ['Video', 'QuickTime'],
+  'video/x-msvideo': ['Video', 'AVI'],
+  'video/x-ms-wmv': ['Video', 'WMV'],
+  'video/x-flv': ['Video', 'FLV'],
+  'video/x-matroska': ['Video', 'MKV'],
+  'video/webm': ['Video', 'WebM'],
+  'video/mpeg': ['Video', 'MPEG'],
+  'video/3gpp': ['Video', '3GP'],
+
+  // Audio
+  'audio/mpeg': ['Audio', 'MP3'],
+  'audio/wav': ['Audio', 'WAV'],
+  'audio/x-wav': ['Audio', 'WAV'],
+  'audio/flac': ['Audio', 'FLAC'],
+  'audio/aac': ['Audio', 'AAC'],
+  'audio/ogg': ['Audio', 'OGG'],
+  'audio/mp4': ['Audio', 'M4A'],
+  'audio/x-m4a': ['Audio', 'M4A'],
+
+  // Archives
+  'application/zip': ['Archive', 'ZIP'],
+  'application/x-zip-compressed': ['Archive', 'ZIP'],
+  'application/x-rar-compressed': ['Archive', 'RAR'],
+  'application/vnd.rar': ['Archive', 'RAR'],
+  'application/x-7z-compressed': ['Archive', '7Z'],
+  'application/x-tar': ['Archive', 'TAR'],
+  'application/gzip': ['Archive', 'GZIP'],
+  'application/x-gzip': ['Archive', 'GZIP'],
+
+  // Code
+  'text/html': ['Code', 'HTML'],
+  'text/css': ['Code', 'CSS'],
+  'text/javascript': ['Code', 'JavaScript'],
+  'application/javascript': ['Code', 'JavaScript'],
+  'application/x-javascript': ['Code', 'JavaScript'],
+  'application/json': ['Code', 'JSON'],
+  'application/xml': ['Code', 'XML'],
+  'text/xml': ['Code', 'XML'],
+  'text/x-python': ['Code', 'Python'],
+  'text/x-java': ['Code', 'Java']
+};
+const FILE_TYPE_EXTENSIONS = {
+  // Documents
+  'pdf': ['Document', 'PDF'], 'doc': ['Document', 'Word'], 'docx': ['Document', 'Word'],
+  'txt': ['Document', 'Text'], 'rtf': ['Document', 'Rich Text'], 'odt': ['Document', 'OpenDocument Text'],
+  'pages': ['Document', 'Pages'], 'md': ['Document', 'Markdown'], 'rst': ['Document', 'reStructuredText'],
+  'tex': ['Document', 'LaTeX'], 'epub': ['Document', 'EPUB'],
+
+  // Spreadsheets
+  'xls': ['Spreadsheet', 'Excel'], 'xlsx': ['Spreadsheet', 'Excel'], 'csv': ['Spreadsheet', 'CSV'],
+  'tsv': ['Spreadsheet', 'TSV'], 'ods': ['Spreadsheet', 'OpenDocument Spreadsheet'], 'numbers': ['Spreadsheet', 'Numbers'],
+
+  // Presentations
+  'ppt': ['Presentation', 'PowerPoint'], 'pptx': ['Presentation', 'PowerPoint'],
+  'odp': ['Presentation', 'OpenDocument Presentation'], 'key': ['Presentation', 'Keynote'],
+
+  // Images
+  'jpg': ['Image', 'JPEG'], 'jpeg': ['Image', 'JPEG'], 'png': ['Image', 'PNG'], 'gif': ['Image', 'GIF'],
+  'bmp': ['Image', 'BMP'], 'svg': ['Image', 'SVG'], 'webp': ['Image', 'WebP'], 'tif': ['Image', 'TIFF'],
+  'tiff': ['Image', 'TIFF'], 'heic': ['Image', 'HEIC'], 'heif': ['Image', 'HEIF'], 'ico': ['Image', 'ICO'],
+  'psd': ['Image', 'Photoshop'], 'ai': ['Image', 'Illustrator'], 'raw': ['Image', 'RAW'],
+  'cr2': ['Image', 'RAW'], 'nef': ['Image', 'RAW'], 'arw': ['Image', 'RAW'], 'dng': ['Image', 'RAW'],
+
+  // Video
+  'mp4': ['Video', 'MP4'], 'm4v': ['Video', 'MP4'], 'mov': ['Video', 'QuickTime'], 'avi': ['Video', 'AVI'],
+  'wmv': ['Video', 'WMV'], 'flv': ['Video', 'FLV'], 'mkv': ['Video', 'MKV'], 'webm': ['Video', 'WebM'],
+  'mpg': ['Video', 'MPEG'], 'mpeg': ['Video', 'MPEG'], '3gp': ['Video', '3GP'],
+
+  // Audio
+  'mp3': ['Audio', 'MP3'], 'wav': ['Audio', 'WAV'], 'flac': ['Audio', 'FLAC'], 'aac': ['Audio', 'AAC'],
+  'ogg': ['Audio', 'OGG'], 'm4a': ['Audio', 'M4A'], 'wma': ['Audio', 'WMA'], 'aiff': ['Audio', 'AIFF'],
+
+  // Archives
+  'zip': ['Archive', 'ZIP'], 'rar': ['Archive', 'RAR'], '7z': ['Archive', '7Z'], 'tar': ['Archive', 'TAR'],
+  'gz': ['Archive', 'GZIP'], 'tgz': ['Archive', 'GZIP'], 'bz2': ['Archive', 'BZIP2'],
+
+  // Code - web
+  'js': ['Code', 'JavaScript'], 'jsx': ['Code', 'React/JSX'], 'ts': ['Code', 'TypeScript'],
+  'tsx': ['Code', 'TypeScript React'], 'html': ['Code', 'HTML'], 'htm': ['Code', 'HTML'], 'css': ['Code', 'CSS'],
+  'scss': ['Code', 'SASS/SCSS'], 'sass': ['Code', 'SASS/SCSS'], 'less': ['Code', 'LESS'],
+  'vue': ['Code', 'Vue.js'], 'svelte': ['Code', 'Svelte'],
+
+  // Code - languages
+  'py': ['Code', 'Python'], 'java': ['Code', 'Java'], 'c': ['Code', 'C'], 'cpp': ['Code', 'C++'],
+  'cc': ['Code', 'C++'], 'cxx': ['Code', 'C++'], 'cs': ['Code', 'C#'], 'php': ['Code', 'PHP'],
+  'rb': ['Code', 'Ruby'], 'go': ['Code', 'Go'], 'rs': ['Code', 'Rust'], 'kt': ['Code', 'Kotlin'],
+  'scala': ['Code', 'Scala'], 'clj': ['Code', 'Clojure'], 'hs': ['Code', 'Haskell'], 'swift': ['Code', 'Swift'],
+  'dart': ['Code', 'Dart'], 'lua': ['Code', 'Lua'], 'r': ['Code', 'R'], 'm': ['Code', 'Objective-C'],
+  'mm': ['Code', 'Objective-C++'], 'gs': ['Code', 'Apps Script'],
+
+  // Code - data, config and scripts
+  'sql': ['Code', 'SQL'], 'json': ['Code', 'JSON'], 'xml': ['Code', 'XML'], 'yaml': ['Code', 'YAML'],
+  'yml': ['Code', 'YAML'], 'toml': ['Code', 'TOML'], 'ini': ['Code', 'INI'], 'cfg': ['Code', 'Config'],
+  'conf': ['Code', 'Config'], 'sh': ['Code', 'Shell Script'], 'bash': ['Code', 'Bash Script'],
+  'ps1': ['Code', 'PowerShell'], 'bat': ['Code', 'Batch File'], 'cmd': ['Code', 'Command File'],
+  'dockerfile': ['Code', 'Docker'], 'makefile': ['Code', 'Makefile'], 'cmake': ['Code', 'CMake']
+};
+// Category of MIME types missing from the tables by prefix, and the type of such files without an extension
+const FILE_TYPE_MIME_PREFIXES = [
+  ['application/vnd.google-apps.', 'Google Workspace', null],
+  ['image/', 'Image', 'Image'],
+  ['video/', 'Video', 'Video'],
+  ['audio/', 'Audio', 'Audio'],
+  ['text/', 'Document', 'Text']
+];
+const FILE_TYPE_OTHER = 'Other';
+
+// Stats stores: a script property holds about 9 KB, a sheet cell 50,000 characters, a cache value 100 KB
+const PROPERTY_CHUNK_SIZE = 8000;
+const SHEET_CELL_CHUNK_SIZE = 45000;
+const CACHE_CHUNK_SIZE = 90000;
+const STATS_CHUNKS_PREFIX = 'chunks:';
+const STATS_STORE_SHEET_PREFIX = 'Stats: ';
+const STATS_CACHE_SECONDS = 6 * 60 * 60;
+
+// Counting the files of a drive for progress estimates: time spent per batch, and Drive API fields to fetch
+const FILE_COUNT_MAX_MS = 20 * 1000;
+const DRIVE_API_COUNT_FIELDS = 'nextPageToken, files(id)';
+
+// Runtime budget: Apps Script stops an execution after 6 minutes (30 on some Workspace accounts);
+// continuous runs stop a minute early and aim for batches of about 30 seconds
+const CONSUMER_EXECUTION_LIMIT_MS = 6 * 60 * 1000;
+const WORKSPACE_EXECUTION_LIMIT_MS = 30 * 60 * 1000;
+const RUNTIME_SAFETY_MARGIN_MS = 60 * 1000;
+const RUNTIME_TARGET_BATCH_MS = 30 * 1000;
+const RUNTIME_MIN_BATCH_SIZE = 5;
+
+// Run leases keep overlapping executions (a continuation trigger and an hourly one, say) off the same inventory.
+// A lease left by a killed execution expires once the execution limit plus the slack has passed
+const RUN_LEASE_LOCK_WAIT_MS = 10 * 1000;
+const RUN_LEASE_SLACK_MS = 60 * 1000;
+
+// Leases held by this execution, by property key, so nested calls run under the outer lease
+const HELD_RUN_LEASES = {};
+
+// Triggers created through scheduleTriggerAfter and createScheduledTrigger are recorded in this script property,
+// by trigger id, with the tool that owns them and their purpose (listed in the Schedules sheet of src/core/scheduler.js)
+const TRIGGER_REGISTRY_KEY = 'triggerRegistry';
+
+// Cron shorthands, and the intervals Apps Script time-based triggers accept
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+const CRON_MINUTE_INTERVALS = [1, 5, 10, 15, 30];
+const CRON_HOUR_INTERVALS = [1, 2, 4, 6, 8, 12];
+const CRON_WEEK_DAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+
+// Errors by kind, checked in order; rate limits and timeouts are retried with exponential backoff,
+// and files that still fail go to the retry queue of the next run
+const ERROR_KIND_PATTERNS = [
+  ['rateLimit', /too many times|rate limit|limit exceeded|too many requests|429/i],
+  ['permission', /permission|access denied|not authori[sz]ed|forbidden|insufficient|403/i],
+  ['notFound', /not found|does not exist|no item with the given id|404/i],
+  ['timeout', /timed? ?out|deadline|backend error|internal error|service error|unavailable|50[0-4]/i]
+];
+const TRANSIENT_ERROR_KINDS = ['rateLimit', 'timeout'];
+const RETRY_MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 16 * 1000;
+const RETRY_QUEUE_MAX_FILES = 200;
+const RETRY_QUEUE_MAX_RUNS = 3;
+
+// Files that failed for good are listed in an Errors sheet of each report, with the stage that failed
+// ('extract', 'path', 'sharing' or 'write')
+const ERRORS_SHEET = 'Errors';
+const ERROR_LOG_HEADERS = ['File ID', 'Name', 'Stage', 'Error Class', 'Message', 'Timestamp'];
+
+// Every batch and continuous runner adds one row per execution to the Run History sheet of its report.
+// Stop reasons: 'complete', 'time budget', 'batch done' (one batch, more to come), 'error' and 'paused'
+const RUN_HISTORY_SHEET = 'Run History';
+const RUN_HISTORY_HEADERS = ['Started', 'Ended', 'Duration (s)', 'Trigger Source', 'Batches', 'Files Scanned',
+  'Files Matched', 'Errors', 'Stop Reason', 'Files/Second', 'Note'];
+const RUN_HISTORY_MAX_ROWS = 2000;
+
+// How this execution started ({ kind, handler }), set by trigger handlers before anything runs
+const RUN_SOURCE = {};
+
+// Runs this execution is recording, by key, so nested runners add a single row
+const RECORDED_RUNS = {};
+
+// Incremental passes (see beginIncrementalPass): with sharing checks on, list at most BATCH_SIZE * factor
+// files per batch; rebuild the stats from this many list rows per read
+const INCREMENTAL_CHECK_FACTOR = 20;
+const INCREMENTAL_RECOMPUTE_ROWS = 2000;
+
+// Record fields that describe how a file is shared, compared by incremental passes and the Changes report
+const LIST_SHARING_FIELDS = ['sharingAccess', 'sharingPermission', 'viewers', 'editors'];
+
+// Each new inventory keeps the previous list sheet as one snapshot sheet, which the Changes report compares
+// the new list with (see snapshotProfileList)
+const SNAPSHOT_SHEET_PREFIX = 'Snapshot: ';
+const CHANGE_CATEGORIES = ['Added', 'Deleted', 'Moved', 'Renamed', 'Resized', 'Re-shared'];
+const CHANGES_MAX_ROWS = 10000;
+
+// Trends (see appendProfileTrends): each Overview chart is this many rows tall and shows at most this many series
+const TREND_CHART_ROWS = 20;
+const TREND_CHART_MAX_SERIES = 10;
+
+// Buffered list rows are written once this many are waiting, or once the oldest has waited this long
+const ROW_BUFFER_MAX_ROWS = 500;
+const ROW_BUFFER_MAX_MS = 30 * 1000;
+
+/**
+ * Format bytes to human readable
+ */
+function formatBytes(bytes) {
+  if (!bytes || bytes <= 0) return '0 Bytes';
+
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+/**
+ * Format a duration in milliseconds as "2h 5m", "12m" or "< 1m"
+ */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return '< 1m';
+
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Get or create a report spreadsheet by name
+ */
+function getOrCreateSpreadsheet(name) {
+  const files = DriveApp.getFilesByName(name);
+
+  if (files.hasNext()) {
+    return SpreadsheetApp.open(files.next());
+  } else {
+    const spreadsheet = SpreadsheetApp.create(name);
+    console.log(`Created new inventory spreadsheet: ${spreadsheet.getUrl()}`);
+    return spreadsheet;
+  }
+}
+
+/**
+ * Ensure every sheet exists, writing bold headers on sheets that are created
+ * headersBySheet maps a sheet name to its header row (sheets without an entry get none)
+ */
+function initializeReportSheets(spreadsheet, sheetNames, headersBySheet) {
+  const headers = headersBySheet || {};
+
+  for (const sheetName of sheetNames) {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+
+      const headerRow = headers[sheetName];
+      if (headerRow && headerRow.length > 0) {
+        sheet.getRange(1, 1, 1, headerRow.length).setValues([headerRow]);
+        sheet.getRange(1, 1, 1, headerRow.length).setFontWeight('bold');
+      }
+    }
+  }
+
+  // Remove default "Sheet1" if it exists
+  const sheet1 = spreadsheet.getSheetByName('Sheet1');
+  if (sheet1 && spreadsheet.getSheets().length > 1) {
+    spreadsheet.deleteSheet(sheet1);
+  }
+}
+
+/**
+ * Clear all rows below the header row
+ */
+function clearSheetData(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow > 1) {
+    sheet.getRange(2, 1, lastRow - 1, Math.max(sheet.getLastColumn(), 1)).clear();
+  }
+}
+
+/**
+ * Clear the rows below lastRow, returning how many there were
+ */
+function clearRowsAfter(sheet, lastRow) {
+  const extraRows = sheet.getLastRow() - lastRow;
+  if (extraRows > 0) {
+    sheet.getRange(lastRow + 1, 1, extraRows, Math.max(sheet.getLastColumn(), 1)).clear();
+  }
+  return Math.max(extraRows, 0);
+}
+
+/**
+ * Collect rows for a sheet so they can be written with a single setValues() call
+ * Options: maxRows, maxMs (flush budgets, default ROW_BUFFER_MAX_ROWS / ROW_BUFFER_MAX_MS)
+ */
+function createRowBuffer(sheet, options) {
+  const settings = options || {};
+
+  return {
+    sheet: sheet,
+    rows: [],
+    maxRows: settings.maxRows || ROW_BUFFER_MAX_ROWS,
+    maxMs: settings.maxMs || ROW_BUFFER_MAX_MS,
+    oldestRowTime: 0,
+    flushes: 0
+  };
+}
+
+/**
+ * Add a row to a buffer, writing the buffer out when its row or time budget is hit
+ */
+function bufferRow(rowBuffer, row) {
+  if (rowBuffer.rows.length === 0) {
+    rowBuffer.oldestRowTime = Date.now();
+  }
+
+  rowBuffer.rows.push(row);
+
+  if (rowBuffer.rows.length >= rowBuffer.maxRows || Date.now() - rowBuffer.oldestRowTime >= rowBuffer.maxMs) {
+    flushRowBuffer(rowBuffer);
+  }
+}
+
+/**
+ * Append every buffered row below the last row of the sheet, returning how many were written
+ * Flush before saving progress, so saved progress never counts rows that are still in memory
+ */
+function flushRowBuffer(rowBuffer) {
+  const rows = rowBuffer.rows;
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  withRetry(() => {
+    rowBuffer.sheet.getRange(rowBuffer.sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+  }, 'Writing list rows');
+  rowBuffer.rows = [];
+  rowBuffer.flushes++;
+
+  return rows.length;
+}
+
+/**
+ * Write a status indicator into row 4 of an overview sheet
+ */
+function setStatusCell(sheet, status) {
+  if (!sheet) return null;
+
+  const statusCell = sheet.getRange(4, 1);
+  statusCell.setValue(`Status: ${status}`)
+    .setFontWeight('bold')
+    .setBackground(STATUS_COLORS[status] || '#FFFFFF');
+
+  return statusCell;
+}
+
+/**
+ * Resolve the full path, up to the root of its drive, of every parent folder of a file
+ * Returns [{ id, path }] (empty for files without a parent), or null when the parents cannot be read
+ * A parent reachable through several paths (see resolveFolderPaths) gives one entry per path
+ * With a folder cache (see loadFolderCache) each folder is only looked up once per inventory run
+ */
+function getParentFolders(file, folderCache) {
+  const cache = folderCache || createFolderCache();
+
+  try {
+    const parents = file.getParents();
+    const folders = [];
+
+    while (parents.hasNext()) {
+      const parent = parents.next();
+      resolveFolderPaths(cache, parent.getId(), parent).forEach(path => {
+        folders.push({ id: parent.getId(), path: path });
+      });
+    }
+
+    return folders;
+  } catch (error) {
+    // Unreadable parents give an 'Unknown' path; rate limits and timeouts are left to withRetry
+    if (isTransientError(error)) {
+      throw setErrorStage(error, 'path');
+    }
+    return null;
+  }
+}
+
+/**
+ * Same as getParentFolders, for parent folder IDs as returned by the Drive API
+ */
+function getParentFoldersById(parentIds, folderCache) {
+  const cache = folderCache || createFolderCache();
+
+  try {
+    return (parentIds || []).reduce((folders, folderId) => folders.concat(
+      resolveFolderPaths(cache, folderId).map(path => ({ id: folderId, path: path }))
+    ), []);
+  } catch (error) {
+    if (isTransientError(error)) {
+      throw setErrorStage(error, 'path');
+    }
+    return null;
+  }
+}
+
+/**
+ * Walk up from a folder to the root through the cache, asking Drive only about folders it has not seen yet
+ * Returns every path of the folder: folders with several parents (possible in Drives from before the
+ * single-parent change) are followed through each of them, the first parent's path first, up to MAX_FOLDER_PATHS
+ * Pass the Folder itself when it is at hand to save looking it up by ID
+ */
+function resolveFolderPaths(folderCache, folderId, folder) {
+  const paths = [];
+
+  // Stop at the root, or if a folder shows up twice on the way up (a cycle in the parent chain)
+  const walk = (currentId, currentFolder, pathParts, visited) => {
+    const lookup = lookUpCachedFolder(folderCache, currentId, currentFolder);
+    const parts = [lookup.entry.name].concat(pathParts);
+    const parentIds = lookup.entry.parentIds.filter(parentId => !visited[parentId]);
+
+    if (parentIds.length === 0) {
+      paths.push(parts.join('/'));
+      return;
+    }
+
+    parentIds.forEach(parentId => {
+      if (paths.length < MAX_FOLDER_PATHS) {
+        walk(parentId, lookup.parents[parentId] || null, parts, Object.assign({ [parentId]: true }, visited));
+      }
+    });
+  };
+
+  walk(folderId, folder || null, [], { [folderId]: true });
+  return paths;
+}
+
+/**
+ * Cache entry { name, parentIds } of a folder, read from Drive and added to the cache on a miss
+ * Returns { entry, parents }, parents holding the parent Folders read on a miss by ID
+ */
+function lookUpCachedFolder(folderCache, folderId, folder) {
+  const cached = folderCache.folders[folderId];
+  if (cached) {
+    folderCache.hits++;
+    return { entry: cached, parents: {} };
+  }
+
+  folderCache.misses++;
+  const currentFolder = folder || DriveApp.getFolderById(folderId);
+  const parents = {};
+  const parentIds = [];
+  const iterator = currentFolder.getParents();
+  while (iterator.hasNext()) {
+    const parent = iterator.next();
+    parents[parent.getId()] = parent;
+    parentIds.push(parent.getId());
+  }
+
+  const entry = { name: currentFolder.getName(), parentIds: parentIds };
+  folderCache.folders[folderId] = entry;
+  folderCache.added.push([folderId, entry.name, parentIds.join(' | ')]);
+
+  return { entry: entry, parents: parents };
+}
+
+/**
+ * Folder Path cell of a file list: every parent path, plus the target of a shortcut
+ */
+function formatFolderPaths(fileData) {
+  const paths = fileData.folderPaths && fileData.folderPaths.length > 0 ?
+    fileData.folderPaths.join(' | ') : fileData.folderPath;
+
+  return fileData.shortcutTargetId ? `${paths} (shortcut to ${fileData.shortcutTargetId})` : paths;
+}
+
+/**
+ * Folder ID cell of a file list, in the same order as formatFolderPaths
+ */
+function formatFolderIds(fileData) {
+  return (fileData.folderIds || []).join(' | ');
+}
+
+/**
+ * Folder paths of a Folder Path cell written by formatFolderPaths, first parent first
+ */
+function parseFolderPaths(value) {
+  return String(value).replace(/ \(shortcut to [^)]*\)$/, '').split(' | ');
+}
+
+/**
+ * Values of a list cell joined with ', ' (viewers, editors)
+ */
+function splitListCell(value) {
+  return String(value).split(', ').filter(Boolean);
+}
+
+/**
+ * Create an empty folder cache (kept in memory only until saved with saveFolderCache)
+ */
+function createFolderCache(spreadsheet, runId) {
+  return {
+    spreadsheet: spreadsheet,
+    runId: runId,
+    folders: {},
+    added: [],
+    hits: 0,
+    misses: 0,
+    rewrite: true
+  };
+}
+
+/**
+ * Load the folder ID -> name/parent cache kept in a hidden sheet of the report spreadsheet
+ * A cache saved under a different runId is discarded, so every inventory run picks up renamed
+ * and moved folders (leave runId out to keep whatever was saved)
+ */
+function loadFolderCache(spreadsheet, runId) {
+  const folderCache = createFolderCache(spreadsheet, runId);
+
+  const sheet = spreadsheet.getSheetByName(FOLDER_CACHE_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return folderCache;
+  }
+
+  const rows = sheet.getDataRange().getValues();
+  const savedRunId = String(rows[0][1]);
+
+  if (runId !== undefined && savedRunId !== String(runId)) {
+    return folderCache;
+  }
+
+  folderCache.runId = savedRunId;
+  folderCache.rewrite = false;
+
+  // Parent IDs are joined with ' | ' (caches saved before folders kept every parent hold just one)
+  rows.slice(2).forEach(([folderId, name, parentIds]) => {
+    folderCache.folders[folderId] = { name: String(name), parentIds: String(parentIds).split(' | ').filter(Boolean) };
+  });
+
+  return folderCache;
+}
+
+/**
+ * Save the folders looked up since the cache was loaded
+ */
+function saveFolderCache(folderCache) {
+  if (!folderCache.rewrite && folderCache.added.length === 0) return;
+
+  const spreadsheet = folderCache.spreadsheet;
+  let sheet = spreadsheet.getSheetByName(FOLDER_CACHE_SHEET);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(FOLDER_CACHE_SHEET);
+    sheet.hideSheet();
+  }
+
+  // Plain text, so folder names like "2024" or "=notes" are stored as written
+  if (folderCache.rewrite) {
+    sheet.clear();
+    sheet.getRange(1, 1, 2, 3).setNumberFormat('@')
+      .setValues([['Run', folderCache.runId || '', ''], ['Folder ID', 'Name', 'Parent IDs']]);
+    folderCache.rewrite = false;
+  }
+
+  if (folderCache.added.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, folderCache.added.length, 3).setNumberFormat('@')
+      .setValues(folderCache.added);
+    folderCache.added = [];
+  }
+}
+
+/**
+ * Describe folder cache hits for an Overview sheet
+ */
+function formatFolderCacheHits(hits, misses) {
+  const lookups = (hits || 0) + (misses || 0);
+  const hitRate = lookups > 0 ? ((hits / lookups) * 100).toFixed(1) : '0.0';
+
+  return `${hitRate}% (${hits || 0} of ${lookups} folder lookups)`;
+}
+
+/**
+ * Open a stats store - where an inventory keeps its running stats between batches
+ * Options: backend ('properties', 'chunkedProperties', 'sheet' or 'drive'), cache (true to keep
+ * a copy in CacheService for sheet/drive stores), spreadsheet or spreadsheetName (sheet backend)
+ */
+function openStatsStore(options) {
+  const settings = options || {};
+
+  return {
+    backend: settings.backend || 'properties',
+    cache: !!settings.cache,
+    spreadsheet: settings.spreadsheet || null,
+    spreadsheetName: settings.spreadsheetName || null
+  };
+}
+
+/**
+ * Load a stored stats object, or null if there is none
+ * Stats saved by another backend under the same key are still found, so a store can be switched mid-inventory
+ */
+function loadStoredStats(store, key) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const slot = scriptProperties.getProperty(`${key}Slot`);
+
+  if (!slot) {
+    const json = readChunkedProperty(scriptProperties, key);
+    return json ? JSON.parse(json) : null;
+  }
+
+  const slotKey = `${key}:${slot}`;
+  let json = store.cache ? readCachedStats(slotKey) : null;
+
+  if (!json) {
+    json = withRetry(() => readStatsSlot(store, key, slot), 'Loading stats');
+    if (json && store.cache) {
+      writeCachedStats(slotKey, json);
+    }
+  }
+
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Save stats objects ({ key: stats }) along with other script properties (like a continuation token)
+ * Nothing is half-saved if the execution is killed: property stores write everything in one call;
+ * sheet and drive stores write to the spare of two slots and then switch slots with the properties
+ */
+function saveStoredStats(store, statsByKey, properties) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const updates = Object.assign({}, properties || {});
+  const staleKeys = [];
+
+  Object.entries(statsByKey).forEach(([key, stats]) => {
+    const json = JSON.stringify(stats);
+
+    if (store.backend === 'properties' || store.backend === 'chunkedProperties') {
+      const chunkSize = store.backend === 'chunkedProperties' ? PROPERTY_CHUNK_SIZE : json.length;
+      const chunks = splitIntoChunks(key, json, chunkSize);
+      const previousChunks = getChunkCount(scriptProperties.getProperty(key));
+
+      Object.assign(updates, chunks);
+      for (let index = getChunkCount(chunks[key]); index < previousChunks; index++) {
+        staleKeys.push(`${key}_${index}`);
+      }
+      if (scriptProperties.getProperty(`${key}Slot`)) {
+        staleKeys.push(`${key}Slot`);
+      }
+      return;
+    }
+
+    const slot = scriptProperties.getProperty(`${key}Slot`) === 'a' ? 'b' : 'a';
+    if (scriptProperties.getProperty(key)) {
+      staleKeys.push(key);
+      for (let index = 0; index < getChunkCount(scriptProperties.getProperty(key)); index++) {
+        staleKeys.push(`${key}_${index}`);
+      }
+    }
+    Object.assign(updates, withRetry(() => writeStatsSlot(store, key, slot, json), 'Saving stats'));
+    updates[`${key}Slot`] = slot;
+
+    if (store.cache) {
+      writeCachedStats(`${key}:${slot}`, json);
+    }
+  });
+
+  scriptProperties.setProperties(updates);
+  staleKeys.forEach(staleKey => scriptProperties.deleteProperty(staleKey));
+}
+
+/**
+ * Delete a stored stats object from every place a store may have put it
+ */
+function removeStoredStats(store, key) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const chunkCount = getChunkCount(scriptProperties.getProperty(key));
+
+  for (let index = 0; index < chunkCount; index++) {
+    scriptProperties.deleteProperty(`${key}_${index}`);
+  }
+  scriptProperties.deleteProperty(key);
+
+  if (scriptProperties.getProperty(`${key}Slot`)) {
+    ['a', 'b'].forEach(slot => {
+      try {
+        removeStatsSlot(store, key, slot);
+      } catch (error) {
+        console.error(`Could not remove stored stats ${key} (${slot}): ${error}`);
+      }
+      if (store.cache) {
+        CacheService.getScriptCache().remove(`${key}:${slot}`);
+      }
+    });
+    scriptProperties.deleteProperty(`${key}Slot`);
+    scriptProperties.deleteProperty(`${key}Files`);
+  }
+}
+
+/**
+ * Split a value into chunkSize pieces: { key: value } when it fits, else { key: 'chunks:n', key_0: ..., key_n-1: ... }
+ */
+function splitIntoChunks(key, value, chunkSize) {
+  if (value.length <= chunkSize) {
+    return { [key]: value };
+  }
+
+  const chunks = {};
+  let count = 0;
+  for (let start = 0; start < value.length; start += chunkSize) {
+    chunks[`${key}_${count++}`] = value.slice(start, start + chunkSize);
+  }
+  chunks[key] = `${STATS_CHUNKS_PREFIX}${count}`;
+
+  return chunks;
+}
+
+/**
+ * Number of chunks a stored value was split into (0 when it is stored whole)
+ */
+function getChunkCount(value) {
+  return value && value.indexOf(STATS_CHUNKS_PREFIX) === 0 ? Number(value.slice(STATS_CHUNKS_PREFIX.length)) : 0;
+}
+
+/**
+ * Read a script property that may have been split by splitIntoChunks
+ */
+function readChunkedProperty(scriptProperties, key) {
+  const value = scriptProperties.getProperty(key);
+  const chunkCount = getChunkCount(value);
+
+  if (chunkCount === 0) {
+    return value;
+  }
+
+  const parts = [];
+  for (let index = 0; index < chunkCount; index++) {
+    parts.push(scriptProperties.getProperty(`${key}_${index}`) || '');
+  }
+  return parts.join('');
+}
+
+/**
+ * Read stats from CacheService (null when expired or evicted)
+ */
+function readCachedStats(cacheKey) {
+  const cache = CacheService.getScriptCache();
+  const value = cache.get(cacheKey);
+  const chunkCount = getChunkCount(value);
+
+  if (chunkCount === 0) {
+    return value;
+  }
+
+  const chunkKeys = [];
+  for (let index = 0; index < chunkCount; index++) {
+    chunkKeys.push(`${cacheKey}_${index}`);
+  }
+
+  const chunks = cache.getAll(chunkKeys);
+  return chunkKeys.every(chunkKey => chunks[chunkKey] !== undefined) ?
+    chunkKeys.map(chunkKey => chunks[chunkKey]).join('') : null;
+}
+
+/**
+ * Keep a copy of stats in CacheService; the cache is only a shortcut, so failures are ignored
+ */
+function writeCachedStats(cacheKey, json) {
+  try {
+    CacheService.getScriptCache().putAll(splitIntoChunks(cacheKey, json, CACHE_CHUNK_SIZE), STATS_CACHE_SECONDS);
+  } catch (error) {
+    console.log(`Stats not cached: ${error}`);
+  }
+}
+
+/**
+ * Report spreadsheet of a sheet store, opened on first use
+ */
+function getStatsStoreSpreadsheet(store) {
+  if (!store.spreadsheet) {
+    store.spreadsheet = getOrCreateSpreadsheet(store.spreadsheetName);
+  }
+  return store.spreadsheet;
+}
+
+/**
+ * Name of the hidden sheet holding one slot of a sheet store
+ */
+function getStatsSheetName(key, slot) {
+  return `${STATS_STORE_SHEET_PREFIX}${key} (${slot})`;
+}
+
+/**
+ * Read the JSON saved in one slot of a sheet or drive store
+ */
+function readStatsSlot(store, key, slot) {
+  if (store.backend === 'drive') {
+    const fileIds = JSON.parse(PropertiesService.getScriptProperties().getProperty(`${key}Files`) || '{}');
+    return fileIds[slot] ? DriveApp.getFileById(fileIds[slot]).getBlob().getDataAsString() : null;
+  }
+
+  const sheet = getStatsStoreSpreadsheet(store).getSheetByName(getStatsSheetName(key, slot));
+  if (!sheet || sheet.getLastRow() === 0) {
+    return null;
+  }
+
+  return sheet.getRange(1, 1, sheet.getLastRow(), 1).getValues().map(row => row[0]).join('');
+}
+
+/**
+ * Write JSON into one slot of a sheet or drive store
+ * Returns script properties to save with the slot switch (IDs of new Drive files)
+ */
+function writeStatsSlot(store, key, slot, json) {
+  if (store.backend === 'drive') {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const fileIds = JSON.parse(scriptProperties.getProperty(`${key}Files`) || '{}');
+
+    try {
+      if (fileIds[slot]) {
+        DriveApp.getFileById(fileIds[slot]).setContent(json);
+        return {};
+      }
+    } catch (error) {
+      console.log(`Stats file for ${key} (${slot}) is gone, creating a new one`);
+    }
+
+    fileIds[slot] = DriveApp.createFile(`${key}-${slot}.json`, json, 'application/json').getId();
+    return { [`${key}Files`]: JSON.stringify(fileIds) };
+  }
+
+  const spreadsheet = getStatsStoreSpreadsheet(store);
+  const sheetName = getStatsSheetName(key, slot);
+  let sheet = spreadsheet.getSheetByName(sheetName);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(sheetName);
+    sheet.hideSheet();
+  }
+
+  const chunks = [];
+  for (let start = 0; start < json.length; start += SHEET_CELL_CHUNK_SIZE) {
+    chunks.push([json.slice(start, start + SHEET_CELL_CHUNK_SIZE)]);
+  }
+
+  // Plain text, so no chunk is read as a number, date or formula
+  sheet.clear();
+  sheet.getRange(1, 1, chunks.length, 1).setNumberFormat('@').setValues(chunks);
+
+  return {};
+}
+
+/**
+ * Delete one slot of a sheet or drive store
+ */
+function removeStatsSlot(store, key, slot) {
+  if (store.backend === 'drive') {
+    const fileIds = JSON.parse(PropertiesService.getScriptProperties().getProperty(`${key}Files`) || '{}');
+    if (fileIds[slot]) {
+      DriveApp.getFileById(fileIds[slot]).setTrashed(true);
+    }
+    return;
+  }
+
+  const spreadsheet = getStatsStoreSpreadsheet(store);
+  const sheet = spreadsheet.getSheetByName(getStatsSheetName(key, slot));
+  if (sheet) {
+    spreadsheet.deleteSheet(sheet);
+  }
+}
+
+/**
+ * Read sharing access, permission and (optionally) a limited list of viewers/editors
+ */
+function getSharingDetails(file, maxUsers) {
+  const sharing = {
+    access: SHARING_ACCESS_PRIVATE,
+    permission: SHARING_PERMISSION_NONE,
+    viewers: [],
+    editors: []
+  };
+
+  try {
+    sharing.access = file.getSharingAccess().toString();
+    sharing.permission = file.getSharingPermission().toString();
+
+    if (maxUsers > 0) {
+      sharing.viewers = file.getViewers().slice(0, maxUsers).map(user => user.getEmail());
+      sharing.editors = file.getEditors().slice(0, maxUsers).map(user => user.getEmail());
+    }
+  } catch (error) {
+    // Some files may not have accessible permissions; rate limits and timeouts are left to withRetry
+    if (isTransientError(error)) {
+      throw setErrorStage(error, 'sharing');
+    }
+  }
+
+  return sharing;
+}
+
+/**
+ * Check if a sharing access value means the file is shared beyond its owner
+ */
+function isSharedAccess(access) {
+  return !!access && access !== SHARING_ACCESS_PRIVATE;
+}
+
+/**
+ * Check if a sharing access value means anyone can open the file (public, or anyone with the link)
+ */
+function isPublicAccess(access) {
+  return access === 'ANYONE' || access === 'ANYONE_WITH_LINK';
+}
+
+/**
+ * Extract the fields every inventory needs from a file
+ * Options: trackPermissions, sharingUsers, folderCache
+ * folderPath/folderId describe the first parent; folderPaths/folderIds list every path of every parent (the ID
+ * repeats for a parent with several paths, see resolveFolderPaths)
+ * drive is the name of the shared drive of the file, else My Drive or Shared with me; driveId its ID ('' outside
+ * shared drives, and with DriveApp, which cannot tell)
+ * type and typeCategory are the file type and its category from classifyFile
+ * Files from the Drive API backend are read from their files.list record instead of getter calls
+ */
+function extractBaseFileData(file, options) {
+  const settings = Object.assign({ trackPermissions: true, sharingUsers: 5 }, options || {});
+
+  if (file.driveApiRecord) {
+    return extractDriveApiFileData(file.driveApiRecord, settings);
+  }
+
+  const owner = file.getOwner();
+  const name = file.getName();
+  const mimeType = file.getMimeType();
+  const fileType = classifyFile(name, mimeType);
+  const parentFolders = getParentFolders(file, settings.folderCache);
+
+  const data = {
+    id: file.getId(),
+    name: name,
+    mimeType: mimeType,
+    typeCategory: fileType.category,
+    type: fileType.type,
+    size: file.getSize(),
+    created: file.getDateCreated().toISOString(),
+    lastModified: file.getLastUpdated().toISOString(),
+    owner: owner ? owner.getEmail() : 'Unknown',
+    drive: owner && getCurrentUserEmail() && owner.getEmail() !== getCurrentUserEmail() ?
+      SHARED_WITH_ME_LABEL : MY_DRIVE_LABEL,
+    driveId: '',
+    url: file.getUrl(),
+    description: file.getDescription() || '',
+    quotaBytesUsed: file.getSize(),
+    md5Checksum: '',
+    folderPath: !parentFolders ? 'Unknown' : (parentFolders.length > 0 ? parentFolders[0].path : 'Root'),
+    folderId: parentFolders && parentFolders.length > 0 ? parentFolders[0].id : '',
+    folderPaths: parentFolders ? parentFolders.map(folder => folder.path) : [],
+    folderIds: parentFolders ? parentFolders.map(folder => folder.id) : [],
+    shortcutTargetId: mimeType === SHORTCUT_MIME_TYPE ? file.getTargetId() : '',
+    sharingAccess: SHARING_ACCESS_PRIVATE,
+    sharingPermission: SHARING_PERMISSION_NONE,
+    viewers: [],
+    editors: []
+  };
+
+  if (settings.trackPermissions) {
+    const sharing = getSharingDetails(file, settings.sharingUsers);
+    data.sharingAccess = sharing.access;
+    data.sharingPermission = sharing.permission;
+    data.viewers = sharing.viewers;
+    data.editors = sharing.editors;
+  }
+
+  return data;
+}
+
+/**
+ * Same record as extractBaseFileData, for filter expressions: each group of fields is read from the file the first
+ * time the filter uses it, so a filter on size or age costs no folder path walk or sharing calls, and one that
+ * fails on its first comparison reads nothing more. Drive API records are cheap, they are extracted right away
+ */
+function createLazyFileRecord(file, options) {
+  const settings = Object.assign({ trackPermissions: true, sharingUsers: 5 }, options || {});
+
+  if (file.driveApiRecord) {
+    return extractDriveApiFileData(file.driveApiRecord, settings);
+  }
+
+  const record = {};
+  const lazy = (fields, read) => {
+    let values = null;
+    fields.forEach(field => Object.defineProperty(record, field, {
+      enumerable: true,
+      get: () => (values || (values = read()))[field]
+    }));
+  };
+
+  lazy(['id'], () => ({ id: file.getId() }));
+  lazy(['name'], () => ({ name: file.getName() }));
+  lazy(['mimeType'], () => ({ mimeType: file.getMimeType() }));
+  lazy(['typeCategory', 'type'], () => {
+    const fileType = classifyFile(record.name, record.mimeType);
+    return { typeCategory: fileType.category, type: fileType.type };
+  });
+  lazy(['size'], () => ({ size: file.getSize() }));
+  lazy(['created'], () => ({ created: file.getDateCreated().toISOString() }));
+  lazy(['lastModified'], () => ({ lastModified: file.getLastUpdated().toISOString() }));
+  lazy(['owner', 'drive'], () => {
+    const owner = file.getOwner();
+    return {
+      owner: owner ? owner.getEmail() : 'Unknown',
+      drive: owner && getCurrentUserEmail() && owner.getEmail() !== getCurrentUserEmail() ?
+        SHARED_WITH_ME_LABEL : MY_DRIVE_LABEL
+    };
+  });
+  lazy(['folderPath', 'folderId', 'folderPaths', 'folderIds'], () => {
+    const parentFolders = getParentFolders(file, settings.folderCache);
+    return {
+      folderPath: !parentFolders ? 'Unknown' : (parentFolders.length > 0 ? parentFolders[0].path : 'Root'),
+      folderId: parentFolders && parentFolders.length > 0 ? parentFolders[0].id : '',
+      folderPaths: parentFolders ? parentFolders.map(folder => folder.path) : [],
+      folderIds: parentFolders ? parentFolders.map(folder => folder.id) : []
+    };
+  });
+  lazy(['sharingAccess', 'sharingPermission', 'viewers', 'editors'], () => {
+    if (!settings.trackPermissions) {
+      return { sharingAccess: SHARING_ACCESS_PRIVATE, sharingPermission: SHARING_PERMISSION_NONE, viewers: [], editors: [] };
+    }
+    const sharing = getSharingDetails(file, settings.sharingUsers);
+    return { sharingAccess: sharing.access, sharingPermission: sharing.permission, viewers: sharing.viewers, editors: sharing.editors };
+  });
+
+  return record;
+}
+
+/**
+ * Category and type of a file for every report, e.g. { category: 'Image', type: 'HEIC' }
+ * Checks the MIME type, then the extension, then the MIME type family. To add or relabel entries,
+ * define FILE_TYPE_OVERRIDES anywhere in the project, e.g.
+ * const FILE_TYPE_OVERRIDES = { extensions: { 'log': ['Document', 'Log'] }, mimeTypes: { 'application/x-sketch': ['Image', 'Sketch'] } };
+ */
+function classifyFile(fileName, mimeType) {
+  const name = String(fileName || '');
+  const extension = name.indexOf('.') === -1 ? '' : name.split('.').pop().toLowerCase();
+  const entry = lookupFileType('mimeTypes', FILE_TYPE_MIME_TYPES, mimeType) ||
+    lookupFileType('extensions', FILE_TYPE_EXTENSIONS, extension);
+  if (entry) {
+    return { category: entry[0], type: entry[1] };
+  }
+
+  const family = FILE_TYPE_MIME_PREFIXES.find(([prefix]) => String(mimeType || '').startsWith(prefix));
+  // Google Workspace types missing from the table are named after their MIME type
+  if (family && !family[2]) {
+    const googleType = mimeType.slice(family[0].length);
+    return { category: family[1], type: `Google ${googleType.charAt(0).toUpperCase() + googleType.slice(1)}` };
+  }
+
+  if (family) {
+    return { category: family[1], type: extension ? extension.toUpperCase() : family[2] };
+  }
+
+  return { category: FILE_TYPE_OTHER, type: extension ? extension.toUpperCase() : 'Unknown' };
+}
+
+/**
+ * [category, type] for a MIME type or extension, from FILE_TYPE_OVERRIDES first, else null
+ */
+function lookupFileType(table, defaults, key) {
+  const overrides = typeof FILE_TYPE_OVERRIDES !== 'undefined' && FILE_TYPE_OVERRIDES[table] || {};
+  if (!key) {
+    return null;
+  }
+  if (Object.prototype.hasOwnProperty.call(overrides, key)) {
+    return overrides[key];
+  }
+  return Object.prototype.hasOwnProperty.call(defaults, key) ? defaults[key] : null;
+}
+
+/**
+ * Number of whole or fractional days since an ISO date string or Date
+ */
+function getAgeInDays(date) {
+  return (new Date() - new Date(date)) / (1000 * 60 * 60 * 24);
+}
+
+/**
+ * Classify a Drive or Sheets error as 'rateLimit', 'permission', 'notFound', 'timeout' or 'other'
+ */
+function classifyError(error) {
+  const message = String(error && error.message ? error.message : error);
+  const match = ERROR_KIND_PATTERNS.find(([, pattern]) => pattern.test(message));
+
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Whether an error is worth retrying (rate limits and timeouts)
+ */
+function isTransientError(error) {
+  return TRANSIENT_ERROR_KINDS.includes(classifyError(error));
+}
+
+/**
+ * Call action(), retrying rate limit and timeout errors with exponential backoff and jitter
+ * Other errors, and the last failed attempt, are thrown to the caller
+ */
+function withRetry(action, label) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return action();
+    } catch (error) {
+      if (attempt >= RETRY_MAX_ATTEMPTS || !isTransientError(error)) {
+        throw error;
+      }
+
+      const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), RETRY_MAX_DELAY_MS);
+      const wait = delay + Math.round(Math.random() * delay / 2);
+
+      console.log(`${label || 'Call'} failed (${classifyError(error)}), retry ${attempt} in ${wait} ms: ${error}`);
+      Utilities.sleep(wait);
+    }
+  }
+}
+
+/**
+ * Label an error with the stage that failed ('extract', 'path', 'sharing' or 'write'), keeping an earlier label
+ * Returns the error, wrapped in an Error when something else was thrown
+ */
+function setErrorStage(error, stage) {
+  const stagedError = error instanceof Error ? error : new Error(String(error));
+
+  if (!stagedError.stage) {
+    stagedError.stage = stage;
+  }
+
+  return stagedError;
+}
+
+/**
+ * Call action(), labelling any error it throws with a stage (see setErrorStage)
+ */
+function withErrorStage(stage, action) {
+  try {
+    return action();
+  } catch (error) {
+    throw setErrorStage(error, stage);
+  }
+}
+
+/**
+ * Stage an error was labelled with, 'extract' when it has none
+ */
+function getErrorStage(error) {
+  return (error && error.stage) || 'extract';
+}
+
+/**
+ * Name of a file for error reports, or '' when even the name cannot be read
+ */
+function getFileNameSafely(file) {
+  try {
+    return file.getName();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Open the Errors sheet of a report as a row buffer (see createRowBuffer), creating the sheet when missing
+ * Rows past savedRows are cleared: 1 empties the log for a new inventory, 0 keeps every entry
+ */
+function openErrorLog(spreadsheet, savedRows) {
+  initializeReportSheets(spreadsheet, [ERRORS_SHEET], { [ERRORS_SHEET]: ERROR_LOG_HEADERS });
+
+  const sheet = spreadsheet.getSheetByName(ERRORS_SHEET);
+  if (savedRows > 0) {
+    clearRowsAfter(sheet, savedRows);
+  }
+
+  return createRowBuffer(sheet);
+}
+
+/**
+ * Error log entry for a file: ID, name, stage, error class (see classifyError), message and time
+ */
+function createErrorLogEntry(fileId, fileName, error) {
+  return [
+    fileId,
+    fileName || '',
+    getErrorStage(error),
+    classifyError(error),
+    String(error && error.message ? error.message : error),
+    new Date().toISOString()
+  ];
+}
+
+/**
+ * Buffer an error log entry for a file that could not be inventoried
+ */
+function logFileError(errorLog, fileId, fileName, error) {
+  bufferRow(errorLog, createErrorLogEntry(fileId, fileName, error));
+}
+
+/**
+ * Re-process the files in the Errors sheet of a report while the runtime budget lasts
+ * processFile(file) throws to keep a file in the log. Returns { retried, fixed, entries }, where entries is the
+ * new content of the log (files still failing, with their new error, and files not retried yet); write it with
+ * saveErrorLog once whatever processFile produced is saved
+ */
+function retryErrorLogFiles(spreadsheet, processFile, budget) {
+  const sheet = openErrorLog(spreadsheet, 0).sheet;
+  const lastRow = sheet.getLastRow();
+  const logged = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, ERROR_LOG_HEADERS.length).getValues() : [];
+
+  const result = { retried: 0, fixed: 0, entries: [] };
+
+  logged.forEach(entry => {
+    if (isRuntimeBudgetSpent(budget)) {
+      result.entries.push(entry);
+      return;
+    }
+
+    const [fileId, fileName] = entry;
+    result.retried++;
+
+    try {
+      processFile(withRetry(() => DriveApp.getFileById(fileId), 'Opening failed file'));
+      result.fixed++;
+    } catch (error) {
+      result.entries.push(createErrorLogEntry(fileId, fileName, error));
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Replace the entries of a report's Errors sheet
+ */
+function saveErrorLog(spreadsheet, entries) {
+  const sheet = spreadsheet.getSheetByName(ERRORS_SHEET);
+  clearSheetData(sheet);
+
+  if (entries.length > 0) {
+    withRetry(() => {
+      sheet.getRange(2, 1, entries.length, ERROR_LOG_HEADERS.length).setValues(entries);
+    }, 'Writing error log');
+  }
+}
+
+/**
+ * Open a file iterator, resuming from a continuation token when one is saved
+ * A null query iterates every file (including trashed ones)
+ * backend: 'driveapi' (Drive advanced service), 'driveapp', or 'auto' (the default) to use the
+ * Drive API whenever the advanced service is enabled. A saved token resumes on the backend that created it.
+ * sharedDrives: true to go on through every shared drive after My Drive and the files shared with the account
+ * (Drive API only; DriveApp searches leave shared drives out)
+ */
+function openFileIterator(continuationToken, query, backend, sharedDrives) {
+  if (continuationToken) {
+    return isDriveApiToken(continuationToken) ?
+      openDriveApiFileIterator(continuationToken, query, sharedDrives) :
+      DriveApp.continueFileIterator(continuationToken);
+  }
+
+  if (shouldUseDriveApi(backend)) {
+    return openDriveApiFileIterator(null, query, sharedDrives);
+  }
+
+  if (sharedDrives) {
+    console.log("Shared drives are only scanned with the Drive API advanced service, scanning My Drive only");
+  }
+
+  return withRetry(() => query ? DriveApp.searchFiles(query) : DriveApp.getFiles(), 'DriveApp search');
+}
+
+/**
+ * Check whether new iterators should page through the Drive API
+ */
+function shouldUseDriveApi(backend) {
+  if (backend === 'driveapp') {
+    return false;
+  }
+
+  const available = typeof Drive !== 'undefined' && !!Drive.Files;
+
+  if (backend === 'driveapi' && !available) {
+    console.log("Drive API advanced service is not enabled, falling back to DriveApp");
+  }
+
+  return available;
+}
+
+/**
+ * Check if a continuation token was created by the Drive API iterator
+ */
+function isDriveApiToken(continuationToken) {
+  return continuationToken.indexOf(DRIVE_API_TOKEN_PREFIX) === 0;
+}
+
+/**
+ * Iterate files.list pages like a DriveApp FileIterator
+ * The continuation token holds the page token of the current page, the position within it and the shared
+ * drive being listed (none for My Drive and the files shared with the account, which come first)
+ * With sharedDrives the shared drives follow one by one, in the order of getNextSharedDrive
+ */
+function openDriveApiFileIterator(continuationToken, query, sharedDrives) {
+  const position = continuationToken ?
+    JSON.parse(continuationToken.slice(DRIVE_API_TOKEN_PREFIX.length)) :
+    { pageToken: null, offset: 0, driveId: null };
+
+  let pageToken = position.pageToken;
+  let driveId = position.driveId || null;
+  let page = listDriveApiFiles(query, pageToken, null, driveId);
+  let index = position.offset;
+
+  const iterator = {
+    hasNext: () => {
+      while (index >= page.files.length) {
+        if (page.nextPageToken) {
+          pageToken = page.nextPageToken;
+        } else {
+          const nextDrive = sharedDrives ? getNextSharedDrive(driveId) : null;
+          if (!nextDrive) {
+            break;
+          }
+
+          console.log(`Scanning shared drive ${nextDrive.name}`);
+          driveId = nextDrive.id;
+          pageToken = null;
+        }
+
+        page = listDriveApiFiles(query, pageToken, null, driveId);
+        index = 0;
+      }
+      return index < page.files.length;
+    },
+    next: () => {
+      if (!iterator.hasNext()) {
+        throw new Error('No more files');
+      }
+      return createDriveApiFile(page.files[index++]);
+    },
+    getContinuationToken: () => DRIVE_API_TOKEN_PREFIX +
+      JSON.stringify({ pageToken: pageToken, offset: index, driveId: driveId })
+  };
+
+  return iterator;
+}
+
+/**
+ * Fetch one page of files (folders excluded, like DriveApp.searchFiles)
+ * Without a driveId: My Drive and the files shared with the account; with one: the files of that shared drive
+ */
+function listDriveApiFiles(query, pageToken, fields, driveId) {
+  const notFolder = `mimeType != '${FOLDER_MIME_TYPE}'`;
+  const request = {
+    q: query ? `(${toDriveApiQuery(query)}) and ${notFolder}` : notFolder,
+    pageSize: DRIVE_API_PAGE_SIZE,
+    fields: fields || DRIVE_API_FILE_FIELDS
+  };
+
+  if (pageToken) {
+    request.pageToken = pageToken;
+  }
+  if (driveId) {
+    Object.assign(request, { corpora: 'drive', driveId: driveId, includeItemsFromAllDrives: true, supportsAllDrives: true });
+  }
+
+  const response = withRetry(() => Drive.Files.list(request), 'Drive API files.list');
+
+  return { files: response.files || [], nextPageToken: response.nextPageToken || null };
+}
+
+/**
+ * Shared drives the account can see ([{ id, name }], ordered by ID so a scan can resume after any of them)
+ * Empty when the Drive API advanced service is not enabled
+ */
+function listSharedDrives() {
+  if (DRIVE_LOOKUPS.sharedDrives) {
+    return DRIVE_LOOKUPS.sharedDrives;
+  }
+  if (typeof Drive === 'undefined' || !Drive.Drives) {
+    return [];
+  }
+
+  const drives = [];
+  let pageToken = null;
+  do {
+    const request = { pageSize: 100, fields: DRIVE_API_DRIVE_FIELDS };
+    if (pageToken) {
+      request.pageToken = pageToken;
+    }
+
+    const response = withRetry(() => Drive.Drives.list(request), 'Drive API drives.list');
+    (response.drives || []).forEach(drive => drives.push({ id: drive.id, name: drive.name }));
+    pageToken = response.nextPageToken || null;
+  } while (pageToken);
+
+  DRIVE_LOOKUPS.sharedDrives = drives.sort((a, b) => a.id < b.id ? -1 : (a.id > b.id ? 1 : 0));
+  return DRIVE_LOOKUPS.sharedDrives;
+}
+
+/**
+ * Shared drive listed after the one with this ID (the first one for null), or null after the last one
+ * Drives added or removed while a scan is under way do not throw it off
+ */
+function getNextSharedDrive(driveId) {
+  return listSharedDrives().find(drive => !driveId || drive.id > driveId) || null;
+}
+
+/**
+ * Drive column of a files.list record: its shared drive, else My Drive or Shared with me
+ */
+function getDriveApiDriveName(record) {
+  if (record.driveId) {
+    const drive = listSharedDrives().find(candidate => candidate.id === record.driveId);
+    return drive ? drive.name : record.driveId;
+  }
+  return record.ownedByMe === false ? SHARED_WITH_ME_LABEL : MY_DRIVE_LABEL;
+}
+
+/**
+ * Email address of the account running the script ('' when Apps Script does not tell)
+ */
+function getCurrentUserEmail() {
+  if (DRIVE_LOOKUPS.email === undefined) {
+    try {
+      DRIVE_LOOKUPS.email = Session.getEffectiveUser().getEmail() || '';
+    } catch (error) {
+      DRIVE_LOOKUPS.email = '';
+    }
+  }
+  return DRIVE_LOOKUPS.email;
+}
+
+/**
+ * Domain of an email address, lower case
+ */
+function getEmailDomain(email) {
+  return String(email || '').split('@').pop().toLowerCase();
+}
+
+/**
+ * Check if a file is shared outside the domain of the account running the script: with anyone, or with a
+ * viewer or editor from another domain (only the users listed in fileData are checked, and only when the
+ * account's email is known)
+ */
+function isExternallySharedFile(fileData) {
+  const domain = getEmailDomain(getCurrentUserEmail());
+
+  return isPublicAccess(fileData.sharingAccess) || (!!domain &&
+    (fileData.viewers || []).concat(fileData.editors || []).some(email => getEmailDomain(email) !== domain));
+}
+
+/**
+ * Members of a shared drive: { members, external } (users and groups from another domain than the account's,
+ * or any domain and anyone permissions), or null when the account may not list them
+ */
+function getSharedDriveMembers(driveId) {
+  const domain = getEmailDomain(getCurrentUserEmail());
+  const members = { members: 0, external: 0 };
+  let pageToken = null;
+
+  try {
+    do {
+      const request = { supportsAllDrives: true, pageSize: 100, fields: DRIVE_API_MEMBER_FIELDS };
+      if (pageToken) {
+        request.pageToken = pageToken;
+      }
+
+      const response = withRetry(() => Drive.Permissions.list(driveId, request), 'Drive API permissions.list');
+      (response.permissions || []).forEach(permission => {
+        members.members++;
+        const memberDomain = permission.emailAddress ? getEmailDomain(permission.emailAddress) :
+          String(permission.domain || '').toLowerCase();
+        if (permission.type === 'anyone' || (!!domain && memberDomain !== domain)) {
+          members.external++;
+        }
+      });
+      pageToken = response.nextPageToken || null;
+    } while (pageToken);
+  } catch (error) {
+    console.log(`Could not list the members of shared drive ${driveId}: ${error}`);
+    return null;
+  }
+
+  return members;
+}
+
+/**
+ * Add a file to the totals of its drive in drives (name, files, size and externally shared files)
+ * Shared drives are keyed by drive ID, so drives with the same name stay apart and a renamed drive keeps its totals;
+ * My Drive and Shared with me by their label
+ */
+function addDriveTotals(drives, fileData) {
+  if (!fileData.drive) {
+    return;
+  }
+
+  const key = fileData.driveId || fileData.drive;
+  const drive = drives[key] || (drives[key] = { name: fileData.drive, files: 0, size: 0, external: 0 });
+  drive.name = fileData.drive;
+  drive.files++;
+  drive.size += fileData.size;
+  if (isExternallySharedFile(fileData)) {
+    drive.external++;
+  }
+}
+
+/**
+ * Overview rows of the drive totals kept by addDriveTotals, largest drive first, with a header row
+ * (none without totals). withMembers: also count the members of each shared drive (one request per drive)
+ */
+function getDriveBreakdownRows(drives, withMembers) {
+  const sharedDrives = withMembers ? listSharedDrives() : [];
+  const entries = Object.entries(drives || {}).map(([key, drive]) => {
+    const sharedDrive = sharedDrives.find(candidate => candidate.id === key);
+    return { key: key, drive: drive, sharedDrive: sharedDrive, name: sharedDrive ? sharedDrive.name : (drive.name || key) };
+  });
+  // Drives that share a name are told apart by their ID
+  const isAmbiguous = name => entries.filter(entry => entry.name === name).length > 1;
+
+  const rows = entries
+    .sort((a, b) => b.drive.size - a.drive.size)
+    .map(({ key, drive, sharedDrive, name }) => {
+      const members = sharedDrive ? getSharedDriveMembers(key) : null;
+      return [
+        isAmbiguous(name) ? `${name} (${key})` : name,
+        drive.files,
+        formatBytes(drive.size),
+        members ? members.members : '',
+        members ? members.external : '',
+        drive.external
+      ];
+    });
+
+  return rows.length > 0 ?
+    [['Drive', 'Files', 'Size', 'Members', 'External Members', 'Externally Shared Files']].concat(rows) :
+    [];
+}
+
+/**
+ * Page token from which changes.list lists the changes made from now on
+ * Null when the Drive API advanced service is not enabled (or backend is 'driveapp')
+ * sharedDrives: true to also list the changes made in shared drives
+ */
+function getDriveChangesStartToken(backend, sharedDrives) {
+  if (backend === 'driveapp' || typeof Drive === 'undefined' || !Drive.Changes) {
+    return null;
+  }
+
+  const request = sharedDrives ? { supportsAllDrives: true } : {};
+  return withRetry(() => Drive.Changes.getStartPageToken(request), 'Drive API changes.getStartPageToken').startPageToken;
+}
+
+/**
+ * Fetch one page of Drive changes, oldest first
+ * The last page has no nextPageToken but a newStartPageToken, where the next check starts
+ */
+function listDriveChanges(pageToken, pageSize, sharedDrives) {
+  const request = {
+    pageSize: Math.min(pageSize, DRIVE_API_PAGE_SIZE),
+    includeRemoved: true,
+    spaces: 'drive',
+    fields: DRIVE_API_CHANGE_FIELDS
+  };
+  if (sharedDrives) {
+    Object.assign(request, { includeItemsFromAllDrives: true, supportsAllDrives: true });
+  }
+
+  const response = withRetry(() => Drive.Changes.list(pageToken, request), 'Drive API changes.list');
+
+  return {
+    changes: response.changes || [],
+    nextPageToken: response.nextPageToken || null,
+    newStartPageToken: response.newStartPageToken || null
+  };
+}
+
+/**
+ * Count the files matching a query, a slice of time at a time
+ * Pass the returned count state back in to carry on; it has done: true once every file is counted
+ * The Drive API lists 1,000 IDs per request (and with sharedDrives goes on through every shared drive),
+ * DriveApp steps through the files one by one
+ */
+function countDriveFiles(countState, query, backend, maxMs, sharedDrives) {
+  const state = Object.assign({ count: 0, token: null, driveApi: null, driveId: null, done: false }, countState || {});
+  const deadline = new Date().getTime() + (maxMs || FILE_COUNT_MAX_MS);
+
+  if (state.done) {
+    return state;
+  }
+
+  if (state.driveApi === null) {
+    state.driveApi = shouldUseDriveApi(backend);
+  }
+
+  if (state.driveApi) {
+    do {
+      const page = listDriveApiFiles(query, state.token, DRIVE_API_COUNT_FIELDS, state.driveId);
+      state.count += page.files.length;
+      state.token = page.nextPageToken;
+
+      if (!state.token) {
+        const nextDrive = sharedDrives ? getNextSharedDrive(state.driveId) : null;
+        state.done = !nextDrive;
+        state.driveId = nextDrive ? nextDrive.id : state.driveId;
+      }
+    } while (!state.done && new Date().getTime() < deadline);
+
+    return state;
+  }
+
+  const files = state.token ? DriveApp.continueFileIterator(state.token) :
+    (query ? DriveApp.searchFiles(query) : DriveApp.getFiles());
+
+  while (files.hasNext() && new Date().getTime() < deadline) {
+    files.next();
+    state.count++;
+  }
+
+  state.done = !files.hasNext();
+  state.token = state.done ? null : files.getContinuationToken();
+
+  return state;
+}
+
+/**
+ * Translate a DriveApp search query to Drive API v3 field names, leaving quoted values alone
+ */
+function toDriveApiQuery(query) {
+  return query
+    .split(/('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")/)
+    .map((part, index) => index % 2 === 1 ? part :
+      part.replace(/\b(title|modifiedDate|createdDate|lastViewedByMeDate)\b/g, field => DRIVE_API_QUERY_FIELDS[field]))
+    .join('');
+}
+
+/**
+ * Wrap a files.list record in the DriveApp File getters that filters use
+ * Nothing here calls Drive again, except getParents()
+ */
+function createDriveApiFile(record) {
+  const owner = record.owners && record.owners.length > 0 ? record.owners[0].emailAddress : null;
+  const toUser = email => ({ getEmail: () => email });
+
+  return {
+    driveApiRecord: record,
+    getId: () => record.id,
+    getName: () => record.name,
+    getMimeType: () => record.mimeType,
+    getSize: () => Number(record.size || 0),
+    getDateCreated: () => new Date(record.createdTime),
+    getLastUpdated: () => new Date(record.modifiedTime),
+    getOwner: () => owner ? toUser(owner) : null,
+    getUrl: () => record.webViewLink,
+    getDescription: () => record.description || '',
+    getTargetId: () => record.shortcutDetails ? record.shortcutDetails.targetId : null,
+    isTrashed: () => !!record.trashed,
+    getSharingAccess: () => getDriveApiSharingDetails(record, 0).access,
+    getSharingPermission: () => getDriveApiSharingDetails(record, 0).permission,
+    getViewers: () => getDriveApiSharingDetails(record, Infinity).viewers.map(toUser),
+    getEditors: () => getDriveApiSharingDetails(record, Infinity).editors.map(toUser),
+    getParents: () => {
+      const folders = (record.parents || []).map(folderId => DriveApp.getFolderById(folderId));
+      let index = 0;
+      return { hasNext: () => index < folders.length, next: () => folders[index++] };
+    }
+  };
+}
+
+/**
+ * Read sharing access, permission and users from the permissions of a files.list record
+ * Values match getSharingDetails (DriveApp.Access / DriveApp.Permission names)
+ */
+function getDriveApiSharingDetails(record, maxUsers) {
+  const sharing = {
+    access: SHARING_ACCESS_PRIVATE,
+    permission: SHARING_PERMISSION_NONE,
+    viewers: [],
+    editors: []
+  };
+
+  // Shared drive files are looked up once and kept on the record
+  if (!record.permissions && record.driveId) {
+    try {
+      record.permissions = listSharedDriveFilePermissions(record.id);
+    } catch (error) {
+      // Same as getSharingDetails: rate limits and timeouts are retried, other errors leave the file private
+      if (isTransientError(error)) {
+        throw setErrorStage(error, 'sharing');
+      }
+      record.permissions = [];
+    }
+  }
+
+  const permissions = record.permissions || [];
+  const link = permissions.find(permission => permission.type === 'anyone') ||
+    permissions.find(permission => permission.type === 'domain');
+
+  if (link) {
+    sharing.access = (link.type === 'anyone' ? 'ANYONE' : 'DOMAIN') + (link.allowFileDiscovery ? '' : '_WITH_LINK');
+    sharing.permission = DRIVE_API_ROLE_PERMISSIONS[link.role] || SHARING_PERMISSION_NONE;
+  }
+
+  if (maxUsers > 0) {
+    const users = permissions.filter(permission => permission.emailAddress &&
+      (permission.type === 'user' || permission.type === 'group'));
+
+    sharing.viewers = users
+      .filter(permission => permission.role === 'reader' || permission.role === 'commenter')
+      .slice(0, maxUsers)
+      .map(permission => permission.emailAddress);
+    sharing.editors = users
+      .filter(permission => ['writer', 'fileOrganizer', 'organizer'].includes(permission.role))
+      .slice(0, maxUsers)
+      .map(permission => permission.emailAddress);
+  }
+
+  return sharing;
+}
+
+/**
+ * Permissions set on a shared drive file itself, with permissions.list (one request per file)
+ * Permissions the file only inherits from the drive are left out: drive members are counted per drive instead
+ */
+function listSharedDriveFilePermissions(fileId) {
+  const permissions = [];
+  let pageToken = null;
+
+  do {
+    const request = { supportsAllDrives: true, pageSize: 100, fields: DRIVE_API_PERMISSION_FIELDS };
+    if (pageToken) {
+      request.pageToken = pageToken;
+    }
+
+    const response = withRetry(() => Drive.Permissions.list(fileId, request), 'Drive API permissions.list');
+    (response.permissions || []).forEach(permission => {
+      const details = permission.permissionDetails || [];
+      if (details.length === 0 || details.some(detail => !detail.inherited)) {
+        permissions.push(permission);
+      }
+    });
+    pageToken = response.nextPageToken || null;
+  } while (pageToken);
+
+  return permissions;
+}
+
+/**
+ * extractBaseFileData for a files.list record - same fields, no extra Drive calls
+ * (except the permissions of shared drive files)
+ */
+function extractDriveApiFileData(record, settings) {
+  const parentFolders = getParentFoldersById(record.parents, settings.folderCache);
+  const drive = getDriveApiDriveName(record);
+  // Files in a shared drive belong to the drive rather than to a user
+  const owner = record.owners && record.owners.length > 0 ? record.owners[0].emailAddress :
+    (record.driveId ? drive : 'Unknown');
+  const fileType = classifyFile(record.name, record.mimeType);
+
+  const data = {
+    id: record.id,
+    name: record.name,
+    mimeType: record.mimeType,
+    typeCategory: fileType.category,
+    type: fileType.type,
+    size: Number(record.size || 0),
+    created: new Date(record.createdTime).toISOString(),
+    lastModified: new Date(record.modifiedTime).toISOString(),
+    owner: owner,
+    drive: drive,
+    driveId: record.driveId || '',
+    url: record.webViewLink,
+    description: record.description || '',
+    quotaBytesUsed: Number(record.quotaBytesUsed || 0),
+    md5Checksum: record.md5Checksum || '',
+    folderPath: !parentFolders ? 'Unknown' : (parentFolders.length > 0 ? parentFolders[0].path : 'Root'),
+    folderId: parentFolders && parentFolders.length > 0 ? parentFolders[0].id : '',
+    folderPaths: parentFolders ? parentFolders.map(folder => folder.path) : [],
+    folderIds: parentFolders ? parentFolders.map(folder => folder.id) : [],
+    shortcutTargetId: record.shortcutDetails ? record.shortcutDetails.targetId : '',
+    sharingAccess: SHARING_ACCESS_PRIVATE,
+    sharingPermission: SHARING_PERMISSION_NONE,
+    viewers: [],
+    editors: []
+  };
+
+  if (settings.trackPermissions) {
+    const sharing = getDriveApiSharingDetails(record, settings.sharingUsers);
+    data.sharingAccess = sharing.access;
+    data.sharingPermission = sharing.permission;
+    data.viewers = sharing.viewers;
+    data.editors = sharing.editors;
+  }
+
+  return data;
+}
+
+/**
+ * Turn a search filter into Drive query clauses, each with a local check of the same condition
+ * searchFilter keys: mimeTypes, mimeTypeContains, extensions, nameContains, visibility (Drive values, e.g. 'anyoneWithLink')
+ * Drive matches 'title contains' on word prefixes, so the clauses only narrow the search; filters still decide
+ */
+function compileSearchFilter(searchFilter) {
+  const clause = (query, matches) => ({ query: query, matches: matches });
+  const nameIncludes = value => file => file.getName().toLowerCase().includes(value.toLowerCase());
+
+  const clauses = [].concat(
+    (searchFilter.mimeTypes || []).map(mimeType =>
+      clause(`mimeType = ${quoteSearchValue(mimeType)}`, file => file.getMimeType() === mimeType)),
+    (searchFilter.mimeTypeContains || []).map(part =>
+      clause(`mimeType contains ${quoteSearchValue(part)}`, file => file.getMimeType().includes(part))),
+    (searchFilter.extensions || []).map(extension =>
+      clause(`title contains ${quoteSearchValue('.' + extension)}`, nameIncludes('.' + extension))),
+    (searchFilter.nameContains || []).map(part =>
+      clause(`title contains ${quoteSearchValue(part)}`, nameIncludes(part))),
+    (searchFilter.visibility || []).map(visibility =>
+      clause(`visibility = ${quoteSearchValue(visibility)}`, file => file.getSharingAccess().toString() === VISIBILITY_ACCESS[visibility]))
+  );
+
+  return clauses.filter((candidate, index) => clauses.findIndex(other => other.query === candidate.query) === index);
+}
+
+/**
+ * Quote a value for a Drive search query
+ */
+function quoteSearchValue(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Combine a base query with clauses, any of which may match
+ */
+function buildClauseQuery(query, clauses) {
+  const anyClause = clauses.map(clause => clause.query).join(' or ');
+  return query ? `${query} and (${anyClause})` : anyClause;
+}
+
+/**
+ * Check if Drive rejected a search query (DriveApp: "Invalid argument: q", Drive API: "Invalid Value")
+ */
+function isInvalidQueryError(error) {
+  return /Invalid (argument: q|query|value)/i.test(String(error));
+}
+
+/**
+ * Iterate files matching query and any clause of a search filter
+ * All clauses go into one query. If Drive rejects it, the clauses are split in halves that are
+ * searched one after the other (splitting again as needed), and a clause Drive rejects on its own is skipped.
+ * The continuation token records the parts still to search.
+ * isListedEarlier(file) tells if a file also matches a part that was already searched.
+ */
+function openFilteredFileIterator(continuationToken, query, searchFilter, backend, sharedDrives) {
+  const clauses = compileSearchFilter(searchFilter);
+  const state = continuationToken ?
+    JSON.parse(continuationToken.slice(FILTERED_TOKEN_PREFIX.length)) :
+    { parts: [[0, clauses.length]], skipped: [], token: null };
+
+  let files = null;
+
+  // Open the first part left, splitting it while Drive rejects its query
+  const openPart = () => {
+    while (!files && state.parts.length > 0) {
+      const [start, end] = state.parts[0];
+
+      try {
+        files = openFileIterator(state.token, buildClauseQuery(query, clauses.slice(start, end)), backend, sharedDrives);
+        files.hasNext();
+      } catch (error) {
+        files = null;
+
+        if (!isInvalidQueryError(error)) {
+          throw error;
+        }
+
+        state.token = null;
+
+        if (end - start > 1) {
+          const middle = Math.ceil((start + end) / 2);
+          state.parts.splice(0, 1, [start, middle], [middle, end]);
+          console.log(`Search query rejected, splitting it into ${middle - start} and ${end - middle} clauses`);
+        } else {
+          console.error(`Skipping search clause rejected by Drive: ${clauses[start].query}`);
+          state.skipped.push(start);
+          state.parts.shift();
+        }
+      }
+    }
+
+    return files;
+  };
+
+  const iterator = {
+    hasNext: () => {
+      while (openPart()) {
+        if (files.hasNext()) {
+          return true;
+        }
+        files = null;
+        state.token = null;
+        state.parts.shift();
+      }
+      return false;
+    },
+    next: () => {
+      if (!iterator.hasNext()) {
+        throw new Error('No more files');
+      }
+      return files.next();
+    },
+    getContinuationToken: () => FILTERED_TOKEN_PREFIX + JSON.stringify({
+      parts: state.parts,
+      skipped: state.skipped,
+      token: files ? files.getContinuationToken() : null
+    }),
+    isListedEarlier: file => {
+      const searched = state.parts.length > 0 ? state.parts[0][0] : clauses.length;
+      return clauses.slice(0, searched).some((clause, index) => !state.skipped.includes(index) && clause.matches(file));
+    }
+  };
+
+  return iterator;
+}
+
+/**
+ * Compile the SCOPE of a config: { ROOT, INCLUDE, EXCLUDE }, or null when it leaves every file in
+ * ROOT: folder ID or path ('Clients/2024'); only files below it are scanned
+ * INCLUDE / EXCLUDE: rules like { path: 'Backups' }, { name: '*.tmp' }, { owner: '*@partner.org' } or
+ * { mimeType: 'video/*' }; each field takes a glob or a list of globs, and a rule matches when all its fields do.
+ * With INCLUDE rules a file must match one of them; a file that matches an EXCLUDE rule is left out
+ */
+function compileScanScope(scope) {
+  const settings = scope || {};
+  const include = (settings.INCLUDE || []).map(compileScopeRule);
+  const exclude = (settings.EXCLUDE || []).map(compileScopeRule);
+
+  if (!settings.ROOT && include.length === 0 && exclude.length === 0) {
+    return null;
+  }
+
+  // Folders are looked up once per execution, whatever the batch
+  const folderCache = DRIVE_LOOKUPS.scopeFolders || (DRIVE_LOOKUPS.scopeFolders = createFolderCache());
+
+  return {
+    root: settings.ROOT ? compileScopeRoot(String(settings.ROOT).trim(), folderCache) : null,
+    include: include,
+    exclude: exclude,
+    folderCache: folderCache
+  };
+}
+
+/**
+ * Compile an INCLUDE or EXCLUDE rule into a list of globs per field
+ */
+function compileScopeRule(rule) {
+  return Object.keys(rule).reduce((compiled, field) => {
+    if (SCOPE_RULE_FIELDS.indexOf(field) === -1) {
+      throw new Error(`Unknown scope rule field "${field}" (use ${SCOPE_RULE_FIELDS.join(', ')})`);
+    }
+
+    compiled[field] = [].concat(rule[field]).map(glob => compileScopeGlob(glob, field === 'path'));
+    return compiled;
+  }, {});
+}
+
+/**
+ * Pattern of the folder paths below the scan root: any path of a folder ID, or a path glob
+ */
+function compileScopeRoot(root, folderCache) {
+  if (!FOLDER_ID_PATTERN.test(root)) {
+    return compileScopeGlob(root, true);
+  }
+
+  const literals = resolveFolderPaths(folderCache, root).map(path => path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^(?:${literals.join('|')})(?:/.*)?$`);
+}
+
+/**
+ * Case-insensitive pattern of a glob: * matches any characters and ? one character
+ * In a path glob they stop at '/' (** does not), and the glob matches that folder and every folder below it,
+ * starting at the root of a drive or just below it - so 'Clients/2024' matches 'My Drive/Clients/2024/Invoices'
+ */
+function compileScopeGlob(glob, isPath) {
+  const wildcards = isPath ? { '**': '.*', '*': '[^/]*', '?': '[^/]' } : { '**': '.*', '*': '.*', '?': '.' };
+  const text = isPath ? String(glob).trim().replace(/^\/+|\/+$/g, '') : String(glob).trim();
+  const pattern = text
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*|\*|\?/g, wildcard => wildcards[wildcard]);
+
+  return new RegExp(isPath ? `^(?:[^/]+/)?${pattern}(?:/.*)?$` : `^${pattern}$`, 'i');
+}
+
+/**
+ * Check if a file is in a scope compiled by compileScanScope (every file is without one)
+ * A file in several folders is below the root, included or excluded when any of its folder paths is
+ */
+function isFileInScope(file, scope) {
+  if (!scope) {
+    return true;
+  }
+
+  let paths = null;
+  const values = {
+    path: () => paths || (paths = getScopeFolderPaths(file, scope.folderCache)),
+    name: () => [file.getName()],
+    owner: () => {
+      const owner = file.getOwner();
+      return [owner ? owner.getEmail() : ''];
+    },
+    mimeType: () => [file.getMimeType()]
+  };
+  const matches = rule => Object.keys(rule).every(field =>
+    values[field]().some(value => rule[field].some(pattern => pattern.test(value)))
+  );
+
+  if (scope.root && !values.path().some(path => scope.root.test(path))) {
+    return false;
+  }
+  if (scope.include.length > 0 && !scope.include.some(matches)) {
+    return false;
+  }
+  return !scope.exclude.some(matches);
+}
+
+/**
+ * Paths of the folders a file is in, read from its files.list record when it has one
+ */
+function getScopeFolderPaths(file, folderCache) {
+  const folders = file.driveApiRecord ?
+    getParentFoldersById(file.driveApiRecord.parents, folderCache) :
+    getParentFolders(file, folderCache);
+
+  return (folders || []).map(folder => folder.path);
+}
+
+/**
+ * Compile a filter expression over extracted file records into data => boolean, or null when it is empty
+ * A comparison is field = value (also !=, >, >=, <, <=), field in (value, ...), field not in (...) or
+ * field contains value; comparisons combine with and, or, not and parentheses, e.g. "size > 50MB and owner != me"
+ * or "type in (Video, Archive) and age > 2y". Fields are those of FILTER_FIELDS. Sizes take B, KB, MB, GB or TB,
+ * ages d, w, m or y and dates are written 2024-01-31. Text compares case-insensitively with * and ? wildcards
+ * (a path matches its folder and everything below it), me is the account's email, and values with spaces go
+ * in quotes. An invalid expression throws an error naming the position of the problem
+ */
+function compileFilterExpression(expression) {
+  const text = String(expression || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  if (!COMPILED_FILTERS[text]) {
+    const parser = { text: text, tokens: tokenizeFilterExpression(text), index: 0, fields: {} };
+    const filter = parseFilterOr(parser);
+    if (parser.index < parser.tokens.length) {
+      throw filterExpressionError(parser, 'expected and, or or the end of the filter');
+    }
+    // The FILTER_FIELDS the expression uses
+    filter.fields = Object.keys(parser.fields);
+    COMPILED_FILTERS[text] = filter;
+  }
+
+  return COMPILED_FILTERS[text];
+}
+
+/**
+ * Check an extracted file record against a filter expression (every record matches an empty one)
+ */
+function matchesFilterExpression(expression, data) {
+  const filter = compileFilterExpression(expression);
+  return !filter || filter(data);
+}
+
+/**
+ * Compile every filter expression of a config - FILTER and the settings ending in _FILTER - so an invalid one
+ * stops a run before it fails on every file
+ */
+function validateConfigFilters(config) {
+  Object.keys(config).filter(key => /^(\w+_)?FILTER$/.test(key)).forEach(key => {
+    try {
+      compileFilterExpression(config[key]);
+    } catch (error) {
+      throw new Error(`${key}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Split a filter expression into tokens: { type: 'word', 'string' (quoted) or 'symbol', text, position }
+ */
+function tokenizeFilterExpression(text) {
+  const pattern = /\s*(?:(!=|>=|<=|==|[=<>(),])|'([^']*)'|"([^"]*)"|([^\s=!<>(),'"]+)|(\S))/g;
+  const tokens = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const position = match.index + match[0].search(/\S/);
+
+    // Only a lone ! or an opening quote without its closing one get this far
+    if (match[5]) {
+      const problem = match[5] === '!' ? 'expected !=' : 'unclosed quote';
+      throw new Error(`Invalid filter "${text}": ${problem} at position ${position + 1}`);
+    }
+
+    tokens.push(
+      match[1] ? { type: 'symbol', text: match[1] === '==' ? '=' : match[1], position: position } :
+      match[4] ? { type: 'word', text: match[4], position: position } :
+      { type: 'string', text: match[2] !== undefined ? match[2] : match[3], position: position }
+    );
+  }
+
+  return tokens;
+}
+
+/**
+ * Error for the token the parser is at (or the end of the expression)
+ */
+function filterExpressionError(parser, message, token) {
+  const at = token || parser.tokens[parser.index];
+  const where = at ? `at position ${at.position + 1} ("${at.text}")` : 'at the end';
+
+  return new Error(`Invalid filter "${parser.text}": ${message} ${where}`);
+}
+
+/**
+ * Move past the next token when it is this keyword (unquoted, any case) or symbol
+ */
+function acceptFilterToken(parser, text) {
+  const token = parser.tokens[parser.index];
+  const matches = !!token && token.type !== 'string' && token.text.toLowerCase() === text;
+
+  if (matches) {
+    parser.index++;
+  }
+  return matches;
+}
+
+/**
+ * Move past a symbol the expression needs at this point
+ */
+function expectFilterToken(parser, text) {
+  if (!acceptFilterToken(parser, text)) {
+    throw filterExpressionError(parser, `expected ${text}`);
+  }
+}
+
+/**
+ * or of and-terms, lowest precedence
+ */
+function parseFilterOr(parser) {
+  const terms = [parseFilterAnd(parser)];
+  while (acceptFilterToken(parser, 'or')) {
+    terms.push(parseFilterAnd(parser));
+  }
+
+  return terms.length === 1 ? terms[0] : data => terms.some(term => term(data));
+}
+
+/**
+ * and of negated or plain terms
+ */
+function parseFilterAnd(parser) {
+  const terms = [parseFilterTerm(parser)];
+  while (acceptFilterToken(parser, 'and')) {
+    terms.push(parseFilterTerm(parser));
+  }
+
+  return terms.length === 1 ? terms[0] : data => terms.every(term => term(data));
+}
+
+/**
+ * not term, (expression) or a comparison
+ */
+function parseFilterTerm(parser) {
+  if (acceptFilterToken(parser, 'not')) {
+    const term = parseFilterTerm(parser);
+    return data => !term(data);
+  }
+
+  if (acceptFilterToken(parser, '(')) {
+    const expression = parseFilterOr(parser);
+    expectFilterToken(parser, ')');
+    return expression;
+  }
+
+  return parseFilterComparison(parser);
+}
+
+/**
+ * field operator value, field [not] in (values) or field contains value
+ * A field with several values (folder paths, viewers, editors) matches when any of them does, and != when none does
+ */
+function parseFilterComparison(parser) {
+  const token = parser.tokens[parser.index];
+  if (!token || token.type !== 'word') {
+    throw filterExpressionError(parser, 'expected a field name');
+  }
+
+  // Field names and aliases are matched in any case
+  const findKey = (object, text) => Object.keys(object).find(key => key.toLowerCase() === text.toLowerCase());
+  const alias = findKey(FILTER_FIELD_ALIASES, token.text);
+  const name = findKey(FILTER_FIELDS, alias ? FILTER_FIELD_ALIASES[alias] : token.text);
+  if (!name) {
+    throw filterExpressionError(parser, `unknown field (use ${Object.keys(FILTER_FIELDS).join(', ')})`, token);
+  }
+  parser.index++;
+  parser.fields[name] = true;
+
+  const field = Object.assign({ name: name }, FILTER_FIELDS[name]);
+  const values = data => [].concat(field.value(data));
+  const isText = field.kind === 'text' || field.kind === 'path';
+
+  const negated = acceptFilterToken(parser, 'not');
+  if (acceptFilterToken(parser, 'in')) {
+    expectFilterToken(parser, '(');
+    const tests = [parseFilterValue(parser, field, '=')];
+    while (acceptFilterToken(parser, ',')) {
+      tests.push(parseFilterValue(parser, field, '='));
+    }
+    expectFilterToken(parser, ')');
+
+    return data => values(data).some(value => tests.some(test => test(value))) !== negated;
+  }
+  if (negated) {
+    throw filterExpressionError(parser, 'expected in after not');
+  }
+
+  const operatorToken = parser.tokens[parser.index];
+  if (acceptFilterToken(parser, 'contains')) {
+    if (!isText) {
+      throw filterExpressionError(parser, `${name} is not text, compare it with =, !=, >, >=, < or <=`, operatorToken);
+    }
+    const test = parseFilterValue(parser, field, 'contains');
+    return data => values(data).some(test);
+  }
+
+  const operator = operatorToken && operatorToken.type === 'symbol' ? operatorToken.text : '';
+  if (FILTER_COMPARISONS.indexOf(operator) === -1) {
+    throw filterExpressionError(parser, 'expected =, !=, >, >=, <, <=, in, not in or contains');
+  }
+  if (isText && operator !== '=' && operator !== '!=') {
+    throw filterExpressionError(parser, `${name} is text, compare it with =, !=, in or contains`, operatorToken);
+  }
+  parser.index++;
+
+  const test = parseFilterValue(parser, field, operator === '!=' ? '=' : operator);
+  return operator === '!=' ? data => !values(data).some(test) : data => values(data).some(test);
+}
+
+/**
+ * Parse the value of a comparison into value => boolean
+ */
+function parseFilterValue(parser, field, operator) {
+  const token = parser.tokens[parser.index];
+  if (!token || token.type === 'symbol') {
+    throw filterExpressionError(parser, `expected a value for ${field.name}`);
+  }
+  parser.index++;
+
+  if (field.kind === 'text' || field.kind === 'path') {
+    const isMe = token.type === 'word' && token.text.toLowerCase() === 'me';
+    const pattern = isMe ? null : compileScopeGlob(token.text, field.kind === 'path');
+    const target = () => (isMe ? getCurrentUserEmail() : token.text).toLowerCase();
+    const text = value => String(value === undefined || value === null ? '' : value).toLowerCase();
+
+    if (operator === 'contains') {
+      return value => text(value).indexOf(target()) !== -1;
+    }
+    return isMe ? value => !!target() && text(value) === target() : value => pattern.test(text(value));
+  }
+
+  const target = parseFilterQuantity(parser, field, token);
+  const compare = {
+    '=': value => value === target,
+    '>': value => value > target,
+    '>=': value => value >= target,
+    '<': value => value < target,
+    '<=': value => value <= target
+  };
+  return compare[operator];
+}
+
+/**
+ * Size in bytes, age in days or date in milliseconds of a value token
+ * A unit may also follow the number as its own word, as in "50 MB"
+ */
+function parseFilterQuantity(parser, field, token) {
+  if (field.kind === 'date') {
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(token.text) ? new Date(token.text).getTime() : NaN;
+    if (isNaN(time)) {
+      throw filterExpressionError(parser, `${field.name} needs a date like 2024-01-31`, token);
+    }
+    return time;
+  }
+
+  const units = field.kind === 'size' ? FILTER_SIZE_UNITS : FILTER_AGE_UNITS;
+  const next = parser.tokens[parser.index];
+  let text = token.text;
+  if (/^\d+(\.\d+)?$/.test(text) && next && next.type === 'word' && units[next.text.toUpperCase()]) {
+    text += next.text;
+    parser.index++;
+  }
+
+  const match = text.match(/^(\d+(?:\.\d+)?)([a-z]*)$/i);
+  const unit = match ? (match[2] ? units[match[2].toUpperCase()] : 1) : undefined;
+  if (!unit) {
+    const example = field.kind === 'size' ? 'a size like 50MB (B, KB, MB, GB or TB)' : 'an age like 2y (d, w, m or y)';
+    throw filterExpressionError(parser, `${field.name} needs ${example}`, token);
+  }
+
+  return Number(match[1]) * unit;
+}
+
+/**
+ * Collect the next batch of matching files
+ * Options: query, filter (file => boolean), maxCheck (stop after checking this many files),
+ * backend and sharedDrives (see openFileIterator), searchFilter (see compileSearchFilter) to narrow the query
+ * on the Drive side, scope (a config SCOPE, see compileScanScope) checked before filter
+ * The returned array carries hasNext() and getContinuationToken() for the next batch
+ */
+function getFileBatch(continuationToken, batchSize, options) {
+  const settings = options || {};
+  const scope = compileScanScope(settings.scope);
+  const files = settings.searchFilter ?
+    openFilteredFileIterator(continuationToken, settings.query, settings.searchFilter, settings.backend, settings.sharedDrives) :
+    openFileIterator(continuationToken, settings.query, settings.backend, settings.sharedDrives);
+
+  const filesToProcess = [];
+  let checked = 0;
+
+  while (files.hasNext() && filesToProcess.length < batchSize) {
+    if (settings.maxCheck && checked >= settings.maxCheck) {
+      break;
+    }
+
+    const file = files.next();
+    checked++;
+
+    try {
+      if (files.isListedEarlier && files.isListedEarlier(file)) {
+        continue;
+      }
+
+      if (isFileInScope(file, scope) && (!settings.filter || settings.filter(file))) {
+        filesToProcess.push(file);
+      }
+    } catch (error) {
+      console.error(`Error checking file: ${error}`);
+    }
+  }
+
+  if (settings.maxCheck) {
+    console.log(`Checked ${checked} files, found ${filesToProcess.length} matching files`);
+  }
+
+  // Attach continuation capability to the array
+  filesToProcess.hasNext = () => files.hasNext();
+  filesToProcess.getContinuationToken = () => files.getContinuationToken();
+  filesToProcess.checkedCount = checked;
+
+  return filesToProcess;
+}
+
+/**
+ * Execution time limit of this account: 6 minutes, or what the executionLimitMinutes script property
+ * says (set it to 30 on Workspace accounts that have the longer limit)
+ */
+function getExecutionLimitMs() {
+  const minutes = Number(PropertiesService.getScriptProperties().getProperty('executionLimitMinutes'));
+
+  return minutes > 0 ?
+    Math.min(minutes * 60 * 1000, WORKSPACE_EXECUTION_LIMIT_MS) :
+    CONSUMER_EXECUTION_LIMIT_MS;
+}
+
+/**
+ * Create a runtime budget for one execution
+ * It measures the time per file of each batch and sizes the next batch to take about targetBatchMs,
+ * between minBatchSize and maxBatchSize, never past the execution limit minus the safety margin
+ * Options: batchSize (first batch), minBatchSize, maxBatchSize, targetBatchMs, limitMs, marginMs
+ */
+function createRuntimeBudget(options) {
+  const settings = options || {};
+  const startTime = new Date().getTime();
+  const batchSize = settings.batchSize || 100;
+
+  return {
+    startTime: startTime,
+    deadline: startTime + (settings.limitMs || getExecutionLimitMs()) - (settings.marginMs || RUNTIME_SAFETY_MARGIN_MS),
+    batchSize: batchSize,
+    minBatchSize: settings.minBatchSize || Math.min(RUNTIME_MIN_BATCH_SIZE, batchSize),
+    maxBatchSize: settings.maxBatchSize || batchSize * 4,
+    targetBatchMs: settings.targetBatchMs || RUNTIME_TARGET_BATCH_MS,
+    msPerFile: null
+  };
+}
+
+/**
+ * Milliseconds left before the budget's deadline
+ */
+function getRuntimeRemainingMs(budget) {
+  return budget.deadline - new Date().getTime();
+}
+
+/**
+ * Whether the deadline has passed, so a batch should stop after the current file
+ */
+function isRuntimeBudgetSpent(budget) {
+  return getRuntimeRemainingMs(budget) <= 0;
+}
+
+/**
+ * Whether there is time for at least a minimal batch at the measured time per file
+ */
+function hasTimeForBatch(budget) {
+  return getRuntimeRemainingMs(budget) > (budget.msPerFile || 0) * budget.minBatchSize;
+}
+
+/**
+ * Size of the next batch: the adapted batch size, cut down to what fits in the remaining time
+ */
+function getBudgetBatchSize(budget) {
+  if (!budget.msPerFile) {
+    return budget.batchSize;
+  }
+
+  const fits = Math.floor(getRuntimeRemainingMs(budget) / budget.msPerFile);
+  return Math.max(budget.minBatchSize, Math.min(budget.batchSize, fits));
+}
+
+/**
+ * Record how long a batch took and adapt the batch size
+ * A slower batch is trusted at once, a faster one only halfway, so one quick batch of small
+ * files does not set up a batch of big shared files to run out of time
+ */
+function recordBatchTime(budget, fileCount, elapsedMs) {
+  if (fileCount <= 0) {
+    return;
+  }
+
+  const msPerFile = elapsedMs / fileCount;
+  budget.msPerFile = budget.msPerFile === null || msPerFile > budget.msPerFile ?
+    msPerFile : (budget.msPerFile + msPerFile) / 2;
+
+  const batchSize = Math.max(budget.minBatchSize,
+    Math.min(budget.maxBatchSize, Math.round(budget.targetBatchMs / budget.msPerFile)));
+
+  if (batchSize !== budget.batchSize) {
+    console.log(`Batch size ${budget.batchSize} -> ${batchSize} (${Math.round(budget.msPerFile)} ms per file)`);
+    budget.batchSize = batchSize;
+  }
+}
+
+/**
+ * Run batches until there is nothing left, the runtime budget is spent or isPaused() says to stop
+ * runBatch must return { processedCount, hasMore } and may add checkedCount, matchedCount and errorCount; it gets the budget,
+ * to size its batch and stop in time. The totals of every batch are returned with the stop reason
+ * Options: label, budget (see createRuntimeBudget), pauseMs, onTimeLimit, onComplete, isPaused
+ */
+function runBatchesUntilTimeLimit(runBatch, options) {
+  const settings = Object.assign({
+    label: 'files',
+    pauseMs: 100
+  }, options || {});
+
+  const budget = settings.budget || createRuntimeBudget();
+  const totals = { processedCount: 0, checkedCount: 0, matchedCount: 0, errorCount: 0, batchCount: 0 };
+
+  while (true) {
+    // Check execution time, keeping the safety margin for saving and scheduling
+    if (!hasTimeForBatch(budget)) {
+      const elapsedTime = new Date().getTime() - budget.startTime;
+      console.log(`Approaching time limit after ${(elapsedTime/1000).toFixed(0)} seconds`);
+
+      if (settings.onTimeLimit) {
+        settings.onTimeLimit();
+      }
+
+      console.log(`Processed ${totals.processedCount} ${settings.label} in ${totals.batchCount} batches. Scheduled next run.`);
+      return Object.assign(totals, { complete: false, stopReason: 'time budget' });
+    }
+
+    // Automatic mode switched off while this execution was running
+    if (settings.isPaused && settings.isPaused()) {
+      console.log(`Paused after ${totals.processedCount} ${settings.label} in ${totals.batchCount} batches.`);
+      return Object.assign(totals, { complete: false, stopReason: 'paused' });
+    }
+
+    // Run a batch
+    const batchStartTime = new Date().getTime();
+    const result = runBatch(budget);
+    totals.batchCount++;
+    totals.processedCount += result.processedCount;
+    totals.checkedCount += result.checkedCount || 0;
+    totals.matchedCount += result.matchedCount !== undefined ? result.matchedCount : result.processedCount;
+    totals.errorCount += result.errorCount || 0;
+    recordBatchTime(budget, result.processedCount, new Date().getTime() - batchStartTime);
+
+    if (!result.hasMore) {
+      console.log(`Complete! Processed ${totals.processedCount} ${settings.label} in ${totals.batchCount} batches.`);
+
+      if (settings.onComplete) {
+        settings.onComplete();
+      }
+
+      return Object.assign(totals, { complete: true, stopReason: 'complete' });
+    }
+
+    // Brief pause between batches to avoid rate limits
+    Utilities.sleep(settings.pauseMs);
+  }
+}
+
+/**
+ * Current run lease stored under a script property key, or null when there is none or it has expired
+ */
+function readRunLease(key) {
+  const lease = JSON.parse(PropertiesService.getScriptProperties().getProperty(key) || 'null');
+  return lease && new Date(lease.expires).getTime() > new Date().getTime() ? lease : null;
+}
+
+/**
+ * Take the run lease stored under a script property key for owner (what is running, e.g. a trigger handler)
+ * The lease is checked and written under the script lock, so two executions cannot both take it.
+ * Returns the lease with acquired: true, or the lease of the execution holding it with acquired: false
+ */
+function acquireRunLease(key, owner) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(RUN_LEASE_LOCK_WAIT_MS)) {
+    return { acquired: false, owner: 'another execution (script lock busy)', started: null, expires: null };
+  }
+
+  try {
+    const current = readRunLease(key);
+    if (current) {
+      return Object.assign({}, current, { acquired: false });
+    }
+
+    const now = new Date().getTime();
+    const lease = {
+      id: Utilities.getUuid(),
+      owner: owner,
+      started: new Date(now).toISOString(),
+      expires: new Date(now + getExecutionLimitMs() + RUN_LEASE_SLACK_MS).toISOString()
+    };
+    PropertiesService.getScriptProperties().setProperty(key, JSON.stringify(lease));
+
+    return Object.assign({}, lease, { acquired: true });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Give a run lease back, unless it expired and another execution has taken it since
+ */
+function releaseRunLease(key, lease) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(RUN_LEASE_LOCK_WAIT_MS)) {
+    console.log(`Could not release run lease ${key}, it expires at ${lease.expires}`);
+    return;
+  }
+
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    const current = JSON.parse(scriptProperties.getProperty(key) || 'null');
+    if (current && current.id === lease.id) {
+      scriptProperties.deleteProperty(key);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Call action() while holding the run lease stored under key (see acquireRunLease)
+ * When another execution holds it, logs who and returns busyResult without calling action
+ */
+function withRunLease(key, owner, action, busyResult) {
+  if (HELD_RUN_LEASES[key]) {
+    return action();
+  }
+
+  const lease = acquireRunLease(key, owner);
+  if (!lease.acquired) {
+    const since = lease.started ? ` (started ${lease.started}, lease expires ${lease.expires})` : '';
+    console.log(`Already running: ${lease.owner}${since}. ${owner} exits without running.`);
+    return busyResult;
+  }
+
+  HELD_RUN_LEASES[key] = lease;
+  try {
+    return action();
+  } finally {
+    delete HELD_RUN_LEASES[key];
+    releaseRunLease(key, lease);
+  }
+}
+
+/**
+ * Note how this execution started, for the Run History; the first call wins
+ * kind is e.g. 'continuation trigger' or 'schedule', handler the function the trigger called
+ */
+function setRunSource(kind, handler) {
+  if (!RUN_SOURCE.kind) {
+    RUN_SOURCE.kind = kind;
+    RUN_SOURCE.handler = handler;
+  }
+}
+
+/**
+ * How this execution started, in words ('manual' unless a trigger handler said otherwise)
+ */
+function describeRunSource() {
+  return RUN_SOURCE.kind ? `${RUN_SOURCE.kind} (${RUN_SOURCE.handler})` : 'manual';
+}
+
+/**
+ * Call runner() and add a row for this execution to the Run History sheet of getSpreadsheet()
+ * runner returns { processedCount, checkedCount, matchedCount (defaults to processedCount), errorCount, batchCount,
+ * stopReason, note }. A runner nested in another recorded under the same key adds no row of its own, and runs that
+ * found the tool busy (alreadyRunning) or had no spreadsheet to write to add none either.
+ * A runner that throws is recorded with stop reason 'error'
+ */
+function recordRun(key, getSpreadsheet, runner) {
+  if (RECORDED_RUNS[key]) {
+    return runner();
+  }
+
+  const started = new Date();
+  RECORDED_RUNS[key] = started;
+
+  try {
+    const result = runner();
+    const spreadsheet = result && !result.alreadyRunning ? getSpreadsheet() : null;
+    if (spreadsheet) {
+      appendRunHistory(spreadsheet, started, result);
+    }
+    return result;
+  } catch (error) {
+    try {
+      appendRunHistory(getSpreadsheet(), started, {
+        stopReason: 'error',
+        note: String(error && error.message ? error.message : error)
+      });
+    } catch (historyError) {
+      console.error(`Could not add the failed run to the Run History: ${historyError}`);
+    }
+    throw error;
+  } finally {
+    delete RECORDED_RUNS[key];
+  }
+}
+
+/**
+ * Add a run to the Run History sheet, dropping the oldest rows past RUN_HISTORY_MAX_ROWS
+ */
+function appendRunHistory(spreadsheet, started, result) {
+  initializeReportSheets(spreadsheet, [RUN_HISTORY_SHEET], { [RUN_HISTORY_SHEET]: RUN_HISTORY_HEADERS });
+  const sheet = spreadsheet.getSheetByName(RUN_HISTORY_SHEET);
+
+  const ended = new Date();
+  const seconds = (ended.getTime() - started.getTime()) / 1000;
+  const scanned = result.checkedCount || 0;
+
+  sheet.appendRow([
+    started.toISOString(),
+    ended.toISOString(),
+    seconds.toFixed(1),
+    describeRunSource(),
+    result.batchCount !== undefined ? result.batchCount : (result.stopReason === 'error' ? '' : 1),
+    scanned,
+    result.matchedCount !== undefined ? result.matchedCount : result.processedCount || 0,
+    result.errorCount || 0,
+    result.stopReason || (result.hasMore === false ? 'complete' : 'batch done'),
+    seconds > 0 ? (scanned / seconds).toFixed(1) : '',
+    result.note || ''
+  ]);
+
+  const excess = sheet.getLastRow() - 1 - RUN_HISTORY_MAX_ROWS;
+  if (excess > 0) {
+    sheet.deleteRows(2, excess);
+  }
+}
+
+/**
+ * Delete every project trigger whose handler is in the list
+ */
+function deleteTriggersFor(handlerNames) {
+  return deleteTriggersWhere(trigger => handlerNames.indexOf(trigger.getHandlerFunction()) !== -1);
+}
+
+/**
+ * Delete every project trigger for which matches(trigger, registryEntry) is true, and its registry entry
+ */
+function deleteTriggersWhere(matches) {
+  const registry = loadTriggerRegistry();
+  let deleted = 0;
+
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    const id = trigger.getUniqueId();
+    if (matches(trigger, registry[id] || null)) {
+      ScriptApp.deleteTrigger(trigger);
+      delete registry[id];
+      deleted++;
+    }
+  });
+
+  if (deleted > 0) {
+    saveTriggerRegistry(registry);
+  }
+
+  return deleted;
+}
+
+/**
+ * Check if any project trigger uses one of the handlers
+ */
+function hasTriggerFor(handlerNames) {
+  return ScriptApp.getProjectTriggers().some(trigger =>
+    handlerNames.indexOf(trigger.getHandlerFunction()) !== -1
+  );
+}
+
+/**
+ * Create a one-off trigger that calls handlerName after a delay
+ * details ({ tool, purpose }) is recorded in the trigger registry
+ */
+function scheduleTriggerAfter(handlerName, delayMs, details) {
+  const delay = delayMs || 1 * 60 * 1000; // 1 minute
+
+  const trigger = ScriptApp.newTrigger(handlerName)
+    .timeBased()
+    .after(delay)
+    .create();
+
+  registerTrigger(trigger, Object.assign({}, details, { runsAt: new Date(Date.now() + delay).toISOString() }));
+  console.log(`Next run scheduled for ${Math.round(delay / 60000)} minute(s) from now`);
+}
+
+/**
+ * Create a recurring trigger that calls handlerName on a cron schedule (see parseCronSchedule)
+ * details ({ tool, purpose }) is recorded in the trigger registry
+ */
+function createScheduledTrigger(handlerName, schedule, details) {
+  const cron = parseCronSchedule(schedule);
+  const trigger = applyCronSchedule(ScriptApp.newTrigger(handlerName).timeBased(), cron).create();
+
+  registerTrigger(trigger, Object.assign({}, details, { schedule: cron.expression }));
+  console.log(`Scheduled ${handlerName}: ${cron.description}`);
+  return trigger;
+}
+
+/**
+ * Parse a cron expression (minute hour day-of-month month day-of-week) into a trigger schedule
+ * Only what a time-based trigger can express is accepted: a minute step (1, 5, 10, 15 or 30) with every other
+ * field *, an hour step (1, 2, 4, 6, 8 or 12) or * with a fixed minute, or a fixed minute and hour run daily,
+ * weekly (day of the week set) or monthly (day of the month set). @hourly, @daily, @weekly and @monthly work too.
+ * For example '0 8 * * MON' runs on Mondays at 8:00. Triggers fire within about 15 minutes of the set time
+ */
+function parseCronSchedule(schedule) {
+  const text = String(schedule || '').trim().replace(/\s+/g, ' ');
+  const expression = CRON_ALIASES[text.toLowerCase()] || text;
+  const fields = expression.split(' ');
+
+  if (fields.length !== 5) {
+    throw new Error(`Unsupported schedule "${schedule}": expected minute hour day-of-month month day-of-week`);
+  }
+
+  const [minute, hour, monthDay, month, weekDay] = fields;
+  const everyDay = monthDay === '*' && weekDay === '*';
+  const cron = { expression: expression };
+
+  if (month !== '*') {
+    throw new Error(`Unsupported schedule "${schedule}": the month must be *`);
+  }
+
+  if (minute.startsWith('*/')) {
+    if (hour !== '*' || !everyDay) {
+      throw new Error(`Unsupported schedule "${schedule}": minute intervals run every hour of every day`);
+    }
+    cron.everyMinutes = parseCronInterval(minute, CRON_MINUTE_INTERVALS, schedule);
+    cron.description = `Every ${cron.everyMinutes} minute(s)`;
+    return cron;
+  }
+
+  cron.minute = parseCronNumber(minute, 0, 59, schedule);
+
+  if (hour === '*' || hour.startsWith('*/')) {
+    if (!everyDay) {
+      throw new Error(`Unsupported schedule "${schedule}": hour intervals run every day`);
+    }
+    cron.everyHours = hour === '*' ? 1 : parseCronInterval(hour, CRON_HOUR_INTERVALS, schedule);
+    cron.description = `Every ${cron.everyHours} hour(s)`;
+    return cron;
+  }
+
+  cron.hour = parseCronNumber(hour, 0, 23, schedule);
+  const time = `${cron.hour}:${String(cron.minute).padStart(2, '0')}`;
+
+  if (weekDay !== '*' && monthDay !== '*') {
+    throw new Error(`Unsupported schedule "${schedule}": set the day of the month or the day of the week, not both`);
+  }
+
+  if (weekDay !== '*') {
+    cron.weekDay = parseCronWeekDay(weekDay, schedule);
+    cron.description = `Weekly on ${cron.weekDay.charAt(0)}${cron.weekDay.slice(1).toLowerCase()} at ${time}`;
+  } else if (monthDay !== '*') {
+    cron.monthDay = parseCronNumber(monthDay, 1, 31, schedule);
+    cron.description = `Monthly on day ${cron.monthDay} at ${time}`;
+  } else {
+    cron.description = `Daily at ${time}`;
+  }
+
+  return cron;
+}
+
+/**
+ * A single cron number between min and max
+ */
+function parseCronNumber(field, min, max, schedule) {
+  const value = /^\d+$/.test(field) ? Number(field) : NaN;
+
+  if (!(value >= min && value <= max)) {
+    throw new Error(`Unsupported schedule "${schedule}": "${field}" should be a number from ${min} to ${max}`);
+  }
+
+  return value;
+}
+
+/**
+ * The N of a cron step field, limited to the intervals triggers support
+ */
+function parseCronInterval(field, allowed, schedule) {
+  const value = Number(field.slice(2));
+
+  if (allowed.indexOf(value) === -1) {
+    throw new Error(`Unsupported schedule "${schedule}": "${field}" should be one of */${allowed.join(', */')}`);
+  }
+
+  return value;
+}
+
+/**
+ * A cron day of the week (0-7, or a name such as MON) as a ScriptApp.WeekDay name
+ */
+function parseCronWeekDay(field, schedule) {
+  const name = field.toUpperCase();
+  const index = /^[0-7]$/.test(field)
+    ? Number(field) % 7
+    : CRON_WEEK_DAYS.findIndex(day => name.length >= 3 && day.startsWith(name));
+
+  if (index === -1) {
+    throw new Error(`Unsupported schedule "${schedule}": "${field}" is not a day of the week`);
+  }
+
+  return CRON_WEEK_DAYS[index];
+}
+
+/**
+ * Set a parsed cron schedule on a time-based trigger builder
+ */
+function applyCronSchedule(builder, cron) {
+  if (cron.everyMinutes) {
+    return builder.everyMinutes(cron.everyMinutes);
+  }
+  if (cron.everyHours) {
+    return builder.everyHours(cron.everyHours);
+  }
+
+  if (cron.weekDay) {
+    builder.everyWeeks(1).onWeekDay(ScriptApp.WeekDay[cron.weekDay]);
+  } else if (cron.monthDay) {
+    builder.onMonthDay(cron.monthDay);
+  } else {
+    builder.everyDays(1);
+  }
+
+  return builder.atHour(cron.hour).nearMinute(cron.minute);
+}
+
+/**
+ * Registered triggers by trigger id: { handler, tool, purpose, schedule or runsAt, created }
+ */
+function loadTriggerRegistry() {
+  const saved = PropertiesService.getScriptProperties().getProperty(TRIGGER_REGISTRY_KEY);
+  return saved ? JSON.parse(saved) : {};
+}
+
+/**
+ * Save the trigger registry, deleting the property once it is empty
+ */
+function saveTriggerRegistry(registry) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+
+  if (Object.keys(registry).length > 0) {
+    scriptProperties.setProperty(TRIGGER_REGISTRY_KEY, JSON.stringify(registry));
+  } else {
+    scriptProperties.deleteProperty(TRIGGER_REGISTRY_KEY);
+  }
+}
+
+/**
+ * Record a new trigger with the tool that owns it, its purpose and its schedule
+ */
+function registerTrigger(trigger, details) {
+  const registry = loadTriggerRegistry();
+
+  registry[trigger.getUniqueId()] = {
+    handler: trigger.getHandlerFunction(),
+    tool: details.tool || '',
+    purpose: details.purpose || '',
+    schedule: details.schedule || '',
+    runsAt: details.runsAt || '',
+    created: new Date().toISOString()
+  };
+
+  saveTriggerRegistry(registry);
+}